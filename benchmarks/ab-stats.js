@@ -0,0 +1,200 @@
+/**
+ * Paired statistics for the Cursor A/B runner.
+ *
+ * Every A/B run scores the same prompt twice (without / with the rule), so the
+ * unit of analysis is the per-prompt difference. For a metric this module
+ * reports:
+ *
+ *   confidence interval  percentile bootstrap of the mean difference,
+ *                        resampling prompts with replacement
+ *   p-value              two-sided paired permutation test: the sign of each
+ *                        difference is flipped at random (every sign pattern
+ *                        when there are at most EXACT_PERMUTATION_MAX pairs)
+ *   Cohen's d            paired effect size d_z: mean difference / SD of the
+ *                        differences
+ *
+ * and, for planning, the number of pairs needed to detect a given lift with a
+ * two-sided paired test (normal approximation).
+ *
+ * When a prompt is sampled more than once per side, describeSamples()
+ * summarizes the spread of its 0-100 scores: mean, variance, best, worst and
+ * a stability of 100 x (1 - SD / 50), 50 being the largest SD a 0-100 score
+ * can have. One sample, or identical samples, are 100 stable.
+ *
+ * Resampling uses a seeded generator, so the same input gives the same report.
+ */
+
+'use strict';
+
+const DEFAULT_ITERATIONS = 10000;
+const DEFAULT_CONFIDENCE = 0.95;
+const DEFAULT_SEED = 42;
+const EXACT_PERMUTATION_MAX = 16;
+// Standard normal quantiles for alpha = 0.05 (two-sided) and 80% power.
+const Z_ALPHA = 1.959964;
+const Z_POWER = 0.841621;
+
+/**
+ * @typedef {object} PairedComparison
+ * @property {number} n - Pairs compared.
+ * @property {number} meanDelta - Mean of with - without.
+ * @property {number} sdDelta - Sample SD of the differences (0 with fewer than two pairs).
+ * @property {{lower: number, upper: number, confidence: number}} ci - Bootstrap interval of meanDelta.
+ * @property {number} pValue - Two-sided paired permutation p-value.
+ * @property {boolean} exact - The permutation test enumerated every sign pattern.
+ * @property {number|null} cohensD - Paired effect size d_z; null when every difference is the same.
+ */
+
+// mulberry32: small, fast and good enough for resampling.
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function sd(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function quantile(sorted, q) {
+  const at = (sorted.length - 1) * q;
+  const lo = Math.floor(at);
+  const hi = Math.ceil(at);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (at - lo);
+}
+
+function differences(without, withValues) {
+  if (without.length !== withValues.length) {
+    throw new Error(`Paired samples differ in length: ${without.length} without, ${withValues.length} with`);
+  }
+  return withValues.map((v, i) => v - without[i]);
+}
+
+function bootstrap(diffs, { iterations, confidence, seed }) {
+  if (diffs.length === 0) return { lower: 0, upper: 0, confidence };
+  const next = random(seed);
+  const means = new Float64Array(iterations);
+  for (let k = 0; k < iterations; k++) {
+    let sum = 0;
+    for (let i = 0; i < diffs.length; i++) sum += diffs[Math.floor(next() * diffs.length)];
+    means[k] = sum / diffs.length;
+  }
+  means.sort();
+  const tail = (1 - confidence) / 2;
+  return { lower: quantile(means, tail), upper: quantile(means, 1 - tail), confidence };
+}
+
+// Differences within this of the observed statistic count as "as extreme".
+const EPSILON = 1e-9;
+
+function permutation(diffs, { iterations, seed }) {
+  const observed = Math.abs(mean(diffs));
+  const n = diffs.length;
+  if (n === 0) return { pValue: 1, exact: true };
+  if (n <= EXACT_PERMUTATION_MAX) {
+    let extreme = 0;
+    const patterns = 2 ** n;
+    for (let mask = 0; mask < patterns; mask++) {
+      let sum = 0;
+      for (let i = 0; i < n; i++) sum += mask & (1 << i) ? -diffs[i] : diffs[i];
+      if (Math.abs(sum / n) >= observed - EPSILON) extreme++;
+    }
+    return { pValue: extreme / patterns, exact: true };
+  }
+  const next = random(seed);
+  let extreme = 0;
+  for (let k = 0; k < iterations; k++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += next() < 0.5 ? -diffs[i] : diffs[i];
+    if (Math.abs(sum / n) >= observed - EPSILON) extreme++;
+  }
+  // Count the observed labelling so p is never 0.
+  return { pValue: (extreme + 1) / (iterations + 1), exact: false };
+}
+
+/**
+ * @typedef {object} SampleSpread
+ * @property {number} n - Samples described.
+ * @property {number} mean - Mean score.
+ * @property {number} variance - Population variance of the scores.
+ * @property {number} best - Highest score.
+ * @property {number} worst - Lowest score.
+ * @property {number} stability - 100 x (1 - SD / 50), clamped to 0-100.
+ */
+
+/**
+ * Describe the spread of repeated 0-100 scores of one prompt and side.
+ * @param {number[]} values - One score per sample.
+ * @returns {SampleSpread} Mean, variance, extremes and stability.
+ * @throws {Error} When there are no values.
+ */
+function describeSamples(values) {
+  if (!values.length) throw new Error('describeSamples needs at least one value');
+  const m = mean(values);
+  const variance = values.reduce((s, v) => s + (v - m) ** 2, 0) / values.length;
+  return {
+    n: values.length,
+    mean: m,
+    variance,
+    best: Math.max(...values),
+    worst: Math.min(...values),
+    stability: Math.min(100, Math.max(0, 100 * (1 - Math.sqrt(variance) / 50))),
+  };
+}
+
+/**
+ * Compare paired samples: bootstrap CI, permutation p-value and effect size.
+ * @param {number[]} without - Per-prompt values without the rule.
+ * @param {number[]} withValues - Per-prompt values with the rule, in the same order.
+ * @param {object} [options] - Resampling options.
+ * @param {number} [options.iterations] - Bootstrap resamples and random permutations.
+ * @param {number} [options.confidence] - Interval coverage, e.g. 0.95.
+ * @param {number} [options.seed] - Seed for the resampling generator.
+ * @returns {PairedComparison} Statistics of with - without.
+ * @throws {Error} When the samples are not the same length.
+ */
+function comparePaired(without, withValues, options = {}) {
+  const settings = {
+    iterations: options.iterations || DEFAULT_ITERATIONS,
+    confidence: options.confidence || DEFAULT_CONFIDENCE,
+    seed: options.seed === undefined ? DEFAULT_SEED : options.seed,
+  };
+  const diffs = differences(without, withValues);
+  const meanDelta = mean(diffs);
+  const sdDelta = sd(diffs);
+  const { pValue, exact } = permutation(diffs, settings);
+  return {
+    n: diffs.length,
+    meanDelta,
+    sdDelta,
+    ci: bootstrap(diffs, settings),
+    pValue,
+    exact,
+    cohensD: sdDelta > 0 ? meanDelta / sdDelta : null,
+  };
+}
+
+/**
+ * Pairs needed for a two-sided paired test (alpha 0.05, 80% power) to detect
+ * a mean difference of `lift`, given the SD of the differences.
+ * @param {number} sdDelta - SD of the per-prompt differences.
+ * @param {number} lift - Smallest mean difference worth detecting.
+ * @returns {number|null} Required pairs (at least 2), or null when lift is not positive.
+ */
+function requiredSampleSize(sdDelta, lift) {
+  if (!(lift > 0)) return null;
+  return Math.max(2, Math.ceil((((Z_ALPHA + Z_POWER) * sdDelta) / lift) ** 2));
+}
+
+module.exports = { DEFAULT_CONFIDENCE, DEFAULT_ITERATIONS, comparePaired, describeSamples, requiredSampleSize };
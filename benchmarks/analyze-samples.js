@@ -1,67 +1,44 @@
 #!/usr/bin/env node
 
 /**
- * Analyzes sample outputs to produce benchmark results
+ * Analyzes sample outputs to produce benchmark results. Besides the rubric
+ * score, each response gets a substantiated score (substance-analyzer.js)
+ * and its JS/TS code and tests are executed in a vm sandbox (code-runner.js)
+ * for a correctness signal. JSDoc completeness of every function in the code
+ * is audited per response and pooled per side (jsdoc-auditor.js).
  */
 
 const fs = require('fs');
 const path = require('path');
-
-const OUTPUT_METRICS = [
-  {
-    id: 'tests_first',
-    name: 'Tests Written First',
-    check: (output) => {
-      const testIndex = output.search(/(describe|test\(|it\()/i);
-      const implIndex = output.search(/(function\s+\w+|const\s+\w+\s*=|class\s+\w+)/);
-      if (testIndex === -1) return false;
-      if (implIndex === -1) return true;
-      return testIndex < implIndex;
-    }
-  },
-  {
-    id: 'has_jsdoc',
-    name: 'Has Documentation',
-    check: (output) => {
-      return /\/\*\*[\s\S]*?@(param|returns|example)[\s\S]*?\*\//.test(output);
-    }
-  },
-  {
-    id: 'mentions_constraints',
-    name: 'Acknowledges Constraints',
-    check: (output) => {
-      return /(do NOT|don't|constraint|avoid)/i.test(output);
-    }
-  },
-  {
-    id: 'has_error_handling',
-    name: 'Handles Edge Cases',
-    check: (output) => {
-      return /(throw\s+(new\s+)?Error|try\s*\{|catch\s*\(|if\s*\(\s*!|\?\s*:)/i.test(output);
-    }
-  },
-  {
-    id: 'structured_approach',
-    name: 'Follows Structured Phases',
-    check: (output) => {
-      return /(step\s+\d|##\s+step|phase|first.*then|1\.\s+\w)/i.test(output);
-    }
-  }
-];
-
-function analyzeOutput(output) {
-  const results = {};
-  let score = 0;
-
-  for (const metric of OUTPUT_METRICS) {
-    const passed = metric.check(output);
-    results[metric.id] = passed;
-    if (passed) score++;
-  }
-
-  results._score = score;
-  results._total = OUTPUT_METRICS.length;
-  results._percentage = Math.round((score / OUTPUT_METRICS.length) * 100);
+const { getRubric, metricValue, rubricStamp, scoreRubric } = require('./rubrics');
+const { analyzeSubstance } = require('./substance-analyzer');
+const { runResponseCode } = require('./code-runner');
+const { analyzeTests } = require('./code-languages');
+const { auditJsdoc, summarizeJsdoc } = require('./jsdoc-auditor');
+
+// Same response-quality rubric as run-output-benchmark.js
+const RUBRIC = getRubric('response-quality');
+const OUTPUT_METRICS = RUBRIC.metrics;
+
+function analyzeOutput(output, prompt, language) {
+  const scored = scoreRubric(RUBRIC, output, { prompt, language });
+  const results = { ...scored.details, ...scored.ratios };
+  results._values = Object.fromEntries(OUTPUT_METRICS.map((m) => [m.id, metricValue(scored, m)]));
+
+  results._score = scored.hit;
+  results._total = scored.total;
+  results._percentage = Math.round(scored.percentage);
+  results._discarded = { negated: scored.discarded.negated, echoed: scored.discarded.echoed };
+
+  const substance = analyzeSubstance(output, { prompt, language, scored });
+  results._substantiatedPercentage = Math.round(substance.percentage);
+  results._unsubstantiated = substance.unsubstantiated;
+  results._stuffed = substance.stuffed;
+
+  const run = runResponseCode(output);
+  results._tests = { verdict: run.verdict, ...run.tests };
+  results._testStructure = analyzeTests(output, { language });
+  results._jsdoc = auditJsdoc(output);
 
   return results;
 }
@@ -76,10 +53,11 @@ function runAnalysis() {
 
   const results = {
     timestamp: new Date().toISOString(),
+    rubric: rubricStamp(RUBRIC),
     tasks: [],
     summary: {
-      without: { scores: [] },
-      with: { scores: [] },
+      without: { scores: [], substantiatedScores: [], stuffed: 0, tests: { passed: 0, failed: 0, skipped: 0, responsesPassing: 0 }, discarded: { negated: 0, echoed: 0 } },
+      with: { scores: [], substantiatedScores: [], stuffed: 0, tests: { passed: 0, failed: 0, skipped: 0, responsesPassing: 0 }, discarded: { negated: 0, echoed: 0 } },
       byMetric: {}
     }
   };
@@ -94,13 +72,20 @@ function runAnalysis() {
   }
 
   for (const task of samples.tasks) {
-    const withoutAnalysis = analyzeOutput(task.without);
-    const withAnalysis = analyzeOutput(task.with);
+    const withoutAnalysis = analyzeOutput(task.without, task.task, task.language);
+    const withAnalysis = analyzeOutput(task.with, task.task, task.language);
 
     console.log(`📋 ${task.task}`);
-    console.log(`   Without: ${withoutAnalysis._percentage}% (${withoutAnalysis._score}/${withoutAnalysis._total})`);
-    console.log(`   With:    ${withAnalysis._percentage}% (${withAnalysis._score}/${withAnalysis._total})`);
-    console.log(`   Change:  +${withAnalysis._percentage - withoutAnalysis._percentage}%\n`);
+    console.log(`   Without: ${withoutAnalysis._percentage}% (${withoutAnalysis._score}/${withoutAnalysis._total}), substantiated ${withoutAnalysis._substantiatedPercentage}%`);
+    console.log(`   With:    ${withAnalysis._percentage}% (${withAnalysis._score}/${withAnalysis._total}), substantiated ${withAnalysis._substantiatedPercentage}%`);
+    console.log(`   Change:  +${withAnalysis._percentage - withoutAnalysis._percentage}%`);
+    console.log(`   Executed tests: without ${withoutAnalysis._tests.passed}/${withoutAnalysis._tests.total} passed (${withoutAnalysis._tests.verdict}), with ${withAnalysis._tests.passed}/${withAnalysis._tests.total} passed (${withAnalysis._tests.verdict})`);
+    for (const [side, analysis] of [['Without', withoutAnalysis], ['With', withAnalysis]]) {
+      if (analysis._unsubstantiated.length) {
+        console.log(`   ${side} claims without evidence: ${analysis._unsubstantiated.join(', ')}${analysis._stuffed ? ' (keyword stuffing)' : ''}`);
+      }
+    }
+    console.log(`   Discarded hits: ${withoutAnalysis._discarded.negated + withAnalysis._discarded.negated} negated, ${withoutAnalysis._discarded.echoed + withAnalysis._discarded.echoed} echoed\n`);
 
     results.tasks.push({
       id: task.id,
@@ -111,11 +96,22 @@ function runAnalysis() {
 
     results.summary.without.scores.push(withoutAnalysis._percentage);
     results.summary.with.scores.push(withAnalysis._percentage);
+    for (const [side, analysis] of [['without', withoutAnalysis], ['with', withAnalysis]]) {
+      results.summary[side].substantiatedScores.push(analysis._substantiatedPercentage);
+      if (analysis._stuffed) results.summary[side].stuffed++;
+      const tests = results.summary[side].tests;
+      tests.passed += analysis._tests.passed;
+      tests.failed += analysis._tests.failed;
+      tests.skipped += analysis._tests.skipped;
+      if (analysis._tests.verdict === 'pass') tests.responsesPassing++;
+      results.summary[side].discarded.negated += analysis._discarded.negated;
+      results.summary[side].discarded.echoed += analysis._discarded.echoed;
+    }
 
     // Count per-metric
     for (const metric of OUTPUT_METRICS) {
-      if (withoutAnalysis[metric.id]) results.summary.byMetric[metric.id].withoutCount++;
-      if (withAnalysis[metric.id]) results.summary.byMetric[metric.id].withCount++;
+      results.summary.byMetric[metric.id].withoutCount += withoutAnalysis._values[metric.id];
+      results.summary.byMetric[metric.id].withCount += withAnalysis._values[metric.id];
     }
   }
 
@@ -131,6 +127,14 @@ function runAnalysis() {
   results.summary.with.average = avgWith;
   results.summary.improvement = avgWith - avgWithout;
 
+  for (const side of ['without', 'with']) {
+    results.summary[side].jsdoc = summarizeJsdoc(results.tasks.map((t) => t[side]._jsdoc));
+    const scores = results.summary[side].substantiatedScores;
+    results.summary[side].substantiatedAverage = Math.round(scores.reduce((a, b) => a + b, 0) / samples.tasks.length);
+  }
+  results.summary.substantiatedImprovement =
+    results.summary.with.substantiatedAverage - results.summary.without.substantiatedAverage;
+
   // Convert counts to percentages
   for (const metric of OUTPUT_METRICS) {
     const data = results.summary.byMetric[metric.id];
@@ -145,7 +149,19 @@ function runAnalysis() {
 
   console.log(`  Average WITHOUT enhancement: ${avgWithout}%`);
   console.log(`  Average WITH enhancement:    ${avgWith}%`);
-  console.log(`  Improvement:                 +${results.summary.improvement}%\n`);
+  console.log(`  Improvement:                 +${results.summary.improvement}%`);
+  console.log(`  Substantiated (evidence):    ${results.summary.without.substantiatedAverage}% -> ${results.summary.with.substantiatedAverage}% (+${results.summary.substantiatedImprovement}%)`);
+  for (const side of ['without', 'with']) {
+    const t = results.summary[side].tests;
+    console.log(`  Executed tests (${side.padEnd(7)}):   ${t.passed} passed / ${t.failed} failed / ${t.skipped} skipped; ${t.responsesPassing}/${samples.tasks.length} responses pass`);
+  }
+  for (const side of ['without', 'with']) {
+    const j = results.summary[side].jsdoc;
+    const coverage = j.coverage === null ? 'n/a' : `${Math.round(j.coverage)}%`;
+    console.log(`  JSDoc coverage (${side.padEnd(7)}):   ${coverage} (${j.complete}/${j.functions} functions complete, ${j.documented} documented)`);
+  }
+  console.log(`  Keyword-stuffed responses:   without ${results.summary.without.stuffed}, with ${results.summary.with.stuffed}`);
+  console.log(`  Discarded signal hits:       without ${results.summary.without.discarded.negated} negated / ${results.summary.without.discarded.echoed} echoed, with ${results.summary.with.discarded.negated} negated / ${results.summary.with.discarded.echoed} echoed\n`);
 
   console.log('┌────────────────────────────┬──────────┬──────────┐');
   console.log('│ Metric                     │ Without  │   With   │');
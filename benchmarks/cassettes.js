@@ -0,0 +1,143 @@
+/**
+ * Record/replay cassettes for the live benchmarks.
+ *
+ * A cassette is a JSON file in results/cassettes/ that maps a request key to
+ * the reply the model gave. The key is the SHA-256 of the provider, base
+ * URL and model, the system prompt and the messages, so the same request
+ * to the same endpoint always finds the same entry, a model name served by
+ * two providers never shares one, and any change to the prompt templates
+ * misses. With --cassette the live
+ * runners use one of three modes:
+ *
+ *   record   call the model and save every request/reply pair
+ *   replay   answer from the cassette; on a miss call the model and add
+ *            the reply to the cassette
+ *   offline  answer from the cassette; a miss is an error, and no client is
+ *            created, so no API key is needed
+ *
+ * A replayed completion carries the latency that was recorded, so replayed
+ * result files match the recording. Together with offline mode this makes
+ * the API benchmarks repeatable regression tests.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['record', 'replay', 'offline'];
+const DEFAULT_DIR = path.join(__dirname, 'results', 'cassettes');
+// Version 2 added the provider and base URL to the key.
+const FORMAT_VERSION = 2;
+// Error code of an offline request with no cassette entry.
+const MISSING_ENTRY = 'CASSETTE_MISSING_ENTRY';
+
+/**
+ * @typedef {object} CassetteEntry
+ * @property {string} provider - Provider that answered.
+ * @property {string|null} baseUrl - Endpoint, or null for the provider default.
+ * @property {string} model - Model the request named.
+ * @property {import('./model-providers').CompletionRequest} request - The request as sent.
+ * @property {{text: string, usage: object}} response - Reply text and usage.
+ * @property {number} latencyMs - Latency of the recorded call.
+ * @property {string} recordedAt - ISO timestamp of the recording.
+ */
+
+/**
+ * Key of a request: SHA-256 over the provider, base URL, model, system
+ * prompt and messages.
+ * @param {import('./model-providers').ProviderInfo} info - Provider, model and base URL in use.
+ * @param {import('./model-providers').CompletionRequest} request - Request to key.
+ * @returns {string} Hex digest.
+ */
+function cassetteKey({ provider, baseUrl, model }, { system, messages }) {
+  const canonical = JSON.stringify({
+    provider,
+    baseUrl: baseUrl || null,
+    model,
+    system: system || '',
+    messages: messages.map((m) => ({ role: m.role, content: m.content })),
+  });
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Open a cassette file; a missing file is an empty cassette.
+ * @param {string} file - Cassette path.
+ * @returns {{file: string, size: () => number, get: (key: string) => CassetteEntry|undefined,
+ *   put: (key: string, entry: CassetteEntry) => void}} Cassette; put() writes the file at once.
+ * @throws {Error} When the file is not a cassette of this format.
+ */
+function openCassette(file) {
+  const data = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { version: FORMAT_VERSION, entries: {} };
+  if (data.version !== FORMAT_VERSION || !data.entries) {
+    throw new Error(`${file} is not a version ${FORMAT_VERSION} cassette`);
+  }
+  return {
+    file,
+    size: () => Object.keys(data.entries).length,
+    get: (key) => data.entries[key],
+    put: (key, entry) => {
+      data.entries[key] = entry;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    },
+  };
+}
+
+/**
+ * Wrap a provider so its calls are recorded to, or replayed from, a cassette.
+ * @param {() => import('./model-providers').Provider} createInner - Creates the live provider; called
+ *   only when a call has to reach the model.
+ * @param {import('./model-providers').ProviderInfo} info - Provider, model and base URL in use.
+ * @param {object} options - Cassette settings.
+ * @param {string} options.mode - One of MODES.
+ * @param {string} options.file - Cassette path.
+ * @returns {import('./model-providers').Provider} Provider whose describe() adds
+ *   `cassette: { mode, file, hits, recorded }`.
+ * @throws {Error} For an unknown mode. In offline mode complete() rejects with code MISSING_ENTRY
+ *   when the cassette has no entry for the request.
+ */
+function withCassette(createInner, info, { mode, file }) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown cassette mode "${mode}"; expected one of ${MODES.join(', ')}`);
+  const cassette = openCassette(file);
+  const counts = { hits: 0, recorded: 0 };
+  let inner = mode === 'record' ? createInner() : null;
+  const relative = path.relative(__dirname, file);
+  const shown = relative.startsWith('..') ? file : relative;
+
+  return {
+    complete: async (request) => {
+      const key = cassetteKey(info, request);
+      const entry = mode === 'record' ? undefined : cassette.get(key);
+      if (entry) {
+        counts.hits++;
+        return { ...entry.response, latencyMs: entry.latencyMs };
+      }
+      if (mode === 'offline') {
+        const error = new Error(`No cassette entry for request ${key.slice(0, 12)} (model ${info.model}) in ${file}; record it with --cassette record`);
+        error.code = MISSING_ENTRY;
+        throw error;
+      }
+      inner = inner || createInner();
+      const reply = await inner.complete(request);
+      cassette.put(key, {
+        provider: info.provider,
+        baseUrl: info.baseUrl || null,
+        model: info.model,
+        request: { system: request.system || '', messages: request.messages, maxTokens: request.maxTokens || null },
+        response: { text: reply.text, usage: reply.usage },
+        latencyMs: reply.latencyMs,
+        recordedAt: new Date().toISOString(),
+      });
+      counts.recorded++;
+      return reply;
+    },
+    describe: () => ({ ...info, cassette: { mode, file: shown, ...counts } }),
+  };
+}
+
+module.exports = { DEFAULT_DIR, MISSING_ENTRY, MODES, cassetteKey, openCassette, withCassette };
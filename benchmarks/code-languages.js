@@ -0,0 +1,262 @@
+/**
+ * Language detection for code fences, plus the per-language test and
+ * documentation rules the response-quality rubric applies.
+ *
+ * test-structure.js parses JavaScript/TypeScript tests (describe/it). A
+ * Python answer with pytest and docstrings, a Go answer with a _test.go
+ * file or a Rust answer with #[cfg(test)] has none of those, so each other
+ * language gets a rule set:
+ *
+ *   python  pytest (test_* functions, Test* classes) or unittest.TestCase,
+ *           assert / self.assert*; docstrings under def/class
+ *   go      func TestX(t *testing.T) in a _test.go file, t.Error/t.Fatal;
+ *           // doc comments above exported names
+ *   java    JUnit @Test methods, assertEquals/assertThrows/...; Javadoc
+ *   rust    #[test] / #[cfg(test)] mod tests, assert!/assert_eq!; /// doc comments
+ *
+ * A fence's language comes from its tag (```py, ```golang, ...) or, for an
+ * untagged fence, from what its code looks like. A response's language is
+ * the one with the most fenced code; a prompt's `language` breaks ties and
+ * decides when there is no code at all.
+ */
+
+'use strict';
+
+const { analyzeTestStructure } = require('./test-structure');
+
+const FENCE = /^(```|~~~)([^\n]*)\n([\s\S]*?)^\1[^\n]*$/gm;
+const LANGUAGES = ['javascript', 'typescript', 'python', 'go', 'java', 'rust'];
+const TAGS = {
+  javascript: ['js', 'javascript', 'jsx', 'mjs', 'cjs', 'node'],
+  typescript: ['ts', 'typescript', 'tsx'],
+  python: ['py', 'python', 'python3', 'pytest'],
+  go: ['go', 'golang'],
+  java: ['java'],
+  rust: ['rs', 'rust'],
+};
+const TAG_LANGUAGE = new Map(Object.entries(TAGS).flatMap(([lang, tags]) => tags.map((t) => [t, lang])));
+const IMPORT_LINE = /^[ \t]*(?:from\s+\S+\s+import\b|import\b|use\s|require\s*\(|const\s+\{[^}]*\}\s*=\s*require\b)[^\n]*$/gm;
+const NOT_UNITS = new Set(['main', 'init', 'if', 'for', 'while', 'switch', 'catch', 'return', 'synchronized', 'new']);
+
+// Untagged fences: first match wins. JS is the fallback for anything that
+// looks like code at all, as code-runner.js does with untagged fences.
+const SNIFFERS = [
+  ['go', /^package\s+\w+\s*$|^func\s+(?:\([^)]*\)\s*)?\w+\s*\(/m],
+  ['rust', /^\s*(?:pub\s+)?fn\s+\w+\s*(?:<[^>]*>)?\s*\([^)]*\)\s*(?:->|\{)|^\s*(?:use\s+\w+::|impl\b|#\[)/m],
+  ['java', /^\s*(?:public|private|protected)\s+(?:static\s+|final\s+|abstract\s+)*(?:class|interface|void|[A-Z]\w*(?:<[^>]*>)?)\s+\w+/m],
+  ['python', /^\s*(?:async\s+)?def\s+\w+\s*\([^)]*\)\s*(?:->\s*[^:]+)?:\s*$|^\s*class\s+\w+(?:\([^)]*\))?:\s*$|^from\s+[\w.]+\s+import\s/m],
+  ['typescript', /^\s*(?:export\s+)?(?:interface|type)\s+\w+|:\s*(?:string|number|boolean)\b/m],
+  ['javascript', /\b(?:function|const|let|=>|require\s*\(|module\.exports|describe\s*\()/],
+];
+
+/**
+ * @typedef {object} LanguageRules
+ * @property {RegExp} testMarker - Where the tests of a fence start (first match, snapped to its line).
+ * @property {RegExp} assertion - An assertion inside a test.
+ * @property {RegExp} testCases - Global; group 1 or 2 is a test function or test class name.
+ * @property {RegExp} units - Global, multiline; group 1 or 2 is a top-level function, method or type under test.
+ * @property {RegExp} docComment - A doc comment attached to a declaration. No capture groups: the
+ *   rubric joins every language's docComment into one docs pattern.
+ * @property {RegExp} edgeCase - Error handling or a guard, in this language's idiom. Only matched,
+ *   case-sensitively, against fences in this language (countEdgeCaseFences), so prose such as "the
+ *   app will panic (rarely)" or "Except for the header:" never counts.
+ */
+
+/** @type {Record<'python'|'go'|'java'|'rust', LanguageRules>} */
+const RULES = {
+  python: {
+    testMarker: /^[ \t]*(?:import\s+pytest\b|import\s+unittest\b|from\s+unittest\b|(?:async\s+)?def\s+test_\w+|class\s+Test\w*|class\s+\w+\(\s*(?:unittest\.)?TestCase\s*\))/m,
+    assertion: /^\s*assert\b|\bself\.assert\w+\s*\(|\bpytest\.raises\s*\(/m,
+    testCases: /^[ \t]*(?:async\s+)?def\s+(test_\w+)|^[ \t]*class\s+(Test\w*|\w+Tests?)\b/gm,
+    units: /^(?:async\s+)?def\s+([A-Za-z]\w*)|^class\s+([A-Za-z]\w*)/gm,
+    docComment: /^[ \t]*(?:async[ \t]+)?(?:def|class)[ \t]+\w+[^\n]*:[ \t]*\n[ \t]*[rRbBuU]?(?:"""|''')/m,
+    edgeCase: /\braise\s+\w*(?:Error|Exception)\b|^[ \t]*except\b[^\n]*:[ \t]*$|\bpytest\.raises\b|^[ \t]*if\s+not\s+\w+[^\n]*:[ \t]*$|\bis\s+None\s*:/,
+  },
+  go: {
+    testMarker: /^[ \t]*func\s+Test\w*\s*\(\s*\w+\s+\*testing\.T\s*\)|^package\s+\w+_test\b|^\/\/\s*\S+_test\.go\b/m,
+    assertion: /\bt\.(?:Error|Errorf|Fatal|Fatalf|Fail|FailNow)\s*\(|\b(?:assert|require)\.\w+\s*\(/,
+    testCases: /^[ \t]*func\s+(Test\w+)/gm,
+    units: /^func\s+(?:\([^)]*\)\s*)?([A-Za-z]\w*)|^type\s+([A-Za-z]\w*)\s+(?:struct|interface)\b/gm,
+    docComment: /^\/\/ [A-Za-z]\w*\b[^\n]*\n(?:\/\/[^\n]*\n)*(?:func|type)\b/m,
+    edgeCase: /\bif\s+err\s*!=\s*nil|\berrors\.(?:New|Is|As)\s*\(|\bfmt\.Errorf\s*\(|\bpanic\s*\(/,
+  },
+  java: {
+    testMarker: /^[ \t]*@(?:Test|ParameterizedTest)\b|^[ \t]*import\s+(?:static\s+)?org\.junit\b|^[ \t]*(?:public\s+)?(?:final\s+)?class\s+(?:\w+Tests?|Test\w+)\b|\bextends\s+TestCase\b/m,
+    assertion: /\bassert(?:Equals|NotEquals|True|False|Throws|DoesNotThrow|Null|NotNull|Same|That|ArrayEquals)\s*\(/,
+    testCases: /@Test\b\s*(?:@\w+(?:\([^)]*\))?\s*)*(?:public\s+|protected\s+)?void\s+(\w+)|\bclass\s+(\w+Tests?|Test\w+)\b/g,
+    units: /^[ \t]*(?:(?:public|protected|private|static|final|abstract|synchronized)[ \t]+)*(?:<[^>]+>[ \t]+)?[\w<>[\],?]+(?:[ \t]*<[^>]*>)?[ \t]+([a-z]\w*)[ \t]*\([^)]*\)[ \t]*(?:throws[ \t]+[\w., ]+)?\{|^[ \t]*(?:(?:public|final|abstract)[ \t]+)*(?:class|interface|record|enum)[ \t]+(\w+)/gm,
+    docComment: /\/\*\*[\s\S]*?\*\/\s*(?:@\w+(?:\([^)]*\))?\s*)*(?:public|protected|private|static|final|abstract|class|interface|record|enum)\b/,
+    edgeCase: /\bthrow\s+new\s+\w+|\bcatch\s*\(|\bOptional\.|\bObjects\.requireNonNull\b|==\s*null\b/,
+  },
+  rust: {
+    testMarker: /^[ \t]*#\[(?:cfg\(test\)|test|tokio::test)\]/m,
+    assertion: /\bassert(?:_eq|_ne)?!\s*\(|#\[should_panic\b/,
+    testCases: /#\[(?:tokio::)?test\]\s*(?:#\[[^\]]*\]\s*)*(?:async\s+)?fn\s+(\w+)/g,
+    units: /^[ \t]*(?:pub(?:\([^)]*\))?[ \t]+)?(?:async[ \t]+)?fn[ \t]+(\w+)|^(?:pub[ \t]+)?(?:struct|enum|trait)[ \t]+(\w+)/gm,
+    docComment: /^[ \t]*\/\/\/[^\n]*\n(?:[ \t]*(?:\/\/\/|#\[)[^\n]*\n)*[ \t]*(?:pub(?:\([^)]*\))?[ \t]+)?(?:async[ \t]+)?(?:fn|struct|enum|trait|impl|mod|type|const)\b/m,
+    edgeCase: /\bResult<|\bErr\(|\bok_or(?:_else)?\(|\bpanic!|\bunwrap_or(?:_else|_default)?\(|#\[should_panic\b/,
+  },
+};
+
+/**
+ * @typedef {object} Fence
+ * @property {string|null} language - One of LANGUAGES, or null when it is not code we know.
+ * @property {string} code - Fence body.
+ * @property {number} start - Offset of the body in the response.
+ */
+
+/**
+ * Map a fence tag, or an untagged fence's code, to a language.
+ * @param {string} tag - Info string after the opening fence ("py", "ts title=x.ts", "").
+ * @param {string} code - Fence body, sniffed when the tag is empty.
+ * @returns {string|null} One of LANGUAGES, or null.
+ */
+function detectFenceLanguage(tag, code) {
+  const t = String(tag || '').trim().toLowerCase().split(/\s+/)[0];
+  if (t) return TAG_LANGUAGE.get(t) || null;
+  const found = SNIFFERS.find(([, re]) => re.test(code));
+  return found ? found[0] : null;
+}
+
+/**
+ * Every fenced block of a response with its language.
+ * @param {string} text - Model response.
+ * @returns {Fence[]} Fences in response order.
+ */
+function extractFences(text) {
+  const out = [];
+  const s = String(text || '');
+  FENCE.lastIndex = 0;
+  let m;
+  while ((m = FENCE.exec(s)) !== null) {
+    out.push({ language: detectFenceLanguage(m[2], m[3]), code: m[3], start: m.index + m[0].indexOf('\n') + 1 });
+  }
+  return out;
+}
+
+/**
+ * Count the fences whose code handles errors or guards its input in the
+ * idiom of its own language (RULES[language].edgeCase). Prose is never
+ * searched; JavaScript and TypeScript are left to the rubric's own pattern.
+ * @param {string} text - Model response.
+ * @returns {number} Matching Python, Go, Java and Rust fences.
+ */
+function countEdgeCaseFences(text) {
+  return extractFences(text).filter((f) => RULES[f.language] && RULES[f.language].edgeCase.test(f.code)).length;
+}
+
+/**
+ * The language a response is written in: the one with the most fenced code.
+ * @param {string} text - Model response.
+ * @param {string} [hint] - Language the prompt asked for; wins ties and answers for responses without code.
+ * @returns {string|null} One of LANGUAGES, or null with no code and no hint.
+ */
+function responseLanguage(text, hint) {
+  const size = new Map();
+  for (const f of extractFences(text)) {
+    if (f.language) size.set(f.language, (size.get(f.language) || 0) + f.code.length);
+  }
+  let best = LANGUAGES.includes(hint) ? hint : null;
+  for (const [lang, n] of size) {
+    if (!best || n > (size.get(best) || 0)) best = lang;
+  }
+  return best;
+}
+
+function squash(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/^test|tests?$/g, '');
+}
+
+function names(re, code) {
+  re.lastIndex = 0;
+  return [...code.matchAll(re)].map((m) => ({ name: m[1] || m[2], kind: m[1] ? 'function' : 'type', at: m.index })).filter((n) => n.name);
+}
+
+// The longest unit name a test title contains.
+function unitNamedBy(title, units) {
+  const t = squash(title);
+  const named = units.filter((u) => squash(u.name).length >= 3 && t.includes(squash(u.name)));
+  return named.sort((a, b) => squash(b.name).length - squash(a.name).length)[0] || null;
+}
+
+/**
+ * Test structure of a response written in Python, Go, Java or Rust, in the
+ * same shape test-structure.js reports for JS/TS. Test titles are test
+ * function and test class names, and "names the unit" means the name
+ * contains the unit (test_slugify_spaces, TestSlugify, SlugifyTest).
+ * @param {string} text - Model response.
+ * @param {'python'|'go'|'java'|'rust'} language - Language whose fences and rules to use.
+ * @returns {import('./test-structure').TestStructure & {language: string}} Structure; units are
+ *   top-level functions, methods and types of the implementation code.
+ */
+function analyzeLanguageTests(text, language) {
+  const rules = RULES[language];
+  const impl = [];
+  const tests = [];
+  for (const f of extractFences(text).filter((x) => x.language === language)) {
+    rules.testMarker.lastIndex = 0;
+    const marker = rules.testMarker.exec(f.code);
+    const split = marker ? f.code.lastIndexOf('\n', marker.index) + 1 : f.code.length;
+    if (split > 0) impl.push({ code: f.code.slice(0, split), start: f.start });
+    if (marker) tests.push({ code: f.code.slice(split), start: f.start + split });
+  }
+
+  const titles = tests.flatMap((t) => names(rules.testCases, t.code).map((n) => n.name));
+  const declared = impl.flatMap((b) => names(rules.units, b.code).map((n) => ({ ...n, at: b.start + n.at })));
+  const seen = new Set();
+  const unitDecls = declared.filter((d) => {
+    if (NOT_UNITS.has(d.name) || /^Test|Tests?$/.test(d.name) || seen.has(d.name)) return false;
+    seen.add(d.name);
+    return true;
+  });
+  const testCode = tests.map((t) => t.code.replace(IMPORT_LINE, '')).join('\n');
+  const units = unitDecls.map((d) => ({ name: d.name, kind: d.kind, tested: new RegExp(`\\b${d.name}\\b`).test(testCode), describedBy: null }));
+  const describeTitles = titles.map((title) => {
+    const unit = unitNamedBy(title, units);
+    if (unit && !unit.describedBy) unit.describedBy = title;
+    return { title, unit: unit ? unit.name : null };
+  });
+
+  const firstTest = tests.length ? Math.min(...tests.map((t) => t.start)) : null;
+  const firstImpl = unitDecls.length ? Math.min(...unitDecls.map((d) => d.at)) : null;
+  return {
+    language,
+    testsFirst: firstTest === null || firstImpl === null ? null : firstTest < firstImpl,
+    units,
+    functionCoverage: units.length ? units.filter((u) => u.tested).length / units.length : 0,
+    describeTitles,
+    describeMatch: describeTitles.length ? describeTitles.filter((d) => d.unit).length / describeTitles.length : 0,
+  };
+}
+
+let cached = { key: null, value: null };
+
+/**
+ * Test structure of a response in whatever language it is written in:
+ * test-structure.js for JS/TS, the rule sets above for the rest.
+ * @param {string} text - Model response.
+ * @param {object} [options] - Analysis options.
+ * @param {string} [options.language] - Language the prompt asked for (see responseLanguage()).
+ * @returns {import('./test-structure').TestStructure & {language: string|null}} Structure plus the language used.
+ */
+function analyzeTests(text, options = {}) {
+  const key = `${options.language || ''}\u0000${text}`;
+  if (cached.key === key) return cached.value;
+  const language = responseLanguage(text, options.language);
+  const value = RULES[language]
+    ? analyzeLanguageTests(text, language)
+    : { language, ...analyzeTestStructure(text) };
+  cached = { key, value };
+  return value;
+}
+
+module.exports = {
+  LANGUAGES,
+  RULES,
+  analyzeLanguageTests,
+  analyzeTests,
+  countEdgeCaseFences,
+  detectFenceLanguage,
+  extractFences,
+  responseLanguage,
+};
@@ -0,0 +1,757 @@
+/**
+ * Executes the JS/TS code fences in a model response to get a correctness
+ * signal that is more than "the response contains code".
+ *
+ * Fences tagged js/javascript/jsx/mjs/cjs/ts/typescript/tsx (or untagged
+ * ones that parse as JS) are split into implementation and test blocks. A
+ * test block is one that registers describe/it/test cases. Implementation
+ * blocks run first, then test blocks, in one node:vm context inside a
+ * separate Node process. Every helper the code sees is created inside that
+ * context:
+ *
+ *   - a minimal describe / it / test / beforeEach / afterEach shim and an
+ *     expect() with the common Jest matchers, .not, .resolves and .rejects
+ *   - jest.fn() mocks (mockReturnValue, mockResolvedValueOnce, ...)
+ *   - module/exports and a require() that resolves relative paths to the
+ *     response's own code and refuses everything else
+ *   - no process, no real timers: setTimeout runs its callback as a
+ *     microtask, so async tests settle inside the time limit
+ *
+ * Every script and every test runs under a vm time limit; the context uses
+ * microtaskMode 'afterEvaluate', so promise jobs count against it too.
+ *
+ * A vm context is not a security boundary on its own: its global object
+ * still leads back to the realm that created it. So the runner process
+ * starts with code generation from strings disabled (the usual
+ * `x.constructor.constructor('return process')()` way out throws), under
+ * Node's permission model where the flag exists (no file access beyond this
+ * file, no child processes, no workers), with an empty environment, a
+ * capped heap and a hard wall-clock limit. Only JSON crosses back to the
+ * caller.
+ *
+ * TypeScript is reduced to JS by stripTypes(), which drops interfaces, type
+ * aliases, annotations, generics and access modifiers. It is a heuristic,
+ * not a compiler: a block it cannot reduce is reported as a syntax error.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+
+const DEFAULT_TIME_LIMIT_MS = 1000;
+// Wall-clock limit of the whole runner process, and its heap size.
+const DEFAULT_PROCESS_LIMIT_MS = 30000;
+const HEAP_LIMIT_MB = 256;
+const FENCE = /^(```|~~~)([^\n]*)\n([\s\S]*?)^\1[^\n]*$/gm;
+const JS_LANGS = new Set(['js', 'javascript', 'jsx', 'mjs', 'cjs', 'node']);
+const TS_LANGS = new Set(['ts', 'typescript', 'tsx']);
+const TEST_CALL = /\b(?:describe|it|test)\s*\(\s*['"`]/;
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'typeof', 'await', 'new', 'function']);
+
+/**
+ * @typedef {object} CodeBlock
+ * @property {'js'|'ts'} lang - Source language after tag detection.
+ * @property {'implementation'|'test'} role - Whether the block registers test cases.
+ * @property {string} code - Block body as written.
+ */
+
+/**
+ * @typedef {object} TestOutcome
+ * @property {string} name - Full test name ("describe > it").
+ * @property {boolean} passed - Whether the test passed.
+ * @property {boolean} [skipped] - The test needs a name the response never defines
+ *   (code that lives in the user's project), so it proves nothing either way.
+ * @property {string} [error] - Failure message.
+ */
+
+/**
+ * @typedef {object} RunResult
+ * @property {boolean} ran - Whether any JS/TS block was executed.
+ * @property {'pass'|'fail'|'untested'} verdict - pass/fail from executed tests; untested when
+ *   no test ran to a result (no tests, or all skipped). Load errors alone never make a fail:
+ *   JSX or framework code often cannot run outside its project.
+ * @property {{implementation: number, test: number}} blocks - JS/TS blocks found by role.
+ * @property {{passed: number, failed: number, skipped: number, total: number}} tests - Executed test counts.
+ * @property {TestOutcome[]} results - Per-test outcomes.
+ * @property {string[]} errors - Block-level errors (syntax, thrown while loading, time limit).
+ */
+
+/**
+ * Pull JS/TS code fences out of a response and tag each as implementation or test.
+ * @param {string} text - Model response.
+ * @returns {CodeBlock[]} Blocks in response order.
+ */
+function extractCodeBlocks(text) {
+  const out = [];
+  FENCE.lastIndex = 0;
+  let m;
+  while ((m = FENCE.exec(String(text || ''))) !== null) {
+    const tag = m[2].trim().toLowerCase().split(/\s+/)[0] || '';
+    const code = m[3];
+    let lang = null;
+    if (JS_LANGS.has(tag)) lang = 'js';
+    else if (TS_LANGS.has(tag)) lang = 'ts';
+    else if (!tag && parses(code)) lang = 'js';
+    if (!lang) continue;
+    out.push({ lang, role: TEST_CALL.test(code) ? 'test' : 'implementation', code });
+  }
+  return out;
+}
+
+function parses(code) {
+  try {
+    new vm.Script(code);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function matchClose(src, open) {
+  const pairs = { '(': ')', '{': '}', '<': '>', '[': ']' };
+  const close = pairs[src[open]];
+  let depth = 0;
+  for (let i = open; i < src.length; i++) {
+    const c = src[i];
+    if (c === "'" || c === '"' || c === '`') {
+      i = skipString(src, i);
+      continue;
+    }
+    if (c === src[open]) depth++;
+    else if (c === close && !(close === '>' && src[i - 1] === '=')) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function skipString(src, start) {
+  const q = src[start];
+  for (let i = start + 1; i < src.length; i++) {
+    if (src[i] === '\\') i++;
+    else if (src[i] === q) return i;
+  }
+  return src.length;
+}
+
+// Split on top-level commas of a parameter list.
+function splitParams(list) {
+  const parts = [];
+  let depth = 0;
+  let from = 0;
+  for (let i = 0; i < list.length; i++) {
+    const c = list[i];
+    if (c === "'" || c === '"' || c === '`') i = skipString(list, i);
+    else if ('([{<'.includes(c)) depth++;
+    else if (')]}'.includes(c) || (c === '>' && list[i - 1] !== '=')) depth--;
+    else if (c === ',' && depth === 0) {
+      parts.push(list.slice(from, i));
+      from = i + 1;
+    }
+  }
+  parts.push(list.slice(from));
+  return parts;
+}
+
+// Index of the first top-level ':' or '=' in a parameter, or -1.
+function topLevel(param, chars) {
+  let depth = 0;
+  for (let i = 0; i < param.length; i++) {
+    const c = param[i];
+    if (c === "'" || c === '"' || c === '`') i = skipString(param, i);
+    else if ('([{<'.includes(c)) depth++;
+    else if (')]}'.includes(c) || (c === '>' && param[i - 1] !== '=')) depth--;
+    else if (depth === 0 && chars.includes(c) && !(c === '=' && param[i + 1] === '>')) return i;
+  }
+  return -1;
+}
+
+function stripParam(param, fields) {
+  let p = param.replace(/^(\s*)(?:(?:public|private|protected|readonly)\s+)+/, (_, ws) => {
+    fields.push(true);
+    return ws;
+  });
+  if (fields.length && fields[fields.length - 1] === true) {
+    fields[fields.length - 1] = (p.match(/^\s*(?:\.\.\.)?([\w$]+)/) || [])[1];
+  }
+  const colon = topLevel(p, ':');
+  const eq = topLevel(p, '=');
+  if (colon !== -1 && (eq === -1 || colon < eq)) {
+    p = p.slice(0, colon).replace(/\?\s*$/, '') + (eq === -1 ? '' : ` ${p.slice(eq)}`);
+  } else {
+    p = p.replace(/\?(\s*)$/, '$1');
+  }
+  return p;
+}
+
+// Remove the return type between a parameter list's ')' and the following '{' or '=>'.
+function returnTypeEnd(src, close) {
+  let i = close + 1;
+  while (/\s/.test(src[i] || '')) i++;
+  if (src[i] !== ':') return { at: i, typed: false };
+  let depth = 0;
+  for (let j = i + 1; j < src.length; j++) {
+    const c = src[j];
+    if ('(<['.includes(c)) depth++;
+    else if (')>]'.includes(c) && !(c === '>' && src[j - 1] === '=')) depth--;
+    else if (depth === 0 && c === '{') {
+      // An object type literal ({ a: number }) is part of the type.
+      const end = matchClose(src, j);
+      const after = src.slice(end + 1).trimStart();
+      if (end !== -1 && (after.startsWith('{') || after.startsWith('=>') || after.startsWith('|'))) {
+        j = end;
+        continue;
+      }
+      return { at: j, typed: true, from: i };
+    } else if (depth === 0 && src.startsWith('=>', j)) return { at: j, typed: true, from: i };
+    else if (depth === 0 && (c === ';' || c === '\n')) break;
+  }
+  return { at: i, typed: false };
+}
+
+function stripSignatures(src) {
+  let out = '';
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === "'" || c === '"' || c === '`') {
+      const end = skipString(src, i);
+      out += src.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+    if (src.startsWith('//', i)) {
+      const end = src.indexOf('\n', i);
+      const stop = end === -1 ? src.length : end;
+      out += src.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    if (src.startsWith('/*', i)) {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      out += src.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    if (c !== '(') {
+      out += c;
+      i++;
+      continue;
+    }
+
+    const close = matchClose(src, i);
+    if (close === -1) {
+      out += src.slice(i);
+      break;
+    }
+    const before = out.match(/([\w$]+)\s*(?:<[^<>()]*>)?\s*$/);
+    const word = before ? before[1] : '';
+    const ret = returnTypeEnd(src, close);
+    const isArrow = src.startsWith('=>', ret.at);
+    const isBody = src[ret.at] === '{' && word && !CONTROL_KEYWORDS.has(word);
+    if (!isArrow && !isBody) {
+      out += '(';
+      i++;
+      continue;
+    }
+
+    // Drop generic parameters written right before the list: fn<T>( ... ), <T,>( ... ) =>.
+    out = out.replace(/([\w$])\s*<[^<>()]*>\s*$/, '$1').replace(/((?:^|[=(,:?])\s*(?:async\s+)?)<[^<>()]*>\s*$/, '$1');
+    const fields = [];
+    const params = splitParams(src.slice(i + 1, close)).map((p) => stripParam(stripSignatures(p), fields));
+    out += `(${params.join(',')})`;
+    i = close + 1;
+    if (ret.typed) {
+      out += ' ';
+      i = ret.at;
+    }
+    const props = fields.filter((f) => typeof f === 'string');
+    const body = src.slice(i).search(/\S/) + i;
+    if (word === 'constructor' && props.length && src[body] === '{') {
+      out += `${src.slice(i, body)}{ ${props.map((p) => `this.${p} = ${p};`).join(' ')}`;
+      i = body + 1;
+    }
+  }
+  return out;
+}
+
+function removeDeclarations(src, keyword) {
+  const re = new RegExp(`^[ \\t]*(?:export\\s+)?(?:declare\\s+)?${keyword}\\s+[\\w$]+[^{=\\n]*`, 'gm');
+  let out = src;
+  let m;
+  while ((m = re.exec(out)) !== null) {
+    let end = m.index + m[0].length;
+    if (keyword === 'interface') {
+      const open = out.indexOf('{', end);
+      end = open === -1 ? end : matchClose(out, open) + 1;
+    } else {
+      // type X = ...; ends at the first top-level ';' or a blank/new statement line.
+      let depth = 0;
+      for (; end < out.length; end++) {
+        const c = out[end];
+        if ('({[<'.includes(c)) depth++;
+        else if (')}]>'.includes(c) && !(c === '>' && out[end - 1] === '=')) depth--;
+        else if (depth === 0 && (c === ';' || (c === '\n' && !/^\s*[|&]/.test(out.slice(end + 1))))) break;
+      }
+      end++;
+    }
+    out = out.slice(0, m.index) + out.slice(end);
+    re.lastIndex = m.index;
+  }
+  return out;
+}
+
+/**
+ * Reduce TypeScript to plain JS, best effort.
+ * @param {string} code - TypeScript source.
+ * @returns {string} JS source (may still fail to parse for unusual TS).
+ */
+function stripTypes(code) {
+  let src = String(code);
+  src = src.replace(/^[ \t]*import\s+type\b[^\n]*\n?/gm, '');
+  src = removeDeclarations(src, 'interface');
+  src = removeDeclarations(src, 'type');
+  src = src.replace(/^([ \t]*)(?:export\s+)?enum\s+([\w$]+)\s*\{([^}]*)\}/gm, (_, ws, name, body) => {
+    let next = 0;
+    const entries = body.split(',').map((e) => e.trim()).filter(Boolean).map((e) => {
+      const [k, v] = e.split('=').map((x) => x.trim());
+      const value = v !== undefined ? v : String(next);
+      next = /^\d+$/.test(value) ? Number(value) + 1 : next + 1;
+      return `${k}: ${value}`;
+    });
+    return `${ws}const ${name} = Object.freeze({ ${entries.join(', ')} })`;
+  });
+  src = stripSignatures(src);
+  // Variable annotations and class fields: const x: T = ..., private x: T;
+  src = src.replace(/\b(const|let|var)\s+([\w$]+)\s*:\s*[^=;\n]+(=|;|$)/gm, '$1 $2 $3');
+  src = src.replace(/^([ \t]*)(?:(?:public|private|protected|readonly|static|abstract|declare)\s+)+(?=[\w$#])/gm, (m, ws) =>
+    /\bstatic\b/.test(m) ? `${ws}static ` : ws);
+  src = src.replace(/^([ \t]*(?:static\s+)?[\w$#]+)\s*[?!]?\s*:\s*[^=;\n(]+([=;])/gm, (m, head, end) =>
+    /^\s*(?:case|default|return)\b/.test(head) ? m : `${head} ${end}`);
+  src = src.replace(/\s+as\s+const\b/g, '');
+  src = src.replace(/\s+as\s+(?:unknown|any|[A-Z][\w$.]*)(?:<[^<>]*>)?(?:\[\])*/g, '');
+  src = src.replace(/([\w$)\]])!(?=[.;,)\]\s])/g, '$1');
+  src = src.replace(/\b(implements)\s+[\w$.<>, ]+(?=\{)/g, '');
+  src = src.replace(/^([ \t]*)abstract\s+class\b/gm, '$1class');
+  src = src.replace(/\bnew\s+([\w$.]+)\s*<[^<>()]*>\s*\(/g, 'new $1(');
+  return src;
+}
+
+/**
+ * Rewrite module syntax so a block can run as a vm script: export keywords
+ * become plain declarations (mirrored onto module.exports), imports and
+ * relative requires are dropped because every block shares one scope.
+ * @param {string} code - JS source.
+ * @returns {string} Script source.
+ */
+function toScript(code) {
+  const exported = [];
+  let src = code.replace(/^[ \t]*import\s[^\n]*?from\s*['"][^'"]+['"];?[ \t]*$/gm, '');
+  src = src.replace(/^[ \t]*import\s*['"][^'"]+['"];?[ \t]*$/gm, '');
+  src = src.replace(/^[ \t]*(?:const|let|var)\s+[^=\n]+=\s*require\(\s*['"]\.{1,2}\/[^'"]+['"]\s*\)(?:\.[\w$]+)?;?[ \t]*$/gm, '');
+  src = src.replace(/^([ \t]*)export\s+default\s+(?=(?:async\s+)?(?:function|class)\b)/gm, '$1');
+  src = src.replace(/^([ \t]*)export\s+default\s+/gm, '$1module.exports.default = ');
+  src = src.replace(/^([ \t]*)export\s+((?:async\s+)?(?:function\*?|class|const|let|var)\s+([\w$]+))/gm, (_, ws, decl, name) => {
+    exported.push(name);
+    return `${ws}${decl}`;
+  });
+  src = src.replace(/^[ \t]*export\s*\{[^}]*\}\s*(?:from\s*['"][^'"]+['"])?;?[ \t]*$/gm, '');
+  if (exported.length) src += `\n;Object.assign(module.exports, { ${exported.join(', ')} });`;
+  return src;
+}
+
+const SHIM = String.raw`
+(() => {
+  const tests = [];
+  const stack = [];
+  const hooks = { beforeEach: [], afterEach: [] };
+  const g = globalThis;
+  const fail = (msg) => { throw new Error(msg); };
+  const stringify = JSON.stringify;
+  const isPlainKey = (k) => /^[A-Za-z_$][\w$]*$/.test(k);
+
+  // util.inspect, reduced to what the matcher messages need.
+  const fmt = (v, depth = 0) => {
+    if (typeof v === 'string') return v.includes("'") && !v.includes('"') ? '"' + v + '"' : "'" + v.replace(/'/g, "\\'") + "'";
+    if (typeof v === 'number') return Object.is(v, -0) ? '-0' : String(v);
+    if (typeof v === 'bigint') return v + 'n';
+    if (typeof v === 'symbol') return v.toString();
+    if (typeof v === 'function') return /^class\b/.test(Function.prototype.toString.call(v)) ? '[class ' + v.name + ']' : v.name ? '[Function: ' + v.name + ']' : '[Function (anonymous)]';
+    if (v === null || typeof v !== 'object') return String(v);
+    if (v instanceof Error) return v.name + ': ' + v.message;
+    if (v instanceof Date) return v.toISOString();
+    if (v instanceof RegExp) return String(v);
+    if (depth > 2) return Array.isArray(v) ? '[Array]' : '[Object]';
+    const list = (open, items, close) => (items.length ? open + ' ' + items.join(', ') + ' ' + close : open + close);
+    if (Array.isArray(v)) return list('[', v.map((x) => fmt(x, depth + 1)), ']');
+    if (v instanceof Map) return list('Map(' + v.size + ') {', [...v].map(([k, x]) => fmt(k, depth + 1) + ' => ' + fmt(x, depth + 1)), '}');
+    if (v instanceof Set) return list('Set(' + v.size + ') {', [...v].map((x) => fmt(x, depth + 1)), '}');
+    const proto = Object.getPrototypeOf(v);
+    const name = proto && proto !== Object.prototype && proto.constructor && proto.constructor.name;
+    const entries = Object.keys(v).map((k) => (isPlainKey(k) ? k : fmt(k)) + ': ' + fmt(v[k], depth + 1));
+    return (name ? name + ' ' : proto === null ? '[Object: null prototype] ' : '') + list('{', entries, '}');
+  };
+
+  // Jest equality: loose is toEqual (undefined properties ignored, types not
+  // compared), strict is toStrictEqual. expect.any/anything match anywhere.
+  const equal = (a, b, loose) => {
+    if (b && typeof b === 'object' && '__any' in b) {
+      if (b.__any === null) return a !== null && a !== undefined;
+      return a !== null && a !== undefined && (Object(a) instanceof b.__any || a.constructor === b.__any);
+    }
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (!loose && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (a instanceof RegExp || b instanceof RegExp) return a instanceof RegExp && b instanceof RegExp && String(a) === String(b);
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (a instanceof Map || a instanceof Set) {
+      if (!(b instanceof Map || b instanceof Set) || a.size !== b.size) return false;
+      if (a instanceof Map) return [...a].every(([k, x]) => b.has(k) && equal(x, b.get(k), loose));
+      return [...a].every((x) => b.has(x) || [...b].some((y) => equal(x, y, loose)));
+    }
+    const keys = (o) => Object.keys(o).filter((k) => !loose || o[k] !== undefined);
+    const ka = keys(a);
+    if (ka.length !== keys(b).length) return false;
+    return ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && equal(a[k], b[k], loose));
+  };
+
+  const module = { exports: {} };
+  g.module = module;
+  g.exports = module.exports;
+  g.require = (id) => {
+    if (/^\.{1,2}\//.test(id)) return module.exports;
+    throw new Error("require('" + id + "') is not available in the code runner");
+  };
+  g.global = g;
+  g.console = { log() {}, info() {}, warn() {}, error() {}, debug() {}, table() {} };
+  g.setTimeout = (cb, _ms, ...args) => {
+    Promise.resolve().then(() => cb(...args));
+    return 0;
+  };
+  g.clearTimeout = () => {};
+  g.setImmediate = (cb, ...args) => Promise.resolve().then(() => cb(...args));
+  g.queueMicrotask = (cb) => Promise.resolve().then(cb);
+  // The runner reads results through this, so response code that replaces
+  // JSON cannot hand it anything but a string.
+  Object.defineProperty(g, '__report', { value: (v) => String(stringify(v === undefined ? null : v)) });
+
+  g.describe = (name, fn) => {
+    stack.push(name);
+    const saved = { beforeEach: hooks.beforeEach.length, afterEach: hooks.afterEach.length };
+    try { fn(); } finally {
+      stack.pop();
+      hooks.beforeEach.length = saved.beforeEach;
+      hooks.afterEach.length = saved.afterEach;
+    }
+  };
+  g.describe.skip = () => {};
+  g.describe.only = g.describe;
+  g.describe.each = (rows) => (name, fn) => rows.forEach((row) => g.describe(name, () => fn(...[].concat(row))));
+  g.it = g.test = (name, fn) => {
+    tests.push({ name: [...stack, name].join(' > '), fn, before: [...hooks.beforeEach], after: [...hooks.afterEach] });
+  };
+  g.it.skip = g.test.skip = () => {};
+  g.it.only = g.test.only = g.it;
+  g.it.todo = g.test.todo = () => {};
+  g.it.each = g.test.each = (rows) => (name, fn) => rows.forEach((row) => g.it(name, () => fn(...[].concat(row))));
+  g.beforeEach = (fn) => hooks.beforeEach.push(fn);
+  g.afterEach = (fn) => hooks.afterEach.push(fn);
+  g.beforeAll = (fn) => hooks.beforeEach.length === 0 && stack.length === 0 ? fn() : hooks.beforeEach.push(fn);
+  g.afterAll = () => {};
+
+  const fn = (impl) => {
+    const once = [];
+    let base = impl;
+    const mock = function (...args) {
+      mock.mock.calls.push(args);
+      const next = once.length ? once.shift() : base;
+      return next ? next.apply(this, args) : undefined;
+    };
+    mock.mock = { calls: [] };
+    mock._isMock = true;
+    mock.mockImplementation = (f) => { base = f; return mock; };
+    mock.mockImplementationOnce = (f) => { once.push(f); return mock; };
+    mock.mockReturnValue = (v) => mock.mockImplementation(() => v);
+    mock.mockReturnValueOnce = (v) => mock.mockImplementationOnce(() => v);
+    mock.mockResolvedValue = (v) => mock.mockImplementation(() => Promise.resolve(v));
+    mock.mockResolvedValueOnce = (v) => mock.mockImplementationOnce(() => Promise.resolve(v));
+    mock.mockRejectedValue = (v) => mock.mockImplementation(() => Promise.reject(v));
+    mock.mockRejectedValueOnce = (v) => mock.mockImplementationOnce(() => Promise.reject(v));
+    mock.mockClear = mock.mockReset = () => { mock.mock.calls = []; once.length = 0; return mock; };
+    return mock;
+  };
+  g.jest = g.vi = {
+    fn,
+    spyOn: (obj, key) => { const orig = obj[key]; const m = fn((...a) => orig.apply(obj, a)); m.mockRestore = () => { obj[key] = orig; }; obj[key] = m; return m; },
+    clearAllMocks: () => {}, resetAllMocks: () => {}, restoreAllMocks: () => {},
+    useFakeTimers: () => {}, useRealTimers: () => {}, runAllTimers: () => {}, advanceTimersByTime: () => {},
+  };
+
+  const throwsLike = (err, expected) => {
+    if (expected === undefined) return true;
+    const msg = err && err.message !== undefined ? String(err.message) : String(err);
+    if (typeof expected === 'string') return msg.includes(expected);
+    if (expected instanceof RegExp) return expected.test(msg);
+    if (typeof expected === 'function') return err instanceof expected;
+    if (expected && typeof expected === 'object') return msg === expected.message;
+    return false;
+  };
+
+  const matchers = (actual, negate, label) => {
+    const check = (ok, msg) => { if (ok === negate) fail((negate ? 'not ' : '') + msg); };
+    const m = {
+      toBe: (e) => check(Object.is(actual, e), 'expected ' + fmt(actual) + ' to be ' + fmt(e)),
+      toEqual: (e) => check(equal(actual, e, true), 'expected ' + fmt(actual) + ' to equal ' + fmt(e)),
+      toStrictEqual: (e) => check(equal(actual, e, false), 'expected ' + fmt(actual) + ' to strictly equal ' + fmt(e)),
+      toBeTruthy: () => check(Boolean(actual), 'expected ' + fmt(actual) + ' to be truthy'),
+      toBeFalsy: () => check(!actual, 'expected ' + fmt(actual) + ' to be falsy'),
+      toBeNull: () => check(actual === null, 'expected ' + fmt(actual) + ' to be null'),
+      toBeUndefined: () => check(actual === undefined, 'expected ' + fmt(actual) + ' to be undefined'),
+      toBeDefined: () => check(actual !== undefined, 'expected value to be defined'),
+      toBeNaN: () => check(Number.isNaN(actual), 'expected ' + fmt(actual) + ' to be NaN'),
+      toBeGreaterThan: (e) => check(actual > e, 'expected ' + fmt(actual) + ' > ' + fmt(e)),
+      toBeGreaterThanOrEqual: (e) => check(actual >= e, 'expected ' + fmt(actual) + ' >= ' + fmt(e)),
+      toBeLessThan: (e) => check(actual < e, 'expected ' + fmt(actual) + ' < ' + fmt(e)),
+      toBeLessThanOrEqual: (e) => check(actual <= e, 'expected ' + fmt(actual) + ' <= ' + fmt(e)),
+      toBeCloseTo: (e, digits = 2) => check(Math.abs(actual - e) < Math.pow(10, -digits) / 2, 'expected ' + fmt(actual) + ' to be close to ' + fmt(e)),
+      toBeInstanceOf: (e) => check(actual instanceof e, 'expected value to be an instance of ' + (e && e.name)),
+      toContain: (e) => check(actual != null && actual.includes(e), 'expected ' + fmt(actual) + ' to contain ' + fmt(e)),
+      toContainEqual: (e) => check(Array.isArray(actual) && actual.some((a) => equal(a, e, true)), 'expected ' + fmt(actual) + ' to contain equal ' + fmt(e)),
+      toHaveLength: (e) => check(actual != null && actual.length === e, 'expected length ' + e + ', got ' + (actual && actual.length)),
+      toHaveProperty: (k, v) => {
+        const path = Array.isArray(k) ? k : String(k).split('.');
+        let cur = actual;
+        let has = true;
+        for (const p of path) { if (cur == null || !(p in Object(cur))) { has = false; break; } cur = cur[p]; }
+        check(has && (v === undefined || equal(cur, v, true)), 'expected property ' + String(k));
+      },
+      toMatch: (e) => check(typeof actual === 'string' && (e instanceof RegExp ? e.test(actual) : actual.includes(e)), 'expected ' + fmt(actual) + ' to match ' + fmt(e)),
+      toMatchObject: (e) => check(actual != null && Object.keys(e).every((k) => equal(actual[k], e[k], true)), 'expected ' + fmt(actual) + ' to match object ' + fmt(e)),
+      toThrow: (e) => {
+        if (label === 'rejects') return check(throwsLike(actual, e), 'expected rejection matching ' + fmt(e) + ', got ' + fmt(actual && actual.message));
+        let err;
+        let threw = false;
+        try { actual(); } catch (x) { threw = true; err = x; }
+        check(threw && throwsLike(err, e), threw ? 'expected error matching ' + fmt(e) + ', got ' + fmt(err && err.message) : 'expected function to throw');
+      },
+      toHaveBeenCalled: () => check(actual.mock.calls.length > 0, 'expected mock to have been called'),
+      toHaveBeenCalledTimes: (n) => check(actual.mock.calls.length === n, 'expected ' + n + ' calls, got ' + actual.mock.calls.length),
+      toHaveBeenCalledWith: (...args) => check(actual.mock.calls.some((c) => equal(c, args, true)), 'expected mock to have been called with ' + fmt(args)),
+    };
+    m.toThrowError = m.toThrow;
+    m.toBeCalled = m.toHaveBeenCalled;
+    m.toBeCalledWith = m.toHaveBeenCalledWith;
+    return m;
+  };
+
+  const settle = (promise, label) => {
+    const out = {};
+    for (const [name, neg] of [['', false], ['not', true]]) {
+      const target = name ? (out[name] = {}) : out;
+      for (const key of Object.keys(matchers(undefined, neg))) {
+        target[key] = (...args) => Promise.resolve(promise).then(
+          (v) => { if (label === 'rejects') fail('expected promise to reject, it resolved with ' + fmt(v)); return matchers(v, neg)[key](...args); },
+          (e) => { if (label === 'resolves') fail('expected promise to resolve, it rejected with ' + fmt(e && e.message)); return matchers(e, neg, 'rejects')[key](...args); },
+        );
+      }
+    }
+    return out;
+  };
+
+  g.expect = (actual) => {
+    const e = matchers(actual, false);
+    e.not = matchers(actual, true);
+    e.resolves = settle(actual, 'resolves');
+    e.rejects = settle(actual, 'rejects');
+    return e;
+  };
+  g.expect.any = (type) => ({ __any: type });
+  g.expect.anything = () => ({ __any: null });
+
+  g.__asyncErrors = [];
+  g.__tests = tests;
+  g.__results = [];
+  g.__runTest = (i) => {
+    const t = tests[i];
+    const record = (error) => {
+      g.__results[i] = error === undefined
+        ? { passed: true }
+        : { passed: false, error: String(error && error.message || error), errorName: error && error.name };
+    };
+    try {
+      for (const h of t.before) h();
+      const done = t.fn.length > 0 ? new Promise((resolve, reject) => t.fn((err) => (err ? reject(err) : resolve()))) : t.fn();
+      Promise.resolve(done)
+        .then(() => { for (const h of t.after) h(); })
+        .then(() => record(), record);
+    } catch (err) {
+      record(err);
+    }
+  };
+})();
+`;
+
+function undefinedElsewhere(outcome, source) {
+  const m = outcome.errorName === 'ReferenceError' && /^([\w$]+) is not defined$/.exec(outcome.error || '');
+  if (!m) return false;
+  return !new RegExp(`\\b(?:function\\*?|class|const|let|var)\\s+${m[1].replace(/\$/g, '\\$')}\\b`).test(source);
+}
+
+function describeError(err) {
+  if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return 'time limit exceeded';
+  return `${(err && err.name) || 'Error'}: ${(err && err.message) || err}`;
+}
+
+
+/**
+ * Run the blocks of a response in a fresh vm context of this process. Only
+ * called inside the runner process that runResponseCode() starts.
+ * @param {string} text - Model response.
+ * @param {number} timeout - vm time limit per loaded block and per test.
+ * @returns {RunResult} Executed tests and block errors.
+ */
+function runInContext(text, timeout) {
+  const blocks = extractCodeBlocks(text);
+  const result = emptyResult(blocks);
+  if (!blocks.length) return result;
+
+  const context = vm.createContext({}, {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  const run = (code, filename) => new vm.Script(code, { filename }).runInContext(context, { timeout });
+  const read = (expr, filename) => {
+    const json = run(`__report(${expr})`, filename);
+    return typeof json === 'string' ? JSON.parse(json) : null;
+  };
+  run(SHIM, 'shim.js');
+
+  const source = blocks.map((b) => b.code).join('\n');
+  const ordered = [...blocks.filter((b) => b.role === 'implementation'), ...blocks.filter((b) => b.role === 'test')];
+  for (const [i, block] of ordered.entries()) {
+    const filename = `${block.role}-${i + 1}.${block.lang}`;
+    try {
+      const js = toScript(block.lang === 'ts' ? stripTypes(block.code) : block.code);
+      try {
+        run(js, filename);
+      } catch (err) {
+        // Usage examples often await at the top level, which a script cannot.
+        if (!(err instanceof SyntaxError && /await is only valid/.test(err.message))) throw err;
+        run(`(async () => {\n${js}\n})().catch((err) => __asyncErrors.push(String(err && err.message || err)));`, filename);
+      }
+      result.ran = true;
+    } catch (err) {
+      result.errors.push(`${filename}: ${describeError(err)}`);
+    }
+  }
+  for (const message of read('__asyncErrors.splice(0)', 'async-errors.js') || []) result.errors.push(`async: ${message}`);
+
+  const count = read('__tests.length', 'count.js') || 0;
+  for (let i = 0; i < count; i++) {
+    const name = String(read(`__tests[${i}].name`, 'name.js'));
+    let outcome;
+    try {
+      run(`__runTest(${i})`, 'test.js');
+      outcome = read(`__results[${i}]`, 'result.js') || { passed: false, error: 'test did not settle' };
+    } catch (err) {
+      outcome = { passed: false, error: describeError(err) };
+    }
+    if (outcome.passed) result.results.push({ name, passed: true });
+    else if (undefinedElsewhere(outcome, source)) result.results.push({ name, passed: false, skipped: true, error: outcome.error });
+    else result.results.push({ name, passed: false, error: outcome.error });
+  }
+
+  result.tests.total = result.results.length;
+  result.tests.passed = result.results.filter((r) => r.passed).length;
+  result.tests.skipped = result.results.filter((r) => r.skipped).length;
+  result.tests.failed = result.tests.total - result.tests.passed - result.tests.skipped;
+  if (result.tests.passed + result.tests.failed > 0) result.verdict = result.tests.failed === 0 ? 'pass' : 'fail';
+  return result;
+}
+
+function emptyResult(blocks) {
+  return {
+    ran: false,
+    verdict: 'untested',
+    blocks: {
+      implementation: blocks.filter((b) => b.role === 'implementation').length,
+      test: blocks.filter((b) => b.role === 'test').length,
+    },
+    tests: { passed: 0, failed: 0, skipped: 0, total: 0 },
+    results: [],
+    errors: [],
+  };
+}
+
+// Node flags of the runner process. The permission model is --permission
+// from Node 22.13 and --experimental-permission before that; older Nodes
+// have neither and rely on the other limits.
+function isolationFlags() {
+  const flags = ['--disallow-code-generation-from-strings', `--max-old-space-size=${HEAP_LIMIT_MB}`, '--no-warnings'];
+  const allowed = process.allowedNodeEnvironmentFlags;
+  const permission = ['--permission', '--experimental-permission'].find((f) => allowed.has(f));
+  if (permission) flags.push(permission, `--allow-fs-read=${__filename}`);
+  return flags;
+}
+
+function describeExit(child, limit) {
+  if (child.error && child.error.code === 'ETIMEDOUT') return `runner process stopped after ${limit} ms`;
+  if (child.error) return `runner process failed: ${child.error.message}`;
+  if (/heap out of memory/i.test(child.stderr)) return `runner process ran out of memory (${HEAP_LIMIT_MB} MB)`;
+  return `runner process exited with ${child.signal || `code ${child.status}`}`;
+}
+
+/**
+ * Run the JS/TS code fences of a response and their tests in an isolated
+ * vm context inside a separate, locked-down Node process.
+ * @param {string} text - Model response.
+ * @param {object} [options] - Runner options.
+ * @param {number} [options.timeLimitMs=1000] - Limit per loaded block and per test, microtasks included.
+ * @param {number} [options.processLimitMs=30000] - Wall-clock limit of the whole run; the process is
+ *   killed when it is reached.
+ * @returns {RunResult} Executed tests and block errors. When the process dies, no test has a result
+ *   and `errors` says why.
+ */
+function runResponseCode(text, options = {}) {
+  const blocks = extractCodeBlocks(text);
+  if (!blocks.length) return emptyResult(blocks);
+
+  const limit = options.processLimitMs || DEFAULT_PROCESS_LIMIT_MS;
+  const child = spawnSync(process.execPath, [...isolationFlags(), __filename], {
+    input: JSON.stringify({ text: String(text), timeLimitMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS }),
+    encoding: 'utf8',
+    env: {},
+    timeout: limit,
+    killSignal: 'SIGKILL',
+    maxBuffer: 16 * 1024 * 1024,
+  });
+  if (!child.error && child.status === 0) {
+    try {
+      return JSON.parse(child.stdout);
+    } catch {
+      // Fall through: the process wrote something that is not a result.
+    }
+  }
+  return { ...emptyResult(blocks), errors: [describeExit(child, limit)] };
+}
+
+/**
+ * Runner process entry point: reads `{ text, timeLimitMs }` as JSON on stdin
+ * and writes the RunResult as JSON on stdout.
+ * @returns {void}
+ */
+function main() {
+  // Rejections the response code leaves unhandled are its own business.
+  process.on('unhandledRejection', () => {});
+  const { text, timeLimitMs } = JSON.parse(fs.readFileSync(0, 'utf8'));
+  process.stdout.write(JSON.stringify(runInContext(text, timeLimitMs)));
+}
+
+if (require.main === module) main();
+
+module.exports = { DEFAULT_TIME_LIMIT_MS, extractCodeBlocks, runResponseCode, stripTypes };
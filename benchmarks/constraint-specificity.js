@@ -0,0 +1,132 @@
+/**
+ * Constraint specificity for enhanced prompts.
+ *
+ * The prompt-structure rubric credits `has_constraints` as soon as "Do NOT"
+ * appears, so the generic fallback transformToLean() emits when a classic
+ * prompt has no constraints ("Do NOT exceed scope; Do NOT break tests; Do NOT
+ * add untracked deps") scores the same as constraints written for the task.
+ * This module rates every negative constraint ("Do NOT", "Must not", "Never",
+ * "Don't") on three signals, each worth a third:
+ *
+ *   not boilerplate  it is not one of the stock constraints in BOILERPLATE
+ *   task nouns       it shares a noun with the original prompt
+ *   named thing      it names a file, a code identifier, a component
+ *                    ("header layout", "user service") or a dependency
+ *
+ * A prompt's specificity is the mean over its constraints. A prompt whose
+ * constraints are all boilerplate is flagged.
+ */
+
+'use strict';
+
+const { contentWords, stem } = require('./content-words');
+const { parseEnhancedPrompt } = require('./enhanced-prompt');
+
+const NEGATION = /^\s*(?:do\s+not|don't|must\s+not|never)\b[\s:,-]*/i;
+
+// Stock constraints that fit any task. Matched against the constraint with its
+// leading negation removed.
+const BOILERPLATE = [
+  /^exceed(?:ing)?\s+(?:the\s+)?(?:task\s+)?scope$/,
+  /^(?:break|breaking)\s+(?:any\s+)?(?:existing\s+)?(?:tests?|functionality|features?|code|behaviou?r)$/,
+  /^(?:add|introduce)\s+(?:any\s+)?(?:untracked|unnecessary|unneeded|new|extra|additional)?\s*(?:deps|dependenc(?:y|ies))$/,
+  /^(?:change|modify|touch|refactor)\s+unrelated\s+(?:code|files?)$/,
+  /^introduce\s+(?:any\s+)?(?:breaking\s+changes|regressions?)$/,
+  /^skip(?:ping)?\s+tests$/,
+  /^over-?engineer(?:ing)?(?:\s+(?:it|the\s+solution))?$/,
+  /^hard-?code\s+(?:secrets|credentials|values)$/,
+];
+
+const FILE = /\b[\w.-]+\.(?:js|jsx|ts|tsx|mjs|cjs|json|py|go|rs|java|md|ya?ml|toml|css|html|sql|sh)\b/g;
+const CODE = /`[^`\n]+`/g;
+const IDENTIFIER = /\b[a-z]+[A-Z]\w*\b|\b[A-Z][a-z]+[A-Z]\w*\b/g;
+const ACRONYM = /\b[A-Z]{2,}s?\b/g;
+const COMPONENT = /\b([a-z][\w-]+)\s+(?:component|module|service|library|package|schema|endpoint|table|hook|class|layout|api|crate)s?\b/gi;
+const GENERIC_QUALIFIERS = new Set([
+  'any', 'existing', 'external', 'internal', 'new', 'other', 'same', 'single', 'the', 'third-party', 'unrelated',
+  'whole', 'entire', 'each', 'every', 'all', 'between', 'per', 'of', 'in', 'to', 'at', 'on', 'or', 'and',
+  'change', 'modify', 'add', 'remove', 'use', 'break',
+]);
+
+/**
+ * @typedef {object} ConstraintRating
+ * @property {string} text - The constraint as written.
+ * @property {number} specificity - 0-1: a third each for not boilerplate, a prompt noun and a named thing.
+ * @property {boolean} boilerplate - It matches a stock constraint.
+ * @property {string[]} promptNouns - Prompt nouns it repeats.
+ * @property {string[]} named - Files, identifiers, components or dependencies it names.
+ */
+
+/**
+ * @typedef {object} ConstraintSpecificity
+ * @property {ConstraintRating[]} constraints - One rating per negative constraint.
+ * @property {number|null} average - Mean specificity as a 0-100 percentage, null with no constraints.
+ * @property {number} boilerplate - Constraints that are boilerplate.
+ * @property {boolean} allBoilerplate - There are constraints and every one is boilerplate.
+ */
+
+// Same word after stemming, or one a prefix of the other ("auth", "authentication").
+function sameNoun(a, b) {
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short === long || (short.length >= 4 && long.startsWith(short));
+}
+
+function namedThings(rest) {
+  const found = [
+    ...(rest.match(FILE) || []),
+    ...(rest.match(CODE) || []),
+    ...(rest.match(IDENTIFIER) || []),
+    ...(rest.match(ACRONYM) || []),
+  ];
+  for (const m of rest.matchAll(COMPONENT)) {
+    if (!GENERIC_QUALIFIERS.has(m[1].toLowerCase())) found.push(m[0]);
+  }
+  return [...new Set(found)];
+}
+
+/**
+ * Rate one constraint against the prompt it was written for.
+ * @param {string} constraint - Constraint text ("Do NOT modify the header layout").
+ * @param {string} [prompt] - Original user prompt.
+ * @returns {ConstraintRating} Rating with the evidence behind it.
+ */
+function rateConstraint(constraint, prompt) {
+  const text = String(constraint || '').trim();
+  const rest = text.replace(NEGATION, '').replace(/\s*\([^)]*\)/g, '').replace(/[.…]+$/, '').trim();
+  const normalized = rest.toLowerCase().replace(/\s+/g, ' ');
+  const boilerplate = BOILERPLATE.some((re) => re.test(normalized));
+  const promptStems = contentWords(prompt).map(stem);
+  const promptNouns = [...new Set(contentWords(rest).filter((w) => promptStems.some((p) => sameNoun(p, stem(w)))))];
+  const named = namedThings(rest);
+  const signals = [!boilerplate, promptNouns.length > 0, named.length > 0];
+  return {
+    text,
+    specificity: signals.filter(Boolean).length / signals.length,
+    boilerplate,
+    promptNouns,
+    named,
+  };
+}
+
+/**
+ * Rate every negative constraint of an enhanced prompt.
+ * @param {string|import('./enhanced-prompt').EnhancedPrompt} enhanced - Enhanced prompt in any supported
+ *   format, or already parsed.
+ * @param {string} [prompt] - Original user prompt.
+ * @returns {ConstraintSpecificity} Per-constraint ratings and the prompt's average.
+ */
+function scoreConstraints(enhanced, prompt) {
+  const ep = typeof enhanced === 'string' ? parseEnhancedPrompt(enhanced) : enhanced;
+  const constraints = (ep.constraints || []).filter((c) => NEGATION.test(c)).map((c) => rateConstraint(c, prompt));
+  const boilerplate = constraints.filter((c) => c.boilerplate).length;
+  return {
+    constraints,
+    average: constraints.length
+      ? (constraints.reduce((sum, c) => sum + c.specificity, 0) / constraints.length) * 100
+      : null,
+    boilerplate,
+    allBoilerplate: constraints.length > 0 && boilerplate === constraints.length,
+  };
+}
+
+module.exports = { BOILERPLATE, rateConstraint, scoreConstraints };
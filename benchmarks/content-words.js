@@ -0,0 +1,46 @@
+/**
+ * Content words of a prompt, shared by constraint-specificity.js,
+ * goal-relevance.js and substance-analyzer.js.
+ *
+ * Each compares model output (an enhanced prompt or a response) with the user
+ * prompt it came from, word by word. A content word is a lowercase run of
+ * letters and digits of three or more characters that is not in STOPWORDS
+ * (task verbs and filler); stem() reduces plural, -ing and -ed forms to one
+ * stem so "files" meets "file" and "caching" meets "cache".
+ */
+
+'use strict';
+
+// Task verbs and filler that say nothing about the task. "working" and
+// "utility" stay out: goal-relevance.js reads them as the bug and utils
+// topics ("login button not working", "utils" ~ "utility module").
+const STOPWORDS = new Set([
+  'about', 'add', 'adding', 'after', 'all', 'also', 'and', 'any', 'are', 'build', 'but', 'can', 'change', 'code',
+  'could', 'create', 'existing', 'fix', 'for', 'from', 'function', 'have', 'implement', 'into', 'its', 'make',
+  'modify', 'new', 'not', 'only', 'other', 'our', 'please', 'refactor', 'remove', 'should', 'that', 'the', 'their',
+  'them', 'then', 'there', 'this', 'use', 'using', 'was', 'what', 'when', 'which', 'will', 'with', 'without', 'would',
+  'write', 'yet', 'you', 'your',
+]);
+
+/**
+ * Reduce a word to the stem its plural, -ing and -ed forms share:
+ * "utilities" -> "utility", "files" and "file" -> "fil", "caching" and
+ * "cache" -> "cach". The final "e" goes so the -ing and -ed forms, which
+ * drop it, still meet the bare word; a double "s" ("class") is not a plural.
+ * @param {string} word - Lowercase word.
+ * @returns {string} Stem.
+ */
+function stem(word) {
+  return word.replace(/ies$/, 'y').replace(/(?:ing|ed|(?<!s)s)$/, '').replace(/e$/, '');
+}
+
+/**
+ * Content words of a text, in order, repeats kept.
+ * @param {string} text - Any text; null and undefined count as empty.
+ * @returns {string[]} Lowercase words of three or more characters that are not STOPWORDS.
+ */
+function contentWords(text) {
+  return (String(text || '').toLowerCase().match(/[a-z][a-z0-9]+/g) || []).filter((w) => w.length >= 3 && !STOPWORDS.has(w));
+}
+
+module.exports = { STOPWORDS, contentWords, stem };
@@ -0,0 +1,449 @@
+/**
+ * Canonical structured representation of an enhanced prompt.
+ *
+ * Every benchmark used to re-parse enhanced prompts with its own regexes.
+ * This module parses the three documented output formats into one
+ * `EnhancedPrompt` object (shape: enhanced-prompt.schema.json) and emits it
+ * back out as Lean, Classic, Markdown or JSON:
+ *
+ *   - Classic headings   GOAL / NORTH STAR / CONSTRAINTS / ... (results/enhanced-prompts.json),
+ *                        including SKILL.md's decorated (▶ GOAL) and Markdown (## Goal) variants
+ *   - Classic XML        <enhanced_prompt> (skills/architect/SKILL.md section 4a)
+ *   - Lean tags          <goal> <constraints> <phases> ... (SKILL.md section 4b)
+ *
+ * Parsers are deliberately lossless on content and lossy only on layout, so
+ * parse -> emit -> parse is stable for every format.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_FILE = path.join(__dirname, 'enhanced-prompt.schema.json');
+
+/**
+ * @typedef {object} EnhancedPrompt
+ * @property {string} goal - What we will do.
+ * @property {string} northStar - Business value / user benefit.
+ * @property {string[]} constraints - Boundaries ("Do NOT ...").
+ * @property {{n: number, title: string}[]} phases - Ordered execution phases.
+ * @property {string[]} tdd - Test-driven development requirements.
+ * @property {string[]} docs - Documentation requirements.
+ * @property {string[]} solid - SOLID / OOP requirements.
+ * @property {string[]} guardrails - Quality guardrails and thinking instructions.
+ * @property {string} [responseStyle] - Lean `<response-style>` hint, when present.
+ */
+
+const HEADINGS = [
+  'GOAL',
+  'NORTH STAR',
+  'CONSTRAINTS',
+  'EXECUTION PHASES',
+  'TDD REQUIREMENTS',
+  'DOCUMENTATION REQUIREMENTS',
+  'SOLID PRINCIPLES',
+  'QUALITY GUARDRAILS',
+];
+
+// Section heading / Markdown title for each list-valued field.
+const LIST_FIELDS = [
+  { key: 'constraints', heading: 'CONSTRAINTS', title: 'Constraints' },
+  { key: 'tdd', heading: 'TDD REQUIREMENTS', title: 'TDD Requirements' },
+  { key: 'docs', heading: 'DOCUMENTATION REQUIREMENTS', title: 'Documentation Requirements' },
+  { key: 'solid', heading: 'SOLID PRINCIPLES', title: 'SOLID Principles' },
+  { key: 'guardrails', heading: 'QUALITY GUARDRAILS', title: 'Quality Guardrails' },
+];
+
+/**
+ * Build a normalised EnhancedPrompt, filling every missing field.
+ * @param {Partial<EnhancedPrompt>} [fields] - Known fields.
+ * @returns {EnhancedPrompt} Object matching enhanced-prompt.schema.json.
+ */
+function createEnhancedPrompt(fields = {}) {
+  const ep = {
+    goal: String(fields.goal || '').trim(),
+    northStar: String(fields.northStar || '').trim(),
+    constraints: toList(fields.constraints),
+    phases: (fields.phases || []).map((p, i) => ({
+      n: Number.isInteger(p.n) ? p.n : i + 1,
+      title: String(p.title || '').trim(),
+    })),
+    tdd: toList(fields.tdd),
+    docs: toList(fields.docs),
+    solid: toList(fields.solid),
+    guardrails: toList(fields.guardrails),
+  };
+  if (fields.responseStyle) ep.responseStyle = String(fields.responseStyle).trim();
+  return ep;
+}
+
+function toList(items) {
+  return (items || []).map((i) => String(i).trim()).filter(Boolean);
+}
+
+// Every heading spelling the skill documents, keyed by canonical section.
+const HEADING_ALIASES = {
+  GOAL: ['GOAL'],
+  'NORTH STAR': ['NORTH STAR'],
+  CONSTRAINTS: ['CONSTRAINTS'],
+  'EXECUTION PHASES': ['EXECUTION PHASES', 'PHASES'],
+  'TDD REQUIREMENTS': ['TDD REQUIREMENTS', 'TEST-DRIVEN DEVELOPMENT', 'TEST-DRIVEN DEVELOPMENT (TDD)', 'TDD'],
+  'DOCUMENTATION REQUIREMENTS': ['DOCUMENTATION REQUIREMENTS', 'DOCUMENTATION'],
+  'SOLID PRINCIPLES': ['SOLID PRINCIPLES', 'OOP & SOLID PRINCIPLES'],
+  'QUALITY GUARDRAILS': ['QUALITY GUARDRAILS', 'GUARDRAILS'],
+};
+
+const HEADING_LOOKUP = new Map();
+for (const [canonical, aliases] of Object.entries(HEADING_ALIASES)) {
+  for (const alias of aliases) HEADING_LOOKUP.set(alias, canonical);
+}
+
+/**
+ * Resolve one line to a canonical section heading, if it is one.
+ *
+ * Accepts bare uppercase headings (`GOAL`), SKILL.md's decorated Classic
+ * headings (`▶ GOAL`, `✔ TEST-DRIVEN DEVELOPMENT`, `❖ OOP & SOLID PRINCIPLES`)
+ * and Markdown headings (`## Goal`). Decorated and Markdown headings match
+ * case-insensitively; bare lines must be uppercase so ordinary prose such as
+ * a lone "Documentation" line is never mistaken for a heading. Decoration is
+ * any run of non-ASCII glyphs, so list markers like `-` never count.
+ * @param {string} line - One line of text.
+ * @returns {string|null} Canonical heading or null.
+ */
+function headingOf(line) {
+  const m = line.match(/^\s*(#{1,6}\s+)?([^\x00-\x7F\s]+\s*)?(.+?)\s*:?\s*$/);
+  if (!m) return null;
+  const [, hashes, glyphs, title] = m;
+  const normalized = title.replace(/\s+/g, ' ');
+  return HEADING_LOOKUP.get(hashes || glyphs ? normalized.toUpperCase() : normalized) || null;
+}
+
+/**
+ * Split a classic prompt into raw section bodies.
+ *
+ * Recognises every Classic variant the skill documents: bare, decorated and
+ * Markdown headings, plus the `<enhanced_prompt>` XML form (SKILL.md 4a),
+ * which is re-emitted in the heading layout first.
+ * @param {string} classic - Classic enhanced prompt.
+ * @returns {Record<string, string>} Body text keyed by canonical heading ('' when absent).
+ */
+function splitSections(classic) {
+  if (detectFormat(classic) === 'xml') return splitSections(toClassic(parseEnhancedPromptXml(classic)));
+
+  const lines = classic.split('\n');
+  const marks = [];
+  lines.forEach((line, i) => {
+    const heading = headingOf(line);
+    if (heading) marks.push({ heading, line: i });
+  });
+  const out = {};
+  for (const h of HEADINGS) out[h] = '';
+  for (let i = 0; i < marks.length; i++) {
+    const bodyEnd = i + 1 < marks.length ? marks[i + 1].line : lines.length;
+    const body = lines.slice(marks[i].line + 1, bodyEnd).join('\n').trim();
+    // A repeated heading appends rather than overwrites.
+    out[marks[i].heading] = out[marks[i].heading] ? `${out[marks[i].heading]}\n${body}` : body;
+  }
+  return out;
+}
+
+function listItems(body) {
+  return String(body || '')
+    .split('\n')
+    .map((l) => l.replace(/^\s*(?:[-*•]\s+)?/, '').trim())
+    .filter(Boolean);
+}
+
+function numberedItems(body) {
+  const phases = [];
+  for (const line of String(body || '').split('\n')) {
+    const m = line.trim().match(/^(\d+)\.\s+(.*)$/);
+    if (m) phases.push({ n: Number(m[1]), title: m[2].trim() });
+  }
+  return phases;
+}
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function splitGoal(text) {
+  const [goal, north = ''] = collapse(text).split(/[;\s]*North Star:\s*/i);
+  return { goal: goal.trim(), northStar: north.trim() };
+}
+
+/**
+ * Parse the classic format in any of its documented variants (bare,
+ * decorated or Markdown headings, or `<enhanced_prompt>` XML).
+ * @param {string} text - Classic enhanced prompt.
+ * @returns {EnhancedPrompt} Structured prompt.
+ */
+function parseClassic(text) {
+  if (detectFormat(text) === 'xml') return parseEnhancedPromptXml(text);
+  const s = splitSections(text);
+  return createEnhancedPrompt({
+    goal: collapse(s.GOAL),
+    northStar: collapse(s['NORTH STAR']),
+    constraints: listItems(s.CONSTRAINTS),
+    phases: numberedItems(s['EXECUTION PHASES']),
+    tdd: listItems(s['TDD REQUIREMENTS']),
+    docs: listItems(s['DOCUMENTATION REQUIREMENTS']),
+    solid: listItems(s['SOLID PRINCIPLES']),
+    guardrails: listItems(s['QUALITY GUARDRAILS']),
+  });
+}
+
+function readTags(text) {
+  const tags = {};
+  const re = /<([a-z][\w-]*)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const name = m[1].toLowerCase();
+    if (!(name in tags)) tags[name] = m[2].trim();
+  }
+  return tags;
+}
+
+/**
+ * Parse the classic `<enhanced_prompt>` XML form (SKILL.md section 4a).
+ * @param {string} text - XML enhanced prompt.
+ * @returns {EnhancedPrompt} Structured prompt.
+ */
+function parseEnhancedPromptXml(text) {
+  const inner = (text.match(/<enhanced_prompt>([\s\S]*?)<\/enhanced_prompt>/i) || [null, text])[1];
+  const tags = readTags(inner);
+  const phases = [];
+  const phaseRe = /<phase(?:\s+n="(\d+)")?\s*>([\s\S]*?)<\/phase>/gi;
+  let m;
+  while ((m = phaseRe.exec(tags.execution_phases || '')) !== null) {
+    phases.push({ n: m[1] ? Number(m[1]) : phases.length + 1, title: collapse(m[2]) });
+  }
+  return createEnhancedPrompt({
+    ...splitGoal(tags.goal),
+    constraints: listItems(tags.constraints),
+    phases,
+    tdd: listItems(tags.tdd),
+    docs: listItems(tags.documentation),
+    solid: listItems(tags.solid_principles),
+    guardrails: listItems(tags.instructions),
+  });
+}
+
+function semicolonItems(text) {
+  return String(text || '').split(';');
+}
+
+/**
+ * Parse the Lean tag payload (SKILL.md section 4b).
+ * @param {string} text - Lean XML payload.
+ * @returns {EnhancedPrompt} Structured prompt.
+ */
+function parseLean(text) {
+  const tags = readTags(text);
+  const phases = String(tags.phases || '')
+    .split(/\s+(?=\d+\.)/)
+    .map((p) => p.match(/^(\d+)\.(.*)$/))
+    .filter(Boolean)
+    .map(([, n, title]) => ({ n: Number(n), title: title.replace(/-/g, ' ') }));
+  return createEnhancedPrompt({
+    ...splitGoal(tags.goal),
+    constraints: semicolonItems(tags.constraints),
+    phases,
+    tdd: semicolonItems(tags.tdd),
+    docs: semicolonItems(tags.docs),
+    solid: semicolonItems(tags.solid),
+    guardrails: semicolonItems(tags.think),
+    responseStyle: tags['response-style'],
+  });
+}
+
+/**
+ * Guess which documented format a prompt string is in.
+ * @param {string} text - Enhanced prompt in any supported format.
+ * @returns {'json'|'xml'|'lean'|'classic'} Detected format.
+ */
+function detectFormat(text) {
+  const t = String(text || '').trim();
+  if (t.startsWith('{')) return 'json';
+  if (/<enhanced_prompt>/i.test(t)) return 'xml';
+  if (/<goal>[\s\S]*<\/goal>/i.test(t)) return 'lean';
+  return 'classic';
+}
+
+/**
+ * Parse an enhanced prompt in any supported format.
+ * @param {string} text - JSON, XML, Lean or classic enhanced prompt.
+ * @returns {EnhancedPrompt} Structured prompt.
+ */
+function parseEnhancedPrompt(text) {
+  switch (detectFormat(text)) {
+    case 'json': return createEnhancedPrompt(JSON.parse(text));
+    case 'xml': return parseEnhancedPromptXml(text);
+    case 'lean': return parseLean(text);
+    default: return parseClassic(text);
+  }
+}
+
+function capitalize(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
+
+function sentence(s) {
+  const t = String(s || '').trim();
+  if (!t) return t;
+  return /[.!?…]$/.test(t) ? t : t + '.';
+}
+
+function bullets(items) {
+  return items.map((i) => `- ${capitalize(i)}`).join('\n');
+}
+
+/**
+ * Emit the Lean tag payload. Content is emitted as-is; shortening is the
+ * templater's job (see lean-templater.js).
+ * @param {EnhancedPrompt} ep - Structured prompt.
+ * @returns {string} Lean XML payload.
+ */
+function toLean(ep) {
+  const lines = [
+    `<goal>${ep.goal}; North Star: ${ep.northStar}</goal>`,
+    `<constraints>${ep.constraints.join('; ')}</constraints>`,
+    `<phases>${ep.phases.map((p) => `${p.n}.${p.title.replace(/\s+/g, '-')}`).join(' ')}</phases>`,
+    `<tdd>${ep.tdd.join('; ')}</tdd>`,
+    `<docs>${ep.docs.join('; ')}</docs>`,
+    `<solid>${ep.solid.join('; ')}</solid>`,
+  ];
+  if (ep.responseStyle) lines.push(`<response-style>${ep.responseStyle}</response-style>`);
+  lines.push(`<think>${ep.guardrails.join('; ')}</think>`);
+  return lines.join('\n');
+}
+
+/**
+ * Emit the classic heading format. Empty sections are omitted.
+ * @param {EnhancedPrompt} ep - Structured prompt.
+ * @returns {string} Classic enhanced prompt.
+ */
+function toClassic(ep) {
+  const sections = [
+    ['GOAL', sentence(ep.goal)],
+    ['NORTH STAR', sentence(capitalize(ep.northStar))],
+    ['CONSTRAINTS', bullets(ep.constraints)],
+    ['EXECUTION PHASES', ep.phases.map((p) => `${p.n}. ${capitalize(p.title)}`).join('\n')],
+  ];
+  for (const f of LIST_FIELDS.slice(1)) sections.push([f.heading, bullets(ep[f.key])]);
+  return sections
+    .filter(([, body]) => body)
+    .map(([heading, body]) => `${heading}\n${body}`)
+    .join('\n\n');
+}
+
+/**
+ * Emit a Markdown document with one `##` section per field.
+ * @param {EnhancedPrompt} ep - Structured prompt.
+ * @returns {string} Markdown text.
+ */
+function toMarkdown(ep) {
+  const sections = [
+    ['Goal', sentence(ep.goal)],
+    ['North Star', sentence(capitalize(ep.northStar))],
+    ['Constraints', bullets(ep.constraints)],
+    ['Execution Phases', ep.phases.map((p) => `${p.n}. ${capitalize(p.title)}`).join('\n')],
+  ];
+  for (const f of LIST_FIELDS.slice(1)) sections.push([f.title, bullets(ep[f.key])]);
+  return sections
+    .filter(([, body]) => body)
+    .map(([title, body]) => `## ${title}\n\n${body}`)
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Emit pretty-printed JSON matching enhanced-prompt.schema.json.
+ * @param {EnhancedPrompt} ep - Structured prompt.
+ * @returns {string} JSON text.
+ */
+function toJson(ep) {
+  return JSON.stringify(createEnhancedPrompt(ep), null, 2);
+}
+
+/**
+ * Render scoring input as text. Strings pass through; EnhancedPrompt objects
+ * are emitted in the classic layout the pattern rubrics were written against.
+ * @param {string|Partial<EnhancedPrompt>} input - Raw text or structured prompt.
+ * @returns {string} Text to run the rubric over.
+ */
+function asText(input) {
+  if (input == null) return '';
+  return typeof input === 'string' ? input : toClassic(createEnhancedPrompt(input));
+}
+
+let schemaCache = null;
+
+/**
+ * Load the EnhancedPrompt JSON Schema.
+ * @returns {Record<string, unknown>} Parsed schema.
+ */
+function loadSchema() {
+  if (!schemaCache) schemaCache = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  return schemaCache;
+}
+
+function checkNode(value, schema, at, errors) {
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  const expected = schema.type;
+  const matches = expected === 'integer' ? Number.isInteger(value) : expected === type;
+  if (expected && !matches) {
+    errors.push(`${at}: expected ${expected}, got ${type}`);
+    return;
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) checkNode(v, props[key], `${at}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`);
+    }
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((v, i) => checkNode(v, schema.items, `${at}[${i}]`, errors));
+  }
+  if (type === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push(`${at}: shorter than ${schema.minLength}`);
+  }
+  if (type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: below minimum ${schema.minimum}`);
+  }
+}
+
+/**
+ * Validate an object against enhanced-prompt.schema.json. Supports the
+ * schema keywords the file actually uses (type, required, properties,
+ * additionalProperties, items, minLength, minimum); no external validator.
+ * @param {unknown} ep - Candidate EnhancedPrompt.
+ * @returns {string[]} Validation errors (empty when valid).
+ */
+function validateEnhancedPrompt(ep) {
+  const errors = [];
+  checkNode(ep, loadSchema(), '$', errors);
+  return errors;
+}
+
+module.exports = {
+  HEADINGS,
+  createEnhancedPrompt,
+  splitSections,
+  parseClassic,
+  parseEnhancedPromptXml,
+  parseLean,
+  parseEnhancedPrompt,
+  detectFormat,
+  toLean,
+  toClassic,
+  toMarkdown,
+  toJson,
+  asText,
+  loadSchema,
+  validateEnhancedPrompt,
+};
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Response-Compressor Fuzz Check
+ *
+ * Offline. No API key required.
+ *
+ * response-compressor.js promises that code, tables, headings, list and
+ * quote markers, paths, CLI invocations, numbers with units and
+ * identifiers are never rewritten. This script builds random markdown
+ * responses from those pieces mixed with the filler phrases the prose
+ * rules target (including filler planted inside headings and tables) and
+ * checks, for every generated response, that:
+ *   1) concatenating segmentText's segments returns the input unchanged;
+ *   2) every verbatim segment appears byte for byte, in order, in the
+ *      compressed output;
+ *   3) every planted verbatim piece also survives in order, so each class
+ *      is actually recognised rather than left to the prose rules.
+ * Responses rotate through the lite, full and ultra levels, with and
+ * without safe mode, all with the example rule pack in rule-packs/ loaded.
+ *
+ * Deterministic: the PRNG is seeded (FUZZ_SEED, default 10) so a failure
+ * reproduces. FUZZ_RUNS overrides the number of generated responses.
+ */
+
+'use strict';
+
+const path = require('path');
+const { LEVELS, compressResponse, segmentText } = require('./response-compressor');
+
+const PACK_FILE = path.join(__dirname, 'rule-packs', 'corporate-filler.json');
+
+const SEED = Number(process.env.FUZZ_SEED || 10);
+const RUNS = Number(process.env.FUZZ_RUNS || 500);
+
+// Prose the compressor is allowed to rewrite.
+const PROSE = [
+  'Sure! ',
+  "I'll go ahead and implement ",
+  'Let me walk you through ',
+  "Here's the implementation: ",
+  'As you can see, ',
+  'Note that',
+  'basically',
+  'essentially',
+  'In order to',
+  'due to the fact that',
+  'at this point in time',
+  'make use of',
+  'the handler',
+  'returns early',
+  'on the other hand, ',
+  'it works',
+  'You might want to consider ',
+  'you can also ',
+  'the ',
+  'a ',
+  'going forward, ',
+  'leveraging',
+  '.',
+  ',',
+];
+
+// Pieces that must come out byte for byte. Block pieces start a line.
+const INLINE_VERBATIM = [
+  '`res.ok`',
+  '``a ` b``',
+  'https://example.com/docs/page?x=1',
+  'src/auth/login.ts',
+  './scripts/run.sh',
+  '~/.config/app.json',
+  'package.json',
+  'npm run verify',
+  'npm run verify:project',
+  'npx vitest run --coverage',
+  'go test ./...',
+  'cargo test --release',
+  'node run-token-benchmark.js --json',
+  'git commit -m "in order to ship"',
+  'python3 -m pytest tests/',
+  '250ms',
+  '40%',
+  '2 GB',
+  '3x',
+  '1,024 tokens',
+  'validateEmail()',
+  'fetchUsers',
+  'MAX_RETRIES',
+  'snake_case_name',
+  'Math.max()',
+];
+
+const BLOCK_VERBATIM = [
+  '```js\nfunction f(a,  b) {\n  // basically   in order to\n  return a;\n}\n```',
+  '~~~\nSure!   Note that\n\n\n~~~',
+  '| step | note  |\n|------|-------|\n| 1    | In order to  pass |',
+  '| a |  b |\n| basically | c |',
+  'col one | col two\n--- | ---\nIn order to | x  y',
+  '## Sure!  In order to ship',
+  '### Step 1: Write   Tests',
+  '---',
+];
+
+const MARKERS = ['- ', '* ', '1. ', '10) ', '  - ', '> ', '> - ', '- [ ] ', '- [x] '];
+const SPACES = [' ', '  ', '   ', ' \t'];
+const BREAKS = ['\n', '\n\n', '\n\n\n\n', '  \n'];
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generate(rand) {
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const planted = [];
+  let text = '';
+  const lines = 1 + Math.floor(rand() * 8);
+
+  for (let l = 0; l < lines; l++) {
+    if (l > 0) text += pick(BREAKS);
+    if (rand() < 0.25) {
+      const block = pick(BLOCK_VERBATIM);
+      planted.push(block);
+      text += block;
+      continue;
+    }
+    if (rand() < 0.4) {
+      const marker = pick(MARKERS);
+      planted.push(marker);
+      text += marker;
+    }
+    const words = 1 + Math.floor(rand() * 10);
+    for (let w = 0; w < words; w++) {
+      if (w > 0) text += pick(SPACES);
+      if (rand() < 0.4) {
+        const piece = pick(INLINE_VERBATIM);
+        planted.push(piece);
+        text += piece;
+      } else {
+        text += pick(PROSE);
+      }
+    }
+    // Inputs that already hold private-use code points must not collide with
+    // compressResponse's placeholders.
+    if (rand() < 0.02) text += '\uE000\uE001';
+  }
+  return { text, planted };
+}
+
+function inOrder(haystack, needles) {
+  let from = 0;
+  for (const needle of needles) {
+    const at = haystack.indexOf(needle, from);
+    if (at === -1) return needle;
+    from = at + needle.length;
+  }
+  return null;
+}
+
+function main() {
+  const rand = mulberry32(SEED);
+  const failures = [];
+  const classCounts = {};
+  let verbatimBytes = 0;
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('          RESPONSE-COMPRESSOR VERBATIM FUZZ CHECK              ');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  for (let run = 0; run < RUNS; run++) {
+    const { text, planted } = generate(rand);
+    const parts = segmentText(text);
+    const out = compressResponse(text, { level: LEVELS[run % LEVELS.length], safe: run % 2 === 1, packs: [PACK_FILE] });
+    const verbatim = parts.filter((p) => p.kind === 'verbatim');
+    for (const p of verbatim) {
+      classCounts[p.type] = (classCounts[p.type] || 0) + 1;
+      verbatimBytes += p.text.length;
+    }
+
+    let problem = null;
+    if (parts.map((p) => p.text).join('') !== text) problem = 'segments do not reassemble the input';
+    const lostSegment = problem ? null : inOrder(out, verbatim.map((p) => p.text));
+    if (lostSegment !== null) problem = `verbatim segment changed: ${JSON.stringify(lostSegment)}`;
+    const lostPiece = problem ? null : inOrder(out, planted);
+    if (lostPiece !== null) problem = `planted piece not kept verbatim: ${JSON.stringify(lostPiece)}`;
+    if (problem) failures.push({ run, problem, text, out });
+  }
+
+  console.log(`  Seed:                 ${SEED}`);
+  console.log(`  Responses generated:  ${RUNS} (levels: ${LEVELS.join(', ')})`);
+  console.log(`  Verbatim bytes held:  ${verbatimBytes}`);
+  console.log('  Verbatim segments by class:');
+  for (const [type, n] of Object.entries(classCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`     ${type.padEnd(12)} ${n}`);
+  }
+
+  if (failures.length) {
+    for (const f of failures.slice(0, 5)) {
+      console.error(`\n  run ${f.run}: ${f.problem}`);
+      console.error(`    input:  ${JSON.stringify(f.text)}`);
+      console.error(`    output: ${JSON.stringify(f.out)}`);
+    }
+    console.error(`\n❌ ${failures.length}/${RUNS} fuzzed responses changed verbatim bytes (FUZZ_SEED=${SEED})`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${RUNS} fuzzed responses: every verbatim byte survived compression`);
+}
+
+if (require.main === module) main();
+
+module.exports = { generate, main, mulberry32 };
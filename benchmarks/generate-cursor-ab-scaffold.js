@@ -12,6 +12,7 @@
  *   node generate-cursor-ab-scaffold.js
  *   node generate-cursor-ab-scaffold.js --force   # overwrite existing samples file
  *   node generate-cursor-ab-scaffold.js --input ./custom-prompts.json
+ *   node generate-cursor-ab-scaffold.js --samples 3   # 3 response slots per side
  */
 
 const fs = require('fs');
@@ -22,7 +23,7 @@ const OUT_JSON = path.join(__dirname, 'results', 'cursor-ab-samples.json');
 const OUT_PROMPTS = path.join(__dirname, 'results', 'cursor-ab-prompts.txt');
 
 function parseArgs(argv) {
-  const args = { input: DEFAULT_PROMPTS, force: false };
+  const args = { input: DEFAULT_PROMPTS, force: false, samples: 1 };
   for (let i = 2; i < argv.length; i++) {
     const k = argv[i];
     const v = argv[i + 1];
@@ -31,6 +32,11 @@ function parseArgs(argv) {
       i++;
       continue;
     }
+    if (k === '--samples' && v) {
+      args.samples = Number(v);
+      i++;
+      continue;
+    }
     if (k === '--force') {
       args.force = true;
     }
@@ -46,8 +52,22 @@ function loadPrompts(file) {
   return raw.prompts;
 }
 
+/**
+ * Empty side of a run: a single response slot, or `samples` slots to fill
+ * with repeated answers to the same prompt.
+ * @param {number} samples - Responses to collect per side.
+ * @returns {object} `{ response: '' }` or `{ samples: [{ response: '' }, ...] }`.
+ */
+function emptySide(samples) {
+  if (samples <= 1) return { response: '' };
+  return { samples: Array.from({ length: samples }, () => ({ response: '' })) };
+}
+
 function main() {
   const args = parseArgs(process.argv);
+  if (!Number.isInteger(args.samples) || args.samples < 1) {
+    throw new Error(`--samples must be a positive integer, got ${args.samples}`);
+  }
   const prompts = loadPrompts(args.input);
   if (prompts.length === 0) {
     throw new Error('No prompts found.');
@@ -59,22 +79,29 @@ function main() {
   }
 
   const scaffold = {
-    description:
-      'Cursor MDC A/B scaffold. Paste real Cursor responses into each without.response and with.response field.',
+    description: args.samples > 1
+      ? `Cursor MDC A/B scaffold. Paste ${args.samples} real Cursor responses into each without.samples and with.samples list.`
+      : 'Cursor MDC A/B scaffold. Paste real Cursor responses into each without.response and with.response field.',
     generatedAt: new Date().toISOString(),
     instructions: [
       '1) In your test project, disable the MDC rule (run: bash cursor/toggle-rule.sh /path/to/test-project)',
       '2) For each prompt in cursor-ab-prompts.txt, open a NEW Cursor chat and send the prompt.',
       '3) Paste the full reply into the matching without.response field.',
       '4) Re-enable the rule (run the toggle script again) and repeat, pasting into with.response.',
+      ...(args.samples > 1
+        ? [`4b) Send each prompt ${args.samples} times (a new chat each time) and fill one samples[] entry per reply.`]
+        : []),
       '5) Optional: fill inputTokens/outputTokens/totalTokens per run from the Cursor UI.',
       '6) Run: npm run benchmark:cursor:ab',
     ],
     runs: prompts.map((p) => ({
       id: p.id,
       prompt: p.prompt,
-      without: { response: '' },
-      with: { response: '' },
+      category: p.category,
+      complexity: p.complexity,
+      language: p.language || 'javascript',
+      without: emptySide(args.samples),
+      with: emptySide(args.samples),
     })),
   };
 
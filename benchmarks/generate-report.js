@@ -3,13 +3,27 @@
 
 /**
  * Generate a consolidated Markdown report from the latest offline benchmark JSON files.
+ * Each benchmark that records category and complexity breakdowns
+ * (group-summary.js) gets them rendered under its section; a real Cursor A/B
+ * result (cursor-ab-latest.json) is included when one exists.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { rubricMismatch } = require('./rubrics');
+const { groupTables } = require('./group-summary');
 
 const RESULTS_DIR = path.join(__dirname, 'results');
 const OUT_FILE = path.join(RESULTS_DIR, 'latest-suite-report.md');
+const CURSOR_AB_FILE = 'cursor-ab-latest.json';
+
+// Rubric each result in the report is scored with (see rubrics.js).
+const EXPECTED_RUBRICS = {
+  cursor: { file: 'cursor-benchmark-latest.json', rubric: 'rule-payload' },
+  cursorLean: { file: 'cursor-lean-benchmark-latest.json', rubric: 'rule-payload' },
+  tokens: { file: 'token-benchmark-latest.json', rubric: 'prompt-structure' },
+  structure: { file: 'latest.json', rubric: 'prompt-structure' },
+};
 
 /**
  * Reads a JSON result file from benchmarks/results.
@@ -29,6 +43,44 @@ function gate(passed) {
   return passed ? 'PASS' : 'FAIL';
 }
 
+/**
+ * Lists results whose stored rubric stamp differs from the current rubric,
+ * so their scores are not silently compared with fresh ones.
+ * @param {Record<string, Record<string, unknown>>} reports - Result payloads keyed like EXPECTED_RUBRICS.
+ * @returns {string[]} One warning per mismatched result file.
+ */
+function rubricWarnings(reports) {
+  const warnings = [];
+  for (const [key, { file, rubric }] of Object.entries(EXPECTED_RUBRICS)) {
+    const mismatch = reports[key] && rubricMismatch(reports[key].rubric, rubric);
+    if (mismatch) warnings.push(`\`${file}\` ${mismatch}`);
+  }
+  return warnings;
+}
+
+/**
+ * Formats a delta with its sign.
+ * @param {number} n - Value to format.
+ * @returns {string} "+n" for non-negative values, "n" otherwise.
+ */
+function signed(n) {
+  return `${n >= 0 ? '+' : ''}${n}`;
+}
+
+/**
+ * Renders a result's category and complexity breakdown, keeping only the
+ * columns the result recorded.
+ * @param {Record<string, unknown>|undefined} groups - `summary.groups` of a result, if any.
+ * @param {Array<[string, string, ((value: number) => string)?]>} columns - Metric, label and formatter.
+ * @param {string} crossMetric - Metric for the category × complexity table.
+ * @returns {string[]} Markdown lines; empty when the result has no breakdown.
+ */
+function breakdown(groups, columns, crossMetric) {
+  if (!groups) return [];
+  const recorded = columns.filter(([m]) => groups.metrics.includes(m));
+  return ['### By category and complexity', '', ...groupTables(groups, { columns: recorded, crossMetric })];
+}
+
 /**
  * Builds the consolidated Markdown report.
  * @param {object} reports - Latest benchmark result payloads.
@@ -36,9 +88,10 @@ function gate(passed) {
  * @param {Record<string, unknown>} reports.cursorLean - Cursor lean benchmark result.
  * @param {Record<string, unknown>} reports.tokens - Token benchmark result.
  * @param {Record<string, unknown>} reports.structure - Direct structure benchmark result.
+ * @param {Record<string, unknown>} [reports.cursorAb] - Cursor A/B result from real responses.
  * @returns {string} Markdown report contents.
  */
-function buildReport({ cursor, cursorLean, tokens, structure }) {
+function buildReport({ cursor, cursorLean, tokens, structure, cursorAb }) {
   const cursorVariants = cursor.variants || {};
   const baseline = cursorVariants['No rule (baseline)'] || {};
   const plain = cursorVariants['Plain .cursorrules'] || {};
@@ -46,6 +99,8 @@ function buildReport({ cursor, cursorLean, tokens, structure }) {
   const mdcFull = cursorVariants['10x .mdc (full incl. front)'] || {};
   const latestTimestamp = cursor.timestamp || cursorLean.timestamp || tokens.timestamp || structure.timestamp || new Date().toISOString();
   const reportDate = String(latestTimestamp).slice(0, 10);
+  const warnings = rubricWarnings({ cursor, cursorLean, tokens, structure });
+  const stamp = (r) => (r.rubric ? `${r.rubric.id}@${r.rubric.version}` : 'unversioned');
 
   return [
     '# 10x Architect Benchmark Suite Report',
@@ -56,6 +111,9 @@ function buildReport({ cursor, cursorLean, tokens, structure }) {
     '  - `node run-cursor-lean-benchmark.js`',
     '  - `node run-token-benchmark.js`',
     '  - `node run-benchmark-direct.js`',
+    ...(cursorAb ? ['  - `node run-cursor-ab.js`'] : []),
+    `- Rubrics: ${stamp(cursor)} (Cursor), ${stamp(tokens)} (token), ${stamp(structure)} (structure)`,
+    ...(warnings.length ? ['', '> ⚠️ Rubric mismatch — these scores are not comparable with the rest of the report:', ...warnings.map((w) => `> - ${w}`)] : []),
     '',
     '## 1) Cursor Rule Benchmark',
     '',
@@ -86,6 +144,12 @@ function buildReport({ cursor, cursorLean, tokens, structure }) {
     `| Combined first-turn tax | ${tokens.summary.combinedFirstTurnTaxClassic} | ${tokens.summary.combinedFirstTurnTaxLean} | -${tokens.summary.combinedFirstTurnSavingsPct}% |`,
     `| Quality-signal retention | 100.0% | ${tokens.summary.averageQualityRetentionPct}% | +${(tokens.summary.averageQualityRetentionPct - 100).toFixed(1)}% |`,
     '',
+    ...breakdown(tokens.summary.groups, [
+      ['classicTokens', 'Classic tokens'],
+      ['leanTokens', 'Lean tokens'],
+      ['savingsPct', 'Savings %'],
+      ['retentionPct', 'Retention %'],
+    ], 'savingsPct'),
     '## 3) Direct Structure Benchmark',
     '',
     '| Comparison | Score |',
@@ -94,6 +158,27 @@ function buildReport({ cursor, cursorLean, tokens, structure }) {
     `| Average WITH plugin | ${structure.summary.avgEnhanced}% |`,
     `| Average Improvement | +${structure.summary.improvement}% |`,
     '',
+    ...breakdown(structure.summary.groups, [
+      ['original', 'Without %'],
+      ['enhanced', 'With %'],
+      ['improvement', 'Improvement %', signed],
+      ['constraintSpecificity', 'Constraint specificity %'],
+      ['goalRelevance', 'Goal relevance %'],
+    ], 'improvement'),
+    ...(cursorAb ? [
+      '## 4) Cursor A/B (real responses)',
+      '',
+      '| Quality without | Quality with | Delta | Gates |',
+      '|---:|---:|---:|---|',
+      `| ${cursorAb.summary.averages.qualityScoreWithoutPct}% | ${cursorAb.summary.averages.qualityScoreWithPct}% | ${signed(cursorAb.summary.averages.qualityScoreDeltaPct)}% | ${gate(cursorAb.gates.overallPass)} |`,
+      '',
+      ...breakdown(cursorAb.summary.groups, [
+        ['qualityWithout', 'Quality without %'],
+        ['qualityWith', 'Quality with %'],
+        ['qualityDelta', 'Quality Δ%', signed],
+        ['totalTokensDelta', 'Tokens Δ', signed],
+      ], 'qualityDelta'),
+    ] : []),
     '## Gates',
     '',
     `- \`run-cursor-benchmark.js\`: ${gate(cursor.gatesPass)}`,
@@ -106,6 +191,7 @@ function buildReport({ cursor, cursorLean, tokens, structure }) {
     '  - Targets met: savings >= 50%, retention >= 95%, hook savings >= 60%',
     `- \`run-benchmark-direct.js\`: ${gate(structure.gatesPass)}`,
     '  - Script completed with summary output and saved `benchmarks/results/latest.json`',
+    ...(cursorAb ? [`- \`run-cursor-ab.js\`: ${gate(cursorAb.gates.overallPass)}`] : []),
     '',
   ].join('\n');
 }
@@ -115,12 +201,10 @@ function buildReport({ cursor, cursorLean, tokens, structure }) {
  * @returns {void}
  */
 function main() {
-  const report = buildReport({
-    cursor: readResult('cursor-benchmark-latest.json'),
-    cursorLean: readResult('cursor-lean-benchmark-latest.json'),
-    tokens: readResult('token-benchmark-latest.json'),
-    structure: readResult('latest.json'),
-  });
+  const reports = Object.fromEntries(Object.entries(EXPECTED_RUBRICS).map(([key, { file }]) => [key, readResult(file)]));
+  if (fs.existsSync(path.join(RESULTS_DIR, CURSOR_AB_FILE))) reports.cursorAb = readResult(CURSOR_AB_FILE);
+  for (const warning of rubricWarnings(reports)) console.warn(`⚠️  ${warning.replace(/`/g, '')}`);
+  const report = buildReport(reports);
 
   fs.writeFileSync(OUT_FILE, report, 'utf8');
   console.log(`Report written: ${OUT_FILE}`);
@@ -128,4 +212,4 @@ function main() {
 
 if (require.main === module) main();
 
-module.exports = { buildReport, readResult };
+module.exports = { buildReport, readResult, rubricWarnings };
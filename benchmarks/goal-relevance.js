@@ -0,0 +1,127 @@
+/**
+ * Goal relevance and invented-entity check for enhanced prompts.
+ *
+ * The prompt-structure rubric credits `has_goal` for any "GOAL" heading, so an
+ * enhanced prompt for "fix the memory leak in the dashboard component" whose
+ * goal is about something else still scores. This module compares the goal
+ * and North Star with the original prompt:
+ *
+ *   coverage   share of the prompt's content words a section repeats, after
+ *              stemming and the small SYNONYMS table ("auth" ~ "login",
+ *              "docs" ~ "documentation")
+ *   relevance  goal coverage weighted twice, North Star once, as 0-100
+ *   invented   names in the goal the prompt never mentions: identifiers,
+ *              file names, code spans, capitalized names and acronyms
+ *              (generic ones like API or UI excepted)
+ *
+ * A goal that covers less than OFF_TOPIC_BELOW of the prompt is off topic.
+ */
+
+'use strict';
+
+const { contentWords, stem } = require('./content-words');
+const { parseEnhancedPrompt } = require('./enhanced-prompt');
+
+const OFF_TOPIC_BELOW = 0.5;
+
+// Each group is one topic; any member covers any other.
+const SYNONYMS = [
+  ['auth', 'authentication', 'authenticate', 'login', 'logout', 'signin', 'session', 'credential'],
+  ['websocket', 'socket', 'realtime', 'instant', 'push'],
+  ['doc', 'docs', 'documentation', 'document', 'readme', 'jsdoc', 'docstring', 'comment'],
+  ['test', 'tests', 'testing', 'spec', 'coverage', 'tdd'],
+  ['bug', 'issue', 'defect', 'broken', 'regression', 'working', 'functionality'],
+  ['leak', 'memory', 'heap', 'retention'],
+  ['search', 'find', 'lookup', 'query', 'filter'],
+  ['util', 'utils', 'utility', 'utilities', 'helper', 'helpers'],
+  ['api', 'endpoint', 'rest', 'http', 'route'],
+  ['notification', 'alert', 'message', 'notify'],
+  ['microservice', 'microservices', 'service', 'services'],
+  ['monolith', 'monolithic'],
+  ['async', 'await', 'promise', 'asynchronous'],
+  ['header', 'navbar', 'nav', 'navigation', 'toolbar'],
+  ['user', 'users', 'account', 'customer'],
+  ['component', 'widget', 'module'],
+  ['dashboard', 'panel'],
+];
+
+// Acronyms and names generic enough that a goal may use them without the prompt.
+const GENERIC_NAMES = new Set([
+  'API', 'APIs', 'UI', 'UX', 'URL', 'URLs', 'HTTP', 'HTTPS', 'JSON', 'MVP', 'CRUD', 'CI', 'CD', 'README', 'JSDoc',
+  'TDD', 'SOLID', 'OOP', 'We', 'North', 'Star',
+]);
+
+const ENTITY = /`[^`\n]+`|\b[\w.-]+\.(?:js|jsx|ts|tsx|mjs|cjs|json|py|go|rs|java|md|ya?ml|toml|css|html|sql|sh)\b|\b[a-z]+[A-Z]\w*\b|\b[A-Z][A-Za-z0-9]*(?:[A-Z][a-z0-9]*)*\b/g;
+
+/**
+ * @typedef {object} SectionRelevance
+ * @property {string} text - The section as written.
+ * @property {number} coverage - Share (0-1) of the prompt's content words the section repeats.
+ * @property {string[]} matched - Prompt words it covers.
+ */
+
+/**
+ * @typedef {object} GoalRelevance
+ * @property {number|null} relevance - (2 x goal coverage + North Star coverage) / 3 as 0-100; null when the
+ *   prompt has no content words.
+ * @property {SectionRelevance} goal - Goal coverage.
+ * @property {SectionRelevance} northStar - North Star coverage.
+ * @property {string[]} missing - Prompt words neither section covers.
+ * @property {string[]} invented - Names in the goal the prompt never mentions.
+ * @property {boolean} offTopic - The goal covers less than OFF_TOPIC_BELOW of the prompt.
+ */
+
+const TOPIC = new Map();
+SYNONYMS.forEach((group, i) => {
+  for (const word of group) TOPIC.set(stem(word), `#${i}`);
+});
+
+function topicOf(word) {
+  const s = stem(word);
+  return TOPIC.get(s) || s;
+}
+
+function coverage(section, promptWords) {
+  const topics = new Set(contentWords(section).map(topicOf));
+  const matched = promptWords.filter((w) => topics.has(topicOf(w)));
+  return { text: section, coverage: promptWords.length ? matched.length / promptWords.length : 0, matched };
+}
+
+function inventedNames(goal, prompt) {
+  const known = new Set(contentWords(prompt).map(topicOf));
+  const sentenceStart = /(?:^|[.!?:]\s+)$/;
+  const out = [];
+  for (const m of String(goal || '').matchAll(ENTITY)) {
+    const name = m[0];
+    if (GENERIC_NAMES.has(name) || sentenceStart.test(goal.slice(0, m.index))) continue;
+    const whole = contentWords(name.replace(/`/g, ''));
+    const parts = contentWords(name.replace(/`/g, '').replace(/([a-z])([A-Z])/g, '$1 $2'));
+    if ([whole, parts].some((ws) => ws.length && ws.every((w) => known.has(topicOf(w))))) continue;
+    if (!out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+/**
+ * Compare an enhanced prompt's goal and North Star with the prompt it enhances.
+ * @param {string|import('./enhanced-prompt').EnhancedPrompt} enhanced - Enhanced prompt in any supported
+ *   format, or already parsed.
+ * @param {string} prompt - Original user prompt.
+ * @returns {GoalRelevance} Coverage per section, invented names and the off-topic flag.
+ */
+function scoreGoalRelevance(enhanced, prompt) {
+  const ep = typeof enhanced === 'string' ? parseEnhancedPrompt(enhanced) : enhanced;
+  const promptWords = [...new Set(contentWords(prompt))];
+  const goal = coverage(ep.goal || '', promptWords);
+  const northStar = coverage(ep.northStar || '', promptWords);
+  return {
+    relevance: promptWords.length ? ((2 * goal.coverage + northStar.coverage) / 3) * 100 : null,
+    goal,
+    northStar,
+    missing: promptWords.filter((w) => !goal.matched.includes(w) && !northStar.matched.includes(w)),
+    invented: inventedNames(ep.goal || '', prompt),
+    offTopic: promptWords.length > 0 && goal.coverage < OFF_TOPIC_BELOW,
+  };
+}
+
+module.exports = { OFF_TOPIC_BELOW, SYNONYMS, scoreGoalRelevance };
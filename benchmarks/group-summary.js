@@ -0,0 +1,118 @@
+/**
+ * Category and complexity breakdowns for benchmark results.
+ *
+ * Every prompt in test-prompts.json has a `category` (feature, bugfix,
+ * refactor, documentation, testing) and a `complexity` (simple, medium,
+ * complex). An overall average can hide that a change helps one kind of
+ * prompt and not another, so each benchmark also averages its per-prompt
+ * numbers by category, by complexity and by the category x complexity
+ * cross-tab. groupTables() renders the same breakdown as Markdown for the
+ * reports.
+ */
+
+'use strict';
+
+const CATEGORIES = ['feature', 'bugfix', 'refactor', 'documentation', 'testing'];
+const COMPLEXITIES = ['simple', 'medium', 'complex'];
+const UNKNOWN = 'unknown';
+
+/**
+ * Every metric passed to summarizeGroups() adds its mean (1 decimal place), or
+ * null when no prompt in the group has a value for it.
+ * @typedef {object} GroupStats
+ * @property {number} n - Prompts in the group.
+ * @property {string[]} ids - Their ids.
+ */
+
+/**
+ * @typedef {object} GroupSummary
+ * @property {string[]} metrics - Metric names, in the order given.
+ * @property {Record<string, GroupStats>} byCategory - One entry per category.
+ * @property {Record<string, GroupStats>} byComplexity - One entry per complexity.
+ * @property {Record<string, Record<string, GroupStats>>} byCategoryComplexity - Category, then complexity.
+ */
+
+function ordered(keys, known) {
+  const rank = (k) => (known.includes(k) ? known.indexOf(k) : known.length);
+  return [...new Set(keys)].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function stats(rows, metrics) {
+  const out = { n: rows.length, ids: rows.map((r) => r.id) };
+  for (const [name, pick] of Object.entries(metrics)) {
+    const values = rows.map(pick).filter((v) => typeof v === 'number' && Number.isFinite(v));
+    out[name] = values.length ? +(values.reduce((a, b) => a + b, 0) / values.length).toFixed(1) : null;
+  }
+  return out;
+}
+
+function groupBy(rows, key, known, metrics) {
+  const out = {};
+  for (const value of ordered(rows.map((r) => r[key] || UNKNOWN), known)) {
+    out[value] = stats(rows.filter((r) => (r[key] || UNKNOWN) === value), metrics);
+  }
+  return out;
+}
+
+/**
+ * Average per-prompt metrics by category, by complexity and by both.
+ * @param {Array<{id: string, category?: string, complexity?: string}>} rows - One row per prompt.
+ * @param {Record<string, (row: object) => number|null>} metrics - Metric name to the value it reads from a row.
+ * @returns {GroupSummary} Groups in the order of CATEGORIES and COMPLEXITIES, others after them.
+ */
+function summarizeGroups(rows, metrics) {
+  const byCategoryComplexity = {};
+  for (const category of ordered(rows.map((r) => r.category || UNKNOWN), CATEGORIES)) {
+    const inCategory = rows.filter((r) => (r.category || UNKNOWN) === category);
+    byCategoryComplexity[category] = groupBy(inCategory, 'complexity', COMPLEXITIES, metrics);
+  }
+  return {
+    metrics: Object.keys(metrics),
+    byCategory: groupBy(rows, 'category', CATEGORIES, metrics),
+    byComplexity: groupBy(rows, 'complexity', COMPLEXITIES, metrics),
+    byCategoryComplexity,
+  };
+}
+
+function cell(value, format = String) {
+  return value === null || value === undefined ? 'n/a' : format(value);
+}
+
+/**
+ * Render a GroupSummary as three Markdown tables: by category, by complexity,
+ * and the cross-tab of one metric.
+ * @param {GroupSummary} groups - Output of summarizeGroups().
+ * @param {object} options - What to show.
+ * @param {Array<[string, string, ((value: number) => string)?]>} options.columns - Metric name, column
+ *   label and an optional formatter (default String), in column order.
+ * @param {string} options.crossMetric - Metric shown in the cross-tab cells; one of the columns.
+ * @returns {string[]} Markdown lines, ending with a blank line.
+ */
+function groupTables(groups, { columns, crossMetric }) {
+  const lines = [];
+  for (const [title, table, label] of [
+    ['By category', groups.byCategory, 'Category'],
+    ['By complexity', groups.byComplexity, 'Complexity'],
+  ]) {
+    lines.push(`**${title}**`, '');
+    lines.push(`| ${label} | Prompts | ${columns.map(([, l]) => l).join(' | ')} |`);
+    lines.push(`|---|---:|${columns.map(() => '---:').join('|')}|`);
+    for (const [name, g] of Object.entries(table)) {
+      lines.push(`| ${name} | ${g.n} | ${columns.map(([m, , format]) => cell(g[m], format)).join(' | ')} |`);
+    }
+    lines.push('');
+  }
+  const complexities = Object.keys(groups.byComplexity);
+  const [, crossLabel, crossFormat] = columns.find(([m]) => m === crossMetric) || [crossMetric, crossMetric];
+  lines.push(`**Category × complexity: ${crossLabel} (prompts)**`, '');
+  lines.push(`| Category | ${complexities.join(' | ')} |`);
+  lines.push(`|---|${complexities.map(() => '---:').join('|')}|`);
+  for (const [category, row] of Object.entries(groups.byCategoryComplexity)) {
+    const cells = complexities.map((c) => (row[c] ? `${cell(row[c][crossMetric], crossFormat)} (${row[c].n})` : '–'));
+    lines.push(`| ${category} | ${cells.join(' | ')} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+module.exports = { CATEGORIES, COMPLEXITIES, groupTables, summarizeGroups };
@@ -0,0 +1,259 @@
+/**
+ * JSDoc completeness audit for the JS/TS code in a model response.
+ *
+ * The response-quality rubric's docs metric passes as soon as one
+ * `/** ... @param ... *\/` appears anywhere, while the Lean payload promises
+ * "JSDoc @param/@returns on functions". This module pairs every named
+ * function, arrow-function constant and class method in the response's
+ * implementation fences with the doc block directly above it and flags
+ * (local helpers declared inside a function body are not audited):
+ *
+ *   undocumented     no /** *\/ block right above the declaration
+ *   missing_param    a real parameter has no @param
+ *   unknown_param    a top-level @param names no parameter of the signature
+ *   missing_returns  the body returns a value but there is no @returns
+ *                    (constructors, getters and setters are exempt)
+ *   missing_throws   the body throws but there is no @throws
+ *
+ * Destructured parameters are matched by position, since JSDoc names them
+ * freely ("options", "props"). Returns and throws inside nested functions
+ * belong to those functions, not the one being audited.
+ *
+ * A function is complete when it is documented with no problems; coverage
+ * is the share of complete functions.
+ */
+
+'use strict';
+
+const { extractCodeBlocks, stripTypes } = require('./code-runner');
+const { tokenize, withDepth } = require('./test-structure');
+
+const METHOD_MODIFIERS = new Set(['static', 'async', 'get', 'set', '*', 'public', 'private', 'protected', 'readonly', 'override']);
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return']);
+
+/**
+ * @typedef {object} FunctionAudit
+ * @property {string} name - Function or Class.method name.
+ * @property {'function'|'method'|'constructor'|'accessor'} kind - Declaration kind.
+ * @property {string[]} params - Parameter names in signature order; null entries are destructured.
+ * @property {boolean} documented - A doc block sits directly above it.
+ * @property {{kind: string, detail?: string}[]} problems - What the doc block is missing or gets wrong.
+ */
+
+/**
+ * @typedef {object} JsdocAudit
+ * @property {FunctionAudit[]} functions - Audited functions in response order.
+ * @property {number} documented - Functions with a doc block.
+ * @property {number} complete - Documented functions with no problems.
+ * @property {number|null} coverage - complete / functions as a 0-100 percentage, null with no functions.
+ * @property {Record<string, number>} problemCounts - Problems by kind.
+ */
+
+function matching(tokens, open) {
+  for (let n = open + 1; n < tokens.length; n++) {
+    if (tokens[n].depth === tokens[open].depth && /^[)\]}]$/.test(tokens[n].value)) return n;
+  }
+  return tokens.length - 1;
+}
+
+function paramNames(tokens, open, close) {
+  const names = [];
+  let expectName = true;
+  for (let n = open + 1; n < close; n++) {
+    const t = tokens[n];
+    if (t.depth !== tokens[open].depth + 1) continue;
+    if (t.value === ',') {
+      expectName = true;
+      continue;
+    }
+    if (!expectName || t.value === '...') continue;
+    if (t.value === '{' || t.value === '[') names.push(null);
+    else if (t.type === 'name') names.push(t.value);
+    expectName = false;
+  }
+  return names;
+}
+
+// Own-level `return <value>` and `throw` in a body, skipping nested functions.
+function bodyFacts(tokens, open, close) {
+  let returnsValue = false;
+  let throws = false;
+  for (let n = open + 1; n < close; n++) {
+    const t = tokens[n];
+    if (t.value === 'function' || (t.value === '=>' && tokens[n + 1] && tokens[n + 1].value === '{')) {
+      let brace = n + 1;
+      while (brace < close && tokens[brace].value !== '{') brace++;
+      n = matching(tokens, brace);
+      continue;
+    }
+    if (t.value === 'return' && tokens[n + 1] && !/^[;}]$/.test(tokens[n + 1].value)) returnsValue = true;
+    if (t.value === 'throw') throws = true;
+  }
+  return { returnsValue, throws };
+}
+
+function docBlockBefore(src, at) {
+  const before = src.slice(0, at);
+  const end = before.lastIndexOf('*/');
+  if (end === -1 || before.slice(end + 2).trim() !== '') return null;
+  const start = before.lastIndexOf('/**', end);
+  return start === -1 ? null : before.slice(start, end + 2);
+}
+
+function parseDoc(doc) {
+  const tags = { params: [], returns: false, throws: false };
+  for (const m of doc.matchAll(/@(\w+)[ \t]*(?:\{[^}]*\}[ \t]*)?(\[[^\]]*\]|[\w$.]+)?/g)) {
+    const tag = m[1];
+    if (tag === 'param' || tag === 'arg' || tag === 'argument') {
+      const raw = (m[2] || '').replace(/^\[|\]$/g, '').split('=')[0];
+      if (raw && !raw.includes('.')) tags.params.push(raw);
+    } else if (tag === 'returns' || tag === 'return') tags.returns = true;
+    else if (tag === 'throws' || tag === 'exception') tags.throws = true;
+  }
+  return tags;
+}
+
+function audit(src, fn) {
+  const doc = docBlockBefore(src, fn.at);
+  const problems = [];
+  if (!doc) {
+    problems.push({ kind: 'undocumented' });
+    return { name: fn.name, kind: fn.kind, params: fn.params, documented: false, problems };
+  }
+  const tags = parseDoc(doc);
+  fn.params.forEach((p, i) => {
+    const ok = p === null ? tags.params.length > i : tags.params.includes(p);
+    if (!ok) problems.push({ kind: 'missing_param', detail: p === null ? `parameter ${i + 1} (destructured)` : p });
+  });
+  for (const name of tags.params) {
+    if (!fn.params.includes(name) && !fn.params.includes(null)) problems.push({ kind: 'unknown_param', detail: name });
+  }
+  if (fn.returnsValue && !tags.returns && fn.kind !== 'constructor' && fn.kind !== 'accessor') problems.push({ kind: 'missing_returns' });
+  if (fn.throws && !tags.throws) problems.push({ kind: 'missing_throws' });
+  return { name: fn.name, kind: fn.kind, params: fn.params, documented: true, problems };
+}
+
+// Start offset of a declaration, including export/async/modifier keywords before it.
+function startOf(tokens, k, stop) {
+  let s = k;
+  while (s - 1 > stop && (tokens[s - 1].value === 'export' || tokens[s - 1].value === 'default' || METHOD_MODIFIERS.has(tokens[s - 1].value))) s--;
+  return tokens[s].at;
+}
+
+function findFunctions(tokens) {
+  const found = [];
+  const classes = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.value === 'class' && tokens[k + 1] && tokens[k + 1].type === 'name') {
+      let open = k + 2;
+      while (open < tokens.length && tokens[open].value !== '{') open++;
+      if (open < tokens.length) classes.push({ name: tokens[k + 1].value, open, close: matching(tokens, open) });
+    }
+  }
+  const classAt = (k) => classes.find((c) => k > c.open && k < c.close && tokens[k].depth === tokens[c.open].depth + 1);
+
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    const next = tokens[k + 1];
+    let name = null;
+    let kind = 'function';
+    let paren = -1;
+
+    if (t.depth === 0 && t.value === 'function' && next && next.type === 'name' && tokens[k + 2] && tokens[k + 2].value === '(') {
+      name = next.value;
+      paren = k + 2;
+    } else if (t.depth === 0 && /^(?:const|let|var)$/.test(t.value) && next && next.type === 'name' && tokens[k + 2] && tokens[k + 2].value === '=') {
+      let v = k + 3;
+      if (tokens[v] && tokens[v].value === 'async') v++;
+      if (tokens[v] && tokens[v].value === 'function') v++;
+      if (tokens[v] && tokens[v].type === 'name' && tokens[v + 1] && tokens[v + 1].value === '(' && tokens[v - 1].value === 'function') v++;
+      if (tokens[v] && tokens[v].value === '(') {
+        const close = matching(tokens, v);
+        if ((tokens[close + 1] && tokens[close + 1].value === '=>') || tokens[v - 1].value === 'function') {
+          name = next.value;
+          paren = v;
+        }
+      } else if (tokens[v] && tokens[v].type === 'name' && tokens[v + 1] && tokens[v + 1].value === '=>') {
+        found.push({ name: next.value, kind, params: [tokens[v].value], at: startOf(tokens, k, -1), ...arrowFacts(tokens, v + 1) });
+        continue;
+      }
+    } else if (t.type === 'name' && next && next.value === '(' && !NOT_METHODS.has(t.value)) {
+      const cls = classAt(k);
+      const close = cls ? matching(tokens, k + 1) : -1;
+      if (cls && tokens[close + 1] && tokens[close + 1].value === '{') {
+        const prev = tokens[k - 1];
+        name = t.value === 'constructor' ? `${cls.name}.constructor` : `${cls.name}.${t.value}`;
+        kind = t.value === 'constructor' ? 'constructor' : prev && (prev.value === 'get' || prev.value === 'set') ? 'accessor' : 'method';
+        paren = k + 1;
+      }
+    }
+    if (!name) continue;
+
+    const close = matching(tokens, paren);
+    const params = paramNames(tokens, paren, close);
+    const cls = classAt(k);
+    const at = startOf(tokens, k, cls ? cls.open : -1);
+    if (tokens[close + 1] && tokens[close + 1].value === '=>') {
+      found.push({ name, kind, params, at, ...arrowFacts(tokens, close + 1) });
+    } else {
+      let open = close + 1;
+      while (open < tokens.length && tokens[open].value !== '{') open++;
+      found.push({ name, kind, params, at, ...bodyFacts(tokens, open, matching(tokens, open)) });
+    }
+  }
+  return found;
+}
+
+function arrowFacts(tokens, arrow) {
+  const first = tokens[arrow + 1];
+  if (first && first.value === '{') return bodyFacts(tokens, arrow + 1, matching(tokens, arrow + 1));
+  // Expression body: it is the return value and cannot hold a throw statement.
+  return { returnsValue: true, throws: false };
+}
+
+/**
+ * Audit the JSDoc of every function and method in a response's implementation code.
+ * @param {string} text - Model response.
+ * @returns {JsdocAudit} Per-function findings and totals.
+ */
+function auditJsdoc(text) {
+  const functions = [];
+  for (const block of extractCodeBlocks(text)) {
+    if (block.role !== 'implementation') continue;
+    const src = block.lang === 'ts' ? stripTypes(block.code) : block.code;
+    const tokens = withDepth(tokenize(src));
+    for (const fn of findFunctions(tokens)) functions.push(audit(src, fn));
+  }
+  const documented = functions.filter((f) => f.documented).length;
+  const complete = functions.filter((f) => f.documented && f.problems.length === 0).length;
+  const problemCounts = {};
+  for (const f of functions) for (const p of f.problems) problemCounts[p.kind] = (problemCounts[p.kind] || 0) + 1;
+  return {
+    functions,
+    documented,
+    complete,
+    coverage: functions.length ? (complete / functions.length) * 100 : null,
+    problemCounts,
+  };
+}
+
+/**
+ * Pool several audits (one benchmark run) into run-level totals.
+ * @param {JsdocAudit[]} audits - One audit per response.
+ * @returns {{responses: number, functions: number, documented: number, complete: number,
+ *   coverage: number|null, problemCounts: Record<string, number>}} Totals; coverage is complete / functions (0-100).
+ */
+function summarizeJsdoc(audits) {
+  const out = { responses: audits.length, functions: 0, documented: 0, complete: 0, coverage: null, problemCounts: {} };
+  for (const a of audits) {
+    out.functions += a.functions.length;
+    out.documented += a.documented;
+    out.complete += a.complete;
+    for (const [kind, n] of Object.entries(a.problemCounts)) out.problemCounts[kind] = (out.problemCounts[kind] || 0) + n;
+  }
+  if (out.functions) out.coverage = (out.complete / out.functions) * 100;
+  return out;
+}
+
+module.exports = { auditJsdoc, summarizeJsdoc };
@@ -1,48 +1,33 @@
 /**
- * Deterministic transformer: classic enhanced prompt -> Lean Mode output.
+ * Deterministic transformer: classic enhanced prompt <-> Lean Mode output.
  *
  * Reads the verbose classic prompt (as produced in results/enhanced-prompts.json)
  * and emits the equivalent Lean Mode payload described in skills/architect/SKILL.md
- * section 4b.
+ * section 4b. `expandToClassic` goes the other way, rebuilding the classic
+ * heading layout from a stored Lean payload for reviewers who have never seen
+ * the compact tags.
  *
- * Used only by benchmarks/run-token-benchmark.js to compare token counts and
- * structure-score retention on identical semantic input.
+ * With `{ maxTokens }`, the payload is measured with the same gpt-tokenizer
+ * encoder the token benchmark uses and shortened one field at a time until it
+ * fits, never dropping the SKILL.md 4b scoring keywords.
+ *
+ * Used by benchmarks/run-token-benchmark.js to compare token counts and
+ * structure-score retention on identical semantic input, and by
+ * benchmarks/run-roundtrip-benchmark.js to prove classic -> lean -> classic
+ * keeps every scored signal.
  */
 
 'use strict';
 
-function splitSections(classic) {
-  const headings = [
-    'GOAL',
-    'NORTH STAR',
-    'CONSTRAINTS',
-    'EXECUTION PHASES',
-    'TDD REQUIREMENTS',
-    'DOCUMENTATION REQUIREMENTS',
-    'SOLID PRINCIPLES',
-    'QUALITY GUARDRAILS',
-  ];
-  const re = new RegExp(
-    '^(' + headings.map(escapeRegex).join('|') + ')\\s*$',
-    'gm',
-  );
-  const marks = [];
-  let m;
-  while ((m = re.exec(classic)) !== null) {
-    marks.push({ heading: m[1], headStart: m.index, bodyStart: m.index + m[0].length });
-  }
-  const out = {};
-  for (const h of headings) out[h] = '';
-  for (let i = 0; i < marks.length; i++) {
-    const bodyEnd = i + 1 < marks.length ? marks[i + 1].headStart : classic.length;
-    out[marks[i].heading] = classic.slice(marks[i].bodyStart, bodyEnd).trim();
-  }
-  return out;
-}
-
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+const { encode } = require('gpt-tokenizer');
+const {
+  createEnhancedPrompt,
+  parseClassic,
+  parseLean,
+  splitSections,
+  toClassic,
+  toLean,
+} = require('./enhanced-prompt');
 
 function firstSentence(text, maxLen = 110) {
   if (!text) return '';
@@ -53,28 +38,6 @@ function firstSentence(text, maxLen = 110) {
   return s;
 }
 
-function extractDoNots(text, max = 3) {
-  if (!text) return [];
-  const lines = text.split('\n').map((l) => l.replace(/^[-\s]+/, '').trim());
-  const hits = lines.filter((l) => /^Do NOT\b/i.test(l));
-  return hits.slice(0, max);
-}
-
-function extractPhases(text, maxPhases = 5, maxTitleLen = 14) {
-  if (!text) return '';
-  const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
-  const steps = [];
-  for (const l of lines) {
-    const m = l.match(/^(\d+)\.\s+(.*)$/);
-    if (!m) continue;
-    const n = m[1];
-    const title = m[2].replace(/\s*\([^)]*\)\s*/g, ' ').trim();
-    steps.push(`${n}.${shortenPhrase(title, maxTitleLen)}`);
-    if (steps.length >= maxPhases) break;
-  }
-  return steps.join(' ');
-}
-
 function shortenPhrase(s, maxLen) {
   let words = s.replace(/\s+/g, ' ').trim().split(' ');
   let out = '';
@@ -92,32 +55,254 @@ function shortenClause(s, maxLen) {
   return cleaned.slice(0, maxLen).replace(/[,;\s]+\S*$/, '') + '…';
 }
 
+const DEFAULT_CONSTRAINTS = ['Do NOT exceed scope', 'Do NOT break tests', 'Do NOT add untracked deps'];
+const DEFAULT_PHASES = [{ n: 1, title: 'test' }, { n: 2, title: 'impl' }, { n: 3, title: 'docs' }];
+
+// Scoring hooks SKILL.md 4b says must appear verbatim in every Lean payload.
+const MANDATORY_KEYWORDS = [
+  'North Star',
+  'Do NOT',
+  'TDD',
+  'RED-GREEN-REFACTOR',
+  'JSDoc',
+  'README',
+  'SOLID',
+  'Single Responsibility',
+  'edge case',
+  'step-by-step',
+];
+
+// Fixed lines for the tags that carry no task-specific content.
+const FIXED_LINES = {
+  standard: {
+    tdd: ['TDD RED-GREEN-REFACTOR', 'cover edge cases + errors'],
+    docs: ['JSDoc @param/@returns', 'README if user-facing'],
+    solid: ['SOLID: Single Responsibility·OCP·LSP·ISP·DIP'],
+    responseStyle: 'terse; preserve code/commands/paths verbatim; no filler',
+    guardrails: ['step-by-step', 'critique edge cases'],
+  },
+  minimal: {
+    tdd: ['TDD RED-GREEN-REFACTOR', 'edge cases'],
+    docs: ['JSDoc', 'README'],
+    solid: ['SOLID: Single Responsibility·OCP·LSP·ISP·DIP'],
+    responseStyle: 'terse; code/paths verbatim',
+    guardrails: ['step-by-step'],
+  },
+};
+
+// Today's hard-coded limits; used when no token budget is given.
+const DEFAULT_LIMITS = {
+  goal: 90,
+  constraint: 70,
+  constraintCount: 3,
+  phaseTitle: 14,
+  phaseCount: 5,
+  fixed: 'standard',
+};
+
+// Starting point for budgeted templating: keep nearly everything.
+const BUDGET_START_LIMITS = {
+  goal: 220,
+  constraint: 160,
+  constraintCount: 3,
+  phaseTitle: 60,
+  phaseCount: 6,
+  fixed: 'standard',
+};
+
+// Applied in order until the payload fits. Each step only ever shrinks one
+// field, so the report names exactly what was given up.
+const BUDGET_STEPS = [
+  { field: 'phases', limits: { phaseTitle: 40 } },
+  { field: 'constraints', limits: { constraint: 100 } },
+  { field: 'goal+northStar', limits: { goal: 140 } },
+  { field: 'phases', limits: { phaseTitle: 28 } },
+  { field: 'constraints', limits: { constraint: 70 } },
+  { field: 'goal+northStar', limits: { goal: 90 } },
+  { field: 'phases', limits: { phaseCount: 5 } },
+  { field: 'phases', limits: { phaseTitle: 20 } },
+  { field: 'constraints', limits: { constraintCount: 2 } },
+  { field: 'goal+northStar', limits: { goal: 60 } },
+  { field: 'constraints', limits: { constraint: 45 } },
+  { field: 'phases', limits: { phaseTitle: 14 } },
+  { field: 'phases', limits: { phaseCount: 4 } },
+  { field: 'fixed', limits: { fixed: 'minimal' } },
+  { field: 'phases', limits: { phaseCount: 3 } },
+  { field: 'goal+northStar', limits: { goal: 40 } },
+];
+
+/**
+ * Fixed tdd/docs/solid/think lines, adjusted for a detected tech stack: the
+ * stack's test runner joins <tdd> and its doc convention replaces JSDoc.
+ * @param {string} kind - Key into FIXED_LINES.
+ * @param {import('./stack-detector').StackSummary|null} [stack] - Detected stack.
+ * @returns {object} Partial EnhancedPrompt fields.
+ */
+function fixedLines(kind, stack) {
+  const lines = FIXED_LINES[kind];
+  if (!stack) return lines;
+  const [tddHead, ...tddRest] = lines.tdd;
+  return {
+    ...lines,
+    tdd: [tddHead, stack.testRunner, ...tddRest].filter(Boolean),
+    docs: [kind === 'minimal' ? stack.docKeyword : stack.docStyle, ...lines.docs.slice(1)],
+  };
+}
+
+/**
+ * Shorten a structured classic prompt into Lean-sized fields. The fixed
+ * tdd/docs/solid/think lines carry the SKILL.md 4b scoring keywords.
+ * @param {import('./enhanced-prompt').EnhancedPrompt} ep - Parsed classic prompt.
+ * @param {typeof DEFAULT_LIMITS} [limits] - Per-field length and count limits.
+ * @param {import('./stack-detector').StackSummary|null} [stack] - Detected stack (stack-detector.js).
+ * @returns {import('./enhanced-prompt').EnhancedPrompt} Lean-sized prompt.
+ */
+function compactForLean(ep, limits = DEFAULT_LIMITS, stack = null) {
+  const doNots = ep.constraints.filter((c) => /^Do NOT\b/i.test(c)).slice(0, limits.constraintCount);
+  const phases = ep.phases.slice(0, limits.phaseCount).map((p) => ({
+    n: p.n,
+    title: shortenPhrase(p.title.replace(/\s*\([^)]*\)\s*/g, ' ').trim(), limits.phaseTitle),
+  }));
+  return createEnhancedPrompt({
+    goal: firstSentence(ep.goal.replace(/^We will\s*/i, ''), limits.goal) || 'task',
+    northStar: firstSentence(ep.northStar, limits.goal) || 'business value',
+    constraints: doNots.length > 0
+      ? doNots.map((d) => shortenClause(d.replace(/\.$/, ''), limits.constraint))
+      : DEFAULT_CONSTRAINTS.slice(0, limits.constraintCount),
+    phases: phases.length > 0 ? phases : DEFAULT_PHASES,
+    ...fixedLines(limits.fixed, stack),
+  });
+}
+
+/**
+ * List the SKILL.md 4b scoring keywords a Lean payload is missing. With a
+ * detected stack, its doc keyword (e.g. "docstrings") stands in for JSDoc.
+ * @param {string} lean - Lean XML payload.
+ * @param {import('./stack-detector').StackSummary|null} [stack] - Detected stack.
+ * @returns {string[]} Missing keywords (empty when all are present).
+ */
+function missingKeywords(lean, stack = null) {
+  return MANDATORY_KEYWORDS
+    .map((k) => (stack && k === 'JSDoc' ? stack.docKeyword : k))
+    .filter((k) => !lean.includes(k));
+}
+
+/**
+ * Template a classic prompt into Lean Mode under a token budget.
+ *
+ * Starts from generous limits and applies BUDGET_STEPS one at a time until
+ * the payload measures at or below `maxTokens`. A step that would drop a
+ * mandatory keyword is skipped. If every step is exhausted the smallest
+ * payload is returned with `fits: false`.
+ * @param {string} classic - Full verbose enhanced prompt.
+ * @param {object} options - Budget options.
+ * @param {number} options.maxTokens - Token budget (gpt-tokenizer, cl100k_base).
+ * @param {import('./stack-detector').StackSummary|null} [options.stack] - Detected stack.
+ * @returns {{lean: string, tokens: number, maxTokens: number, fits: boolean, shortened: {field: string, limits: object, tokens: number}[]}}
+ *   Payload plus the fields that were shortened, in order, with the token count after each step.
+ */
+function fitLeanToBudget(classic, { maxTokens, stack = null }) {
+  if (!Number.isFinite(maxTokens) || maxTokens <= 0) {
+    throw new Error(`maxTokens must be a positive number, got ${maxTokens}`);
+  }
+  const ep = parseClassic(classic);
+  let limits = { ...BUDGET_START_LIMITS };
+  let lean = toLean(compactForLean(ep, limits, stack));
+  let tokens = encode(lean).length;
+  const shortened = [];
+
+  for (const step of BUDGET_STEPS) {
+    if (tokens <= maxTokens) break;
+    const nextLimits = { ...limits, ...step.limits };
+    const next = toLean(compactForLean(ep, nextLimits, stack));
+    if (next === lean || missingKeywords(next, stack).length > 0) continue;
+    limits = nextLimits;
+    lean = next;
+    tokens = encode(lean).length;
+    shortened.push({ field: step.field, limits: step.limits, tokens });
+  }
+
+  return { lean, tokens, maxTokens, fits: tokens <= maxTokens, shortened };
+}
+
 /**
  * Transform one classic enhanced prompt into the equivalent Lean Mode payload.
  * @param {string} classic - Full verbose enhanced prompt (from classic Architect).
+ * @param {object} [options] - Templating options.
+ * @param {number} [options.maxTokens] - Token budget; see `fitLeanToBudget` for the shortening report.
+ * @param {import('./stack-detector').StackSummary|null} [options.stack] - Stack summary from
+ *   stack-detector.js; names the test runner in <tdd> and the doc convention in <docs>.
  * @returns {string} Lean XML payload retaining every scored quality signal.
  */
-function transformToLean(classic) {
-  const s = splitSections(classic);
-  const goal = firstSentence(s.GOAL.replace(/^We will\s*/i, ''), 90) || 'task';
-  const north = firstSentence(s['NORTH STAR'], 90) || 'business value';
-  const doNots = extractDoNots(s.CONSTRAINTS, 3);
-  const constraintsLine =
-    doNots.length > 0
-      ? doNots.map((d) => shortenClause(d.replace(/\.$/, ''), 70)).join('; ')
-      : 'Do NOT exceed scope; Do NOT break tests; Do NOT add untracked deps';
-  const phasesLine = extractPhases(s['EXECUTION PHASES']) || '1.test 2.impl 3.docs';
-
-  return [
-    `<goal>${goal}; North Star: ${north}</goal>`,
-    `<constraints>${constraintsLine}</constraints>`,
-    `<phases>${phasesLine}</phases>`,
-    `<tdd>TDD RED-GREEN-REFACTOR; cover edge cases + errors</tdd>`,
-    `<docs>JSDoc @param/@returns; README if user-facing</docs>`,
-    `<solid>SOLID: SRP·OCP·LSP·ISP·DIP</solid>`,
-    `<response-style>terse; preserve code/commands/paths verbatim; no filler</response-style>`,
-    `<think>step-by-step; critique edge cases</think>`,
-  ].join('\n');
+function transformToLean(classic, options = {}) {
+  if (options.maxTokens !== undefined) return fitLeanToBudget(classic, options).lean;
+  return toLean(compactForLean(parseClassic(classic), DEFAULT_LIMITS, options.stack || null));
+}
+
+const SOLID_NAMES = {
+  SRP: 'Single Responsibility',
+  OCP: 'Open/Closed',
+  LSP: 'Liskov Substitution',
+  ISP: 'Interface Segregation',
+  DIP: 'Dependency Inversion',
+};
+
+/**
+ * Undo the Lean telegraphic style so the classic layout reads as prose:
+ * "We will" goal, spelled-out RED/GREEN/REFACTOR and SOLID names.
+ * @param {import('./enhanced-prompt').EnhancedPrompt} ep - Parsed Lean prompt.
+ * @returns {import('./enhanced-prompt').EnhancedPrompt} Classic-style prompt.
+ */
+function expandLeanFields(ep) {
+  const g = ep.goal;
+  // Only lower-case the first letter of an ordinary word, not an acronym.
+  const lead = /^[A-Z][a-z]/.test(g) ? g.charAt(0).toLowerCase() + g.slice(1) : g;
+  const tdd = /RED.GREEN.REFACTOR/i.test(ep.tdd.join(';'))
+    ? [
+        'Write failing test first (RED)',
+        'Implement minimum code to pass (GREEN)',
+        'Refactor while keeping tests green (REFACTOR)',
+      ].concat(ep.tdd)
+    : ep.tdd;
+  // The Lean SOLID line spells SRP out, since "Single Responsibility" is a scoring keyword.
+  const named = ep.solid.join(' ').match(/\b(?:SRP|OCP|LSP|ISP|DIP|Single Responsibility)\b/g) || [];
+  const abbrevs = [...new Set(named.map((a) => (a === 'Single Responsibility' ? 'SRP' : a)))];
+  const solid = abbrevs.length
+    ? ['Apply SOLID principles'].concat(abbrevs.map((a) => `${SOLID_NAMES[a]} (${a})`))
+    : ep.solid;
+  const guardrails = ep.guardrails.map((i) =>
+    /^step.by.step$/i.test(i) ? 'Think step-by-step through each phase.' : i,
+  );
+  return createEnhancedPrompt({
+    ...ep,
+    goal: g && !/^We will\b/i.test(g) ? `We will ${lead}` : g,
+    tdd,
+    solid,
+    guardrails,
+    responseStyle: undefined,
+  });
+}
+
+/**
+ * Expand a Lean Mode payload back into the classic heading layout.
+ *
+ * Inverse of `transformToLean`: every section it rebuilds is one that
+ * `splitSections` recognises, so the result can be fed through the templater
+ * again. Sections whose Lean tag is missing are omitted rather than invented.
+ * @param {string} lean - Lean XML payload (SKILL.md section 4b).
+ * @returns {string} Classic enhanced prompt with GOAL / NORTH STAR / ... headings.
+ */
+function expandToClassic(lean) {
+  return toClassic(expandLeanFields(parseLean(lean)));
 }
 
-module.exports = { transformToLean, splitSections };
+module.exports = {
+  DEFAULT_CONSTRAINTS,
+  MANDATORY_KEYWORDS,
+  transformToLean,
+  fitLeanToBudget,
+  missingKeywords,
+  expandToClassic,
+  compactForLean,
+  splitSections,
+};
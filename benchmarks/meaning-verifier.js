@@ -0,0 +1,76 @@
+/**
+ * Meaning-preservation verifier for response-compressor.js.
+ *
+ * Compares an original and a compressed piece of text and flags the
+ * rewrites a terseness rule must never make:
+ *   - negation:   a not / never / no / n't ... disappeared
+ *   - number:     a number disappeared or appeared
+ *   - identifier: a code-like name (camelCase, snake_case, a.b, fn(),
+ *                 ACRONYM) disappeared
+ *   - modal:      must / should / may / can ... disappeared or appeared
+ *                 (e.g. "you'll need to" -> "must" changes obligation)
+ *
+ * compressResponse(text, { safe: true }) runs this on every single rule
+ * match and keeps the original wording when it reports a problem, then runs
+ * it on each paragraph of the result and restores any paragraph that fails.
+ */
+
+'use strict';
+
+const CHECKS = [
+  {
+    kind: 'negation',
+    re: /\b(?:not|never|no|none|nothing|nobody|neither|nor|without|cannot)\b|n't\b/gi,
+    added: false,
+  },
+  { kind: 'number', re: /\d+(?:[.,]\d+)*/g, added: true },
+  {
+    kind: 'identifier',
+    re: /\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+\b|\b[a-z]+[A-Z][\w$]*\b|\b[A-Z][a-z0-9]+[A-Z][\w$]*\b|\b\w*_\w+\b|\b[A-Z]{2,}\d*\b|\b\w+\(\)/g,
+    added: false,
+  },
+  {
+    kind: 'modal',
+    // "can see" / "can notice" is perception, not permission or ability to act.
+    re: /\b(?:must|should|shall|may|might|can(?! (?:see|notice)\b)|could|would|ought to|needs? to|ha(?:ve|s) to)\b/gi,
+    added: true,
+  },
+];
+
+function counts(text, re) {
+  const map = new Map();
+  for (const m of text.match(re) || []) {
+    const key = m.toLowerCase();
+    map.set(key, (map.get(key) || 0) + 1);
+  }
+  return map;
+}
+
+function missingFrom(a, b) {
+  const out = [];
+  for (const [key, n] of a) {
+    for (let i = (b.get(key) || 0); i < n; i++) out.push(key);
+  }
+  return out;
+}
+
+/**
+ * Compare original and compressed text for meaning-changing rewrites.
+ * @param {string} original - Text before compression.
+ * @param {string} compressed - Text after compression.
+ * @returns {{ok: boolean, problems: {kind: string, lost: string[], added: string[]}[]}} Problems found;
+ *   `ok` is true when there are none.
+ */
+function verifyMeaning(original, compressed) {
+  const problems = [];
+  for (const check of CHECKS) {
+    const before = counts(original, check.re);
+    const after = counts(compressed, check.re);
+    const lost = missingFrom(before, after);
+    const added = check.added ? missingFrom(after, before) : [];
+    if (lost.length || added.length) problems.push({ kind: check.kind, lost, added });
+  }
+  return { ok: problems.length === 0, problems };
+}
+
+module.exports = { verifyMeaning };
@@ -0,0 +1,295 @@
+/**
+ * Model providers for the live benchmarks.
+ *
+ * run-benchmark.js and run-output-benchmark.js talk to a model only through
+ * a provider:
+ *
+ *   provider.complete({ system, messages, maxTokens })
+ *     -> Promise<{ text, usage: { inputTokens, outputTokens }, latencyMs }>
+ *   provider.describe()
+ *     -> { provider, model, baseUrl }   (recorded in every result file)
+ *
+ * Three are available, selected with --provider:
+ *
+ *   anthropic  Anthropic Messages API through @anthropic-ai/sdk
+ *              (ANTHROPIC_API_KEY; --base-url for a proxy)
+ *   openai     any OpenAI-compatible /chat/completions endpoint, such as a
+ *              local llama.cpp or Ollama server (OPENAI_API_KEY if the
+ *              server needs one; --base-url, default OPENAI_BASE_URL or
+ *              https://api.openai.com/v1)
+ *   fake       scripted responses for offline runs: --script names a JSON
+ *              array of replies (strings, or { text, usage }) used in
+ *              order; without a script it answers every request with a
+ *              fixed line that quotes the prompt
+ *
+ * --cassette record|replay|offline wraps the provider in a record/replay
+ * cassette (cassettes.js); offline runs need no API key.
+ *
+ * Usage:
+ *   node run-benchmark.js --provider openai --base-url http://localhost:11434/v1 --model llama3.1
+ *   node run-output-benchmark.js --provider fake --script replies.json
+ *   node run-benchmark.js --cassette offline
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encode } = require('gpt-tokenizer');
+const { DEFAULT_DIR: CASSETTE_DIR, withCassette } = require('./cassettes');
+
+const PROVIDERS = ['anthropic', 'openai', 'fake'];
+const DEFAULT_PROVIDER = 'anthropic';
+const DEFAULT_MODELS = { anthropic: 'claude-sonnet-4-20250514', fake: 'fake-scripted' };
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MAX_TOKENS = 2000;
+
+/**
+ * @typedef {object} CompletionRequest
+ * @property {string} [system] - System prompt.
+ * @property {Array<{role: 'user'|'assistant', content: string}>} messages - Conversation so far.
+ * @property {number} [maxTokens] - Output token limit (default 2000).
+ */
+
+/**
+ * @typedef {object} Completion
+ * @property {string} text - Reply text.
+ * @property {{inputTokens: number|null, outputTokens: number|null}} usage - Token counts the provider reported.
+ * @property {number} latencyMs - Wall-clock time of the call.
+ */
+
+/**
+ * @typedef {object} ProviderInfo
+ * @property {string} provider - One of PROVIDERS.
+ * @property {string} model - Model the requests name.
+ * @property {string|null} baseUrl - Endpoint, or null for the provider default.
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {(request: CompletionRequest) => Promise<Completion>} complete - Sends one request.
+ * @property {() => ProviderInfo} describe - What to record in result files.
+ */
+
+async function timed(call) {
+  const start = performance.now();
+  const result = await call();
+  return { ...result, latencyMs: Math.round(performance.now() - start) };
+}
+
+/**
+ * Provider, model and base URL the options select, with every default
+ * applied, without creating a client.
+ * @param {object} [options] - Output of parseProviderArgs(), or the same fields.
+ * @returns {ProviderInfo} What the provider will use; model is null for openai with no model set.
+ */
+function describeProvider(options = {}) {
+  const provider = options.provider || DEFAULT_PROVIDER;
+  if (provider === 'openai') {
+    return {
+      provider,
+      model: options.model || process.env.OPENAI_MODEL || null,
+      baseUrl: (options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ''),
+    };
+  }
+  return { provider, model: options.model || DEFAULT_MODELS[provider] || null, baseUrl: options.baseUrl || null };
+}
+
+/**
+ * Body of an OpenAI-compatible /chat/completions request.
+ * @param {string} model - Model name.
+ * @param {CompletionRequest} request - Provider-neutral request.
+ * @returns {object} JSON body, with the system prompt as the first message.
+ */
+function chatCompletionsBody(model, { system, messages, maxTokens }) {
+  return {
+    model,
+    max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+    messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+  };
+}
+
+/**
+ * Text and usage of an OpenAI-compatible /chat/completions response.
+ * @param {object} body - Parsed JSON response.
+ * @returns {{text: string, usage: {inputTokens: number|null, outputTokens: number|null}}} Reply.
+ * @throws {Error} When the response has no choices.
+ */
+function readChatCompletion(body) {
+  const choice = body && Array.isArray(body.choices) ? body.choices[0] : null;
+  if (!choice) throw new Error('OpenAI-compatible response has no choices');
+  return {
+    text: String((choice.message && choice.message.content) || ''),
+    usage: {
+      inputTokens: body.usage ? body.usage.prompt_tokens ?? null : null,
+      outputTokens: body.usage ? body.usage.completion_tokens ?? null : null,
+    },
+  };
+}
+
+/**
+ * Text and usage of an Anthropic Messages API response.
+ * @param {object} message - Response of messages.create().
+ * @returns {{text: string, usage: {inputTokens: number|null, outputTokens: number|null}}} Reply.
+ */
+function readAnthropicMessage(message) {
+  return {
+    text: (message.content || []).filter((b) => b.type === 'text').map((b) => b.text).join(''),
+    usage: {
+      inputTokens: message.usage ? message.usage.input_tokens : null,
+      outputTokens: message.usage ? message.usage.output_tokens : null,
+    },
+  };
+}
+
+/**
+ * Anthropic Messages API provider.
+ * @param {object} [options] - Settings.
+ * @param {string} [options.model] - Model name.
+ * @param {string} [options.baseUrl] - API base URL, e.g. a proxy.
+ * @param {string} [options.apiKey] - API key (default ANTHROPIC_API_KEY).
+ * @returns {Provider} Provider.
+ * @throws {Error} When no API key is set.
+ */
+function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) throw new Error('ANTHROPIC_API_KEY environment variable is required for --provider anthropic');
+  const Anthropic = require('@anthropic-ai/sdk').default;
+  const client = new Anthropic({ apiKey, ...(options.baseUrl ? { baseURL: options.baseUrl } : {}) });
+  const info = describeProvider({ ...options, provider: 'anthropic' });
+  const { model } = info;
+  return {
+    complete: ({ system, messages, maxTokens }) => timed(async () => readAnthropicMessage(await client.messages.create({
+      model,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      ...(system ? { system } : {}),
+      messages,
+    }))),
+    describe: () => info,
+  };
+}
+
+/**
+ * Provider for any OpenAI-compatible /chat/completions endpoint.
+ * @param {object} [options] - Settings.
+ * @param {string} [options.model] - Model name (default OPENAI_MODEL).
+ * @param {string} [options.baseUrl] - Base URL up to /v1 (default OPENAI_BASE_URL or api.openai.com).
+ * @param {string} [options.apiKey] - Bearer token (default OPENAI_API_KEY); local servers need none.
+ * @returns {Provider} Provider.
+ * @throws {Error} When no model is given.
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  const info = describeProvider({ ...options, provider: 'openai' });
+  const { model, baseUrl } = info;
+  if (!model) throw new Error('--model (or OPENAI_MODEL) is required for --provider openai');
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  return {
+    complete: (request) => timed(async () => {
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify(chatCompletionsBody(model, request)),
+      });
+      if (!res.ok) {
+        const detail = (await res.text()).slice(0, 200);
+        throw new Error(`${baseUrl}/chat/completions returned HTTP ${res.status}: ${detail}`);
+      }
+      return readChatCompletion(await res.json());
+    }),
+    describe: () => info,
+  };
+}
+
+/**
+ * Scripted provider for offline runs and tests. Replies are used in order.
+ * @param {object} [options] - Settings.
+ * @param {Array<string|{text: string, usage?: object}>} [options.responses] - Scripted replies.
+ * @param {string} [options.script] - JSON file with the replies, used when `responses` is not given.
+ * @param {string} [options.model] - Name to record (default "fake-scripted").
+ * @returns {Provider} Provider; `complete` rejects once a script runs out.
+ */
+function createFakeProvider(options = {}) {
+  const responses = options.responses || (options.script ? JSON.parse(fs.readFileSync(options.script, 'utf8')) : null);
+  if (responses !== null && !Array.isArray(responses)) throw new Error('Fake provider script must be a JSON array of replies');
+  let next = 0;
+  return {
+    complete: ({ system, messages }) => timed(async () => {
+      const prompt = [system || '', ...messages.map((m) => m.content)].join('\n');
+      let reply;
+      if (responses === null) {
+        reply = { text: `Fake response to: ${messages[messages.length - 1].content}` };
+      } else {
+        if (next >= responses.length) throw new Error(`Fake provider script exhausted after ${responses.length} replies`);
+        const scripted = responses[next++];
+        reply = typeof scripted === 'string' ? { text: scripted } : scripted;
+      }
+      return {
+        text: reply.text,
+        usage: reply.usage || { inputTokens: encode(prompt).length, outputTokens: encode(reply.text).length },
+      };
+    }),
+    describe: () => describeProvider({ ...options, provider: 'fake' }),
+  };
+}
+
+/**
+ * Create the provider named by `options.provider`, wrapped in a cassette when
+ * `options.cassette` names a mode.
+ * @param {object} [options] - Output of parseProviderArgs(), or the same fields.
+ * @param {string} [options.provider] - One of PROVIDERS (default anthropic).
+ * @param {string} [options.cassette] - Cassette mode: record, replay or offline.
+ * @param {string} [options.cassetteDir] - Cassette directory (default results/cassettes).
+ * @param {string} [options.cassetteName] - Cassette file name without .json, one per runner.
+ * @returns {Provider} Provider.
+ * @throws {Error} For an unknown provider or cassette mode, or missing settings.
+ */
+function createProvider(options = {}) {
+  if (options.cassette) {
+    const file = path.join(options.cassetteDir || CASSETTE_DIR, `${options.cassetteName || 'benchmark'}.json`);
+    return withCassette(() => createLiveProvider(options), describeProvider(options), { mode: options.cassette, file });
+  }
+  return createLiveProvider(options);
+}
+
+function createLiveProvider(options) {
+  const name = options.provider || DEFAULT_PROVIDER;
+  if (name === 'anthropic') return createAnthropicProvider(options);
+  if (name === 'openai') return createOpenAICompatibleProvider(options);
+  if (name === 'fake') return createFakeProvider(options);
+  throw new Error(`Unknown provider "${name}"; expected one of ${PROVIDERS.join(', ')}`);
+}
+
+/**
+ * Read --provider, --model, --base-url, --script, --cassette and
+ * --cassette-dir from the command line.
+ * @param {string[]} argv - process.argv.
+ * @returns {{provider: string, model?: string, baseUrl?: string, script?: string, cassette?: string,
+ *   cassetteDir?: string}} Provider options.
+ */
+function parseProviderArgs(argv) {
+  const args = { provider: DEFAULT_PROVIDER };
+  for (let i = 2; i < argv.length; i++) {
+    const k = argv[i];
+    const v = argv[i + 1];
+    if (k === '--provider' && v) { args.provider = v; i++; continue; }
+    if (k === '--model' && v) { args.model = v; i++; continue; }
+    if (k === '--base-url' && v) { args.baseUrl = v; i++; continue; }
+    if (k === '--script' && v) { args.script = path.resolve(v); i++; continue; }
+    if (k === '--cassette' && v) { args.cassette = v; i++; continue; }
+    if (k === '--cassette-dir' && v) { args.cassetteDir = path.resolve(v); i++; continue; }
+  }
+  return args;
+}
+
+module.exports = {
+  PROVIDERS,
+  chatCompletionsBody,
+  createAnthropicProvider,
+  createFakeProvider,
+  createOpenAICompatibleProvider,
+  createProvider,
+  describeProvider,
+  parseProviderArgs,
+  readAnthropicMessage,
+  readChatCompletion,
+};
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Streaming-Compressor Replay Check
+ *
+ * Offline. No API key required.
+ *
+ * Replays every stored response in results/sample-outputs.json through
+ * createCompressorStream() in random-sized chunks, at every compressor
+ * level with and without safe mode, and checks that the streamed output is
+ * byte-identical to compressResponse() on the whole response. Half the replays feed UTF-8
+ * Buffers cut at arbitrary byte offsets, so multi-byte characters (the
+ * emoji and box-drawing characters in the samples) get split across
+ * chunks too. The same is then done for filler-dense random markdown from
+ * fuzz-response-compressor.js, where filler strips join lines and pipe
+ * lines turn into tables only once the next line arrives, and for
+ * SAFE_CASES, whose rule pack breaks a negation outside its own match so
+ * that only safe mode's paragraph check can restore it. Also reports
+ * how much output left the stream before the input ended, to show it
+ * streams rather than buffering everything.
+ *
+ * Deterministic: FUZZ_SEED (default 10) seeds the generated responses and
+ * the chunk sizes.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, compressResponse, createCompressorStream } = require('./response-compressor');
+const { generate, mulberry32 } = require('./fuzz-response-compressor');
+
+const SAMPLES = path.join(__dirname, 'results', 'sample-outputs.json');
+const SEED = Number(process.env.FUZZ_SEED || 10);
+const REPLAYS = 4;
+const GENERATED = 150;
+const MAX_CHUNK = 80;
+// Fixed chunk sizes for SAFE_CASES; small ones cut inside every sentence.
+const SAFE_CHUNK_SIZES = [1, 3, 7, 80];
+// The match "n'" holds no negation, so only the paragraph check sees "can't" become "cat".
+const APOSTROPHES = { name: 'apostrophes', rules: [{ pattern: "n'(?=t\\b)", replace: '' }] };
+const SAFE_CASES = [
+  "In order to ship, run it twice.\nIt is done.\nIt is tested.\nIt is basically fine.\nIt can't fail.\n\nIn order to ship, run it once.\n",
+  "In order to ship, run it twice.\nYou might want to add retries.\n\n```js\nconst ok = true;\n```\n\nIt can't fail.\nIt is basically done.",
+];
+
+function chunk(input, rand) {
+  const chunks = [];
+  for (let at = 0; at < input.length; ) {
+    const size = 1 + Math.floor(rand() * MAX_CHUNK);
+    chunks.push(input.subarray ? input.subarray(at, at + size) : input.slice(at, at + size));
+    at += size;
+  }
+  return chunks;
+}
+
+function fixedChunks(text, size) {
+  const chunks = [];
+  for (let at = 0; at < text.length; at += size) chunks.push(text.slice(at, at + size));
+  return chunks;
+}
+
+function replay(chunks, options) {
+  return new Promise((resolve, reject) => {
+    const stream = createCompressorStream(options);
+    let out = '';
+    let early = '';
+    let ended = false;
+    stream.on('data', (d) => {
+      out += d;
+      if (!ended) early += d;
+    });
+    stream.on('end', () => resolve({ out, early }));
+    stream.on('error', reject);
+    for (const c of chunks) stream.write(c);
+    ended = true;
+    stream.end();
+  });
+}
+
+async function main() {
+  const tasks = JSON.parse(fs.readFileSync(SAMPLES, 'utf8')).tasks;
+  const stored = tasks.flatMap((t) => [t.without, t.with]).filter(Boolean);
+  const rand = mulberry32(SEED);
+  const texts = [...stored, ...Array.from({ length: GENERATED }, () => generate(rand).text)];
+  const failures = [];
+  let runs = 0;
+  let outBytes = 0;
+  let earlyBytes = 0;
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('        STREAMING COMPRESSOR REPLAY (sample-outputs.json)      ');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  for (const level of LEVELS) {
+    for (const safe of [false, true]) {
+      for (const [i, text] of texts.entries()) {
+        const expected = compressResponse(text, { level, safe });
+        for (let r = 0; r < (i < stored.length ? REPLAYS : 1); r++) {
+          const asBytes = (i + r) % 2 === 1;
+          const chunks = chunk(asBytes ? Buffer.from(text, 'utf8') : text, rand);
+          const { out, early } = await replay(chunks, { level, safe });
+          runs++;
+          outBytes += out.length;
+          earlyBytes += early.length;
+          if (out !== expected) failures.push({ level, safe, response: i, chunks: chunks.length, asBytes });
+        }
+      }
+    }
+  }
+
+  for (const [i, text] of SAFE_CASES.entries()) {
+    for (const level of LEVELS) {
+      const options = { level, safe: true, packs: [APOSTROPHES] };
+      const expected = compressResponse(text, options);
+      for (const size of SAFE_CHUNK_SIZES) {
+        const chunks = fixedChunks(text, size);
+        const { out } = await replay(chunks, options);
+        runs++;
+        if (out !== expected) failures.push({ level, safe: true, response: -1 - i, chunks: chunks.length, asBytes: false });
+      }
+    }
+  }
+
+  console.log(`  Seed:                      ${SEED}`);
+  console.log(`  Stored responses:          ${stored.length} × ${LEVELS.length} levels × 2 modes × ${REPLAYS} chunkings`);
+  console.log(`  Generated responses:       ${GENERATED} × ${LEVELS.length} levels × 2 modes (safe and not)`);
+  console.log(`  Safe-mode pack cases:      ${SAFE_CASES.length} × ${LEVELS.length} levels × chunk sizes ${SAFE_CHUNK_SIZES.join(', ')}`);
+  console.log(`  Chunk size:                1–${MAX_CHUNK} (strings and byte-split Buffers)`);
+  console.log(`  Emitted before input end:  ${((earlyBytes / outBytes) * 100).toFixed(1)}% of output`);
+
+  if (failures.length) {
+    for (const f of failures.slice(0, 5)) {
+      let label = f.response < stored.length ? `stored #${f.response + 1}` : `generated #${f.response - stored.length + 1}`;
+      if (f.response < 0) label = `safe case #${-f.response}`;
+      console.error(`  ${f.level}${f.safe ? ' safe' : ''} ${label}: ${f.chunks} ${f.asBytes ? 'Buffer' : 'string'} chunks diverged from compressResponse`);
+    }
+    console.error(`\n❌ ${failures.length}/${runs} streamed replays differ from compressResponse (FUZZ_SEED=${SEED})`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${runs} streamed replays match compressResponse byte for byte`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -9,15 +9,43 @@
  * Community tools like juliusbrussee/caveman report 65% savings on
  * prose-heavy responses; we don't approach that with pure regex.
  *
+ * Three intensity levels share one pipeline:
+ *   - lite:  strip greetings ("Sure!", "Absolutely,") only.
+ *   - full:  lite + filler phrases + verbose-connector rewrites (default).
+ *   - ultra: full + drop articles, turn hedges into bullet fragments and
+ *            shorten "you can" constructions.
+ * Teams can add domain filler as JSON rule packs (see loadRulePack and
+ * rule-packs/); packs run after the built-in rules. `{ safe: true }` checks
+ * every rewrite with meaning-verifier.js and undoes the ones it rejects,
+ * then checks the text paragraph by paragraph and keeps any paragraph whose
+ * meaning still changed as it was.
+ *
+ * createCompressorStream() applies the same rules to streamed output
+ * (e.g. a local proxy in front of the Messages API) and produces exactly
+ * what compressResponse would on the joined text.
+ *
  * Hard contract: code fences (```...```), inline code (`x`), URLs,
- * file paths, and shell commands are preserved verbatim. Only prose
- * outside those regions is touched.
+ * file paths, shell commands, tables, headings, list/quote markers,
+ * numbers with units and code identifiers are preserved verbatim
+ * (see segmentText). Only prose outside those regions is touched.
  */
 
 'use strict';
 
-const FILLER_STRIPS = [
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { encode } = require('gpt-tokenizer');
+const { verifyMeaning } = require('./meaning-verifier');
+
+const LEVELS = ['lite', 'full', 'ultra'];
+
+const GREETING_STRIPS = [
   /^\s*(Sure|Absolutely|Great|Perfect|Of course|Certainly|Excellent)[!,.]?\s+/gmi,
+];
+
+const FILLER_STRIPS = [
   /\bI(?:'ll| will) (?:now |then |go ahead and )?(?:help (?:you )?|implement |create |write |build |follow |walk you through )/gi,
   /\bLet me (?:now |first |go ahead and )?(?:help (?:you )?|implement |create |write |build |explain |walk you through |start by )/gi,
   /\bHere(?:'s| is) (?:the |a )?(?:complete |full |detailed )?(?:implementation|solution|function|example|version|approach)[:.]?\s*/gi,
@@ -54,49 +82,498 @@ const REPLACEMENTS = [
   [/\bsubsequent to\b/gi, 'after'],
 ];
 
+// Ultra only. These trade grammar for tokens, so they stay out of `full`.
+const HEDGE =
+  "(?:You (?:might|may|could) (?:want to |wish to )?(?:consider |also )?|It (?:might|may|could) be (?:a good idea|worth|helpful|useful|better) to |Perhaps (?:you should |we should )?|Maybe (?:you should )?|I(?:'d| would) (?:suggest|recommend) (?:that you )?|One option (?:is|would be) to )";
+const ULTRA_REWRITES = [
+  // "You might want to add retries." -> "- Add retries" on its own line.
+  [
+    new RegExp(`(^|[.!?][ \\t]+)${HEDGE}([^.!?\\n]+)[.!?]?[ \\t]*`, 'gm'),
+    (_, lead, body) => `${lead.trim() ? `${lead.trim()}\n` : lead}- ${capitalize(body.trim())}\n`,
+  ],
+  [/\bYou can (?:also |simply |just )?([a-z])/g, (_, c) => c.toUpperCase()],
+  [/\b(then|and|so|now|or),? you can (?:also |simply |just )?(?=[a-z])/gi, '$1 '],
+  [/\b(Y|y)ou(?:'ll| will) need to\b/g, (_, y) => (y === 'Y' ? 'Must' : 'must')],
+  // A capital article only opens a sentence at the start of a line, a list
+  // item or a masked marker, or after . ! ? or : ("Plan A is" keeps its A).
+  [
+    /(?<=(?:^|[.!?:])[ \t]*|^[ \t]*(?:[-*+][ \t]+|[\ue000-\uf8ff]\d+[\ue000-\uf8ff]))\b(?:The|An|A)[ \t]+([a-z])/gm,
+    (_, c) => c.toUpperCase(),
+  ],
+  [/\b(?:the|an|a)[ \t]+(?=\S)/g, ''],
+];
+
+// Whitespace tidy-up, applied after every other rule at every level.
+const LAYOUT = [
+  [/[ \t]+$/gm, ''], // trailing spaces on lines
+  [/\n{3,}/g, '\n\n'], // triple+ newlines
+  [/([^\s])  +/g, '$1 '], // runs of 2+ spaces mid-line
+];
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+const packCache = new Map();
+
 /**
- * Split text into alternating prose / verbatim segments.
- * Verbatim segments are preserved untouched. A segment is verbatim if it is:
- *   - A fenced code block (``` ... ```)
- *   - An inline code span (`x`)
- *   - A URL
- *   - A shell command-ish path (preserved via inline-code rule in practice)
+ * Load a rule pack: a JSON file (or the parsed object) of extra rewrites
+ * for domain filler.
+ *
+ *   {
+ *     "name": "corporate-filler",
+ *     "level": "full",                       // lowest level it runs at (default full)
+ *     "example": "Going forward, ...",       // optional; verify-project checks it shrinks
+ *     "rules": [{ "pattern": "\\bgoing forward,?\\s*", "flags": "i", "replace": "" }]
+ *   }
+ *
+ * `flags` defaults to "gi" and is always global; `replace` defaults to ""
+ * and may use $1-style group references.
+ * @param {string|object} source - Path to a pack file, or a pack object.
+ * @returns {{name: string, level: string, rules: Rule[]}} Compiled pack.
+ * @throws {Error} When the file is not JSON or a rule is malformed.
  */
-function segmentText(text) {
-  const parts = [];
-  // Single regex with alternation keeps ordering right.
-  const re = /```[\s\S]*?```|`[^`\n]+`|https?:\/\/\S+/g;
+function loadRulePack(source) {
+  if (typeof source === 'string') {
+    const file = path.resolve(source);
+    if (!packCache.has(file)) packCache.set(file, compilePack(JSON.parse(fs.readFileSync(file, 'utf8')), file));
+    return packCache.get(file);
+  }
+  return compilePack(source, (source && source.name) || 'inline pack');
+}
+
+function compilePack(pack, label) {
+  if (!pack || !Array.isArray(pack.rules)) throw new Error(`Rule pack ${label}: expected a "rules" array`);
+  const level = pack.level || 'full';
+  if (!LEVELS.includes(level)) throw new Error(`Rule pack ${label}: unknown level "${level}"`);
+  const name = pack.name || path.basename(label, '.json');
+  const rules = pack.rules.map((r, i) => {
+    if (!r || typeof r.pattern !== 'string' || !r.pattern) {
+      throw new Error(`Rule pack ${label}: rules[${i}].pattern must be a non-empty string`);
+    }
+    const flags = r.flags === undefined ? 'gi' : String(r.flags);
+    try {
+      return {
+        id: `${name}:${i + 1}`,
+        pattern: new RegExp(r.pattern, flags.includes('g') ? flags : `${flags}g`),
+        replace: r.replace === undefined ? '' : String(r.replace),
+      };
+    } catch (err) {
+      throw new Error(`Rule pack ${label}: rules[${i}] ${err.message}`);
+    }
+  });
+  return { name, level, rules };
+}
+
+/**
+ * @typedef {object} Rule
+ * @property {string} id - Stable id: `<group>:<n>` (greeting, filler, replacement, ultra, layout or pack name).
+ * @property {RegExp} pattern - Global pattern.
+ * @property {string|Function} replace - Replacement string or function, as for String#replace.
+ */
+
+function named(group, list) {
+  return list.map((rule, i) => {
+    const [pattern, replace] = Array.isArray(rule) ? rule : [rule, ''];
+    return { id: `${group}:${i + 1}`, pattern, replace };
+  });
+}
+
+const LAYOUT_RULES = named('layout', LAYOUT);
+
+/**
+ * Ordered rules for a level plus any rule packs (layout tidy-up excluded).
+ * @param {string} [level='full'] - lite, full or ultra.
+ * @param {Array<string|object>} [packs=[]] - Pack files or pack objects.
+ * @returns {Rule[]} Rules in application order.
+ * @throws {Error} On an unknown level or a malformed pack.
+ */
+function rulesFor(level = 'full', packs = []) {
+  const rank = LEVELS.indexOf(level);
+  if (rank === -1) throw new Error(`Unknown compression level "${level}" (expected ${LEVELS.join(', ')})`);
+  const rules = named('greeting', GREETING_STRIPS);
+  if (rank >= 1) rules.push(...named('filler', FILLER_STRIPS), ...named('replacement', REPLACEMENTS));
+  if (rank >= 2) rules.push(...named('ultra', ULTRA_REWRITES));
+  for (const pack of packs.map(loadRulePack)) {
+    if (rank >= LEVELS.indexOf(pack.level)) rules.push(...pack.rules);
+  }
+  return rules;
+}
+
+const EXT = 'js|jsx|mjs|cjs|ts|tsx|json|md|mdc|py|go|rs|java|rb|sh|yml|yaml|toml|lock|txt|css|scss|html|sql|env|ini|cfg|xml';
+const TECH_ARG = String.raw`[ \t]+(?:-{1,2}[\w-]+(?:=[^\s\x60]+)?|"[^"\n]*"|'[^'\n]*'|\.\/\.\.\.|[\w@~$-]*[./:=@](?:[\w@~$./:=@+*-]*[\w@~$/*=+-])?)`;
+const OPERAND = String.raw`(?:[ \t]+(?!-)[\w@./:-]*[\w@/-])?`;
+// Commands recognised in prose. Heads that are also English words
+// (node, python, go ...) need a subcommand or a flag/path argument.
+const CLI_HEADS = [
+  String.raw`(?:npm|pnpm|yarn)[ \t]+(?:run|run-script|exec|test|start|install|i|ci|add|remove|publish|build|audit)\b` + OPERAND,
+  String.raw`npx[ \t]+[\w@./:-]*[\w@/-]`,
+  String.raw`git[ \t]+(?:clone|commit|push|pull|checkout|switch|add|status|diff|log|rebase|merge|fetch|stash|reset|init|branch|tag|show|restore|revert|bisect|blame)\b`,
+  String.raw`pip3?[ \t]+(?:install|uninstall|freeze)\b` + OPERAND,
+  String.raw`go[ \t]+(?:test|build|run|mod|get|vet|fmt|install|generate)\b`,
+  String.raw`cargo[ \t]+(?:test|build|run|add|fmt|clippy|check|bench|doc|install|publish)\b`,
+  String.raw`docker(?:[ \t]+compose)?[ \t]+(?:build|run|exec|up|down|push|pull|ps|logs)\b`,
+  String.raw`pytest\b`,
+  String.raw`(?:node|deno|bun|python3?|bash|sh|curl|tsc|jest|vitest|mocha|eslint|prettier)(?=` + TECH_ARG + ')',
+];
+// Inline verbatim classes, tried in this order at each position. Each
+// alternative is one named group so the match can report its class.
+const INLINE_RE = new RegExp(
+  [
+    String.raw`(?<code>(?<tick>\x60+)[^\x60\n][^\n]*?\k<tick>(?!\x60))`,
+    String.raw`(?<url>https?:\/\/[^\s<>\x60]*[^\s<>\x60.,;:!?'")\]])`,
+    '(?<cli>(?<![\\w./-])(?:' + CLI_HEADS.join('|') + ')(?:' + TECH_ARG + ')*)',
+    String.raw`(?<path>(?<![\w@./-])(?:(?:~|\.{1,2})?\/?(?:[\w@.-]+\/)+[\w@.-]*[\w@-]|(?:~|\.{1,2})?\/[\w@.-]*[\w@-]|[\w-]+(?:\.[\w-]+)*\.(?:` + EXT + String.raw`)\b))`,
+    String.raw`(?<number>(?<![\w.])\d+(?:[.,]\d+)*(?:[ \t]?(?:ms|µs|ns|s|secs?|seconds?|mins?|minutes?|hrs?|hours?|days?|[KMGT]i?B|kB|bytes?|px|rem|em|vh|vw|pt|MHz|GHz|rps|qps|tokens?|lines?|LOC)\b|[ \t]?%|x\b|°[CF]))`,
+    String.raw`(?<identifier>(?<![\w$.])(?:[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+(?:\(\))?|[a-z_$][\w$]*[A-Z][\w$]*(?:\(\))?|[A-Z][a-z0-9]+[A-Z][\w$]*|[A-Za-z][A-Za-z0-9]*_[\w$]+|[A-Za-z_$][\w$]*\(\))(?![\w$]))`,
+  ].join('|'),
+  'g',
+);
+const INLINE_CLASSES = ['code', 'url', 'cli', 'path', 'number', 'identifier'];
+
+const FENCE_OPEN_RE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_RE = /^ {0,3}#{1,6}(?:[ \t]|$)/;
+const RULE_RE = /^ {0,3}([-*_=])(?:[ \t]*\1){2,}[ \t]*$/;
+const TABLE_ROW_RE = /^[ \t]*\|/;
+const TABLE_DELIMITER_RE = /^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(?:\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*$/;
+const LINE_MARKER_RE = /^[ \t]*(?:>[ \t]?)*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?)?/;
+
+function isFenceClose(line, fence) {
+  const m = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(line);
+  return Boolean(m) && m[1][0] === fence[0] && m[1].length >= fence.length;
+}
+
+function tokenizeInline(line, push) {
+  INLINE_RE.lastIndex = 0;
   let last = 0;
   let m;
-  while ((m = re.exec(text)) !== null) {
-    if (m.index > last) parts.push({ kind: 'prose', text: text.slice(last, m.index) });
-    parts.push({ kind: 'verbatim', text: m[0] });
+  while ((m = INLINE_RE.exec(line)) !== null) {
+    if (m.index > last) push('prose', line.slice(last, m.index));
+    push(INLINE_CLASSES.find((c) => m.groups[c] !== undefined), m[0]);
     last = m.index + m[0].length;
   }
-  if (last < text.length) parts.push({ kind: 'prose', text: text.slice(last) });
+  if (last < line.length) push('prose', line.slice(last));
+}
+
+/**
+ * Split text into alternating prose / verbatim segments with a small
+ * line-based markdown tokenizer. Verbatim segments carry a `type` and are
+ * preserved untouched. A segment is verbatim if it is:
+ *   - A fenced code block (``` or ~~~, closed or running to the end)
+ *   - A table row (GFM pipe table, with or without leading pipes)
+ *   - A heading or horizontal rule line
+ *   - A list or block-quote marker (the item text itself is prose)
+ *   - An inline code span (`x`) or a URL
+ *   - A CLI invocation (`npm run verify`, `go test ./...`, `node x.js --flag`)
+ *   - A bare file path (`src/auth/login.ts`, `./bin`, `package.json`)
+ *   - A number with a unit (`250ms`, `40%`, `2 GB`, `3x`)
+ *   - A code identifier (`res.ok`, `camelCase`, `snake_case`, `fn()`)
+ * Concatenating the `text` of every segment returns the input unchanged.
+ * @param {string} text - Response text.
+ * @returns {{kind: 'prose'|'verbatim', type?: string, text: string}[]} Segments in order.
+ */
+function segmentText(text) {
+  const parts = [];
+  const push = (type, s) => {
+    if (!s) return;
+    const prev = parts[parts.length - 1];
+    if (type === 'prose' && prev && prev.kind === 'prose') prev.text += s;
+    else parts.push(type === 'prose' ? { kind: 'prose', text: s } : { kind: 'verbatim', type, text: s });
+  };
+  const lines = text.split('\n');
+  const nl = (i) => (i < lines.length - 1 ? '\n' : '');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = FENCE_OPEN_RE.exec(line);
+    if (fence) {
+      let j = i + 1;
+      while (j < lines.length && !isFenceClose(lines[j], fence[1])) j++;
+      j = Math.min(j, lines.length - 1);
+      push('fence', lines.slice(i, j + 1).join('\n'));
+      push('prose', nl(j));
+      i = j;
+      continue;
+    }
+    const tableHead = line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER_RE.test(lines[i + 1]);
+    if (tableHead || TABLE_ROW_RE.test(line)) {
+      // After a delimiter row every non-blank line with a pipe is a row;
+      // without one only leading-pipe lines belong to the table.
+      const isRow = tableHead ? (l) => l.includes('|') && l.trim() !== '' : (l) => TABLE_ROW_RE.test(l);
+      let j = i + (tableHead ? 1 : 0);
+      while (j + 1 < lines.length && isRow(lines[j + 1])) j++;
+      push('table', lines.slice(i, j + 1).join('\n'));
+      push('prose', nl(j));
+      i = j;
+      continue;
+    }
+    if (HEADING_RE.test(line) || RULE_RE.test(line)) {
+      push(RULE_RE.test(line) ? 'rule' : 'heading', line);
+      push('prose', nl(i));
+      continue;
+    }
+    const marker = LINE_MARKER_RE.exec(line)[0];
+    push(/[>\-*+\d]/.test(marker) ? 'marker' : 'prose', marker);
+    tokenizeInline(line.slice(marker.length), push);
+    push('prose', nl(i));
+  }
   return parts;
 }
 
-function compressProse(prose) {
-  let out = prose;
-  for (const re of FILLER_STRIPS) out = out.replace(re, '');
-  for (const [re, rep] of REPLACEMENTS) out = out.replace(re, rep);
-  // Collapse triple+ newlines and trailing spaces on lines.
-  out = out.replace(/[ \t]+$/gm, '');
-  out = out.replace(/\n{3,}/g, '\n\n');
-  // Collapse runs of 2+ spaces mid-line.
-  out = out.replace(/([^\s])  +/g, '$1 ');
+const TRACE_SAMPLES = 3;
+const TRACE_CONTEXT = 30;
+
+// Expand $&, $1..$99 and $$ the way String#replace does for string replacements.
+function expandReplacement(rep, args) {
+  const firstNumber = args.findIndex((a, i) => i > 0 && typeof a === 'number');
+  const groups = args.slice(0, firstNumber);
+  return rep.replace(/\$(\$|&|\d{1,2})/g, (token, k) => {
+    if (k === '$') return '$';
+    if (k === '&') return groups[0];
+    const n = Number(k);
+    return n > 0 && n < groups.length ? groups[n] || '' : token;
+  });
+}
+
+/**
+ * Apply one rule. With `safe`, each match is checked by verifyMeaning and
+ * kept as-is when the rewrite would lose a negation, number, identifier or
+ * modal. With a trace `entry`, fires, rejections and snippets are recorded.
+ * @param {string} text - Text to rewrite.
+ * @param {Rule} rule - Rule to apply.
+ * @param {boolean} safe - Undo rewrites the meaning verifier rejects.
+ * @param {object|null} entry - Trace entry to update, or null.
+ * @param {Function} show - Maps masked text back to readable text for samples.
+ * @returns {string} Rewritten text.
+ */
+function applyRule(text, rule, safe, entry, show) {
+  if (!entry && !safe) return text.replace(rule.pattern, rule.replace);
+  const snippet = (offset, match, replacement) => {
+    const head = text.slice(Math.max(0, offset - TRACE_CONTEXT), offset);
+    const tail = text.slice(offset + match.length, offset + match.length + TRACE_CONTEXT);
+    return { before: show(head + match + tail), after: show(head + replacement + tail) };
+  };
+  const out = text.replace(rule.pattern, (...args) => {
+    const match = args[0];
+    const offset = args.find((a, i) => i > 0 && typeof a === 'number');
+    const after = typeof rule.replace === 'function' ? rule.replace(...args) : expandReplacement(rule.replace, args);
+    if (after === match) return match;
+    if (safe) {
+      const verdict = verifyMeaning(match, after);
+      if (!verdict.ok) {
+        if (entry) {
+          entry.rejected++;
+          if (entry.rejectedSamples.length < TRACE_SAMPLES) {
+            entry.rejectedSamples.push({ ...snippet(offset, match, after), problems: verdict.problems });
+          }
+        }
+        return match;
+      }
+    }
+    if (entry) {
+      entry.fires++;
+      if (entry.samples.length < TRACE_SAMPLES) entry.samples.push(snippet(offset, match, after));
+    }
+    return after;
+  });
+  if (entry && out !== text) entry.tokensRemoved += encode(text).length - encode(out).length;
   return out;
 }
 
+// Blank-line paragraph breaks, captured so split() keeps them.
+const PARAGRAPH_BREAK_RE = /(\n[ \t]*\n[ \t\n]*)/;
+
+// Each paragraph together with the break that follows it.
+function paragraphs(text) {
+  const parts = text.split(PARAGRAPH_BREAK_RE);
+  const out = [];
+  for (let i = 0; i < parts.length; i += 2) out.push(parts[i] + (parts[i + 1] || ''));
+  return out;
+}
+
+function runRules(prose, options, trace, show) {
+  const rules = [...rulesFor(options.level, options.packs), ...LAYOUT_RULES];
+  const entries = rules.map((rule) => {
+    if (!trace) return null;
+    const entry = { id: rule.id, pattern: String(rule.pattern), fires: 0, tokensRemoved: 0, samples: [] };
+    if (options.safe) Object.assign(entry, { rejected: 0, rejectedSamples: [] });
+    trace.push(entry);
+    return entry;
+  });
+  const run = (text) => rules.reduce((out, rule, i) => applyRule(out, rule, Boolean(options.safe), entries[i], show), text);
+  if (!options.safe) return run(prose);
+  // Each match was verified on its own, which misses a rewrite that breaks a
+  // negation, number or identifier just outside the match. So safe mode
+  // compresses one paragraph at a time and keeps any paragraph whose
+  // meaning changed as it was; the stream cuts only between paragraphs.
+  return paragraphs(prose).map((p) => {
+    const out = run(p);
+    return verifyMeaning(p, out).ok ? out : p;
+  }).join('');
+}
+
+/**
+ * Apply the rules for a level to prose that holds no verbatim regions.
+ * @param {string} prose - Prose text.
+ * @param {{level?: string, packs?: Array<string|object>, safe?: boolean}} [options] - Level (default full),
+ *   rule packs and safe mode (see compressResponse).
+ * @returns {string} Compressed prose.
+ */
+function compressProse(prose, options = {}) {
+  return runRules(prose, options, null, null);
+}
+
+// Verbatim segments are swapped for private-use placeholders so the prose
+// rules see whole sentences (and cannot trim the space before `code`).
+function unusedChar(text, from) {
+  let code = from;
+  while (text.includes(String.fromCharCode(code))) code++;
+  return String.fromCharCode(code);
+}
+
+/**
+ * @typedef {object} RuleTrace
+ * @property {string} id - Rule id (see Rule).
+ * @property {string} pattern - Rule pattern as a string.
+ * @property {number} fires - Matches the rule actually changed.
+ * @property {number} tokensRemoved - cl100k tokens the rule removed (negative if it added some).
+ * @property {{before: string, after: string}[]} samples - Up to three snippets around a fire.
+ * @property {number} [rejected] - Safe mode only: matches left unchanged because verifyMeaning rejected them.
+ * @property {{before: string, after: string, problems: object[]}[]} [rejectedSamples] - Safe mode only: up to
+ *   three rejected rewrites with the verifier's problems.
+ */
+
 /**
- * Compress a full response. Preserves all code and URLs; only rewrites prose.
+ * Compress a full response. Preserves every verbatim segment from
+ * segmentText byte for byte; only rewrites prose.
  * @param {string} text - Original response text.
- * @returns {string} Compressed text.
+ * @param {{level?: 'lite'|'full'|'ultra', packs?: Array<string|object>, safe?: boolean, trace?: boolean}} [options] -
+ *   Intensity level (default full), rule packs (JSON file paths or pack objects), safe mode (undo any
+ *   rewrite meaning-verifier.js rejects: lost negations, changed numbers, dropped identifiers, changed
+ *   modals) and whether to trace rules.
+ * @returns {string|{text: string, trace: RuleTrace[]}} Compressed text, or text plus a per-rule trace
+ *   (every rule that ran, fired or not, in application order) when `options.trace` is set.
+ * @throws {Error} On an unknown level or a malformed pack.
  */
-function compressResponse(text) {
-  const parts = segmentText(text);
-  return parts.map((p) => (p.kind === 'verbatim' ? p.text : compressProse(p.text))).join('');
+function compressResponse(text, options = {}) {
+  const open = unusedChar(text, 0xe000);
+  const close = unusedChar(text, open.charCodeAt(0) + 1);
+  const slot = new RegExp(`${open}(\\d+)${close}`, 'g');
+  const verbatim = [];
+  const masked = segmentText(text)
+    .map((p) => (p.kind === 'verbatim' ? `${open}${verbatim.push(p.text) - 1}${close}` : p.text))
+    .join('');
+  const unmask = (s) => s.replace(slot, (_, i) => verbatim[Number(i)]);
+  if (!options.trace) return unmask(runRules(masked, options, null, null));
+  const trace = [];
+  return { text: unmask(runRules(masked, options, trace, unmask)), trace };
+}
+
+// Streaming: how many cut candidates to try per chunk (newest first) and
+// how many complete lines that survive compression must be buffered after a cut.
+const STREAM_CUT_TRIES = 4;
+const STREAM_LOOKAHEAD_LINES = 2;
+
+function verbatimSpans(text) {
+  const spans = [];
+  let at = 0;
+  for (const p of segmentText(text)) {
+    if (p.kind === 'verbatim') spans.push([at, at + p.text.length]);
+    at += p.text.length;
+  }
+  return spans;
+}
+
+/**
+ * Find the furthest position in a stream buffer that can be compressed on
+ * its own. A cut sits after a sentence end or a newline (in safe mode,
+ * after a blank-line paragraph break) and outside every
+ * verbatim segment (so an open code fence or a table is never split). The
+ * rest of its line and the next STREAM_LOOKAHEAD_LINES lines that are
+ * not blank after compression must already be buffered: a pipe line only becomes a table once the
+ * delimiter row below it arrives, and a filler strip such as "Here's the
+ * implementation:" eats the blank lines after it, pulling the next line
+ * up against the previous sentence. The cut is then only taken when
+ * compressing the two halves separately gives the same result as
+ * compressing the buffer whole.
+ * @param {string} buffer - Text received but not yet emitted.
+ * @param {object} options - compressResponse options.
+ * @returns {number} Cut position, or 0 when nothing can be emitted yet.
+ */
+function findStreamCut(buffer, options) {
+  let limit = buffer.lastIndexOf('\n');
+  for (let seen = 0; seen < STREAM_LOOKAHEAD_LINES && limit > 0; ) {
+    const start = buffer.lastIndexOf('\n', limit - 1);
+    if (compressResponse(buffer.slice(start + 1, limit), options).trim()) seen++;
+    limit = start;
+  }
+  const candidates = [];
+  if (options.safe) {
+    // Safe mode checks meaning a paragraph at a time, so it cuts only between paragraphs.
+    for (const m of buffer.matchAll(new RegExp(PARAGRAPH_BREAK_RE.source, 'g'))) {
+      const end = m.index + m[0].length;
+      if (end <= limit && end < buffer.length) candidates.unshift(end);
+    }
+    candidates.splice(STREAM_CUT_TRIES);
+  } else {
+    for (let i = limit; i > 0 && candidates.length < STREAM_CUT_TRIES; i--) {
+      if ('.!?\n'.includes(buffer[i - 1])) candidates.push(i);
+    }
+  }
+  if (candidates.length === 0) return 0;
+  const spans = verbatimSpans(buffer);
+  const whole = compressResponse(buffer, options);
+  for (const cut of candidates) {
+    if (spans.some(([start, end]) => cut > start && cut < end)) continue;
+    if (compressResponse(buffer.slice(0, cut), options) + compressResponse(buffer.slice(cut), options) === whole) return cut;
+  }
+  return 0;
+}
+
+/**
+ * Create a Transform stream that compresses text as it arrives. Input is
+ * buffered up to the last safe sentence or line boundary, or paragraph
+ * boundary in safe mode (see findStreamCut); everything before it is compressed and pushed, and the
+ * remainder is flushed at the end. The concatenated output is identical to
+ * compressResponse(joinedInput, options).
+ *
+ * Rule packs stream correctly as long as their patterns, like the built-in
+ * rules, do not reach past the next sentence.
+ * @param {{level?: 'lite'|'full'|'ultra', packs?: Array<string|object>, safe?: boolean}} [options] - Same as
+ *   compressResponse (`trace` is not supported when streaming).
+ * @returns {import('stream').Transform} Stream that takes string or Buffer chunks and emits UTF-8 strings.
+ * @throws {Error} On an unknown level or a malformed pack.
+ */
+function createCompressorStream(options = {}) {
+  const compressOptions = { level: options.level, packs: options.packs, safe: options.safe };
+  rulesFor(compressOptions.level, compressOptions.packs);
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  return new Transform({
+    decodeStrings: false,
+    encoding: 'utf8',
+    transform(chunk, encoding, callback) {
+      const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      buffer += text;
+      if (/[.!?\n]/.test(text)) {
+        const cut = findStreamCut(buffer, compressOptions);
+        if (cut > 0) {
+          const out = compressResponse(buffer.slice(0, cut), compressOptions);
+          buffer = buffer.slice(cut);
+          if (out) this.push(out);
+        }
+      }
+      callback();
+    },
+    flush(callback) {
+      buffer += decoder.end();
+      const out = buffer ? compressResponse(buffer, compressOptions) : '';
+      buffer = '';
+      if (out) this.push(out);
+      callback();
+    },
+  });
 }
 
-module.exports = { compressResponse, compressProse, segmentText };
+module.exports = { LEVELS, compressResponse, compressProse, createCompressorStream, loadRulePack, rulesFor, segmentText };
@@ -0,0 +1,281 @@
+/**
+ * Versioned scoring rubrics shared by every benchmark.
+ *
+ * Each benchmark used to carry its own copy of the quality patterns
+ * (METRICS, SIGNALS, QUALITY_METRICS, OUTPUT_METRICS, test-prompts.json
+ * metrics) and the copies had drifted apart. This module is the only place
+ * a rubric is defined:
+ *
+ *   - prompt-structure   enhanced /architect prompts (run-benchmark*.js,
+ *                        run-token-benchmark.js, round-trip and stack checks)
+ *   - rule-payload       injected rule text, i.e. Cursor .mdc bodies
+ *                        (run-cursor-benchmark.js, run-cursor-lean-benchmark.js)
+ *   - response-quality   model responses to a task (run-cursor-ab.js,
+ *                        analyze-samples.js, run-output-benchmark.js)
+ *
+ * Pattern metrics only count affirmed hits: signal-matcher.js discards
+ * keywords that are negated ("we won't bother with TDD"), quoted, echoed
+ * from the user's prompt or only present in an injected <10x-architect>
+ * block, and scoreRubric() reports how many were discarded.
+ *
+ * Changing what a rubric matches or how it weighs a metric changes its
+ * scores, so it must bump that rubric's version. Result files record
+ * `rubric: { id, version }` via rubricStamp(), and rubricMismatch() tells a
+ * reader when a stored score came from another version.
+ */
+
+'use strict';
+
+const { classifyHits, createSignalContext } = require('./signal-matcher');
+const { RULES: LANGUAGE_RULES, analyzeTests, countEdgeCaseFences } = require('./code-languages');
+
+/**
+ * @typedef {object} RubricMetric
+ * @property {string} id - Stable key used in result files.
+ * @property {string} name - Label for tables.
+ * @property {number} weight - Share of the weighted score.
+ * @property {'boolean'|'count'|'ratio'} type - Pass/fail check, an occurrence count, or a 0-1 share.
+ * @property {RegExp} [pattern] - Signal pattern; its affirmed hits decide the metric.
+ * @property {boolean} [negatable] - False when the signal is itself a negation ("Do NOT").
+ * @property {(text: string) => number} [inCode] - Pattern metrics: extra affirmed hits found in fenced code
+ *   rather than by the pattern. Code is never negated or echoed, so these are counted as they are.
+ * @property {(text: string, options: object) => boolean} [check] - Boolean metrics without a pattern: whether the
+ *   text passes. Gets scoreRubric()'s options.
+ * @property {number} [target] - Count metrics: occurrences that earn the full weight.
+ * @property {(text: string, options: object) => number} [measure] - Ratio metrics: share (0-1) of the weight the
+ *   text earns. Gets scoreRubric()'s options.
+ */
+
+/**
+ * @typedef {object} Rubric
+ * @property {string} id - Registry key.
+ * @property {string} version - Semver; bumped whenever scores would change.
+ * @property {string} description - What the rubric is run over.
+ * @property {boolean} [keepInjected] - Score hits inside <10x-architect> blocks (the text is the injected rule).
+ * @property {RubricMetric[]} metrics - Metrics in report order.
+ */
+
+function pattern(id, name, re, weight = 1, negatable = true) {
+  return { id, name, weight, type: 'boolean', pattern: re, negatable };
+}
+
+function count(id, name, re, weight, target, negatable = true) {
+  return { id, name, weight, type: 'count', target, pattern: re, negatable };
+}
+
+function ratio(id, name, measure, weight = 1) {
+  return { id, name, weight, type: 'ratio', measure };
+}
+
+const MAX_DISCARD_SAMPLES = 5;
+
+// Doc comments look different in every language; the docs pattern accepts
+// any of them (see code-languages.js). Error-handling idioms are too close to
+// English ("panic (", "except ...:") to search prose for, so edge_cases
+// looks for them in fenced code only.
+function anyOf(...patterns) {
+  return new RegExp(patterns.map((p) => p.source).join('|'), 'im');
+}
+const LANGUAGE_DOCS = Object.values(LANGUAGE_RULES).map((r) => r.docComment);
+
+const RUBRICS = {
+  'prompt-structure': {
+    id: 'prompt-structure',
+    version: '2.0.0',
+    description: 'Structure signals in an enhanced /architect prompt',
+    metrics: [
+      pattern('has_goal', 'Has Clear Goal', /(Goal:|GOAL|goal:|We will|objective)/i),
+      pattern('has_north_star', 'Has North Star', /(North Star|business value|user benefit)/i),
+      pattern('has_constraints', 'Has Constraints', /(Do NOT|Don't|CONSTRAINT|Constraints:|avoid|must not)/i, 1, false),
+      pattern('has_phases', 'Has Execution Phases', /(Phase|Step \d|\d\.\s+\w|EXECUTION)/i),
+      pattern('has_tdd', 'Has TDD Instructions', /(TDD|test.driven|RED.GREEN|write.*test.*first|failing test)/i),
+      pattern('has_docs', 'Has Documentation Req', /(document|JSDoc|docstring|README)/i),
+      pattern('has_solid', 'Has SOLID Principles', /(SOLID|Single Responsibility|Open.Closed|Liskov|Interface Segregation|Dependency Inversion)/i),
+      pattern('has_edge_cases', 'Has Edge Cases', /(edge case|corner case|error handling|exception|validate|boundary)/i),
+      pattern('has_step_by_step', 'Has Step-by-Step', /(step.by.step|think through|systematically|methodically)/i, 0.5),
+      count('constraint_count', 'Constraint Count', /(Do NOT|Don't|must not)/gi, 0.5, 3, false),
+      count('phase_count', 'Phase Count', /(?:^|[\s>])\d+[.)]\s*[A-Za-z]/gm, 0.5, 3),
+    ],
+  },
+  'rule-payload': {
+    id: 'rule-payload',
+    version: '2.0.0',
+    description: 'Quality signals carried by injected rule text (Cursor .mdc body)',
+    keepInjected: true,
+    metrics: [
+      pattern('north_star', 'goal / North Star', /North Star/i),
+      pattern('do_not', 'Do NOT', /Do NOT/i, 1, false),
+      pattern('phases', 'phases', /phase|step/i),
+      pattern('tdd', 'TDD', /\bTDD\b/i),
+      pattern('red_green_refactor', 'RED-GREEN-REFACTOR', /RED.GREEN.REFACTOR/i),
+      pattern('jsdoc', 'JSDoc', /JSDoc/i),
+      pattern('readme', 'README', /README/i),
+      pattern('solid', 'SOLID', /\bSOLID\b/i),
+      pattern('edge_case', 'edge case', /edge case/i),
+      pattern('step_by_step', 'step-by-step', /step.by.step/i),
+    ],
+  },
+  'response-quality': {
+    id: 'response-quality',
+    version: '4.1.0',
+    description: 'Practices visible in a model response to a coding task',
+    metrics: [
+      pattern('goal_clarity', 'Goal clarity', /(goal:|goal\s*\+|objective|north star)/i),
+      pattern('constraints', 'Acknowledges constraints', /(do not|don't|must not|constraint|avoid)/i, 1, false),
+      pattern('structured_approach', 'Follows structured phases', /(phase|step\s+\d|^\s*\d+[.)]\s+\w)/im),
+      { id: 'tests_first', name: 'Tests written first', weight: 1, type: 'boolean', check: (text, options) => analyzeTests(text, options).testsFirst === true },
+      ratio('function_test_coverage', 'Exported functions tested', (text, options) => analyzeTests(text, options).functionCoverage),
+      ratio('describe_names_unit', 'Test suite names the unit', (text, options) => analyzeTests(text, options).describeMatch),
+      pattern('docs', 'Has documentation', anyOf(
+        /\/\*\*[\s\S]*?@(?:param|returns?|example)|"""[\s\S]*?"""|\b(?:jsdoc|javadoc|godoc|rustdoc|docstrings?)\b|update (?:the )?readme/,
+        ...LANGUAGE_DOCS,
+      )),
+      pattern('solid', 'SOLID/OOP', /(\bsolid\b|single responsibility|open.?closed|liskov|interface segregation|dependency inversion|\boop\b)/i),
+      {
+        ...pattern('edge_cases', 'Handles edge cases', /throw\s+(?:new\s+)?\w*Error|try\s*\{|catch\s*\(|\.catch\(|if\s*\(\s*!|edge case|error handling|invalid|boundary/i),
+        inCode: countEdgeCaseFences,
+      },
+    ],
+  },
+};
+
+/**
+ * Look up a rubric by id.
+ * @param {string} id - Rubric id, e.g. 'prompt-structure'.
+ * @returns {Rubric} The registered rubric.
+ * @throws {Error} When no rubric has that id.
+ */
+function getRubric(id) {
+  const rubric = RUBRICS[id];
+  if (!rubric) throw new Error(`Unknown rubric "${id}" (expected one of: ${Object.keys(RUBRICS).join(', ')})`);
+  return rubric;
+}
+
+/**
+ * Score text against a rubric. Boolean metrics earn their weight when they
+ * pass; count metrics earn `weight * min(count / target, 1)`; ratio metrics
+ * earn `weight * share`. Pattern metrics only see affirmed hits.
+ * @param {string|Rubric} rubric - Rubric or rubric id.
+ * @param {string} text - Text to score.
+ * @param {object} [options] - Scoring options.
+ * @param {string} [options.prompt] - User prompt the text answers; hits that repeat it are discarded as echoed.
+ * @param {string} [options.language] - Language the prompt asked for; decides how tests are read when the
+ *   response's code does not (see code-languages.js).
+ * @returns {{rubric: {id: string, version: string}, hit: number, total: number, score: number, maxScore: number,
+ *   percentage: number, details: Record<string, boolean>, counts: Record<string, number>, ratios: Record<string, number>,
+ *   hits: Record<string, {affirmed: number, negated: number, echoed: number, code?: number}>,
+ *   discarded: {negated: number, echoed: number, samples: import('./signal-matcher').SignalHit[]}}}
+ *   `hit`/`total` count boolean metrics only; `percentage` is the weighted score over every metric.
+ */
+function scoreRubric(rubric, text, options = {}) {
+  const r = typeof rubric === 'string' ? getRubric(rubric) : rubric;
+  const s = String(text || '');
+  const ctx = createSignalContext(s, { prompt: options.prompt, keepInjected: r.keepInjected });
+  const details = {};
+  const counts = {};
+  const ratios = {};
+  const hits = {};
+  const discarded = { negated: 0, echoed: 0, samples: [] };
+  let hit = 0;
+  let total = 0;
+  let score = 0;
+  let maxScore = 0;
+
+  for (const m of r.metrics) {
+    if (m.type === 'ratio') {
+      const share = Math.min(Math.max(Number(m.measure(s, options)) || 0, 0), 1);
+      ratios[m.id] = share;
+      maxScore += m.weight;
+      score += share * m.weight;
+      continue;
+    }
+    let affirmed;
+    if (m.pattern) {
+      const found = classifyHits(ctx, m.pattern, { negatable: m.negatable });
+      hits[m.id] = { affirmed: found.affirmed.length, negated: found.negated.length, echoed: found.echoed.length };
+      discarded.negated += found.negated.length;
+      discarded.echoed += found.echoed.length;
+      for (const h of [...found.negated, ...found.echoed]) {
+        if (discarded.samples.length >= MAX_DISCARD_SAMPLES) break;
+        discarded.samples.push({ metric: m.id, ...h });
+      }
+      affirmed = found.affirmed.length;
+      if (m.inCode) {
+        hits[m.id].code = m.inCode(s);
+        affirmed += hits[m.id].code;
+      }
+    } else {
+      affirmed = m.check(s, options) ? 1 : 0;
+    }
+
+    maxScore += m.weight;
+    if (m.type === 'count') {
+      counts[m.id] = affirmed;
+      score += Math.min(affirmed / m.target, 1) * m.weight;
+      continue;
+    }
+    details[m.id] = affirmed > 0;
+    total++;
+    if (affirmed > 0) {
+      hit++;
+      score += m.weight;
+    }
+  }
+
+  return {
+    rubric: rubricStamp(r),
+    hit,
+    total,
+    score,
+    maxScore,
+    percentage: maxScore > 0 ? (score / maxScore) * 100 : 0,
+    details,
+    counts,
+    ratios,
+    hits,
+    discarded,
+  };
+}
+
+/**
+ * How much of one metric's weight a scored text earned, from 0 to 1, whatever
+ * the metric type. Per-metric rollups average this, so a boolean metric reads
+ * as "share of responses that pass" and a ratio metric as its mean share.
+ * @param {ReturnType<typeof scoreRubric>} scored - Result of scoreRubric().
+ * @param {RubricMetric} metric - Metric of the rubric that produced it.
+ * @returns {number} Earned share of the metric's weight.
+ */
+function metricValue(scored, metric) {
+  if (metric.type === 'ratio') return scored.ratios[metric.id] || 0;
+  if (metric.type === 'count') return Math.min((scored.counts[metric.id] || 0) / metric.target, 1);
+  return scored.details[metric.id] ? 1 : 0;
+}
+
+/**
+ * The `{ id, version }` pair result files store next to their scores.
+ * @param {string|Rubric} rubric - Rubric or rubric id.
+ * @returns {{id: string, version: string}} Rubric stamp.
+ */
+function rubricStamp(rubric) {
+  const r = typeof rubric === 'string' ? getRubric(rubric) : rubric;
+  return { id: r.id, version: r.version };
+}
+
+/**
+ * Compare a stored rubric stamp with the current registry.
+ * @param {{id: string, version: string}|undefined} stamp - `rubric` field read from a result file.
+ * @param {string} id - Rubric the result should have been scored with.
+ * @returns {string|null} Why the stored scores are not comparable, or null when they are.
+ */
+function rubricMismatch(stamp, id) {
+  const current = getRubric(id);
+  if (!stamp || typeof stamp !== 'object') {
+    return `has no rubric stamp (scored before rubrics were versioned); current is ${id}@${current.version}`;
+  }
+  if (stamp.id !== current.id || stamp.version !== current.version) {
+    return `was scored with ${stamp.id}@${stamp.version}; current is ${id}@${current.version}`;
+  }
+  return null;
+}
+
+module.exports = { RUBRICS, getRubric, metricValue, rubricMismatch, rubricStamp, scoreRubric };
@@ -3,12 +3,24 @@
 /**
  * 10x Architect Benchmark Runner - Direct Mode
  *
- * This script measures prompts against objective metrics.
- * Enhanced prompts are provided as input (generated by Claude).
+ * This script measures prompts against the prompt-structure rubric from
+ * rubrics.js. Enhanced prompts are provided as input (generated by Claude).
+ * Only affirmed signal hits score; negated or echoed hits are reported.
+ * Each enhanced prompt's "Do NOT" constraints are also rated for how specific
+ * they are to the task (constraint-specificity.js); prompts whose constraints
+ * are all boilerplate are flagged. The goal and North Star are compared with
+ * the original prompt (goal-relevance.js) to flag off-topic goals and names
+ * the goal invents. Scores are also averaged by prompt category, complexity
+ * and both (group-summary.js).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { asText } = require('./enhanced-prompt');
+const { getRubric, rubricStamp, scoreRubric } = require('./rubrics');
+const { scoreConstraints } = require('./constraint-specificity');
+const { scoreGoalRelevance } = require('./goal-relevance');
+const { summarizeGroups } = require('./group-summary');
 
 // Test prompts and their enhanced versions (generated by Claude)
 const benchmarkData = {
@@ -86,43 +98,19 @@ const benchmarkData = {
   ]
 };
 
-// Metrics to measure
-const metrics = [
-  { id: "has_goal", name: "Has Clear Goal", pattern: /(Goal:|GOAL|goal:|We will|objective)/gi },
-  { id: "has_north_star", name: "Has North Star", pattern: /(North Star|NORTH STAR|business value|user benefit)/gi },
-  { id: "has_constraints", name: "Has Constraints", pattern: /(Do NOT|Don't|CONSTRAINT|must not|avoid)/gi },
-  { id: "has_phases", name: "Has Execution Phases", pattern: /(Phase|PHASE|Step \d|\d\.\s+\w|EXECUTION)/gi },
-  { id: "has_tdd", name: "Has TDD Instructions", pattern: /(TDD|test.driven|RED.GREEN|write.*test.*first|failing test)/gi },
-  { id: "has_docs", name: "Has Documentation Req", pattern: /(document|JSDoc|docstring|README)/gi },
-  { id: "has_solid", name: "Has SOLID Principles", pattern: /(SOLID|Single Responsibility|Open.Closed|Liskov|Interface Segregation|Dependency Inversion)/gi },
-  { id: "has_edge_cases", name: "Has Edge Cases", pattern: /(edge case|error handling|exception|validate|boundary)/gi },
-  { id: "constraint_count", name: "Constraint Count", pattern: /(Do NOT|Don't|must not)/gi, type: "count" },
-  { id: "phase_count", name: "Phase Count", pattern: /^\s*\d+[.)]\s+\w/gm, type: "count" }
-];
-
-function measureText(text) {
-  const results = {};
-  let score = 0;
-  let maxScore = 0;
-
-  for (const metric of metrics) {
-    const matches = text.match(metric.pattern) || [];
-
-    if (metric.type === "count") {
-      results[metric.id] = matches.length;
-    } else {
-      const found = matches.length > 0;
-      results[metric.id] = found;
-      score += found ? 1 : 0;
-      maxScore += 1;
-    }
-  }
-
-  results.score = score;
-  results.maxScore = maxScore;
-  results.percentage = ((score / maxScore) * 100).toFixed(1);
-
-  return results;
+const rubric = getRubric('prompt-structure');
+const metrics = rubric.metrics;
+
+function measureText(input, prompt) {
+  const scored = scoreRubric(rubric, asText(input), { prompt });
+  return {
+    ...scored.details,
+    ...scored.counts,
+    score: scored.score,
+    maxScore: scored.maxScore,
+    percentage: scored.percentage.toFixed(1),
+    discarded: { negated: scored.discarded.negated, echoed: scored.discarded.echoed },
+  };
 }
 
 function runBenchmark(enhancedPrompts) {
@@ -133,29 +121,44 @@ function runBenchmark(enhancedPrompts) {
   const results = [];
   let totalOriginal = 0;
   let totalEnhanced = 0;
+  const discarded = { negated: 0, echoed: 0 };
+  const specificity = [];
+  const relevance = [];
 
   for (let i = 0; i < benchmarkData.prompts.length; i++) {
     const prompt = benchmarkData.prompts[i];
     const enhanced = enhancedPrompts[i];
 
     const originalMetrics = measureText(prompt.original);
-    const enhancedMetrics = measureText(enhanced);
+    const enhancedMetrics = measureText(enhanced, prompt.original);
+    discarded.negated += enhancedMetrics.discarded.negated;
+    discarded.echoed += enhancedMetrics.discarded.echoed;
+    const constraints = scoreConstraints(enhanced, prompt.original);
+    if (constraints.average !== null) specificity.push(constraints.average);
+    const goalRelevance = scoreGoalRelevance(enhanced, prompt.original);
+    if (goalRelevance.relevance !== null) relevance.push(goalRelevance.relevance);
 
     console.log(`[${i + 1}] ${prompt.original}`);
     console.log(`    Original:  ${originalMetrics.percentage}% (${originalMetrics.score}/${originalMetrics.maxScore})`);
     console.log(`    Enhanced:  ${enhancedMetrics.percentage}% (${enhancedMetrics.score}/${enhancedMetrics.maxScore})`);
-    console.log(`    Improvement: +${(enhancedMetrics.percentage - originalMetrics.percentage).toFixed(1)}%\n`);
+    console.log(`    Improvement: +${(enhancedMetrics.percentage - originalMetrics.percentage).toFixed(1)}%`);
+    console.log(`    Constraint specificity: ${constraints.average === null ? 'n/a' : `${constraints.average.toFixed(0)}%`}${constraints.allBoilerplate ? ' (all boilerplate)' : ''}`);
+    console.log(`    Goal relevance: ${goalRelevance.relevance === null ? 'n/a' : `${goalRelevance.relevance.toFixed(0)}%`}${goalRelevance.offTopic ? ' (off topic)' : ''}${goalRelevance.invented.length ? `, invented: ${goalRelevance.invented.join(', ')}` : ''}\n`);
 
     totalOriginal += parseFloat(originalMetrics.percentage);
     totalEnhanced += parseFloat(enhancedMetrics.percentage);
 
     results.push({
       id: prompt.id,
+      category: prompt.category,
+      complexity: prompt.complexity,
       original: prompt.original,
       originalScore: originalMetrics.percentage,
       enhancedScore: enhancedMetrics.percentage,
       originalMetrics,
       enhancedMetrics,
+      constraints,
+      goalRelevance,
       enhanced
     });
   }
@@ -163,19 +166,49 @@ function runBenchmark(enhancedPrompts) {
   const avgOriginal = (totalOriginal / benchmarkData.prompts.length).toFixed(1);
   const avgEnhanced = (totalEnhanced / benchmarkData.prompts.length).toFixed(1);
   const improvement = (avgEnhanced - avgOriginal).toFixed(1);
+  const constraintSpecificity = {
+    average: specificity.length ? +(specificity.reduce((a, b) => a + b, 0) / specificity.length).toFixed(1) : null,
+    allBoilerplate: results.filter((r) => r.constraints.allBoilerplate).map((r) => r.id),
+  };
+  const goalRelevance = {
+    average: relevance.length ? +(relevance.reduce((a, b) => a + b, 0) / relevance.length).toFixed(1) : null,
+    offTopic: results.filter((r) => r.goalRelevance.offTopic).map((r) => r.id),
+    invented: results.filter((r) => r.goalRelevance.invented.length).map((r) => r.id),
+  };
+  const groups = summarizeGroups(results, {
+    original: (r) => parseFloat(r.originalScore),
+    enhanced: (r) => parseFloat(r.enhancedScore),
+    improvement: (r) => parseFloat(r.enhancedScore) - parseFloat(r.originalScore),
+    constraintSpecificity: (r) => r.constraints.average,
+    goalRelevance: (r) => r.goalRelevance.relevance,
+  });
 
   console.log('═══════════════════════════════════════════════════════════════');
   console.log('                          SUMMARY                               ');
   console.log('═══════════════════════════════════════════════════════════════\n');
   console.log(`  Average WITHOUT plugin: ${avgOriginal}%`);
   console.log(`  Average WITH plugin:    ${avgEnhanced}%`);
-  console.log(`  Average Improvement:    +${improvement}%\n`);
+  console.log(`  Average Improvement:    +${improvement}%`);
+  console.log(`  Discarded hits:         ${discarded.negated} negated, ${discarded.echoed} echoed (enhanced prompts)`);
+  console.log(`  Constraint specificity: ${constraintSpecificity.average === null ? 'n/a' : `${constraintSpecificity.average}%`} avg`);
+  if (constraintSpecificity.allBoilerplate.length) {
+    console.warn(`  ⚠️  All-boilerplate constraints: ${constraintSpecificity.allBoilerplate.join(', ')}`);
+  }
+  console.log(`  Goal relevance:         ${goalRelevance.average === null ? 'n/a' : `${goalRelevance.average}%`} avg`);
+  if (goalRelevance.offTopic.length) console.warn(`  ⚠️  Off-topic goals: ${goalRelevance.offTopic.join(', ')}`);
+  if (goalRelevance.invented.length) console.warn(`  ⚠️  Goals naming things the prompt does not: ${goalRelevance.invented.join(', ')}`);
+  for (const [label, table] of [['category', groups.byCategory], ['complexity', groups.byComplexity]]) {
+    const parts = Object.entries(table).map(([name, g]) => `${name} ${g.improvement >= 0 ? '+' : ''}${g.improvement}%`);
+    console.log(`${`  By ${label}:`.padEnd(26)}${parts.join(', ')} (improvement)`);
+  }
+  console.log('');
 
   // Save results
   const output = {
     timestamp: new Date().toISOString(),
+    rubric: rubricStamp(rubric),
     gatesPass: parseFloat(avgEnhanced) >= 90 && parseFloat(improvement) > 0,
-    summary: { avgOriginal, avgEnhanced, improvement },
+    summary: { avgOriginal, avgEnhanced, improvement, discardedHits: discarded, constraintSpecificity, goalRelevance, groups },
     results
   };
 
@@ -4,17 +4,28 @@
  * 10x Architect Benchmark Runner
  *
  * This script runs real benchmarks comparing prompts with and without
- * the 10x Architect plugin enhancement.
+ * the 10x Architect plugin enhancement. Each enhanced prompt's goal and
+ * North Star are also checked against the user's prompt (goal-relevance.js).
+ * Scores are averaged by prompt category, complexity and both
+ * (group-summary.js).
  *
  * Usage:
  *   ANTHROPIC_API_KEY=your-key node run-benchmark.js
+ *   node run-benchmark.js --provider openai --base-url http://localhost:8080/v1 --model my-model
+ *   node run-benchmark.js --provider fake --script replies.json
  *
- * Or set the API key in your environment.
+ * Or set the API key in your environment. --provider, --model and --base-url
+ * pick the model (model-providers.js); the result file records them.
  */
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const fs = require('fs');
 const path = require('path');
+const { asText, parseEnhancedPrompt } = require('./enhanced-prompt');
+const { getRubric, rubricStamp, scoreRubric } = require('./rubrics');
+const { scoreGoalRelevance } = require('./goal-relevance');
+const { summarizeGroups } = require('./group-summary');
+const { createProvider, parseProviderArgs } = require('./model-providers');
+const { MISSING_ENTRY } = require('./cassettes');
 
 // The same prompt template used in plugin.json
 const ENHANCEMENT_PROMPT = `You are the 10x Architect. Apply Greg Isenberg's 10 Rules for Claude Code to enhance this prompt.
@@ -45,61 +56,45 @@ Provide the enhanced prompt with all guidance included. Format it clearly with s
 - QUALITY GUARDRAILS`;
 
 /**
- * Measures a text against defined metrics
+ * Measures a text (or structured EnhancedPrompt) against a rubric from rubrics.js.
+ * Pass the user's prompt as `prompt` so hits that merely echo it are discarded.
  */
-function measureMetrics(text, metrics) {
+function measureMetrics(input, rubric = 'prompt-structure', prompt = undefined) {
+  const r = typeof rubric === 'string' ? getRubric(rubric) : rubric;
+  const scored = scoreRubric(r, asText(input), { prompt });
   const results = {};
-  let totalScore = 0;
-  let maxScore = 0;
-
-  for (const metric of metrics) {
-    const regex = new RegExp(metric.pattern, 'gim');
-    const matches = text.match(regex) || [];
-
-    if (metric.type === 'count') {
-      results[metric.id] = {
-        name: metric.name,
-        value: matches.length,
-        type: 'count'
-      };
-      // For count metrics, score based on having at least some
-      const countScore = Math.min(matches.length / 3, 1) * metric.weight;
-      totalScore += countScore;
-      maxScore += metric.weight;
-    } else {
-      const found = matches.length > 0;
-      results[metric.id] = {
-        name: metric.name,
-        value: found,
-        type: 'boolean'
-      };
-      totalScore += found ? metric.weight : 0;
-      maxScore += metric.weight;
-    }
+
+  for (const metric of r.metrics) {
+    results[metric.id] = {
+      name: metric.name,
+      value: metric.type === 'count' ? scored.counts[metric.id] : scored.details[metric.id],
+      type: metric.type
+    };
   }
 
-  results._totalScore = totalScore;
-  results._maxScore = maxScore;
-  results._percentage = maxScore > 0 ? (totalScore / maxScore * 100).toFixed(1) : 0;
+  results._totalScore = scored.score;
+  results._maxScore = scored.maxScore;
+  results._percentage = scored.percentage.toFixed(1);
+  results._discarded = { negated: scored.discarded.negated, echoed: scored.discarded.echoed };
 
   return results;
 }
 
 /**
- * Calls Claude API to enhance a prompt
+ * Asks the model to enhance a prompt
+ * @param {import('./model-providers').Provider} provider - Model to ask.
+ * @param {string} userPrompt - Prompt to enhance.
+ * @returns {Promise<import('./model-providers').Completion>} Enhanced prompt text, usage and latency.
  */
-async function enhancePrompt(client, userPrompt) {
+async function enhancePrompt(provider, userPrompt) {
   const prompt = ENHANCEMENT_PROMPT.replace('{USER_PROMPT}', userPrompt);
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2000,
+  return provider.complete({
+    maxTokens: 2000,
     messages: [
       { role: 'user', content: prompt }
     ]
   });
-
-  return response.content[0].text;
 }
 
 /**
@@ -110,23 +105,29 @@ async function runBenchmarks() {
   console.log('                  10x ARCHITECT BENCHMARK SUITE                 ');
   console.log('═══════════════════════════════════════════════════════════════\n');
 
-  // Check for API key
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.error('❌ Error: ANTHROPIC_API_KEY environment variable is required');
-    console.error('   Usage: ANTHROPIC_API_KEY=your-key node run-benchmark.js');
+  let provider;
+  try {
+    provider = createProvider({ ...parseProviderArgs(process.argv), cassetteName: 'run-benchmark' });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error('   Usage: ANTHROPIC_API_KEY=your-key node run-benchmark.js [--provider anthropic|openai|fake] [--model name] [--base-url url] [--cassette record|replay|offline]');
     process.exit(1);
   }
-
-  const client = new Anthropic();
+  const model = provider.describe();
+  const offline = Boolean(model.cassette && model.cassette.mode === 'offline');
+  console.log(`🤖 Model: ${model.model} via ${model.provider}${model.baseUrl ? ` (${model.baseUrl})` : ''}\n`);
 
   // Load test prompts
   const testData = JSON.parse(
     fs.readFileSync(path.join(__dirname, 'test-prompts.json'), 'utf-8')
   );
+  const rubric = getRubric(testData.rubric);
 
   const results = {
     timestamp: new Date().toISOString(),
     version: testData.version,
+    rubric: rubricStamp(rubric),
+    model,
     summary: {
       totalPrompts: testData.prompts.length,
       withoutPlugin: { avgScore: 0, metrics: {} },
@@ -146,21 +147,33 @@ async function runBenchmarks() {
     console.log(`    Category: ${testPrompt.category} | Complexity: ${testPrompt.complexity}`);
 
     // Measure raw prompt (without plugin)
-    const withoutMetrics = measureMetrics(testPrompt.prompt, testData.metrics.items);
+    const withoutMetrics = measureMetrics(testPrompt.prompt, rubric);
     console.log(`    Without plugin: ${withoutMetrics._percentage}%`);
 
     // Enhance with plugin
     let enhancedPrompt;
     let withMetrics;
+    let call = { usage: null, latencyMs: null };
+    let error = null;
 
     try {
-      enhancedPrompt = await enhancePrompt(client, testPrompt.prompt);
-      withMetrics = measureMetrics(enhancedPrompt, testData.metrics.items);
-      console.log(`    With plugin:    ${withMetrics._percentage}%`);
-    } catch (error) {
-      console.error(`    ❌ Error enhancing prompt: ${error.message}`);
+      call = await enhancePrompt(provider, testPrompt.prompt);
+      enhancedPrompt = call.text;
+      withMetrics = measureMetrics(enhancedPrompt, rubric, testPrompt.prompt);
+      console.log(`    With plugin:    ${withMetrics._percentage}% (discarded: ${withMetrics._discarded.negated} negated, ${withMetrics._discarded.echoed} echoed)`);
+    } catch (err) {
+      // Offline cassette runs must not score a missing recording as a 0%.
+      if (err.code === MISSING_ENTRY) throw err;
+      console.error(`    ❌ Error enhancing prompt: ${err.message}`);
       withMetrics = { _percentage: 0, _totalScore: 0, _maxScore: 0 };
-      enhancedPrompt = 'ERROR: ' + error.message;
+      error = err.message;
+    }
+
+    // A failed call has no enhanced prompt to parse or compare with the original.
+    const structured = error ? null : parseEnhancedPrompt(enhancedPrompt);
+    const goalRelevance = error ? null : scoreGoalRelevance(structured, testPrompt.prompt);
+    if (goalRelevance) {
+      console.log(`    Goal relevance: ${goalRelevance.relevance === null ? 'n/a' : `${goalRelevance.relevance.toFixed(0)}%`}${goalRelevance.offTopic ? ' (off topic)' : ''}${goalRelevance.invented.length ? `, invented: ${goalRelevance.invented.join(', ')}` : ''}`);
     }
 
     const improvement = withMetrics._percentage - withoutMetrics._percentage;
@@ -180,14 +193,19 @@ async function runBenchmarks() {
       },
       with: {
         score: withMetrics._percentage,
-        enhanced: enhancedPrompt,
-        metrics: withMetrics
+        enhanced: error ? null : enhancedPrompt,
+        error,
+        structured,
+        metrics: withMetrics,
+        goalRelevance,
+        usage: call.usage,
+        latencyMs: call.latencyMs
       },
       improvement: improvement.toFixed(1)
     });
 
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Small delay to avoid rate limiting; an offline replay calls no model
+    if (!offline) await new Promise(resolve => setTimeout(resolve, 500));
   }
 
   // Calculate summary
@@ -197,9 +215,23 @@ async function runBenchmarks() {
     parseFloat(results.summary.withPlugin.avgScore) -
     parseFloat(results.summary.withoutPlugin.avgScore)
   ).toFixed(1);
+  results.summary.errors = results.detailed.filter((d) => d.with.error).map((d) => d.id);
+  const scored = results.detailed.filter((d) => d.with.goalRelevance);
+  const relevance = scored.map((d) => d.with.goalRelevance.relevance).filter((r) => r !== null);
+  results.summary.goalRelevance = {
+    average: relevance.length ? +(relevance.reduce((a, b) => a + b, 0) / relevance.length).toFixed(1) : null,
+    offTopic: scored.filter((d) => d.with.goalRelevance.offTopic).map((d) => d.id),
+    invented: scored.filter((d) => d.with.goalRelevance.invented.length).map((d) => d.id),
+  };
+  results.summary.groups = summarizeGroups(results.detailed, {
+    original: (d) => parseFloat(d.without.score),
+    enhanced: (d) => parseFloat(d.with.score),
+    improvement: (d) => parseFloat(d.improvement),
+    goalRelevance: (d) => (d.with.goalRelevance ? d.with.goalRelevance.relevance : null),
+  });
 
   // Calculate per-metric summary
-  for (const metric of testData.metrics.items) {
+  for (const metric of rubric.metrics) {
     let withoutCount = 0;
     let withCount = 0;
 
@@ -219,13 +251,15 @@ async function runBenchmarks() {
   }
 
   // Save results
+  results.model = provider.describe();
   const resultsDir = path.join(__dirname, 'results');
   if (!fs.existsSync(resultsDir)) {
     fs.mkdirSync(resultsDir);
   }
 
-  const resultsFile = path.join(resultsDir, `benchmark-${Date.now()}.json`);
-  fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+  // An offline replay repeats a recorded run, so it is not archived again.
+  const resultsFile = offline ? null : path.join(resultsDir, `benchmark-${Date.now()}.json`);
+  if (resultsFile) fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
 
   // Also save as latest
   const latestFile = path.join(resultsDir, 'latest.json');
@@ -244,13 +278,24 @@ async function runBenchmarks() {
   console.log(`│  Improvement:     +${results.summary.improvement.padStart(4)}%                                  │`);
   console.log('└─────────────────────────────────────────────────────────────┘\n');
 
+  if (results.summary.errors.length) console.warn(`  ❌ Failed calls (scored 0%, no goal relevance): ${results.summary.errors.join(', ')}`);
+  const goals = results.summary.goalRelevance;
+  console.log(`  Goal relevance: ${goals.average === null ? 'n/a' : `${goals.average}%`} avg`);
+  if (goals.offTopic.length) console.warn(`  ⚠️  Off-topic goals: ${goals.offTopic.join(', ')}`);
+  if (goals.invented.length) console.warn(`  ⚠️  Goals naming things the prompt does not: ${goals.invented.join(', ')}`);
+  for (const [label, table] of [['category', results.summary.groups.byCategory], ['complexity', results.summary.groups.byComplexity]]) {
+    const parts = Object.entries(table).map(([name, g]) => `${name} ${g.enhanced}% (${g.improvement >= 0 ? '+' : ''}${g.improvement}%)`);
+    console.log(`  By ${label}: ${parts.join(', ')}`);
+  }
+  console.log('');
+
   console.log('┌─────────────────────────────────────────────────────────────┐');
   console.log('│                    METRIC BREAKDOWN                         │');
   console.log('├──────────────────────────────┬──────────┬──────────┬────────┤');
   console.log('│ Metric                       │ Without  │   With   │ Change │');
   console.log('├──────────────────────────────┼──────────┼──────────┼────────┤');
 
-  for (const metric of testData.metrics.items) {
+  for (const metric of rubric.metrics) {
     if (metric.type === 'count') continue; // Skip count metrics in summary
 
     const without = results.summary.withoutPlugin.metrics[metric.id]?.percentage || '0';
@@ -263,7 +308,7 @@ async function runBenchmarks() {
 
   console.log('└──────────────────────────────┴──────────┴──────────┴────────┘\n');
 
-  console.log(`📁 Full results saved to: ${resultsFile}`);
+  if (resultsFile) console.log(`📁 Full results saved to: ${resultsFile}`);
   console.log(`📁 Latest results: ${latestFile}\n`);
 
   return results;
@@ -271,7 +316,10 @@ async function runBenchmarks() {
 
 // Run if called directly
 if (require.main === module) {
-  runBenchmarks().catch(console.error);
+  runBenchmarks().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
 module.exports = { runBenchmarks, measureMetrics, enhancePrompt };
@@ -11,6 +11,7 @@
  *     {
  *       "id": "feature-simple",
  *       "prompt": "add a search bar to the header",
+ *       "language": "javascript",
  *       "without": {
  *         "response": "...",
  *         "inputTokens": 0,
@@ -27,18 +28,62 @@
  *   ]
  * }
  *
+ * A side may instead hold several answers to the same prompt:
+ *   "with": { "samples": [{ "response": "...", "totalTokens": 0 }, { "response": "..." }] }
+ * Every sample is scored; the side's scores are the sample means, the
+ * correctness signal is the share of samples that pass, and `variability`
+ * reports the mean, variance, best, worst and stability of the quality score
+ * (ab-stats.js). The statistics pair prompts, using those means.
+ *
+ * Every response also gets a substantiated score (substance-analyzer.js):
+ * the same rubric, but a signal only counts when the response backs it with
+ * evidence, so echoing the rule's vocabulary does not earn the lift.
+ *
+ * The correctness signal comes from executing the response's JS/TS code
+ * fences and their tests in a node:vm sandbox (code-runner.js). Responses
+ * with no test that runs to a result fall back to the old code-presence
+ * heuristic, and the report says which source each side used.
+ *
+ * JSDoc completeness of every function in the code is audited per response
+ * and pooled per side (jsdoc-auditor.js).
+ *
+ * Next to the SOLID/OOP keyword metric, the report lists per-principle
+ * evidence from the classes each response writes (solid-analyzer.js).
+ *
+ * Quality, tokens and quality-per-token get a paired bootstrap confidence
+ * interval, a paired permutation p-value and Cohen's d (ab-stats.js), plus
+ * the number of prompts needed to detect the configured quality lift. With
+ * --gate-ci-lower, the quality-lift and quality-per-token gates compare the
+ * lower bound of the interval with their threshold instead of the mean.
+ * --confidence is the interval's coverage as a fraction (0.9, not 90) and
+ * --iterations the number of resamples; other values are rejected.
+ *
+ * Quality, tokens and quality per token are also averaged by prompt category
+ * and complexity (group-summary.js). A run without `category`/`complexity`
+ * takes them from the test-prompts.json entry with the same id.
+ *
  * Usage:
  *   node run-cursor-ab.js --input results/cursor-ab-samples.json
  *   node run-cursor-ab.js --input results/cursor-ab-samples.json --gate-quality-lift 25
+ *   node run-cursor-ab.js --input results/cursor-ab-samples.json --gate-ci-lower --confidence 0.9
  */
 
 const fs = require('fs');
 const path = require('path');
 const { encode } = require('gpt-tokenizer');
+const { getRubric, metricValue, rubricStamp, scoreRubric } = require('./rubrics');
+const { analyzeSubstance } = require('./substance-analyzer');
+const { runResponseCode } = require('./code-runner');
+const { analyzeTests } = require('./code-languages');
+const { auditJsdoc, summarizeJsdoc } = require('./jsdoc-auditor');
+const { PRINCIPLES: SOLID_PRINCIPLES, analyzeSolid, summarizeSolid } = require('./solid-analyzer');
+const { DEFAULT_CONFIDENCE, DEFAULT_ITERATIONS, comparePaired, describeSamples, requiredSampleSize } = require('./ab-stats');
+const { groupTables, summarizeGroups } = require('./group-summary');
 
 const DEFAULT_INPUT = path.join(__dirname, 'results', 'cursor-ab-samples.json');
 const DEFAULT_OUT_JSON = path.join(__dirname, 'results', 'cursor-ab-latest.json');
 const DEFAULT_OUT_MD = path.join(__dirname, 'results', 'cursor-ab-latest.md');
+const TEST_PROMPTS = path.join(__dirname, 'test-prompts.json');
 
 const DEFAULT_GATES = {
   minQualityLiftPct: 25,
@@ -46,15 +91,8 @@ const DEFAULT_GATES = {
   minCorrectnessNonRegressionPct: 0,
 };
 
-const QUALITY_METRICS = [
-  { id: 'goal_clarity', name: 'Goal clarity', check: (t) => /(goal:|goal\s*\+|objective|north star)/i.test(t) },
-  { id: 'constraints', name: 'Constraints / Do NOT', check: (t) => /(do not|don't|must not|constraint|avoid)/i.test(t) },
-  { id: 'phases', name: 'Phased execution', check: (t) => /(phase|step\s+\d|^\s*\d+[.)]\s+)/im.test(t) },
-  { id: 'tdd', name: 'TDD presence', check: (t) => /(tdd|red.?green.?refactor|failing test|tests?\s+first)/i.test(t) },
-  { id: 'docs', name: 'Docs/JSDoc mention', check: (t) => /(jsdoc|@param|@returns|docstring|update readme|documentation)/i.test(t) },
-  { id: 'solid', name: 'SOLID/OOP mention', check: (t) => /(\bsolid\b|single responsibility|open.?closed|liskov|interface segregation|dependency inversion|\boop\b)/i.test(t) },
-  { id: 'edge_cases', name: 'Edge-case handling', check: (t) => /(edge case|error handling|exception|invalid|null|undefined|boundary)/i.test(t) },
-];
+const RUBRIC = getRubric('response-quality');
+const QUALITY_METRICS = RUBRIC.metrics;
 
 function parseArgs(argv) {
   const args = {
@@ -64,6 +102,9 @@ function parseArgs(argv) {
     gateQualityLift: DEFAULT_GATES.minQualityLiftPct,
     gateQptDelta: DEFAULT_GATES.minQualityPerTokenDelta,
     gateCorrectnessDelta: DEFAULT_GATES.minCorrectnessNonRegressionPct,
+    gateCiLower: false,
+    confidence: DEFAULT_CONFIDENCE,
+    iterations: DEFAULT_ITERATIONS,
   };
 
   for (let i = 2; i < argv.length; i++) {
@@ -75,6 +116,9 @@ function parseArgs(argv) {
     if (k === '--gate-quality-lift' && v) { args.gateQualityLift = Number(v); i++; continue; }
     if (k === '--gate-qpt-delta' && v) { args.gateQptDelta = Number(v); i++; continue; }
     if (k === '--gate-correctness-delta' && v) { args.gateCorrectnessDelta = Number(v); i++; continue; }
+    if (k === '--gate-ci-lower') { args.gateCiLower = true; continue; }
+    if (k === '--confidence' && v) { args.confidence = Number(v); i++; continue; }
+    if (k === '--iterations' && v) { args.iterations = Number(v); i++; continue; }
   }
 
   return args;
@@ -103,24 +147,146 @@ function inferTotalTokens(side) {
   return inTok + encode(response).length;
 }
 
-function scoreQuality(responseText) {
+function scoreQuality(responseText, prompt, language) {
+  const scored = scoreRubric(RUBRIC, responseText, { prompt, language });
+  const { details, hit, total, percentage, discarded } = scored;
+  const substance = analyzeSubstance(responseText, { prompt, language, scored });
+  return {
+    details,
+    values: Object.fromEntries(QUALITY_METRICS.map((m) => [m.id, Number(metricValue(scored, m).toFixed(4))])),
+    hit,
+    total,
+    percentage,
+    discarded: { negated: discarded.negated, echoed: discarded.echoed },
+    substantiated: substance,
+  };
+}
+
+function guessCorrectnessSignal(responseText) {
   const text = String(responseText || '');
-  const details = {};
-  let hit = 0;
+  return /```/.test(text) || /(function|class|const|let|interface|type|def)\s+/i.test(text);
+}
 
-  for (const m of QUALITY_METRICS) {
-    const pass = m.check(text);
-    details[m.id] = pass;
-    if (pass) hit += 1;
+function measureCorrectness(responseText) {
+  const run = runResponseCode(responseText);
+  const tests = { passed: run.tests.passed, failed: run.tests.failed, skipped: run.tests.skipped };
+  if (run.verdict === 'untested') {
+    return { signal: guessCorrectnessSignal(responseText), source: 'heuristic', tests, errors: run.errors };
   }
+  return { signal: run.verdict === 'pass', source: 'executed', tests, errors: run.errors };
+}
 
-  const pct = (hit / QUALITY_METRICS.length) * 100;
-  return { details, hit, total: QUALITY_METRICS.length, percentage: pct };
+/**
+ * The samples of one side: its `samples` array when it has one, otherwise the
+ * side itself as the only sample. A string sample is taken as the response.
+ * @param {object} [side] - `without` or `with` entry of an input run.
+ * @returns {object[]} Samples, each with `response` and optional token counts.
+ */
+function sideSamples(side) {
+  if (side && Array.isArray(side.samples) && side.samples.length) {
+    return side.samples.map((sample) => (typeof sample === 'string' ? { response: sample } : sample || {}));
+  }
+  return [side || {}];
 }
 
-function guessCorrectnessSignal(responseText) {
-  const text = String(responseText || '');
-  return /```/.test(text) || /(function|class|const|let|interface|type|def)\s+/i.test(text);
+function scoreSample(sample, prompt, language) {
+  const response = String(sample.response || '');
+  const quality = scoreQuality(response, prompt, language);
+  const tokens = inferTotalTokens(sample);
+  const qpt = tokens > 0 ? quality.percentage / tokens : 0;
+  const correctness = measureCorrectness(response);
+  return {
+    qualityScorePct: pct(quality.percentage),
+    qualityHits: `${quality.hit}/${quality.total}`,
+    totalTokens: tokens,
+    qualityPerToken: Number(qpt.toFixed(4)),
+    correctnessSignal: correctness.signal,
+    correctnessRate: correctness.signal ? 1 : 0,
+    correctnessSource: correctness.source,
+    executedTests: correctness.tests,
+    codeErrors: correctness.errors,
+    metricDetails: quality.details,
+    metricValues: quality.values,
+    testStructure: analyzeTests(response, { language }),
+    jsdoc: auditJsdoc(response),
+    solid: analyzeSolid(response),
+    discardedHits: quality.discarded,
+    substantiatedScorePct: pct(quality.substantiated.percentage),
+    unsubstantiated: quality.substantiated.unsubstantiated,
+    keywordStuffed: quality.substantiated.stuffed,
+  };
+}
+
+function spread(values) {
+  const s = describeSamples(values);
+  return { n: s.n, mean: pct(s.mean), variance: pct(s.variance), best: s.best, worst: s.worst, stability: pct(s.stability) };
+}
+
+/**
+ * Fold the scored samples of one side into the record the report uses. One
+ * sample is returned as scored; several are averaged (quality, tokens,
+ * metric values, correctness rate), counts are summed, a metric or keyword
+ * stuffing counts when any sample shows it, and the samples are kept under
+ * `samples`. Either way `variability` describes the quality scores.
+ * @param {object[]} records - scoreSample() results for one prompt and side.
+ * @returns {object} Side record with `variability` and, for several samples, `samples`.
+ */
+function combineSamples(records) {
+  const variability = spread(records.map((x) => x.qualityScorePct));
+  if (records.length === 1) return { ...records[0], variability };
+
+  const avg = (pick) => mean(records.map(pick));
+  const sum = (pick) => records.reduce((n, x) => n + pick(x), 0);
+  const sources = [...new Set(records.map((x) => x.correctnessSource))];
+  const correctnessRate = avg((x) => x.correctnessRate);
+  return {
+    qualityScorePct: pct(avg((x) => x.qualityScorePct)),
+    qualityHits: records.map((x) => x.qualityHits).join(', '),
+    totalTokens: pct(avg((x) => x.totalTokens)),
+    qualityPerToken: Number(avg((x) => x.qualityPerToken).toFixed(4)),
+    correctnessSignal: correctnessRate >= 0.5,
+    correctnessRate: Number(correctnessRate.toFixed(4)),
+    correctnessSource: sources.length === 1 ? sources[0] : 'mixed',
+    executedTests: {
+      passed: sum((x) => x.executedTests.passed),
+      failed: sum((x) => x.executedTests.failed),
+      skipped: sum((x) => x.executedTests.skipped),
+    },
+    codeErrors: records.flatMap((x) => x.codeErrors),
+    metricDetails: Object.fromEntries(Object.keys(records[0].metricDetails).map((id) => [id, records.some((x) => x.metricDetails[id])])),
+    metricValues: Object.fromEntries(QUALITY_METRICS.map((m) => [m.id, Number(avg((x) => x.metricValues[m.id]).toFixed(4))])),
+    discardedHits: {
+      negated: sum((x) => x.discardedHits.negated),
+      echoed: sum((x) => x.discardedHits.echoed),
+    },
+    substantiatedScorePct: pct(avg((x) => x.substantiatedScorePct)),
+    unsubstantiated: [...new Set(records.flatMap((x) => x.unsubstantiated))],
+    keywordStuffed: records.some((x) => x.keywordStuffed),
+    variability,
+    samples: records,
+  };
+}
+
+function samplesOf(sideRecord) {
+  return sideRecord.samples || [sideRecord];
+}
+
+function summarizeSamples(byRun) {
+  const out = {};
+  for (const side of ['without', 'with']) {
+    const v = byRun.map((r) => r[side].variability);
+    out[side] = {
+      total: v.reduce((n, x) => n + x.n, 0),
+      repeatedPrompts: v.filter((x) => x.n > 1).length,
+      meanVariance: pct(mean(v.map((x) => x.variance))),
+      meanStability: pct(mean(v.map((x) => x.stability))),
+      leastStable: byRun.filter((r) => r[side].variability.n > 1)
+        .sort((a, b) => a[side].variability.stability - b[side].variability.stability)
+        .slice(0, 3)
+        .map((r) => ({ id: r.id, stability: r[side].variability.stability })),
+    };
+  }
+  return out;
 }
 
 function mean(values) {
@@ -132,8 +298,39 @@ function pct(n) {
   return Number(n.toFixed(1));
 }
 
+function statRow(s, digits) {
+  const round = (n) => Number(n.toFixed(digits));
+  return {
+    meanDelta: round(s.meanDelta),
+    ciLower: round(s.ci.lower),
+    ciUpper: round(s.ci.upper),
+    pValue: Number(s.pValue.toFixed(4)),
+    exact: s.exact,
+    cohensD: s.cohensD === null ? null : Number(s.cohensD.toFixed(2)),
+  };
+}
+
+function signed(n) {
+  return `${n >= 0 ? '+' : ''}${n}`;
+}
+
+function formatP(p) {
+  return p < 0.001 ? '< 0.001' : p.toFixed(3);
+}
+
+function jsdocCoverage(summary) {
+  if (summary.coverage === null) return 'n/a (no functions)';
+  return `${pct(summary.coverage)}% (${summary.complete}/${summary.functions} functions complete)`;
+}
+
 function run() {
   const args = parseArgs(process.argv);
+  if (!(args.confidence > 0 && args.confidence < 1)) {
+    throw new Error(`--confidence must be a fraction between 0 and 1 (e.g. 0.95), got ${args.confidence}`);
+  }
+  if (!Number.isInteger(args.iterations) || args.iterations < 1) {
+    throw new Error(`--iterations must be a positive integer, got ${args.iterations}`);
+  }
   const raw = JSON.parse(fs.readFileSync(args.input, 'utf8'));
   const runs = Array.isArray(raw.runs) ? raw.runs : [];
 
@@ -142,9 +339,10 @@ function run() {
   }
 
   const emptyRuns = [];
+  const hasEmpty = (side) => sideSamples(side).some((sample) => !String(sample?.response || '').trim());
   for (const r of runs) {
-    const w = String(r?.without?.response || '').trim();
-    const wi = String(r?.with?.response || '').trim();
+    const w = !hasEmpty(r?.without);
+    const wi = !hasEmpty(r?.with);
     if (!w || !wi) {
       emptyRuns.push({ id: r.id || '(no-id)', missingWithout: !w, missingWith: !wi });
     }
@@ -159,62 +357,45 @@ function run() {
     console.warn('  node generate-cursor-ab-scaffold.js --force\n');
   }
 
+  const known = new Map(JSON.parse(fs.readFileSync(TEST_PROMPTS, 'utf8')).prompts.map((p) => [p.id, p]));
   const byRun = runs.map((r, index) => {
-    const withoutResp = String(r.without?.response || '');
-    const withResp = String(r.with?.response || '');
-    const withoutQuality = scoreQuality(withoutResp);
-    const withQuality = scoreQuality(withResp);
-
-    const withoutTokens = inferTotalTokens(r.without);
-    const withTokens = inferTotalTokens(r.with);
-
-    const withoutQpt = withoutTokens > 0 ? withoutQuality.percentage / withoutTokens : 0;
-    const withQpt = withTokens > 0 ? withQuality.percentage / withTokens : 0;
-
-    const withoutCorrect = guessCorrectnessSignal(withoutResp);
-    const withCorrect = guessCorrectnessSignal(withResp);
+    const language = r.language || null;
+    const testPrompt = known.get(r.id) || {};
+    const without = combineSamples(sideSamples(r.without).map((sample) => scoreSample(sample, r.prompt, language)));
+    const withSide = combineSamples(sideSamples(r.with).map((sample) => scoreSample(sample, r.prompt, language)));
 
     return {
       id: r.id || `run-${index + 1}`,
       prompt: String(r.prompt || ''),
-      without: {
-        qualityScorePct: pct(withoutQuality.percentage),
-        qualityHits: `${withoutQuality.hit}/${withoutQuality.total}`,
-        totalTokens: withoutTokens,
-        qualityPerToken: Number(withoutQpt.toFixed(4)),
-        correctnessSignal: withoutCorrect,
-        metricDetails: withoutQuality.details,
-      },
-      with: {
-        qualityScorePct: pct(withQuality.percentage),
-        qualityHits: `${withQuality.hit}/${withQuality.total}`,
-        totalTokens: withTokens,
-        qualityPerToken: Number(withQpt.toFixed(4)),
-        correctnessSignal: withCorrect,
-        metricDetails: withQuality.details,
-      },
+      category: r.category || testPrompt.category || null,
+      complexity: r.complexity || testPrompt.complexity || null,
+      without,
+      with: withSide,
       delta: {
-        qualityScorePct: pct(withQuality.percentage - withoutQuality.percentage),
-        totalTokens: withTokens - withoutTokens,
-        qualityPerToken: Number((withQpt - withoutQpt).toFixed(4)),
-        correctnessSignal: (withCorrect ? 1 : 0) - (withoutCorrect ? 1 : 0),
+        qualityScorePct: pct(withSide.qualityScorePct - without.qualityScorePct),
+        substantiatedScorePct: pct(withSide.substantiatedScorePct - without.substantiatedScorePct),
+        totalTokens: withSide.totalTokens - without.totalTokens,
+        qualityPerToken: Number((withSide.qualityPerToken - without.qualityPerToken).toFixed(4)),
+        correctnessSignal: Number((withSide.correctnessRate - without.correctnessRate).toFixed(4)),
       },
     };
   });
 
   const qualityWithout = byRun.map((r) => r.without.qualityScorePct);
   const qualityWith = byRun.map((r) => r.with.qualityScorePct);
+  const substantiatedWithout = byRun.map((r) => r.without.substantiatedScorePct);
+  const substantiatedWith = byRun.map((r) => r.with.substantiatedScorePct);
   const tokensWithout = byRun.map((r) => r.without.totalTokens);
   const tokensWith = byRun.map((r) => r.with.totalTokens);
   const qptWithout = byRun.map((r) => r.without.qualityPerToken);
   const qptWith = byRun.map((r) => r.with.qualityPerToken);
-  const correctnessWithout = byRun.map((r) => (r.without.correctnessSignal ? 1 : 0));
-  const correctnessWith = byRun.map((r) => (r.with.correctnessSignal ? 1 : 0));
+  const correctnessWithout = byRun.map((r) => r.without.correctnessRate);
+  const correctnessWith = byRun.map((r) => r.with.correctnessRate);
 
   const metricRollup = {};
   for (const metric of QUALITY_METRICS) {
-    const withoutCount = byRun.filter((r) => r.without.metricDetails[metric.id]).length;
-    const withCount = byRun.filter((r) => r.with.metricDetails[metric.id]).length;
+    const withoutCount = byRun.reduce((n, r) => n + r.without.metricValues[metric.id], 0);
+    const withCount = byRun.reduce((n, r) => n + r.with.metricValues[metric.id], 0);
     metricRollup[metric.id] = {
       name: metric.name,
       withoutPct: pct((withoutCount / byRun.length) * 100),
@@ -223,12 +404,48 @@ function run() {
     };
   }
 
+  const executedTests = {};
+  for (const side of ['without', 'with']) {
+    executedTests[side] = {
+      total: byRun.reduce((n, r) => n + samplesOf(r[side]).length, 0),
+      responses: byRun.reduce((n, r) => n + samplesOf(r[side]).filter((x) => x.correctnessSource === 'executed').length, 0),
+      passed: byRun.reduce((n, r) => n + r[side].executedTests.passed, 0),
+      failed: byRun.reduce((n, r) => n + r[side].executedTests.failed, 0),
+      skipped: byRun.reduce((n, r) => n + r[side].executedTests.skipped, 0),
+    };
+  }
+
+  const discardedHits = {};
+  for (const side of ['without', 'with']) {
+    discardedHits[side] = {
+      negated: byRun.reduce((n, r) => n + r[side].discardedHits.negated, 0),
+      echoed: byRun.reduce((n, r) => n + r[side].discardedHits.echoed, 0),
+    };
+  }
+
+  const resampling = { confidence: args.confidence, iterations: args.iterations };
+  const qualityStats = comparePaired(qualityWithout, qualityWith, resampling);
+  const statistics = {
+    confidence: args.confidence,
+    iterations: args.iterations,
+    quality: statRow(qualityStats, 1),
+    totalTokens: statRow(comparePaired(tokensWithout, tokensWith, resampling), 1),
+    qualityPerToken: statRow(comparePaired(qptWithout, qptWith, resampling), 4),
+    requiredSampleSize: {
+      qualityLiftPct: args.gateQualityLift,
+      pairs: requiredSampleSize(qualityStats.sdDelta, args.gateQualityLift),
+    },
+  };
+
   const summary = {
     sampleSize: byRun.length,
     averages: {
       qualityScoreWithoutPct: pct(mean(qualityWithout)),
       qualityScoreWithPct: pct(mean(qualityWith)),
       qualityScoreDeltaPct: pct(mean(qualityWith) - mean(qualityWithout)),
+      substantiatedScoreWithoutPct: pct(mean(substantiatedWithout)),
+      substantiatedScoreWithPct: pct(mean(substantiatedWith)),
+      substantiatedScoreDeltaPct: pct(mean(substantiatedWith) - mean(substantiatedWithout)),
       totalTokensWithout: pct(mean(tokensWithout)),
       totalTokensWith: pct(mean(tokensWith)),
       totalTokensDelta: pct(mean(tokensWith) - mean(tokensWithout)),
@@ -239,17 +456,44 @@ function run() {
       correctnessSignalWithPct: pct(mean(correctnessWith) * 100),
       correctnessSignalDeltaPct: pct((mean(correctnessWith) - mean(correctnessWithout)) * 100),
     },
+    statistics,
     byMetric: metricRollup,
+    executedTests,
+    jsdoc: {
+      without: summarizeJsdoc(byRun.flatMap((r) => samplesOf(r.without).map((x) => x.jsdoc))),
+      with: summarizeJsdoc(byRun.flatMap((r) => samplesOf(r.with).map((x) => x.jsdoc))),
+    },
+    solid: {
+      without: summarizeSolid(byRun.flatMap((r) => samplesOf(r.without).map((x) => x.solid))),
+      with: summarizeSolid(byRun.flatMap((r) => samplesOf(r.with).map((x) => x.solid))),
+    },
+    discardedHits,
+    samples: summarizeSamples(byRun),
+    groups: summarizeGroups(byRun, {
+      qualityWithout: (r) => r.without.qualityScorePct,
+      qualityWith: (r) => r.with.qualityScorePct,
+      qualityDelta: (r) => r.delta.qualityScorePct,
+      substantiatedDelta: (r) => r.delta.substantiatedScorePct,
+      totalTokensDelta: (r) => r.delta.totalTokens,
+      qualityPerTokenDelta: (r) => r.delta.qualityPerToken,
+    }),
+    keywordStuffed: {
+      without: byRun.filter((r) => r.without.keywordStuffed).map((r) => r.id),
+      with: byRun.filter((r) => r.with.keywordStuffed).map((r) => r.id),
+    },
   };
 
+  const qualityLift = args.gateCiLower ? statistics.quality.ciLower : summary.averages.qualityScoreDeltaPct;
+  const qptDelta = args.gateCiLower ? statistics.qualityPerToken.ciLower : summary.averages.qualityPerTokenDelta;
   const gates = {
     configured: {
       minQualityLiftPct: args.gateQualityLift,
       minQualityPerTokenDelta: args.gateQptDelta,
       minCorrectnessNonRegressionPct: args.gateCorrectnessDelta,
+      gateOn: args.gateCiLower ? 'ciLower' : 'mean',
     },
-    qualityLiftPass: summary.averages.qualityScoreDeltaPct >= args.gateQualityLift,
-    qualityPerTokenPass: summary.averages.qualityPerTokenDelta >= args.gateQptDelta,
+    qualityLiftPass: qualityLift >= args.gateQualityLift,
+    qualityPerTokenPass: qptDelta >= args.gateQptDelta,
     correctnessNonRegressionPass: summary.averages.correctnessSignalDeltaPct >= args.gateCorrectnessDelta,
   };
   gates.overallPass = gates.qualityLiftPass && gates.qualityPerTokenPass && gates.correctnessNonRegressionPass;
@@ -257,6 +501,7 @@ function run() {
   const output = {
     timestamp: new Date().toISOString(),
     description: raw.description || 'Cursor MDC A/B benchmark',
+    rubric: rubricStamp(RUBRIC),
     inputFile: args.input,
     summary,
     gates,
@@ -279,6 +524,7 @@ function toMarkdown(report) {
   lines.push('');
   lines.push(`- Timestamp: ${report.timestamp}`);
   lines.push(`- Sample size: ${report.summary.sampleSize}`);
+  lines.push(`- Rubric: ${report.rubric.id}@${report.rubric.version}`);
   lines.push(`- Input: \`${report.inputFile}\``);
   lines.push('');
   lines.push('## Summary');
@@ -286,10 +532,72 @@ function toMarkdown(report) {
   lines.push('| Metric | Without | With | Delta |');
   lines.push('|---|---:|---:|---:|');
   lines.push(`| Quality score (%) | ${a.qualityScoreWithoutPct} | ${a.qualityScoreWithPct} | ${a.qualityScoreDeltaPct >= 0 ? '+' : ''}${a.qualityScoreDeltaPct} |`);
+  lines.push(`| Substantiated score (%) | ${a.substantiatedScoreWithoutPct} | ${a.substantiatedScoreWithPct} | ${a.substantiatedScoreDeltaPct >= 0 ? '+' : ''}${a.substantiatedScoreDeltaPct} |`);
   lines.push(`| Total tokens | ${a.totalTokensWithout} | ${a.totalTokensWith} | ${a.totalTokensDelta >= 0 ? '+' : ''}${a.totalTokensDelta} |`);
   lines.push(`| Quality per token | ${a.qualityPerTokenWithout} | ${a.qualityPerTokenWith} | ${a.qualityPerTokenDelta >= 0 ? '+' : ''}${a.qualityPerTokenDelta} |`);
   lines.push(`| Correctness signal (%) | ${a.correctnessSignalWithoutPct} | ${a.correctnessSignalWithPct} | ${a.correctnessSignalDeltaPct >= 0 ? '+' : ''}${a.correctnessSignalDeltaPct} |`);
   lines.push('');
+  const x = report.summary.executedTests;
+  const j = report.summary.jsdoc;
+  lines.push(`Correctness comes from executing each response's JS/TS code and tests (\`code-runner.js\`): without ${x.without.responses}/${x.without.total} responses (${x.without.passed} passed / ${x.without.failed} failed / ${x.without.skipped} skipped tests), with ${x.with.responses}/${x.with.total} (${x.with.passed} / ${x.with.failed} / ${x.with.skipped}). Responses without a runnable test fall back to the code-presence heuristic.`);
+  lines.push('');
+  lines.push(`JSDoc coverage (functions whose doc block has every @param, @returns and @throws they need, \`jsdoc-auditor.js\`): without ${jsdocCoverage(j.without)}, with ${jsdocCoverage(j.with)}.`);
+  lines.push('');
+  const d = report.summary.discardedHits;
+  lines.push(`Signal hits discarded (not scored): without ${d.without.negated} negated / ${d.without.echoed} echoed, with ${d.with.negated} negated / ${d.with.echoed} echoed.`);
+  lines.push('');
+  lines.push('The substantiated score only credits a signal the response backs with evidence (a test block for TDD, injected dependencies for SOLID, task-specific numbered phases, ...); see `substance-analyzer.js`.');
+  const stuffed = report.summary.keywordStuffed;
+  if (stuffed.without.length || stuffed.with.length) {
+    lines.push(`Keyword stuffing (half or more of the claimed signals unsubstantiated): without ${stuffed.without.join(', ') || 'none'}; with ${stuffed.with.join(', ') || 'none'}.`);
+  }
+  lines.push('');
+  const st = report.summary.statistics;
+  const ciLabel = `${Math.round(st.confidence * 100)}% CI`;
+  lines.push('## Statistics');
+  lines.push('');
+  lines.push(`Paired over ${report.summary.sampleSize} prompts (\`ab-stats.js\`): bootstrap ${ciLabel} of the mean difference (${st.iterations} resamples), two-sided paired permutation test, Cohen's d of the differences.`);
+  lines.push('');
+  lines.push(`| Metric | Mean Δ | ${ciLabel} | p-value | Cohen's d |`);
+  lines.push('|---|---:|---:|---:|---:|');
+  for (const [label, row] of [['Quality score (%)', st.quality], ['Total tokens', st.totalTokens], ['Quality per token', st.qualityPerToken]]) {
+    const p = `${formatP(row.pValue)}${row.exact ? '' : ' (sampled)'}`;
+    lines.push(`| ${label} | ${signed(row.meanDelta)} | [${signed(row.ciLower)}, ${signed(row.ciUpper)}] | ${p} | ${row.cohensD === null ? 'n/a' : row.cohensD} |`);
+  }
+  lines.push('');
+  const need = st.requiredSampleSize;
+  lines.push(need.pairs === null
+    ? 'Required sample size: n/a (no positive quality lift configured).'
+    : `Prompts needed to detect a +${need.qualityLiftPct}% quality lift (two-sided α = 0.05, 80% power, observed SD of the differences): ${need.pairs}; this run has ${report.summary.sampleSize}.`);
+  lines.push('');
+  const sm = report.summary.samples;
+  if (sm.without.repeatedPrompts || sm.with.repeatedPrompts) {
+    lines.push('## Sample Variability');
+    lines.push('');
+    lines.push(`Prompts answered more than once are scored per sample and averaged. Stability is 100 × (1 − SD / 50) of the quality scores; 100 means every sample scored the same. Samples: without ${sm.without.total}, with ${sm.with.total}; mean stability without ${sm.without.meanStability}, with ${sm.with.meanStability}.`);
+    lines.push('');
+    lines.push('| ID | Side | Samples | Mean % | Variance | Best % | Worst % | Stability |');
+    lines.push('|---|---|---:|---:|---:|---:|---:|---:|');
+    for (const r of report.runs) {
+      for (const side of ['without', 'with']) {
+        const v = r[side].variability;
+        lines.push(`| ${r.id} | ${side} | ${v.n} | ${v.mean} | ${v.variance} | ${v.best} | ${v.worst} | ${v.stability} |`);
+      }
+    }
+    lines.push('');
+  }
+  lines.push('## By Category and Complexity');
+  lines.push('');
+  lines.push(...groupTables(report.summary.groups, {
+    columns: [
+      ['qualityWithout', 'Quality without %'],
+      ['qualityWith', 'Quality with %'],
+      ['qualityDelta', 'Quality Δ%', signed],
+      ['substantiatedDelta', 'Substantiated Δ%', signed],
+      ['totalTokensDelta', 'Tokens Δ', signed],
+    ],
+    crossMetric: 'qualityDelta',
+  }));
   lines.push('## Metric Lift');
   lines.push('');
   lines.push('| Metric | Without % | With % | Delta % |');
@@ -299,19 +607,43 @@ function toMarkdown(report) {
     lines.push(`| ${row.name} | ${row.withoutPct} | ${row.withPct} | ${row.deltaPct >= 0 ? '+' : ''}${row.deltaPct} |`);
   }
   lines.push('');
+  lines.push('## SOLID Evidence');
+  lines.push('');
+  lines.push('The SOLID/OOP metric above is a keyword match. `solid-analyzer.js` reads the classes in each response instead; responses per principle (pass / violation / no evidence):');
+  lines.push('');
+  lines.push('| Principle | Without | With |');
+  lines.push('|---|---:|---:|');
+  const sol = report.summary.solid;
+  for (const p of SOLID_PRINCIPLES) {
+    lines.push(`| ${p.toUpperCase()} | ${sol.without[p].pass} / ${sol.without[p].violation} / ${sol.without[p].na} | ${sol.with[p].pass} / ${sol.with[p].violation} / ${sol.with[p].na} |`);
+  }
+  lines.push('');
+  for (const r of report.runs) {
+    for (const side of ['without', 'with']) {
+      const samples = samplesOf(r[side]);
+      samples.forEach((x, i) => {
+        const items = SOLID_PRINCIPLES.flatMap((p) => x.solid.principles[p].evidence.map((e) => `${e.ok ? '✓' : '✗'} ${p.toUpperCase()} ${e.subject}: ${e.detail}`));
+        if (!items.length) return;
+        const label = samples.length > 1 ? `${side} #${i + 1}` : side;
+        lines.push(`- ${r.id} (${label}; SOLID keyword ${x.metricDetails.solid ? 'hit' : 'miss'}): ${items.join('; ')}`);
+      });
+    }
+  }
+  lines.push('');
   lines.push('## Gates');
   lines.push('');
-  lines.push(`- Quality lift >= ${report.gates.configured.minQualityLiftPct}%: ${report.gates.qualityLiftPass ? 'PASS' : 'FAIL'}`);
-  lines.push(`- Quality-per-token delta >= ${report.gates.configured.minQualityPerTokenDelta}: ${report.gates.qualityPerTokenPass ? 'PASS' : 'FAIL'}`);
+  const on = report.gates.configured.gateOn === 'ciLower' ? ` (lower bound of the ${ciLabel})` : ' (mean)';
+  lines.push(`- Quality lift${on} >= ${report.gates.configured.minQualityLiftPct}%: ${report.gates.qualityLiftPass ? 'PASS' : 'FAIL'}`);
+  lines.push(`- Quality-per-token delta${on} >= ${report.gates.configured.minQualityPerTokenDelta}: ${report.gates.qualityPerTokenPass ? 'PASS' : 'FAIL'}`);
   lines.push(`- Correctness non-regression >= ${report.gates.configured.minCorrectnessNonRegressionPct}%: ${report.gates.correctnessNonRegressionPass ? 'PASS' : 'FAIL'}`);
   lines.push(`- Overall: ${report.gates.overallPass ? 'PASS' : 'FAIL'}`);
   lines.push('');
   lines.push('## Per Prompt');
   lines.push('');
-  lines.push('| ID | Quality Δ% | Tokens Δ | QPT Δ |');
-  lines.push('|---|---:|---:|---:|');
+  lines.push('| ID | Quality Δ% | Substantiated Δ% | Unsubstantiated (with) | Tokens Δ | QPT Δ |');
+  lines.push('|---|---:|---:|---|---:|---:|');
   for (const r of report.runs) {
-    lines.push(`| ${r.id} | ${r.delta.qualityScorePct >= 0 ? '+' : ''}${r.delta.qualityScorePct} | ${r.delta.totalTokens >= 0 ? '+' : ''}${r.delta.totalTokens} | ${r.delta.qualityPerToken >= 0 ? '+' : ''}${r.delta.qualityPerToken} |`);
+    lines.push(`| ${r.id} | ${r.delta.qualityScorePct >= 0 ? '+' : ''}${r.delta.qualityScorePct} | ${r.delta.substantiatedScorePct >= 0 ? '+' : ''}${r.delta.substantiatedScorePct} | ${r.with.unsubstantiated.join(', ') || '-'} | ${r.delta.totalTokens >= 0 ? '+' : ''}${r.delta.totalTokens} | ${r.delta.qualityPerToken >= 0 ? '+' : ''}${r.delta.qualityPerToken} |`);
   }
   lines.push('');
   return lines.join('\n');
@@ -323,11 +655,36 @@ function printConsole(report, outJson, outMd) {
   console.log('                Cursor MDC A/B Benchmark');
   console.log('═══════════════════════════════════════════════════════════════');
   console.log(`Sample size:                ${report.summary.sampleSize}`);
+  console.log(`Rubric:                     ${report.rubric.id}@${report.rubric.version}`);
   console.log(`Quality score avg:          ${a.qualityScoreWithoutPct}% -> ${a.qualityScoreWithPct}% (${a.qualityScoreDeltaPct >= 0 ? '+' : ''}${a.qualityScoreDeltaPct}%)`);
+  console.log(`Substantiated score avg:    ${a.substantiatedScoreWithoutPct}% -> ${a.substantiatedScoreWithPct}% (${a.substantiatedScoreDeltaPct >= 0 ? '+' : ''}${a.substantiatedScoreDeltaPct}%)`);
   console.log(`Total tokens avg:           ${a.totalTokensWithout} -> ${a.totalTokensWith} (${a.totalTokensDelta >= 0 ? '+' : ''}${a.totalTokensDelta})`);
   console.log(`Quality per token avg:      ${a.qualityPerTokenWithout} -> ${a.qualityPerTokenWith} (${a.qualityPerTokenDelta >= 0 ? '+' : ''}${a.qualityPerTokenDelta})`);
   console.log(`Correctness signal avg:     ${a.correctnessSignalWithoutPct}% -> ${a.correctnessSignalWithPct}% (${a.correctnessSignalDeltaPct >= 0 ? '+' : ''}${a.correctnessSignalDeltaPct}%)`);
-  console.log(`Gate status:                ${report.gates.overallPass ? 'PASS' : 'FAIL'}`);
+  const x = report.summary.executedTests;
+  console.log(`Executed tests:             without ${x.without.passed}/${x.without.passed + x.without.failed} passed in ${x.without.responses} responses, with ${x.with.passed}/${x.with.passed + x.with.failed} passed in ${x.with.responses} (rest: heuristic)`);
+  const j = report.summary.jsdoc;
+  console.log(`JSDoc coverage:             without ${jsdocCoverage(j.without)}, with ${jsdocCoverage(j.with)}`);
+  const sol = report.summary.solid;
+  const solidLine = (side) => SOLID_PRINCIPLES.map((p) => `${p.toUpperCase()} ${sol[side][p].pass}✓/${sol[side][p].violation}✗`).join(' ');
+  console.log(`SOLID evidence (responses): without ${solidLine('without')}, with ${solidLine('with')}`);
+  const d = report.summary.discardedHits;
+  console.log(`Discarded signal hits:      without ${d.without.negated} negated / ${d.without.echoed} echoed, with ${d.with.negated} negated / ${d.with.echoed} echoed`);
+  const stuffed = report.summary.keywordStuffed;
+  console.log(`Keyword-stuffed responses:  without ${stuffed.without.length}, with ${stuffed.with.length}`);
+  const sm = report.summary.samples;
+  if (sm.without.repeatedPrompts || sm.with.repeatedPrompts) {
+    console.log(`Samples (stability):        without ${sm.without.total} (${sm.without.meanStability}), with ${sm.with.total} (${sm.with.meanStability})`);
+  }
+  for (const [label, table] of [['category', report.summary.groups.byCategory], ['complexity', report.summary.groups.byComplexity]]) {
+    const parts = Object.entries(table).map(([name, g]) => `${name} ${signed(g.qualityDelta)}%`);
+    console.log(`${`Quality lift by ${label}:`.padEnd(28)}${parts.join(', ')}`);
+  }
+  const st = report.summary.statistics;
+  const q = st.quality;
+  console.log(`Quality lift ${Math.round(st.confidence * 100)}% CI:        [${signed(q.ciLower)}, ${signed(q.ciUpper)}], p = ${formatP(q.pValue)}, d = ${q.cohensD === null ? 'n/a' : q.cohensD}`);
+  console.log(`Prompts for +${st.requiredSampleSize.qualityLiftPct}% lift:      ${st.requiredSampleSize.pairs === null ? 'n/a' : st.requiredSampleSize.pairs} (have ${report.summary.sampleSize})`);
+  console.log(`Gate status:                ${report.gates.overallPass ? 'PASS' : 'FAIL'} (on ${report.gates.configured.gateOn === 'ciLower' ? 'CI lower bound' : 'mean'})`);
   console.log('');
   console.log(`JSON report -> ${outJson}`);
   console.log(`MD report   -> ${outMd}`);
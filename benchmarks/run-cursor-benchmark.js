@@ -15,28 +15,20 @@
 const fs   = require('fs');
 const path = require('path');
 const { encode } = require('gpt-tokenizer');
+const { getRubric, rubricStamp, scoreRubric } = require('./rubrics');
 
 // ── paths ────────────────────────────────────────────────────────────────────
 const ROOT       = path.resolve(__dirname, '..');
 const MDC_FILE   = path.join(ROOT, 'cursor', 'rules', '10x-architect.mdc');
 
-// ── quality-signal patterns (same 9 used in run-token-benchmark.js) ─────────
-const SIGNALS = [
-  { name: 'goal / North Star', re: /North Star/i },
-  { name: 'Do NOT',            re: /Do NOT/i },
-  { name: 'phases',            re: /phase|step/i },
-  { name: 'TDD',               re: /\bTDD\b/i },
-  { name: 'RED-GREEN-REFACTOR',re: /RED.GREEN.REFACTOR/i },
-  { name: 'JSDoc',             re: /JSDoc/i },
-  { name: 'README',            re: /README/i },
-  { name: 'SOLID',             re: /\bSOLID\b/i },
-  { name: 'edge case',         re: /edge case/i },
-  { name: 'step-by-step',      re: /step.by.step/i },
-];
+// ── quality signals: the rule-payload rubric from rubrics.js ────────────────
+const RUBRIC  = getRubric('rule-payload');
+const SIGNALS = RUBRIC.metrics;
 
 function scoreSignals(text) {
-  const hits = SIGNALS.filter(s => s.re.test(text));
-  return { hits, score: (hits.length / SIGNALS.length) * 100 };
+  const scored = scoreRubric(RUBRIC, text);
+  const hits = SIGNALS.filter(s => scored.details[s.id]);
+  return { hits, score: scored.percentage, discarded: scored.discarded };
 }
 
 function tok(text) { return encode(text).length; }
@@ -89,6 +81,7 @@ console.log(`\nKey metrics (body injected by Cursor):`);
 console.log(`  Token cost per session : ${mdcBody.tokens} tokens`);
 console.log(`  vs plain .cursorrules  : +${mdcBody.tokens - plainBase.tokens} tokens for ${mdcBody.hits.length - plainBase.hits.length} more signals`);
 console.log(`  Quality-signal score   : ${mdcBody.score.toFixed(1)}%`);
+console.log(`  Discarded signal hits  : ${mdcBody.discarded.negated} negated, ${mdcBody.discarded.echoed} echoed`);
 
 console.log(`\nSignals found in .mdc rule:`);
 mdcBody.hits.forEach(h => console.log(`  ✅ ${h.name}`));
@@ -118,6 +111,7 @@ if (mdcBody.tokens > TOKEN_LIMIT) {
 // ── save results ──────────────────────────────────────────────────────────────
 const out = {
   timestamp    : new Date().toISOString(),
+  rubric       : rubricStamp(RUBRIC),
   gatesPass    : passed,
   tokenCeiling : TOKEN_LIMIT,
   qualityFloor : QUALITY_FLOOR,
@@ -127,6 +121,7 @@ const out = {
       signalsFound : v.hits.length,
       signalTotal  : SIGNALS.length,
       scorePercent : parseFloat(v.score.toFixed(1)),
+      discardedHits: { negated: v.discarded.negated, echoed: v.discarded.echoed },
     }])
   ),
 };
@@ -14,23 +14,15 @@
 const fs = require('fs');
 const path = require('path');
 const { encode } = require('gpt-tokenizer');
+const { getRubric, rubricStamp, scoreRubric } = require('./rubrics');
 
 const ROOT = path.resolve(__dirname, '..');
 const CLASSIC_FILE = path.join(ROOT, 'cursor', 'rules', '10x-architect.classic.mdc');
 const LEAN_FILE = path.join(ROOT, 'cursor', 'rules', '10x-architect.mdc');
 
-const SIGNALS = [
-  { name: 'goal / North Star', re: /North Star/i },
-  { name: 'Do NOT', re: /Do NOT/i },
-  { name: 'phases', re: /phase|step/i },
-  { name: 'TDD', re: /\bTDD\b/i },
-  { name: 'RED-GREEN-REFACTOR', re: /RED.GREEN.REFACTOR/i },
-  { name: 'JSDoc', re: /JSDoc/i },
-  { name: 'README', re: /README/i },
-  { name: 'SOLID', re: /\bSOLID\b/i },
-  { name: 'edge case', re: /edge case/i },
-  { name: 'step-by-step', re: /step.by.step/i },
-];
+// Quality signals: the rule-payload rubric from rubrics.js.
+const RUBRIC = getRubric('rule-payload');
+const SIGNALS = RUBRIC.metrics;
 
 function stripFrontmatter(raw) {
   return raw.replace(/^---[\s\S]*?---\n?/, '').trim();
@@ -41,11 +33,13 @@ function tok(text) {
 }
 
 function scoreSignals(text) {
-  const hits = SIGNALS.filter((s) => s.re.test(text));
+  const scored = scoreRubric(RUBRIC, text);
+  const hits = SIGNALS.filter((s) => scored.details[s.id]);
   return {
     hits,
     missing: SIGNALS.filter((s) => !hits.includes(s)),
-    score: (hits.length / SIGNALS.length) * 100,
+    score: scored.percentage,
+    discarded: { negated: scored.discarded.negated, echoed: scored.discarded.echoed },
   };
 }
 
@@ -82,6 +76,7 @@ console.log('');
 console.log(`  Classic signals:     ${classic.hits.length}/${SIGNALS.length} (${classic.score.toFixed(1)}%)`);
 console.log(`  Lean signals:        ${lean.hits.length}/${SIGNALS.length} (${lean.score.toFixed(1)}%)`);
 console.log(`  Signal retention:    ${retention.toFixed(1)}%`);
+console.log(`  Discarded hits:      classic ${classic.discarded.negated} negated / ${classic.discarded.echoed} echoed, lean ${lean.discarded.negated} negated / ${lean.discarded.echoed} echoed`);
 console.log('');
 
 if (lean.missing.length > 0) {
@@ -110,6 +105,7 @@ if (retention < MIN_RETENTION) {
 
 const out = {
   timestamp: new Date().toISOString(),
+  rubric: rubricStamp(RUBRIC),
   gatesPass: passed,
   gates: {
     minSavingsPercent: MIN_SAVINGS,
@@ -121,6 +117,7 @@ const out = {
     signalsFound: classic.hits.length,
     signalTotal: SIGNALS.length,
     scorePercent: parseFloat(classic.score.toFixed(1)),
+    discardedHits: classic.discarded,
   },
   lean: {
     file: path.relative(ROOT, LEAN_FILE),
@@ -128,6 +125,7 @@ const out = {
     signalsFound: lean.hits.length,
     signalTotal: SIGNALS.length,
     scorePercent: parseFloat(lean.score.toFixed(1)),
+    discardedHits: lean.discarded,
   },
   deltas: {
     tokenSavingsPercent: parseFloat(tokenSavings.toFixed(1)),
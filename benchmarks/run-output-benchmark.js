@@ -11,38 +11,76 @@
  *
  * Usage:
  *   ANTHROPIC_API_KEY=your-key node run-output-benchmark.js
+ *   node run-output-benchmark.js --provider openai --base-url http://localhost:11434/v1 --model llama3.1
+ *   node run-output-benchmark.js --provider fake --script replies.json
+ *
+ * --provider, --model and --base-url pick the model (model-providers.js); the
+ * result file records them, and every response its token usage and latency.
  */
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const fs = require('fs');
 const path = require('path');
+const { getRubric, metricValue, rubricStamp, scoreRubric } = require('./rubrics');
+const { analyzeTests } = require('./code-languages');
+const { LANGUAGE_PROFILES } = require('./stack-detector');
+const { auditJsdoc, summarizeJsdoc } = require('./jsdoc-auditor');
+const { createProvider, parseProviderArgs } = require('./model-providers');
 
 // Test tasks - simple enough to get complete responses
 const TEST_TASKS = [
   {
     id: 'validate-email',
     task: 'Create a function to validate email addresses',
-    context: 'JavaScript/TypeScript'
+    context: 'JavaScript/TypeScript',
+    language: 'javascript'
   },
   {
     id: 'fetch-users',
     task: 'Create a function to fetch users from an API',
-    context: 'JavaScript with error handling'
+    context: 'JavaScript with error handling',
+    language: 'javascript'
   },
   {
     id: 'calculate-total',
     task: 'Create a function to calculate shopping cart total with tax',
-    context: 'TypeScript'
+    context: 'TypeScript',
+    language: 'typescript'
   },
   {
     id: 'format-date',
     task: 'Create a utility function to format dates',
-    context: 'JavaScript'
+    context: 'JavaScript',
+    language: 'javascript'
   },
   {
     id: 'user-class',
     task: 'Create a User class with validation',
-    context: 'TypeScript with OOP'
+    context: 'TypeScript with OOP',
+    language: 'typescript'
+  },
+  {
+    id: 'parse-config',
+    task: 'Create a function to parse an INI-style config file',
+    context: 'Python with pytest',
+    language: 'python'
+  },
+  {
+    id: 'rate-limiter',
+    task: 'Create a token bucket rate limiter',
+    context: 'Go with the testing package',
+    language: 'go'
+  },
+  {
+    id: 'bank-account',
+    task: 'Create a BankAccount class that rejects overdrafts',
+    context: 'Java with JUnit 5',
+    language: 'java'
+  },
+  {
+    id: 'slugify',
+    task: 'Create a function to slugify titles',
+    context: 'Rust with #[test] unit tests',
+    language: 'rust'
   }
 ];
 
@@ -57,104 +95,72 @@ Apply these mandatory principles:
 2. Constraints (what NOT to do)
 3. Execution phases (step-by-step)
 4. TDD: Write tests FIRST, then implementation
-5. Documentation: Add JSDoc/comments
+5. Documentation: Add {DOCS}
 6. SOLID principles where applicable
 
 Now complete the task following these principles. Show your work step by step.`;
 
-// Metrics to check in Claude's output
-const OUTPUT_METRICS = [
-  {
-    id: 'tests_first',
-    name: 'Tests Written First',
-    check: (output) => {
-      const testIndex = output.search(/(describe|test|it)\s*\(/i);
-      const implIndex = output.search(/(function|const|class)\s+\w+\s*[=(:]/i);
-      // Tests should appear before implementation
-      if (testIndex === -1) return false;
-      if (implIndex === -1) return true;
-      return testIndex < implIndex;
-    }
-  },
-  {
-    id: 'has_jsdoc',
-    name: 'Has Documentation',
-    check: (output) => {
-      return /\/\*\*[\s\S]*?\*\//.test(output) || // JSDoc
-             /^\s*\/\/.*@param|@returns|@description/m.test(output) || // inline doc
-             /"""[\s\S]*?"""/.test(output) || // Python docstring
-             /'''[\s\S]*?'''/.test(output);
-    }
-  },
-  {
-    id: 'mentions_constraints',
-    name: 'Acknowledges Constraints',
-    check: (output) => {
-      return /(not|don't|won't|avoid|skip|exclude|without)/i.test(output) &&
-             /(implement|add|include|do)/i.test(output);
-    }
-  },
-  {
-    id: 'has_error_handling',
-    name: 'Handles Edge Cases',
-    check: (output) => {
-      return /(try\s*{|catch\s*\(|throw\s+|if\s*\(\s*!|\.catch\(|error|invalid|null|undefined)/i.test(output);
-    }
-  },
-  {
-    id: 'structured_approach',
-    name: 'Follows Structured Phases',
-    check: (output) => {
-      // Check for numbered steps or phase indicators
-      return /(\d+\.\s+|step\s+\d|phase\s+\d|first|then|next|finally)/i.test(output);
-    }
-  }
-];
+// Metrics to check in Claude's output: the response-quality rubric
+const RUBRIC = getRubric('response-quality');
+const OUTPUT_METRICS = RUBRIC.metrics;
 
 /**
  * Analyze Claude's output for quality metrics
+ * @param {string} output - Model response.
+ * @param {string} prompt - Task the response answers.
+ * @param {string} [language] - Expected language of the code; breaks ties in fence detection.
  */
-function analyzeOutput(output) {
+function analyzeOutput(output, prompt, language) {
+  const scored = scoreRubric(RUBRIC, output, { prompt, language });
   const results = {};
-  let score = 0;
 
   for (const metric of OUTPUT_METRICS) {
-    const passed = metric.check(output);
     results[metric.id] = {
       name: metric.name,
-      passed
+      passed: metricValue(scored, metric) > 0,
+      value: metricValue(scored, metric)
     };
-    if (passed) score++;
   }
 
-  results._score = score;
-  results._total = OUTPUT_METRICS.length;
-  results._percentage = ((score / OUTPUT_METRICS.length) * 100).toFixed(0);
+  results._score = scored.hit;
+  results._total = scored.total;
+  results._percentage = scored.percentage.toFixed(0);
+  results._discarded = { negated: scored.discarded.negated, echoed: scored.discarded.echoed };
+  results._testStructure = analyzeTests(output, { language });
+  results._jsdoc = auditJsdoc(output);
 
   return results;
 }
 
+// JS/TS keeps the original wording; other stacks get their own doc idiom.
+function docsFor(language) {
+  if (language === 'javascript' || language === 'typescript' || !LANGUAGE_PROFILES[language]) return 'JSDoc/comments';
+  return LANGUAGE_PROFILES[language].docStyle;
+}
+
 /**
- * Run a single task through Claude
+ * Run a single task through the model
+ * @param {import('./model-providers').Provider} provider - Model to ask.
+ * @param {object} task - Entry of TEST_TASKS.
+ * @param {boolean} [enhanced] - Wrap the task in the enhancement template.
+ * @returns {Promise<import('./model-providers').Completion>} Response text, usage and latency.
  */
-async function runTask(client, task, enhanced = false) {
+async function runTask(provider, task, enhanced = false) {
   let prompt;
 
   if (enhanced) {
     prompt = ENHANCEMENT_TEMPLATE
       .replace('{TASK}', task.task)
-      .replace('{CONTEXT}', task.context);
+      .replace('{CONTEXT}', task.context)
+      .replace('{DOCS}', docsFor(task.language));
   } else {
     prompt = `${task.task}. Context: ${task.context}. Please implement this.`;
   }
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2000,
+  return provider.complete({
+    maxTokens: 2000,
     messages: [{ role: 'user', content: prompt }]
   });
-
-  return response.content[0].text;
 }
 
 /**
@@ -165,15 +171,21 @@ async function runBenchmark() {
   console.log('           10x ARCHITECT OUTPUT QUALITY BENCHMARK              ');
   console.log('═══════════════════════════════════════════════════════════════\n');
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.error('❌ Error: ANTHROPIC_API_KEY required');
-    console.error('   Usage: ANTHROPIC_API_KEY=your-key node run-output-benchmark.js');
+  let provider;
+  try {
+    provider = createProvider({ ...parseProviderArgs(process.argv), cassetteName: 'run-output-benchmark' });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error('   Usage: ANTHROPIC_API_KEY=your-key node run-output-benchmark.js [--provider anthropic|openai|fake] [--model name] [--base-url url] [--cassette record|replay|offline]');
     process.exit(1);
   }
+  const model = provider.describe();
+  console.log(`🤖 Model: ${model.model} via ${model.provider}${model.baseUrl ? ` (${model.baseUrl})` : ''}\n`);
 
-  const client = new Anthropic();
   const results = {
     timestamp: new Date().toISOString(),
+    rubric: rubricStamp(RUBRIC),
+    model,
     tasks: [],
     summary: {
       without: { total: 0, scores: [] },
@@ -188,8 +200,9 @@ async function runBenchmark() {
 
     // Run without enhancement
     console.log('   Running WITHOUT enhancement...');
-    const outputWithout = await runTask(client, task, false);
-    const metricsWithout = analyzeOutput(outputWithout);
+    const callWithout = await runTask(provider, task, false);
+    const outputWithout = callWithout.text;
+    const metricsWithout = analyzeOutput(outputWithout, task.task, task.language);
     console.log(`   Score: ${metricsWithout._percentage}%`);
 
     // Small delay
@@ -197,8 +210,9 @@ async function runBenchmark() {
 
     // Run with enhancement
     console.log('   Running WITH enhancement...');
-    const outputWith = await runTask(client, task, true);
-    const metricsWith = analyzeOutput(outputWith);
+    const callWith = await runTask(provider, task, true);
+    const outputWith = callWith.text;
+    const metricsWith = analyzeOutput(outputWith, task.task, task.language);
     console.log(`   Score: ${metricsWith._percentage}%`);
 
     const improvement = parseInt(metricsWith._percentage) - parseInt(metricsWithout._percentage);
@@ -207,14 +221,19 @@ async function runBenchmark() {
     results.tasks.push({
       id: task.id,
       task: task.task,
+      language: task.language,
       without: {
         score: metricsWithout._percentage,
         metrics: metricsWithout,
+        usage: callWithout.usage,
+        latencyMs: callWithout.latencyMs,
         output: outputWithout.substring(0, 500) + '...'
       },
       with: {
         score: metricsWith._percentage,
         metrics: metricsWith,
+        usage: callWith.usage,
+        latencyMs: callWith.latencyMs,
         output: outputWith.substring(0, 500) + '...'
       },
       improvement
@@ -233,6 +252,8 @@ async function runBenchmark() {
   results.summary.without.average = avgWithout.toFixed(0);
   results.summary.with.average = avgWith.toFixed(0);
   results.summary.improvement = (avgWith - avgWithout).toFixed(0);
+  results.summary.without.jsdoc = summarizeJsdoc(results.tasks.map((t) => t.without.metrics._jsdoc));
+  results.summary.with.jsdoc = summarizeJsdoc(results.tasks.map((t) => t.with.metrics._jsdoc));
 
   // Calculate per-metric summary
   results.summary.byMetric = {};
@@ -241,8 +262,8 @@ async function runBenchmark() {
     let withCount = 0;
 
     for (const task of results.tasks) {
-      if (task.without.metrics[metric.id]?.passed) withoutCount++;
-      if (task.with.metrics[metric.id]?.passed) withCount++;
+      withoutCount += task.without.metrics[metric.id]?.value || 0;
+      withCount += task.with.metrics[metric.id]?.value || 0;
     }
 
     results.summary.byMetric[metric.id] = {
@@ -259,7 +280,13 @@ async function runBenchmark() {
 
   console.log(`  Average WITHOUT enhancement: ${results.summary.without.average}%`);
   console.log(`  Average WITH enhancement:    ${results.summary.with.average}%`);
-  console.log(`  Improvement:                 +${results.summary.improvement}%\n`);
+  console.log(`  Improvement:                 +${results.summary.improvement}%`);
+  for (const side of ['without', 'with']) {
+    const j = results.summary[side].jsdoc;
+    const coverage = j.coverage === null ? 'n/a' : `${j.coverage.toFixed(0)}%`;
+    console.log(`  JSDoc coverage (${side.padEnd(7)}):   ${coverage} (${j.complete}/${j.functions} functions complete)`);
+  }
+  console.log('');
 
   console.log('┌────────────────────────────┬──────────┬──────────┐');
   console.log('│ Metric                     │ Without  │   With   │');
@@ -273,6 +300,7 @@ async function runBenchmark() {
   console.log('└────────────────────────────┴──────────┴──────────┘\n');
 
   // Save results
+  results.model = provider.describe();
   const resultsDir = path.join(__dirname, 'results');
   if (!fs.existsSync(resultsDir)) fs.mkdirSync(resultsDir);
 
@@ -284,7 +312,10 @@ async function runBenchmark() {
 }
 
 if (require.main === module) {
-  runBenchmark().catch(console.error);
+  runBenchmark().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
 module.exports = { runBenchmark, analyzeOutput, OUTPUT_METRICS };
@@ -15,6 +15,21 @@
  * to the real Claude responses already captured in
  * results/sample-outputs.json, and measures the token delta.
  *
+ * Every measurement runs at each compressor level (lite, full, ultra;
+ * see response-compressor.js) and the summary shows them side by side.
+ * The per-task tables and the top-level `stored`/`syntheticFillerHeavy`
+ * fields use `full`, the default level.
+ *
+ * Rule attribution: every response is also compressed once at `ultra`
+ * with tracing on, and the per-rule traces are summed into a table of
+ * fires, tokens removed and sample before/after snippets. `ultra` runs
+ * every built-in rule, and the lite/full rules run first, so their
+ * numbers match what they earn at the lower levels.
+ *
+ * Safe mode: each level is also run with { safe: true }, which undoes any
+ * rewrite meaning-verifier.js rejects; the report shows the safe savings
+ * next to the normal ones and how many rewrites were rejected.
+ *
  * Expect savings in the 10-25% range here. Live-API savings with model
  * compliance are typically higher — community caveman-style tools
  * report 65% on prose-heavy responses.
@@ -25,7 +40,7 @@
 const fs = require('fs');
 const path = require('path');
 const { encode } = require('gpt-tokenizer');
-const { compressResponse } = require('./response-compressor');
+const { LEVELS, compressResponse } = require('./response-compressor');
 
 const SAMPLES = path.join(__dirname, 'results', 'sample-outputs.json');
 const OUT = path.join(__dirname, 'results', 'response-compression-benchmark.json');
@@ -79,12 +94,12 @@ const SYNTHETIC = [
   },
 ];
 
-function measureSynthetic() {
+function measureSynthetic(options = {}) {
   const per = [];
   let sumOrig = 0;
   let sumTerse = 0;
   for (const s of SYNTHETIC) {
-    const terse = compressResponse(s.text);
+    const terse = compressResponse(s.text, options);
     const cT = tok(s.text);
     const lT = tok(terse);
     sumOrig += cT;
@@ -110,14 +125,14 @@ function tok(s) {
   return encode(s).length;
 }
 
-function measureField(tasks, field) {
+function measureField(tasks, field, options = {}) {
   const per = [];
   let sumOrig = 0;
   let sumTerse = 0;
   for (const t of tasks) {
     const original = t[field];
     if (!original) continue;
-    const terse = compressResponse(original);
+    const terse = compressResponse(original, options);
     const cT = tok(original);
     const lT = tok(terse);
     const saved = cT - lT;
@@ -153,6 +168,92 @@ function printTable(label, m) {
   console.log(`  avg: ${m.avgSavingsPct.toFixed(1)}%  (${m.total} → ${m.totalTerse} tokens, saved ${m.total - m.totalTerse})`);
 }
 
+function levelSummary(m) {
+  return { total: m.total, totalTerse: m.totalTerse, avgSavingsPct: m.avgSavingsPct };
+}
+
+function countRejected(texts, options) {
+  const byRule = {};
+  let rejected = 0;
+  for (const text of texts) {
+    for (const e of compressResponse(text, { ...options, safe: true, trace: true }).trace) {
+      if (!e.rejected) continue;
+      rejected += e.rejected;
+      byRule[e.id] = (byRule[e.id] || 0) + e.rejected;
+    }
+  }
+  return { rejectedRewrites: rejected, rejectedByRule: byRule };
+}
+
+function measureLevels(tasks, corpus) {
+  const levels = {};
+  for (const level of LEVELS) {
+    const safe = { level, safe: true };
+    levels[level] = {
+      withoutEnhancement: levelSummary(measureField(tasks, 'without', { level })),
+      withEnhancement: levelSummary(measureField(tasks, 'with', { level })),
+      syntheticFillerHeavy: levelSummary(measureSynthetic({ level })),
+      safe: {
+        withoutEnhancement: levelSummary(measureField(tasks, 'without', safe)),
+        withEnhancement: levelSummary(measureField(tasks, 'with', safe)),
+        syntheticFillerHeavy: levelSummary(measureSynthetic(safe)),
+        ...countRejected(corpus, { level }),
+      },
+    };
+  }
+  return levels;
+}
+
+function printLevels(levels) {
+  const cell = (m) => `${m.total}→${m.totalTerse} (-${m.avgSavingsPct.toFixed(1)}%)`.padStart(20);
+  console.log('  level      | synthetic verbose    | natural ("without")  | 10x ("with")         | rejected');
+  console.log('  -----------+----------------------+----------------------+----------------------+---------');
+  for (const level of LEVELS) {
+    const l = levels[level];
+    console.log(`  ${level.padEnd(10)} | ${cell(l.syntheticFillerHeavy)} | ${cell(l.withoutEnhancement)} | ${cell(l.withEnhancement)} |`);
+    const s = l.safe;
+    console.log(`  ${`${level} safe`.padEnd(10)} | ${cell(s.syntheticFillerHeavy)} | ${cell(s.withoutEnhancement)} | ${cell(s.withEnhancement)} | ${String(s.rejectedRewrites).padStart(8)}`);
+  }
+  console.log('');
+}
+
+function attributeRules(texts, level) {
+  const byId = new Map();
+  const entry = (e) => {
+    if (!byId.has(e.id)) {
+      byId.set(e.id, { id: e.id, pattern: e.pattern, fires: 0, tokensRemoved: 0, rejectedInSafeMode: 0, samples: [], rejectedSamples: [] });
+    }
+    return byId.get(e.id);
+  };
+  for (const text of texts) {
+    for (const e of compressResponse(text, { level, trace: true }).trace) {
+      const agg = entry(e);
+      agg.fires += e.fires;
+      agg.tokensRemoved += e.tokensRemoved;
+      for (const sample of e.samples) if (agg.samples.length < 3) agg.samples.push(sample);
+    }
+    for (const e of compressResponse(text, { level, safe: true, trace: true }).trace) {
+      const agg = entry(e);
+      agg.rejectedInSafeMode += e.rejected;
+      for (const sample of e.rejectedSamples) if (agg.rejectedSamples.length < 3) agg.rejectedSamples.push(sample);
+    }
+  }
+  return [...byId.values()].sort((a, b) => b.tokensRemoved - a.tokensRemoved || b.fires - a.fires);
+}
+
+function printRules(rules) {
+  const fired = rules.filter((r) => r.fires > 0);
+  console.log('  rule           | fires | tokens removed | safe-mode rejects | pattern');
+  console.log('  ---------------+-------+----------------+-------------------+--------------------------------');
+  for (const r of fired) {
+    console.log(
+      `  ${r.id.padEnd(14)} | ${String(r.fires).padStart(5)} | ${String(r.tokensRemoved).padStart(14)} | ${String(r.rejectedInSafeMode).padStart(17)} | ${r.pattern.slice(0, 40)}`,
+    );
+  }
+  const idle = rules.filter((r) => r.fires === 0).map((r) => r.id);
+  console.log(`  Never fired (${idle.length}): ${idle.join(', ') || 'none'}\n`);
+}
+
 function main() {
   const samples = JSON.parse(fs.readFileSync(SAMPLES, 'utf8'));
   const tasks = samples.tasks;
@@ -170,6 +271,9 @@ function main() {
   const withoutM = measureField(tasks, 'without');
   const withM = measureField(tasks, 'with');
   const synM = measureSynthetic();
+  const corpus = [...tasks.flatMap((t) => [t.without, t.with]).filter(Boolean), ...SYNTHETIC.map((x) => x.text)];
+  const levels = measureLevels(tasks, corpus);
+  const rules = attributeRules(corpus, 'ultra');
 
   printTable('Unenhanced stored responses ("without" — short, code-heavy)', withoutM);
   printTable('Enhanced stored responses ("with" — already 10x-structured)', withM);
@@ -184,10 +288,15 @@ function main() {
   console.log(`     ${withoutM.total} → ${withoutM.totalTerse} tokens  (-${withoutM.avgSavingsPct}%)`);
   console.log(`  10x-enhanced responses ("with", fairness check):`);
   console.log(`     ${withM.total} → ${withM.totalTerse} tokens  (-${withM.avgSavingsPct}%)\n`);
+  console.log('  By level (lite = greetings only, full = default, ultra = + articles/hedges/"you can").');
+  console.log('  "safe" rows undo rewrites meaning-verifier.js rejects (lost negation/number/identifier, changed modal):');
+  printLevels(levels);
+  console.log(`  Per-rule attribution (ultra, ${corpus.length} responses):`);
+  printRules(rules);
   console.log('  Interpretation:');
   console.log('    • The compressor targets filler phrases ("I\'ll walk you through",');
   console.log('      "As you can see", "basically", "in order to", etc.) and never');
-  console.log('      touches code blocks, inline code, or URLs.');
+  console.log('      touches code, URLs, tables, headings, paths or commands.');
   console.log('    • Stored real responses are short and already dense, so the');
   console.log('      observed % is small — confirming the transformer is safe and');
   console.log('      not a false-positive generator.');
@@ -200,12 +309,19 @@ function main() {
     timestamp: new Date().toISOString(),
     kind: 'simulated-lower-bound',
     tokenizer: 'gpt-tokenizer (cl100k_base)',
-    note: 'Rule-based prose compression. Code blocks, inline code, and URLs preserved verbatim. Three baselines reported: real "without" (natural Claude, short+dense), real "with" (10x-enhanced, already structured), and a synthetic filler-heavy set that mirrors the rhetorical patterns the <response-style> hint targets.',
+    note: 'Rule-based prose compression. Code, URLs, tables, headings, list markers, paths, CLI invocations, numbers with units and identifiers preserved verbatim. Three baselines reported: real "without" (natural Claude, short+dense), real "with" (10x-enhanced, already structured), and a synthetic filler-heavy set that mirrors the rhetorical patterns the <response-style> hint targets.',
     stored: {
       withoutEnhancement: withoutM,
       withEnhancement: withM,
     },
     syntheticFillerHeavy: synM,
+    levels,
+    ruleAttribution: {
+      level: 'ultra',
+      responses: corpus.length,
+      note: 'Summed per-rule traces from compressResponse(text, { level: "ultra", trace: true }) over the stored and synthetic responses. tokensRemoved is measured on the prose after each rule, so a strip that leaves a double space is credited partly to layout:3.',
+      rules,
+    },
   };
 
   fs.mkdirSync(path.dirname(OUT), { recursive: true });
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Round-Trip Benchmark (classic -> lean -> classic)
+ *
+ * Offline benchmark. No API key required.
+ *
+ * For every stored classic enhanced prompt in results/enhanced-prompts.json:
+ *   1) transformToLean(classic)      -> lean payload
+ *   2) expandToClassic(lean)         -> re-expanded classic prompt
+ *   3) scores both classic forms with the prompt-structure rubric (via
+ *      run-token-benchmark.js) and checks that every signal the original
+ *      scored is still scored after the round trip.
+ *
+ * Also checks that every section splitSections knows is rebuilt, and that
+ * re-templating the expanded prompt yields the same lean payload (stable
+ * round trip).
+ *
+ * Writes: results/roundtrip-benchmark-latest.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encode } = require('gpt-tokenizer');
+const { transformToLean, expandToClassic, splitSections } = require('./lean-templater');
+const { scoreText } = require('./run-token-benchmark');
+const { rubricStamp } = require('./rubrics');
+
+const ENHANCED_FILE = path.join(__dirname, 'results', 'enhanced-prompts.json');
+const TEST_FILE = path.join(__dirname, 'test-prompts.json');
+const OUT_FILE = path.join(__dirname, 'results', 'roundtrip-benchmark-latest.json');
+
+function tokens(s) {
+  return encode(s).length;
+}
+
+function lostSignals(before, after) {
+  return Object.keys(before.details).filter((id) => before.details[id] && !after.details[id]);
+}
+
+function emptySections(classic) {
+  const sections = splitSections(classic);
+  return Object.keys(sections).filter((h) => !sections[h]);
+}
+
+function main() {
+  const enhanced = JSON.parse(fs.readFileSync(ENHANCED_FILE, 'utf8'));
+  const testData = JSON.parse(fs.readFileSync(TEST_FILE, 'utf8'));
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('      10x ARCHITECT ROUND-TRIP BENCHMARK (classic→lean→classic)');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+  console.log('  #  | classic tok | lean tok | expanded tok | signals | lost | stable');
+  console.log('  ---+-------------+----------+--------------+---------+------+-------');
+
+  const perPrompt = [];
+  let totalLost = 0;
+  let totalMissingSections = 0;
+  let unstable = 0;
+
+  for (let i = 0; i < enhanced.length; i++) {
+    const classic = enhanced[i];
+    const lean = transformToLean(classic);
+    const expanded = expandToClassic(lean);
+    const before = scoreText(classic);
+    const after = scoreText(expanded);
+    const lost = lostSignals(before, after);
+    const missingSections = emptySections(expanded);
+    const stable = transformToLean(expanded) === lean;
+
+    totalLost += lost.length;
+    totalMissingSections += missingSections.length;
+    if (!stable) unstable++;
+
+    const tp = testData.prompts[i] || { id: `prompt-${i + 1}` };
+    perPrompt.push({
+      id: tp.id,
+      classicTokens: tokens(classic),
+      leanTokens: tokens(lean),
+      expandedTokens: tokens(expanded),
+      classicScore: +before.percentage.toFixed(1),
+      expandedScore: +after.percentage.toFixed(1),
+      lostSignals: lost,
+      missingSections,
+      stable,
+      expanded,
+    });
+
+    const r = perPrompt[perPrompt.length - 1];
+    console.log(
+      `  ${String(i + 1).padStart(2)} | ${String(r.classicTokens).padStart(11)} | ${String(r.leanTokens).padStart(8)} | ${String(r.expandedTokens).padStart(12)} | ${`${after.hit}/${after.total}`.padStart(7)} | ${String(lost.length).padStart(4)} | ${(stable ? 'yes' : 'no').padStart(6)}`,
+    );
+  }
+
+  console.log('\n═══════════════════════════════════════════════════════════════');
+  console.log('                         SUMMARY                                ');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+  console.log(`  Prompts round-tripped:       ${perPrompt.length}`);
+  console.log(`  Scored signals lost:         ${totalLost}`);
+  console.log(`  Classic sections missing:    ${totalMissingSections}`);
+  console.log(`  Unstable re-templating:      ${unstable}\n`);
+
+  const out = {
+    timestamp: new Date().toISOString(),
+    tokenizer: 'gpt-tokenizer (cl100k_base)',
+    rubric: rubricStamp('prompt-structure'),
+    perPrompt,
+    summary: {
+      prompts: perPrompt.length,
+      lostSignals: totalLost,
+      missingSections: totalMissingSections,
+      unstableRoundTrips: unstable,
+    },
+  };
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2));
+  console.log(`📁 Results saved: ${OUT_FILE}`);
+
+  const OK = totalLost === 0 && totalMissingSections === 0 && unstable === 0;
+  if (!OK) {
+    console.error('\n❌ Round trip regressed: every scored signal and section must survive classic → lean → classic');
+    process.exit(1);
+  }
+  console.log('\n✅ Round trip keeps every scored signal and classic section');
+}
+
+if (require.main === module) main();
+
+module.exports = { main };
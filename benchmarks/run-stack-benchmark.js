@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Stack-Aware Lean Benchmark
+ *
+ * Offline benchmark. No API key required.
+ *
+ * For every fixture project under fixtures/stacks/:
+ *   1) stack-detector.js scans the manifests and must report the language,
+ *      test runner and doc convention listed in fixtures/stacks/expected.json.
+ *   2) lean-templater.js templates the stored classic prompts with that stack;
+ *      <tdd> must name the test runner and <docs> the doc convention. No
+ *      SKILL.md 4b keyword that stack-less Lean carries may go missing (the
+ *      stack's doc keyword stands in for JSDoc), and the prompt-structure
+ *      rubric must score at least as high as stack-less Lean.
+ *
+ * Writes: results/stack-benchmark-latest.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encode } = require('gpt-tokenizer');
+const { detectStack } = require('./stack-detector');
+const { transformToLean, missingKeywords } = require('./lean-templater');
+const { parseLean } = require('./enhanced-prompt');
+const { scoreText } = require('./run-token-benchmark');
+const { rubricStamp } = require('./rubrics');
+
+const STACKS_DIR = path.join(__dirname, 'fixtures', 'stacks');
+const EXPECTED_FILE = path.join(STACKS_DIR, 'expected.json');
+const ENHANCED_FILE = path.join(__dirname, 'results', 'enhanced-prompts.json');
+const OUT_FILE = path.join(__dirname, 'results', 'stack-benchmark-latest.json');
+
+function detectionErrors(stack, expected) {
+  if (!stack) return ['no stack detected'];
+  return Object.keys(expected)
+    .filter((k) => stack[k] !== expected[k])
+    .map((k) => `${k}: expected ${expected[k]}, got ${stack[k]}`);
+}
+
+function templatingErrors(classic, stack) {
+  const lean = transformToLean(classic, { stack });
+  const ep = parseLean(lean);
+  const errors = [];
+  if (stack.testRunner && !ep.tdd.includes(stack.testRunner)) errors.push(`<tdd> does not name ${stack.testRunner}`);
+  if (!ep.docs.includes(stack.docStyle)) errors.push(`<docs> does not name ${stack.docStyle}`);
+  const plainLean = transformToLean(classic);
+  const alreadyMissing = missingKeywords(plainLean).map((k) => (k === 'JSDoc' ? stack.docKeyword : k));
+  const missing = missingKeywords(lean, stack).filter((k) => !alreadyMissing.includes(k));
+  if (missing.length) errors.push(`missing keywords: ${missing.join(', ')}`);
+  const plain = scoreText(plainLean);
+  const stacked = scoreText(lean);
+  if (stacked.hit < plain.hit) errors.push(`rubric dropped from ${plain.hit} to ${stacked.hit}`);
+  return { lean, tokens: encode(lean).length, score: stacked.percentage, errors };
+}
+
+function main() {
+  const expected = JSON.parse(fs.readFileSync(EXPECTED_FILE, 'utf8')).stacks;
+  const enhanced = JSON.parse(fs.readFileSync(ENHANCED_FILE, 'utf8'));
+  const fixtures = fs
+    .readdirSync(STACKS_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('          10x ARCHITECT STACK-AWARE LEAN BENCHMARK             ');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+  console.log('  fixture                   | language   | runner     | docs          | avg tok | ok');
+  console.log('  --------------------------+------------+------------+---------------+---------+---');
+
+  const perStack = [];
+  let failures = 0;
+
+  for (const name of fixtures) {
+    const stack = detectStack(path.join(STACKS_DIR, name));
+    const errors = expected[name] ? detectionErrors(stack, expected[name]) : [`no entry in ${path.basename(EXPECTED_FILE)}`];
+    let avgTokens = 0;
+    let sample = '';
+
+    if (stack) {
+      const templated = enhanced.map((classic) => templatingErrors(classic, stack));
+      for (const t of templated) errors.push(...t.errors);
+      avgTokens = Math.round(templated.reduce((a, t) => a + t.tokens, 0) / templated.length);
+      sample = templated[0].lean;
+    }
+
+    if (errors.length) failures++;
+    perStack.push({ fixture: name, stack, avgLeanTokens: avgTokens, sampleLean: sample, errors: [...new Set(errors)] });
+
+    console.log(
+      `  ${name.padEnd(25)} | ${String(stack && stack.language).padEnd(10)} | ${String(stack && stack.testRunner).padEnd(10)} | ${String(stack && stack.docKeyword).padEnd(13)} | ${String(avgTokens).padStart(7)} | ${errors.length ? '❌' : '✅'}`,
+    );
+  }
+
+  const out = {
+    timestamp: new Date().toISOString(),
+    tokenizer: 'gpt-tokenizer (cl100k_base)',
+    rubric: rubricStamp('prompt-structure'),
+    perStack,
+    summary: { fixtures: perStack.length, failures },
+  };
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2));
+  console.log(`\n📁 Results saved: ${OUT_FILE}`);
+
+  if (failures) {
+    for (const s of perStack.filter((p) => p.errors.length)) {
+      console.error(`  ${s.fixture}: ${s.errors.join('; ')}`);
+    }
+    console.error(`\n❌ ${failures}/${perStack.length} stack fixtures failed detection or templating`);
+    process.exit(1);
+  }
+  console.log(`\n✅ All ${perStack.length} stack fixtures detected and templated with their own test runner and doc convention`);
+}
+
+if (require.main === module) main();
+
+module.exports = { main };
@@ -11,9 +11,23 @@
  *   2) /architect enhancement cost: classic (sample outputs already saved
  *      in results/enhanced-prompts.json) vs lean (produced deterministically
  *      by lean-templater.js from the same classic input).
- *   3) Structure-score retention: runs the same pattern-match rubric as
- *      run-benchmark-direct.js on both forms, so we can prove that lean
- *      output still scores >= 95% vs classic.
+ *   3) Structure-score retention: runs the prompt-structure rubric from
+ *      rubrics.js (shared with run-benchmark-direct.js) on both forms, so we
+ *      can prove that lean output still scores >= 95% vs classic. Only
+ *      affirmed hits score; negated or echoed ones are counted as discarded.
+ *   4) Token-budget fit: templates every prompt again under the SKILL.md
+ *      "≤ 250 tokens" target and records which fields had to be shortened,
+ *      so the budget can be tuned (informational, not gated).
+ *   5) Constraint specificity: rates the "Do NOT" constraints of both forms
+ *      against the original prompt (constraint-specificity.js) and flags
+ *      prompts whose constraints are all boilerplate, such as the generic
+ *      fallback transformToLean() uses when a classic prompt has none
+ *      (informational, not gated).
+ *   6) Goal relevance: compares the goal and North Star of both forms with
+ *      the original prompt and lists names the goal invents
+ *      (goal-relevance.js; informational, not gated).
+ *   7) Breakdowns: tokens, savings and retention averaged by prompt
+ *      category, complexity and both (group-summary.js; informational).
  *
  * Writes: results/token-benchmark-latest.json
  */
@@ -23,40 +37,33 @@
 const fs = require('fs');
 const path = require('path');
 const { encode } = require('gpt-tokenizer');
-const { transformToLean } = require('./lean-templater');
+const { transformToLean, fitLeanToBudget } = require('./lean-templater');
+const { asText, parseClassic, parseLean } = require('./enhanced-prompt');
+const { getRubric, rubricStamp, scoreRubric } = require('./rubrics');
+const { scoreConstraints } = require('./constraint-specificity');
+const { scoreGoalRelevance } = require('./goal-relevance');
+const { summarizeGroups } = require('./group-summary');
 
 const ROOT = path.resolve(__dirname, '..');
 const ENHANCED_FILE = path.join(__dirname, 'results', 'enhanced-prompts.json');
 const HOOK_FILE = path.join(ROOT, 'hooks', 'session-start.sh');
 const OUT_FILE = path.join(__dirname, 'results', 'token-benchmark-latest.json');
 const TEST_FILE = path.join(__dirname, 'test-prompts.json');
+// SKILL.md 4b: "Target: ≤ 250 tokens for a typical feature task."
+const LEAN_TOKEN_BUDGET = 250;
 
-const METRICS = [
-  { id: 'has_goal', pattern: /(Goal:|GOAL|goal:|We will|objective)/gi },
-  { id: 'has_north_star', pattern: /(North Star|NORTH STAR|business value|user benefit)/gi },
-  { id: 'has_constraints', pattern: /(Do NOT|Don't|CONSTRAINT|Constraints:|avoid|must not)/gi },
-  { id: 'has_phases', pattern: /(Phase|Step \d|\d\.\s+\w|EXECUTION|phases)/gi },
-  { id: 'has_tdd', pattern: /(TDD|test.driven|RED.GREEN|write.*test.*first|failing test)/gi },
-  { id: 'has_docs', pattern: /(document|JSDoc|docstring|README)/gi },
-  { id: 'has_solid', pattern: /(SOLID|Single Responsibility|Open.Closed|Liskov|Interface Segregation|Dependency Inversion)/gi },
-  { id: 'has_edge_cases', pattern: /(edge case|error handling|exception|validate|boundary)/gi },
-  { id: 'has_step_by_step', pattern: /(step.by.step|think through|systematically|methodically)/gi },
-];
+const RUBRIC = getRubric('prompt-structure');
 
 function tokens(s) {
   return encode(s).length;
 }
 
-function scoreText(s) {
-  let hit = 0;
-  const details = {};
-  for (const m of METRICS) {
-    const h = m.pattern.test(s);
-    m.pattern.lastIndex = 0;
-    details[m.id] = h;
-    if (h) hit++;
-  }
-  return { hit, total: METRICS.length, percentage: (hit / METRICS.length) * 100, details };
+function scoreText(input, options = {}) {
+  return scoreRubric(RUBRIC, asText(input), options);
+}
+
+function discardedCounts(scored) {
+  return { negated: scored.discarded.negated, echoed: scored.discarded.echoed };
 }
 
 function extractHookContexts() {
@@ -111,13 +118,16 @@ function main() {
   console.log('  #  | classic tok | lean tok | savings | class% | lean% | retention');
   console.log('  ---+-------------+----------+---------+--------+-------+----------');
 
+  const discarded = { classic: { negated: 0, echoed: 0 }, lean: { negated: 0, echoed: 0 } };
+
   for (let i = 0; i < enhanced.length; i++) {
     const classic = enhanced[i];
     const lean = transformToLean(classic);
+    const tp = testData.prompts[i] || { id: `prompt-${i + 1}` };
     const cTok = tokens(classic);
     const lTok = tokens(lean);
-    const cScore = scoreText(classic);
-    const lScore = scoreText(lean);
+    const cScore = scoreText(classic, { prompt: tp.prompt });
+    const lScore = scoreText(lean, { prompt: tp.prompt });
     const savingsPct = (1 - lTok / cTok) * 100;
     const retentionPct = cScore.percentage > 0 ? (lScore.percentage / cScore.percentage) * 100 : 100;
 
@@ -126,19 +136,59 @@ function main() {
     sumClassicScore += cScore.percentage;
     sumLeanScore += lScore.percentage;
 
-    const tp = testData.prompts[i] || { id: `prompt-${i + 1}` };
+    const budgeted = fitLeanToBudget(classic, { maxTokens: LEAN_TOKEN_BUDGET });
+    const classicEp = parseClassic(classic);
+    const leanEp = parseLean(lean);
+    const classicConstraints = scoreConstraints(classicEp, tp.prompt);
+    const leanConstraints = scoreConstraints(leanEp, tp.prompt);
+    const classicGoal = scoreGoalRelevance(classicEp, tp.prompt);
+    const leanGoal = scoreGoalRelevance(leanEp, tp.prompt);
+    for (const [form, scored] of [['classic', cScore], ['lean', lScore]]) {
+      discarded[form].negated += scored.discarded.negated;
+      discarded[form].echoed += scored.discarded.echoed;
+    }
+
     perPrompt.push({
       id: tp.id,
       original: tp.prompt,
+      category: tp.category,
+      complexity: tp.complexity,
       classicTokens: cTok,
       leanTokens: lTok,
       savingsPct: +savingsPct.toFixed(1),
       classicScore: +cScore.percentage.toFixed(1),
       leanScore: +lScore.percentage.toFixed(1),
       retentionPct: +retentionPct.toFixed(1),
-      classicDetails: cScore.details,
-      leanDetails: lScore.details,
+      classicDetails: { ...cScore.details, ...cScore.counts },
+      leanDetails: { ...lScore.details, ...lScore.counts },
+      discardedHits: { classic: discardedCounts(cScore), lean: discardedCounts(lScore) },
+      structure: {
+        classicConstraints: classicEp.constraints.length,
+        leanConstraints: leanEp.constraints.length,
+        classicPhases: classicEp.phases.length,
+        leanPhases: leanEp.phases.length,
+      },
+      constraintSpecificity: {
+        classic: classicConstraints.average === null ? null : +classicConstraints.average.toFixed(1),
+        lean: leanConstraints.average === null ? null : +leanConstraints.average.toFixed(1),
+        classicAllBoilerplate: classicConstraints.allBoilerplate,
+        leanAllBoilerplate: leanConstraints.allBoilerplate,
+      },
+      goalRelevance: {
+        classic: classicGoal.relevance === null ? null : +classicGoal.relevance.toFixed(1),
+        lean: leanGoal.relevance === null ? null : +leanGoal.relevance.toFixed(1),
+        offTopic: { classic: classicGoal.offTopic, lean: leanGoal.offTopic },
+        invented: { classic: classicGoal.invented, lean: leanGoal.invented },
+        missing: { classic: classicGoal.missing, lean: leanGoal.missing },
+      },
       lean: lean,
+      budget: {
+        maxTokens: budgeted.maxTokens,
+        tokens: budgeted.tokens,
+        fits: budgeted.fits,
+        shortenedFields: budgeted.shortened.map((step) => step.field),
+        shortened: budgeted.shortened,
+      },
     });
 
     console.log(
@@ -147,7 +197,27 @@ function main() {
   }
 
   const avgSavingsPct = (1 - sumLeanTok / sumClassicTok) * 100;
+  const budgetFitCount = perPrompt.filter((p) => p.budget.fits).length;
+  const budgetShortened = {};
+  for (const p of perPrompt) {
+    for (const field of p.budget.shortenedFields) budgetShortened[field] = (budgetShortened[field] || 0) + 1;
+  }
   const avgRetention = sumClassicScore > 0 ? (sumLeanScore / sumClassicScore) * 100 : 100;
+  const constraintSpecificity = {};
+  for (const form of ['classic', 'lean']) {
+    const rated = perPrompt.map((p) => p.constraintSpecificity[form]).filter((v) => v !== null);
+    constraintSpecificity[form] = {
+      average: rated.length ? +(rated.reduce((a, b) => a + b, 0) / rated.length).toFixed(1) : null,
+      allBoilerplate: perPrompt.filter((p) => p.constraintSpecificity[`${form}AllBoilerplate`]).map((p) => p.id),
+    };
+  }
+
+  const groups = summarizeGroups(perPrompt, {
+    classicTokens: (p) => p.classicTokens,
+    leanTokens: (p) => p.leanTokens,
+    savingsPct: (p) => p.savingsPct,
+    retentionPct: (p) => p.retentionPct,
+  });
 
   console.log('\n═══════════════════════════════════════════════════════════════');
   console.log('                         SUMMARY                                ');
@@ -157,7 +227,18 @@ function main() {
   console.log(`  Total classic tokens:        ${sumClassicTok}`);
   console.log(`  Total lean tokens:           ${sumLeanTok}`);
   console.log(`  Overall savings:             ${(sumClassicTok - sumLeanTok)} tokens (-${avgSavingsPct.toFixed(1)}%)`);
-  console.log(`  Quality-signal retention:    ${avgRetention.toFixed(1)}% (9-pattern rubric)`);
+  console.log(`  Quality-signal retention:    ${avgRetention.toFixed(1)}% (${RUBRIC.id}@${RUBRIC.version} rubric)`);
+  console.log(`  Discarded signal hits:       classic ${discarded.classic.negated} negated / ${discarded.classic.echoed} echoed, lean ${discarded.lean.negated} negated / ${discarded.lean.echoed} echoed`);
+  console.log(`  Constraint specificity:      classic ${constraintSpecificity.classic.average}% → lean ${constraintSpecificity.lean.average}% avg`);
+  for (const form of ['classic', 'lean']) {
+    const flagged = constraintSpecificity[form].allBoilerplate;
+    if (flagged.length) console.warn(`  ⚠️  All-boilerplate ${form} constraints: ${flagged.join(', ')}`);
+  }
+  for (const [label, table] of [['category', groups.byCategory], ['complexity', groups.byComplexity]]) {
+    const parts = Object.entries(table).map(([name, g]) => `${name} -${g.savingsPct}%/${g.retentionPct}%`);
+    console.log(`${`  By ${label}:`.padEnd(31)}${parts.join(', ')} (savings/retention)`);
+  }
+  console.log(`  Fits ${LEAN_TOKEN_BUDGET}-token budget:       ${budgetFitCount}/${perPrompt.length} prompts (shortened: ${Object.entries(budgetShortened).map(([f, n]) => `${f}×${n}`).join(', ') || 'none'})`);
 
   // Combined first-turn tax = hook + one /architect invocation
   const combinedClassic = hookClassicTok + Math.round(sumClassicTok / 10);
@@ -168,6 +249,7 @@ function main() {
   const out = {
     timestamp: new Date().toISOString(),
     tokenizer: 'gpt-tokenizer (cl100k_base) — used as an offline proxy; absolute counts are ~5% of true Claude values but the RATIO between classic and lean is stable',
+    rubric: rubricStamp(RUBRIC),
     hook: {
       classicTokens: hookClassicTok,
       leanTokens: hookLeanTok,
@@ -179,9 +261,17 @@ function main() {
       totalLeanTokens: sumLeanTok,
       averageSavingsPct: +avgSavingsPct.toFixed(1),
       averageQualityRetentionPct: +avgRetention.toFixed(1),
+      discardedHits: discarded,
+      constraintSpecificity,
+      groups,
       combinedFirstTurnTaxClassic: combinedClassic,
       combinedFirstTurnTaxLean: combinedLean,
       combinedFirstTurnSavingsPct: +combinedSavingsPct.toFixed(1),
+      budget: {
+        maxTokens: LEAN_TOKEN_BUDGET,
+        fitCount: budgetFitCount,
+        shortenedFieldCounts: budgetShortened,
+      },
     },
   };
 
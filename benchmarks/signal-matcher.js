@@ -0,0 +1,175 @@
+/**
+ * Clause-aware signal matching for the rubrics in rubrics.js.
+ *
+ * A bare keyword regex scores "we won't bother with TDD here" as a TDD hit.
+ * This module looks at the clause around every regex hit and sorts it into:
+ *
+ *   - affirmed   the text actually commits to the signal
+ *   - negated    an odd number of negation cues (not, no, n't, without,
+ *                skip, avoid, remove ...) precede it in its clause, or the
+ *                clause goes on to call it unnecessary ("README is not needed");
+ *                "Do NOT skip TDD" is two cues, so it stays affirmed
+ *   - echoed     the hit is not the author's own words: it sits inside a
+ *                quoted phrase, repeats a run of the user's prompt, or only
+ *                appears inside an injected <10x-architect> block
+ *
+ * Hits inside fenced code or a markup tag name (<tdd>, </docs>) are always
+ * affirmed: code and structure are evidence, not a claim. Only affirmed
+ * hits should be scored; the other two are reported so a reader can see
+ * what was discarded.
+ */
+
+'use strict';
+
+const CLAUSE_BREAK = /[.!?;\n]|\b(?:but|however|although|though|whereas|instead)\b/gi;
+const NEGATION_CUE =
+  /\b(?:not|no|never|none|neither|nor|without|cannot|skip(?:s|ped|ping)?|omit(?:s|ted|ting)?|avoid(?:s|ed|ing)?|forgo(?:es|ing)?|remov(?:e|es|ed|ing)|drop(?:s|ped|ping)?|delet(?:e|es|ed|ing)|disabl(?:e|es|ed|ing))\b|n't\b/gi;
+const DISMISSAL =
+  /^\W*(?:\w+\W+){0,4}?(?:(?:is|are|was|were|be)\s+(?:not\s+(?:needed|necessary|required|worth\b)|unnecessary|overkill|optional)|(?:isn't|aren't|wasn't|weren't)\s+(?:needed|necessary|required|worth\b)|(?:can|could)\s+be\s+skipped)/i;
+const NEGATION_WINDOW_WORDS = 6;
+const ECHO_WINDOW_WORDS = 3;
+const MIN_ECHO_WORDS = 4;
+const MIN_QUOTE_WORDS = 3;
+const INJECTED_BLOCK = /<(10x-architect(?:-[\w-]+)?)>[\s\S]*?(?:<\/\1>|$)/g;
+const FENCE = /^(```|~~~)[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))/gm;
+const QUOTE = /"([^"\n]*)"|“([^”\n]*)”/g;
+const TAG = /<\/?[A-Za-z][\w-]*>/g;
+
+/**
+ * @typedef {object} SignalHit
+ * @property {string} text - Matched text.
+ * @property {number} index - Offset of the match in the scored text.
+ * @property {string} clause - Clause the match sits in, trimmed.
+ * @property {'affirmed'|'negated'|'echoed'} kind - How the hit was classified.
+ * @property {string} [reason] - Why a hit was not affirmed: negation, dismissal,
+ *   quoted, prompt or injected.
+ */
+
+/**
+ * @typedef {object} SignalContext
+ * @property {string} text - Text being scored.
+ * @property {number[]} breaks - Clause boundary offsets, ascending.
+ * @property {[number, number][]} code - Fenced code and markup tag spans.
+ * @property {[number, number][]} quoted - Quoted-phrase spans.
+ * @property {[number, number][]} injected - Injected <10x-architect> block spans.
+ * @property {string} prompt - Normalised prompt text, for echo detection.
+ */
+
+function spans(text, re, keep = () => true) {
+  const out = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (keep(m)) out.push([m.index, m.index + m[0].length]);
+    if (m[0].length === 0) re.lastIndex++;
+  }
+  return out;
+}
+
+function inside(list, start, end) {
+  return list.some(([a, b]) => start >= a && end <= b);
+}
+
+function normalize(s) {
+  return ` ${String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+function words(s) {
+  return s.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Precompute the clause boundaries and code, quote and injected-block spans
+ * of a text, so several signals can be matched against it cheaply.
+ * @param {string} text - Text to score.
+ * @param {object} [options] - Matching options.
+ * @param {string} [options.prompt] - User prompt the text answers; runs of it repeated in the text count as echoed.
+ * @param {boolean} [options.keepInjected=false] - Score hits inside <10x-architect> blocks (for rule payloads, whose whole body is that block).
+ * @returns {SignalContext} Context for classifyHits().
+ */
+function createSignalContext(text, options = {}) {
+  const s = String(text || '');
+  const code = [...spans(s, FENCE), ...spans(s, TAG)];
+  return {
+    text: s,
+    breaks: spans(s, CLAUSE_BREAK).map(([a]) => a),
+    code,
+    quoted: spans(s, QUOTE, (m) => !inside(code, m.index, m.index) && words(m[1] || m[2] || '').length >= MIN_QUOTE_WORDS),
+    injected: options.keepInjected ? [] : spans(s, INJECTED_BLOCK),
+    prompt: options.prompt ? normalize(options.prompt) : '',
+  };
+}
+
+function clauseBounds(ctx, start, end) {
+  let from = 0;
+  let to = ctx.text.length;
+  for (const b of ctx.breaks) {
+    if (b <= start) from = b + 1;
+    else if (b >= end) {
+      to = b;
+      break;
+    }
+  }
+  return [from, to];
+}
+
+function echoesPrompt(ctx, from, to, start, end) {
+  if (!ctx.prompt) return false;
+  const before = words(ctx.text.slice(from, start)).slice(-ECHO_WINDOW_WORDS);
+  const after = words(ctx.text.slice(end, to)).slice(0, ECHO_WINDOW_WORDS);
+  const window = normalize([...before, ctx.text.slice(start, end), ...after].join(' '));
+  return words(window).length >= MIN_ECHO_WORDS && ctx.prompt.includes(window);
+}
+
+function negationReason(ctx, from, to, start, end) {
+  const lead = words(ctx.text.slice(from, start)).slice(-NEGATION_WINDOW_WORDS).join(' ');
+  const cues = (lead.match(NEGATION_CUE) || []).length;
+  const dismissed = DISMISSAL.test(ctx.text.slice(end, to));
+  if (cues % 2 === 1 && !dismissed) return 'negation';
+  if (cues % 2 === 0 && dismissed) return 'dismissal';
+  return null;
+}
+
+/**
+ * Find every match of a signal pattern and classify it.
+ * @param {SignalContext|string} ctx - Context from createSignalContext(), or raw text.
+ * @param {RegExp} re - Signal pattern; the g flag is added when missing.
+ * @param {object} [options] - Classification options.
+ * @param {boolean} [options.negatable=true] - Whether negation cues flip the hit; false for
+ *   signals that are negations themselves ("Do NOT", "avoid").
+ * @returns {{affirmed: SignalHit[], negated: SignalHit[], echoed: SignalHit[]}} Hits by kind.
+ */
+function classifyHits(ctx, re, options = {}) {
+  const c = typeof ctx === 'string' ? createSignalContext(ctx) : ctx;
+  const negatable = options.negatable !== false;
+  const out = { affirmed: [], negated: [], echoed: [] };
+  const global = new RegExp(re.source, re.flags.includes('g') ? re.flags : `${re.flags}g`);
+  let m;
+
+  while ((m = global.exec(c.text)) !== null) {
+    if (m[0].length === 0) {
+      global.lastIndex++;
+      continue;
+    }
+    const start = m.index;
+    const end = start + m[0].length;
+    const [from, to] = clauseBounds(c, start, end);
+    const hit = { text: m[0], index: start, clause: c.text.slice(from, to).trim() };
+
+    let kind = 'affirmed';
+    let reason = null;
+    if (inside(c.injected, start, end)) [kind, reason] = ['echoed', 'injected'];
+    else if (inside(c.code, start, end)) kind = 'affirmed';
+    else if (inside(c.quoted, start, end)) [kind, reason] = ['echoed', 'quoted'];
+    else if (echoesPrompt(c, from, to, start, end)) [kind, reason] = ['echoed', 'prompt'];
+    else if (negatable) {
+      reason = negationReason(c, from, to, start, end);
+      if (reason) kind = 'negated';
+    }
+
+    out[kind].push(reason ? { ...hit, kind, reason } : { ...hit, kind });
+  }
+  return out;
+}
+
+module.exports = { classifyHits, createSignalContext };
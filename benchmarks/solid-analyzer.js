@@ -0,0 +1,563 @@
+/**
+ * Code-level SOLID heuristics for the classes a model response writes.
+ *
+ * The response-quality rubric's "SOLID/OOP" metric is a keyword match. This
+ * module reads the JS/TS and Python code fences instead and collects
+ * evidence per principle:
+ *
+ *   srp  methods per class and responsibility clusters: methods joined by a
+ *        field they share or a method they call (LCOM4, leaving out
+ *        accessors, `return this.x` getters, static and stateless methods).
+ *        More than one cluster, or more than MAX_METHODS methods, is a
+ *        violation.
+ *   ocp  switch / if-else / match chains that dispatch on a type tag
+ *        (.type, .kind, instanceof, isinstance) are violations; an
+ *        abstraction with two or more implementations is a pass.
+ *   isp  interfaces, abstract classes and Protocol/ABC classes with more than
+ *        MAX_INTERFACE_MEMBERS members are violations, and so are methods
+ *        that only throw "not implemented"; narrower interfaces are passes.
+ *   dip  dependencies a constructor receives and stores are passes; `new` of
+ *        a concrete collaborator inside a class (field initializer,
+ *        constructor or method) is a violation, as in SKILL.md's
+ *        OrderService example. Built-ins, errors and value objects are not
+ *        collaborators: a construction only counts when its class name reads
+ *        like one (Service, Repository, Client, ...) or it is stored on the
+ *        instance.
+ *
+ * A principle is 'violation' when any of its evidence is, 'pass' when there
+ * is only passing evidence, and 'n/a' when the code says nothing about it.
+ */
+
+'use strict';
+
+const { extractCodeBlocks } = require('./code-runner');
+const { tokenize, withDepth } = require('./test-structure');
+
+const MAX_METHODS = 10;
+const MAX_INTERFACE_MEMBERS = 7;
+const PRINCIPLES = ['srp', 'ocp', 'isp', 'dip'];
+const FENCE = /^(```|~~~)([^\n]*)\n([\s\S]*?)^\1[^\n]*$/gm;
+const PY_LANGS = new Set(['py', 'python', 'python3']);
+const MODIFIERS = new Set(['static', 'async', 'get', 'set', '*', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare']);
+const PARAM_PROPERTY = new Set(['public', 'private', 'protected', 'readonly']);
+const COLLABORATOR = /(?:Service|Repository|Repo|Client|Database|Db|DB|Store|Storage|Gateway|Provider|Api|API|Logger|Mailer|Cache|Adapter|Connection|Manager|Dao|DAO|Queue|Sender|Notifier|Transport|Driver|Controller)$/;
+const NOT_COLLABORATOR = /(?:Error|Exception)$|^(?:Map|Set|WeakMap|WeakSet|Date|Promise|RegExp|URL|URLSearchParams|Array|Object|Proxy|AbortController|Headers|Request|Response|FormData|TextEncoder|TextDecoder|Intl|Buffer|Decimal|Path|Lock|Event|EventEmitter)$/;
+const TYPE_TAG_PY = /isinstance\(\s*[\w.]+\s*,\s*\(?\s*(\w+)|\.(?:type|kind)\s*(?:==|!=)|\btype\(\s*\w+\s*\)\s*(?:==|is)\b/;
+const PRIMITIVE_TYPE = /^(?:number|string|boolean|bigint|symbol|int|float|str|bool|bytes)$/;
+const UNSUPPORTED = /not\s+(?:yet\s+)?(?:implemented|supported)|unsupported/i;
+
+/**
+ * @typedef {object} SolidEvidence
+ * @property {boolean} ok - Passing evidence (true) or a violation (false).
+ * @property {string} subject - Class, interface or function the evidence is about.
+ * @property {string} detail - What was found.
+ */
+
+/**
+ * @typedef {object} PrincipleResult
+ * @property {'pass'|'violation'|'n/a'} status - Violation when any evidence is one.
+ * @property {SolidEvidence[]} evidence - Evidence in response order.
+ */
+
+/**
+ * @typedef {object} ClassFacts
+ * @property {string} name - Class name.
+ * @property {'js'|'ts'|'python'} lang - Source language.
+ * @property {string[]} bases - Extended classes and implemented interfaces.
+ * @property {string[]} methods - Instance and static method names, constructor excluded.
+ * @property {string[]} injected - Constructor parameters stored on the instance.
+ * @property {{name: string, in: string, stored: boolean}[]} constructs - Concrete collaborators it instantiates.
+ * @property {string[][]} clusters - Methods grouped by shared fields and calls.
+ */
+
+/**
+ * @typedef {object} SolidResult
+ * @property {string[]} languages - Languages of the analyzed fences.
+ * @property {ClassFacts[]} classes - Concrete classes found.
+ * @property {{name: string, lang: string, members: number}[]} interfaces - Interfaces, abstract classes and protocols.
+ * @property {Record<'srp'|'ocp'|'isp'|'dip', PrincipleResult>} principles - Evidence per principle.
+ * @property {number} violations - Evidence items that are violations, over all principles.
+ */
+
+function matching(tokens, open) {
+  for (let n = open + 1; n < tokens.length; n++) {
+    if (tokens[n].depth === tokens[open].depth && /^[)\]}]$/.test(tokens[n].value)) return n;
+  }
+  return tokens.length - 1;
+}
+
+function isCollaborator(name, stored) {
+  return !NOT_COLLABORATOR.test(name) && (stored || COLLABORATOR.test(name));
+}
+
+// ─── JS / TS ────────────────────────────────────────────────────────────────
+
+function jsParams(tokens, open, close) {
+  const params = [];
+  let current = null;
+  for (let n = open + 1; n < close; n++) {
+    const t = tokens[n];
+    if (t.depth === tokens[open].depth + 1 && t.value === ',') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { names: [], property: false, type: null };
+      params.push(current);
+    }
+    if (t.depth === tokens[open].depth + 1 && PARAM_PROPERTY.has(t.value)) current.property = true;
+    else if (t.depth === tokens[open].depth + 1 && t.value === ':' && tokens[n + 1]) current.type = tokens[++n].value;
+    else if (t.type === 'name' && (current.names.length === 0 || tokens[n - 1].value === '{' || tokens[n - 1].value === ',')) {
+      if (t.depth === tokens[open].depth + 1 && current.names.length) continue;
+      current.names.push(t.value);
+    }
+  }
+  return params;
+}
+
+// Fields used, methods called, plain names stored on `this` and classes
+// constructed inside a token range.
+function jsBodyFacts(tokens, from, to) {
+  const fields = new Set();
+  const calls = new Set();
+  const assigned = new Set();
+  const constructs = [];
+  for (let n = from; n < to; n++) {
+    const t = tokens[n];
+    if (t.value === 'this' && tokens[n + 1] && tokens[n + 1].value === '.' && tokens[n + 2] && tokens[n + 2].type === 'name') {
+      const member = tokens[n + 2].value;
+      const [op, value, after] = [tokens[n + 3], tokens[n + 4], tokens[n + 5]];
+      if (op && op.value === '(') calls.add(member);
+      else fields.add(member);
+      if (op && op.value === '=' && value && value.type === 'name' && !(after && /^[.([]$/.test(after.value))) assigned.add(value.value);
+    }
+    if (t.value === 'new' && tokens[n + 1] && tokens[n + 1].type === 'name' && /^[A-Z]/.test(tokens[n + 1].value)) {
+      const stored = n >= 4 && tokens[n - 1].value === '=' && tokens[n - 3].value === '.' && tokens[n - 4].value === 'this';
+      constructs.push({ name: tokens[n + 1].value, stored });
+    }
+  }
+  return { fields, calls, assigned, constructs };
+}
+
+function onlyThrowsUnsupported(tokens, open, close) {
+  const body = tokens.slice(open + 1, close);
+  return body.length > 0 && body[0].value === 'throw' && body.some((t) => t.type === 'string' && UNSUPPORTED.test(t.value)) &&
+    !body.some((t, i) => i > 0 && (t.value === 'throw' || t.value === 'return'));
+}
+
+function jsMembers(src, tokens, open, close) {
+  const members = [];
+  const depth = tokens[open].depth + 1;
+  let n = open + 1;
+  while (n < close) {
+    if (tokens[n].depth !== depth || tokens[n].value === ';' || tokens[n].value === ',') {
+      n++;
+      continue;
+    }
+    if (tokens[n].value === '@') {
+      n += 2;
+      if (tokens[n] && tokens[n].value === '(') n = matching(tokens, n) + 1;
+      continue;
+    }
+    const mods = new Set();
+    while (MODIFIERS.has(tokens[n].value) && tokens[n + 1] && !/^[(=:;?!<]$/.test(tokens[n + 1].value)) mods.add(tokens[n++].value);
+    let name = tokens[n].value;
+    if (name === '#') name = `#${tokens[++n].value}`;
+    else if (name === '[') n = matching(tokens, n);
+    n++;
+    if (tokens[n] && (tokens[n].value === '?' || tokens[n].value === '!')) n++;
+    if (tokens[n] && tokens[n].value === '<') while (n < close && tokens[n].value !== '(') n++;
+
+    if (tokens[n] && tokens[n].value === '(') {
+      const pClose = matching(tokens, n);
+      let b = pClose + 1;
+      while (b < close && tokens[b].value !== '{' && tokens[b].value !== ';') b++;
+      const member = { kind: 'method', name, mods, params: jsParams(tokens, n, pClose), abstract: true };
+      if (tokens[b] && tokens[b].value === '{' && tokens[b].depth === depth) {
+        const bClose = matching(tokens, b);
+        Object.assign(member, { abstract: false, open: b, close: bClose, ...jsBodyFacts(tokens, b + 1, bClose) });
+        member.unsupported = onlyThrowsUnsupported(tokens, b, bClose);
+        const body = tokens.slice(b + 1, bClose).map((t) => t.value).filter((v) => v !== ';').join(' ');
+        if (/^return this \. [\w$]+$/.test(body)) mods.add('get');
+        n = bClose + 1;
+      } else n = b + 1;
+      members.push(member);
+      continue;
+    }
+
+    let end = n;
+    while (end < close) {
+      const t = tokens[end];
+      if (t.depth === depth && (t.value === ';' || t.value === '}')) break;
+      const prev = tokens[end - 1];
+      if (end > n && t.depth === depth && src.slice(prev.at, t.at).includes('\n') && !/^(?:[=:|&,.?(+\-*/<]|=>|new)$/.test(prev.value)) break;
+      end++;
+    }
+    members.push({ kind: 'field', name, mods, ...jsBodyFacts(tokens, n, end) });
+    n = end;
+  }
+  return members;
+}
+
+function jsModel(code, lang) {
+  const tokens = withDepth(tokenize(code));
+  const model = { classes: [], interfaces: [], dispatches: [] };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    const isInterface = t.value === 'interface' && lang === 'ts';
+    if ((t.value !== 'class' && !isInterface) || !tokens[k + 1] || tokens[k + 1].type !== 'name') continue;
+    const name = tokens[k + 1].value;
+    let open = k + 2;
+    const bases = [];
+    for (; open < tokens.length && !(tokens[open].value === '{' && tokens[open].depth === t.depth); open++) {
+      const prev = tokens[open - 1].value;
+      if (tokens[open].type === 'name' && tokens[open].depth === t.depth && (prev === 'extends' || prev === 'implements' || prev === ',')) bases.push(tokens[open].value);
+    }
+    if (open >= tokens.length) continue;
+    const close = matching(tokens, open);
+    const members = jsMembers(code, tokens, open, close);
+
+    if (isInterface) {
+      model.interfaces.push({ name, lang, members: members.length });
+      continue;
+    }
+    const abstract = tokens[k - 1] && tokens[k - 1].value === 'abstract';
+    model.classes.push({ name, lang, bases, abstract, members });
+  }
+
+  for (const d of jsDispatches(tokens)) model.dispatches.push({ ...d, where: ownerAt(tokens, d.at, model.classes) });
+  return model;
+}
+
+function typeTest(tokens, from, to) {
+  for (let n = from; n < to; n++) {
+    const v = tokens[n].value;
+    if (v === '.' && tokens[n + 1] && /^(?:type|kind)$/.test(tokens[n + 1].value) && tokens[n + 2] && /^[=!]==?$/.test(tokens[n + 2].value)) return true;
+    if (v === 'instanceof' && tokens[n + 1] && !/(?:Error|Exception)$/.test(tokens[n + 1].value)) return true;
+  }
+  return false;
+}
+
+function jsDispatches(tokens) {
+  const out = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.value === 'switch' && tokens[k + 1] && tokens[k + 1].value === '(') {
+      const pClose = matching(tokens, k + 1);
+      const subject = tokens.slice(k + 2, pClose);
+      const onTag = subject.some((s, i) => s.value === '.' && subject[i + 1] && /^(?:type|kind)$/.test(subject[i + 1].value)) ||
+        subject.some((s, i) => s.value === 'constructor' && subject[i + 1] && subject[i + 1].value === '.');
+      if (!onTag || !tokens[pClose + 1] || tokens[pClose + 1].value !== '{') continue;
+      const bClose = matching(tokens, pClose + 1);
+      const cases = tokens.slice(pClose + 2, bClose).filter((c) => c.value === 'case' && c.depth === tokens[pClose + 1].depth + 1).length;
+      if (cases >= 2) out.push({ at: k, detail: `switch (${subject.map((s) => s.value).join('')}) with ${cases} cases` });
+    }
+    if (t.value === 'if' && !(tokens[k - 1] && tokens[k - 1].value === 'else')) {
+      let branches = 0;
+      let n = k;
+      while (tokens[n] && tokens[n].value === 'if' && tokens[n + 1] && tokens[n + 1].value === '(') {
+        const pClose = matching(tokens, n + 1);
+        if (typeTest(tokens, n + 2, pClose)) branches++;
+        let end = pClose + 1;
+        if (tokens[end] && tokens[end].value === '{') end = matching(tokens, end);
+        else while (end < tokens.length && !(tokens[end].value === ';' && tokens[end].depth === t.depth)) end++;
+        if (!(tokens[end + 1] && tokens[end + 1].value === 'else')) break;
+        n = end + 2;
+      }
+      if (branches >= 2) out.push({ at: k, detail: `if/else chain with ${branches} type checks` });
+    }
+  }
+  return out;
+}
+
+function ownerAt(tokens, at, classes) {
+  for (const cls of classes) {
+    const method = cls.members.find((m) => m.open !== undefined && at > m.open && at < m.close);
+    if (method) return `${cls.name}.${method.name}`;
+  }
+  for (let n = at; n >= 0; n--) {
+    const t = tokens[n];
+    if (t.depth === 0 && /^(?:function|const|let|var|class)$/.test(t.value) && tokens[n + 1] && tokens[n + 1].type === 'name') return tokens[n + 1].value;
+  }
+  return 'top level';
+}
+
+// ─── Python ─────────────────────────────────────────────────────────────────
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function blockEnd(lines, start, indent) {
+  let end = start + 1;
+  while (end < lines.length && (!lines[end].trim() || indentOf(lines[end]) > indent)) end++;
+  return end;
+}
+
+function pyParams(list) {
+  return list.split(',')
+    .map((p) => p.trim().replace(/^\*+/, '').split('='))
+    .map(([decl]) => ({ names: [decl.split(':')[0].trim()], property: false, type: (decl.split(':')[1] || '').trim() || null }))
+    .filter((p) => p.names[0] && p.names[0] !== 'self' && p.names[0] !== 'cls');
+}
+
+function pyBodyFacts(body) {
+  const fields = new Set();
+  const calls = new Set();
+  const constructs = [];
+  for (const m of body.matchAll(/\bself\.(\w+)(\s*\()?/g)) (m[2] ? calls : fields).add(m[1]);
+  const assigned = new Set([...body.matchAll(/\bself\.\w+(?:\s*:[^=\n]+)?\s*=\s*(\w+)\s*$/gm)].map((m) => m[1]));
+  for (const m of body.matchAll(/(self\.\w+\s*=\s*)?\b([A-Z]\w*)\s*\(/g)) constructs.push({ name: m[2], stored: Boolean(m[1]) });
+  return { fields, calls, assigned, constructs };
+}
+
+function pyModel(code) {
+  const lines = code.split('\n');
+  const model = { classes: [], interfaces: [], dispatches: [] };
+
+  for (let i = 0; i < lines.length; i++) {
+    const m = /^(\s*)class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/.exec(lines[i]);
+    if (!m) continue;
+    const indent = m[1].length;
+    const end = blockEnd(lines, i, indent);
+    const bases = (m[3] || '').split(',').map((b) => b.trim()).filter(Boolean)
+      .map((b) => (/^metaclass\s*=\s*(?:abc\.)?ABCMeta$/.test(b) ? 'ABC' : b.replace(/^(?:typing|abc)\./, '')));
+    const members = [];
+    let decorators = [];
+    for (let j = i + 1; j < end; j++) {
+      const line = lines[j];
+      if (/^\s*@/.test(line)) {
+        decorators.push(line.trim());
+        continue;
+      }
+      const def = /^(\s*)(?:async\s+)?def\s+(\w+)\s*\(([^)]*)\)?/.exec(line);
+      if (!def || indentOf(line) <= indent || (members.length && indentOf(line) !== members[0].indent)) {
+        if (line.trim()) decorators = [];
+        continue;
+      }
+      const defEnd = blockEnd(lines, j, def[1].length);
+      const body = lines.slice(j + 1, defEnd).join('\n');
+      const statements = lines.slice(j + 1, defEnd).map((l) => l.trim()).filter((l) => l && !/^("""|'''|#)/.test(l));
+      const mods = new Set(decorators.some((d) => /^@staticmethod\b/.test(d)) ? ['static'] : []);
+      if (decorators.some((d) => /^@abstractmethod\b/.test(d))) mods.add('abstract');
+      if (decorators.some((d) => /^@(?:property|\w+\.setter)\b/.test(d))) mods.add('get');
+      if (statements.length === 1 && /^return\s+self\.\w+$/.test(statements[0])) mods.add('get');
+      members.push({
+        kind: 'method',
+        name: def[2] === '__init__' ? 'constructor' : def[2],
+        indent: def[1].length,
+        mods,
+        params: pyParams(def[3] || ''),
+        abstract: mods.has('abstract'),
+        unsupported: statements.length === 1 && /^raise\s+NotImplementedError\b/.test(statements[0]),
+        line: j,
+        end: defEnd,
+        ...pyBodyFacts(body),
+      });
+      decorators = [];
+    }
+
+    if (bases.some((b) => /^(?:Protocol|ABC)$/.test(b))) {
+      model.interfaces.push({ name: m[2], lang: 'python', members: members.filter((mm) => mm.name !== 'constructor').length });
+      continue;
+    }
+    model.classes.push({ name: m[2], lang: 'python', bases: bases.filter((b) => b !== 'object'), abstract: false, members });
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const ifLine = /^(\s*)if\s+(.*):\s*$/.exec(lines[i]);
+    const matchLine = /^(\s*)match\s+(.*):\s*$/.exec(lines[i]);
+    if (ifLine) {
+      const indent = ifLine[1].length;
+      let branches = TYPE_TAG_PY.test(ifLine[2]) && !/(?:Error|Exception)\b/.test(ifLine[2]) ? 1 : 0;
+      for (let j = blockEnd(lines, i, indent); j < lines.length && indentOf(lines[j]) === indent; j = blockEnd(lines, j, indent)) {
+        const elif = /^\s*elif\s+(.*):\s*$/.exec(lines[j]);
+        if (!elif) break;
+        if (TYPE_TAG_PY.test(elif[1]) && !/(?:Error|Exception)\b/.test(elif[1])) branches++;
+      }
+      if (branches >= 2) model.dispatches.push({ detail: `if/elif chain with ${branches} type checks`, where: pyOwner(lines, i) });
+    } else if (matchLine) {
+      const indent = matchLine[1].length;
+      const cases = lines.slice(i + 1, blockEnd(lines, i, indent)).filter((l) => /^\s*case\s+[A-Z]\w*\s*\(/.test(l)).length;
+      const onTag = /\.(?:type|kind)\s*$/.test(matchLine[2].trim());
+      const tagCases = onTag ? lines.slice(i + 1, blockEnd(lines, i, indent)).filter((l) => /^\s*case\s+['"]/.test(l)).length : 0;
+      if (cases >= 2 || tagCases >= 2) model.dispatches.push({ detail: `match ${matchLine[2].trim()} with ${Math.max(cases, tagCases)} cases`, where: pyOwner(lines, i) });
+    }
+  }
+  return model;
+}
+
+function pyOwner(lines, at) {
+  let indent = indentOf(lines[at]);
+  const names = [];
+  for (let n = at - 1; n >= 0 && indent > 0; n--) {
+    const m = /^(\s*)(?:async\s+)?(?:def|class)\s+(\w+)/.exec(lines[n]);
+    if (m && m[1].length < indent) {
+      names.unshift(m[2]);
+      indent = m[1].length;
+    }
+  }
+  return names.join('.') || 'top level';
+}
+
+// ─── Principles ─────────────────────────────────────────────────────────────
+
+function clusters(methods) {
+  const stateful = methods.filter((m) => !['static', 'get', 'set'].some((mod) => m.mods.has(mod)) && (m.fields.size || m.calls.size));
+  const names = new Set(methods.map((m) => m.name));
+  const parent = new Map(stateful.map((m) => [m.name, m.name]));
+  const find = (x) => (parent.get(x) === x ? x : find(parent.get(x)));
+  const union = (a, b) => parent.set(find(a), find(b));
+  const byField = new Map();
+  for (const m of stateful) {
+    for (const f of m.fields) {
+      if (names.has(f)) continue;
+      if (byField.has(f)) union(m.name, byField.get(f));
+      else byField.set(f, m.name);
+    }
+    for (const c of m.calls) if (parent.has(c)) union(m.name, c);
+  }
+  const groups = new Map();
+  for (const m of stateful) {
+    const root = find(m.name);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(m.name);
+  }
+  return [...groups.values()];
+}
+
+function classFacts(cls) {
+  const methods = cls.members.filter((m) => m.kind === 'method' && m.name !== 'constructor' && !m.abstract);
+  const ctor = cls.members.find((m) => m.kind === 'method' && m.name === 'constructor');
+  const injected = ctor && !ctor.abstract
+    ? ctor.params.filter((p) => !PRIMITIVE_TYPE.test(p.type || '')).flatMap((p) => p.names.filter((n) => p.property || ctor.assigned.has(n)))
+    : [];
+  const constructs = [];
+  for (const m of cls.members) {
+    for (const c of m.constructs || []) {
+      if (isCollaborator(c.name, c.stored || m.kind === 'field')) constructs.push({ name: c.name, in: m.kind === 'field' ? `field ${m.name}` : m.name, stored: c.stored || m.kind === 'field' });
+    }
+  }
+  return {
+    name: cls.name,
+    lang: cls.lang,
+    bases: cls.bases,
+    methods: methods.map((m) => m.name),
+    injected,
+    constructs,
+    clusters: clusters(methods),
+  };
+}
+
+function principleResult(evidence) {
+  const status = evidence.some((e) => !e.ok) ? 'violation' : evidence.length ? 'pass' : 'n/a';
+  return { status, evidence };
+}
+
+function judge(model) {
+  const evidence = { srp: [], ocp: [], isp: [], dip: [] };
+  const facts = model.classes.map((cls) => ({ cls, facts: classFacts(cls) }));
+
+  for (const { facts: f } of facts) {
+    if (f.methods.length > MAX_METHODS) {
+      evidence.srp.push({ ok: false, subject: f.name, detail: `${f.methods.length} methods (more than ${MAX_METHODS})` });
+    } else if (f.clusters.length > 1) {
+      evidence.srp.push({ ok: false, subject: f.name, detail: `${f.clusters.length} unrelated method groups: ${f.clusters.map((c) => c.join(', ')).join(' | ')}` });
+    } else if (f.methods.length) {
+      evidence.srp.push({ ok: true, subject: f.name, detail: f.methods.length === 1 ? '1 method' : `${f.methods.length} methods in one cluster` });
+    }
+
+    if (f.injected.length) evidence.dip.push({ ok: true, subject: f.name, detail: `receives ${f.injected.join(', ')} through the constructor` });
+    for (const c of f.constructs) evidence.dip.push({ ok: false, subject: f.name, detail: `creates concrete ${c.name} in ${c.in === 'constructor' ? 'the constructor' : c.in}` });
+  }
+
+  for (const d of model.dispatches) evidence.ocp.push({ ok: false, subject: d.where, detail: d.detail });
+  const implementations = new Map();
+  for (const { facts: f } of facts) {
+    for (const b of f.bases) {
+      if (/(?:Error|Exception)$/.test(b)) continue;
+      if (!implementations.has(b)) implementations.set(b, []);
+      implementations.get(b).push(f.name);
+    }
+  }
+  for (const [base, impls] of implementations) {
+    if (impls.length >= 2) evidence.ocp.push({ ok: true, subject: base, detail: `extended by ${impls.length} implementations (${impls.join(', ')})` });
+  }
+
+  const abstracts = model.classes.filter((c) => c.abstract).map((c) => ({
+    name: c.name,
+    lang: c.lang,
+    members: c.members.filter((m) => m.mods.has('abstract')).length,
+  }));
+  const interfaces = [...model.interfaces, ...abstracts];
+  for (const i of interfaces) {
+    evidence.isp.push(i.members > MAX_INTERFACE_MEMBERS
+      ? { ok: false, subject: i.name, detail: `${i.members} members (more than ${MAX_INTERFACE_MEMBERS})` }
+      : { ok: true, subject: i.name, detail: `${i.members} member${i.members === 1 ? '' : 's'}` });
+  }
+  for (const { cls } of facts) {
+    for (const m of cls.members) {
+      if (m.unsupported && cls.bases.length) evidence.isp.push({ ok: false, subject: `${cls.name}.${m.name}`, detail: 'only throws "not implemented" for an inherited member' });
+    }
+  }
+
+  return { facts: facts.map((x) => x.facts), interfaces, evidence };
+}
+
+/**
+ * Collect SOLID evidence from the class-based JS/TS and Python code in a response.
+ * @param {string} text - Model response.
+ * @returns {SolidResult} Classes, interfaces and per-principle evidence.
+ */
+function analyzeSolid(text) {
+  const model = { classes: [], interfaces: [], dispatches: [] };
+  const languages = new Set();
+  const add = (part) => {
+    model.classes.push(...part.classes);
+    model.interfaces.push(...part.interfaces);
+    model.dispatches.push(...part.dispatches);
+  };
+
+  for (const block of extractCodeBlocks(text)) {
+    if (block.role !== 'implementation') continue;
+    languages.add(block.lang);
+    add(jsModel(block.code, block.lang));
+  }
+  FENCE.lastIndex = 0;
+  let m;
+  while ((m = FENCE.exec(String(text || ''))) !== null) {
+    if (!PY_LANGS.has(m[2].trim().toLowerCase().split(/\s+/)[0])) continue;
+    if (/^\s*(?:def\s+test_|class\s+Test)/m.test(m[3]) && !/^class\s+(?!Test)/m.test(m[3])) continue;
+    languages.add('python');
+    add(pyModel(m[3]));
+  }
+
+  const judged = judge(model);
+  const principles = Object.fromEntries(PRINCIPLES.map((p) => [p, principleResult(judged.evidence[p])]));
+  return {
+    languages: [...languages],
+    classes: judged.facts,
+    interfaces: judged.interfaces,
+    principles,
+    violations: PRINCIPLES.reduce((n, p) => n + principles[p].evidence.filter((e) => !e.ok).length, 0),
+  };
+}
+
+/**
+ * Count, per principle, how many responses pass, violate or give no evidence.
+ * @param {SolidResult[]} results - One analysis per response.
+ * @returns {Record<'srp'|'ocp'|'isp'|'dip', {pass: number, violation: number, na: number}>} Response counts.
+ */
+function summarizeSolid(results) {
+  const out = Object.fromEntries(PRINCIPLES.map((p) => [p, { pass: 0, violation: 0, na: 0 }]));
+  for (const r of results) {
+    for (const p of PRINCIPLES) {
+      const status = r.principles[p].status;
+      out[p][status === 'n/a' ? 'na' : status]++;
+    }
+  }
+  return out;
+}
+
+module.exports = { MAX_INTERFACE_MEMBERS, MAX_METHODS, PRINCIPLES, analyzeSolid, summarizeSolid };
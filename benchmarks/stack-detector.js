@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Tech-stack detector for the `autoDetect: true` config key.
+ *
+ * SKILL.md section 3 says: "If `autoDetect: true`, scan for package.json,
+ * requirements.txt, tsconfig.json, etc. Build tech stack summary." This is
+ * that scan. It reads the project manifests, works out the language, the
+ * test runner and the documentation convention, and returns a summary that
+ * lean-templater.js uses to name the right tools in <tdd> and <docs>
+ * (e.g. "docstrings" and "pytest" for a Python repo instead of JSDoc).
+ *
+ * Usage:
+ *   node stack-detector.js [project-dir]   # prints the summary as JSON
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {object} StackSummary
+ * @property {string} language - Primary language (javascript, typescript, python, go, rust, java).
+ * @property {string[]} languages - Every language with a manifest in the project.
+ * @property {string|null} testRunner - Test runner name (jest, vitest, mocha, pytest, JUnit 5, ...).
+ * @property {string|null} testCommand - Command that runs the tests.
+ * @property {string} docStyle - Documentation convention for the Lean <docs> tag.
+ * @property {string} docKeyword - Word that must survive Lean shortening for docs.
+ * @property {string[]} manifests - Manifest files that were read.
+ */
+
+// Documentation convention per language. `docKeyword` is the word that must
+// survive Lean shortening in place of SKILL.md's JS-centric "JSDoc".
+const LANGUAGE_PROFILES = {
+  javascript: { docStyle: 'JSDoc @param/@returns', docKeyword: 'JSDoc' },
+  typescript: { docStyle: 'JSDoc @param/@returns', docKeyword: 'JSDoc' },
+  python: { docStyle: 'docstrings', docKeyword: 'docstrings' },
+  go: { docStyle: 'doc comments on exported names', docKeyword: 'doc comments' },
+  rust: { docStyle: '/// doc comments', docKeyword: 'doc comments' },
+  java: { docStyle: 'Javadoc', docKeyword: 'Javadoc' },
+};
+
+// Checked in order; the first runner found in the test script or deps wins.
+const JS_TEST_RUNNERS = ['vitest', 'jest', 'mocha'];
+
+// Checked in order against the Maven or Gradle build file; JUnit 5 is
+// published as junit-jupiter, JUnit 4 as junit:junit.
+const JAVA_TEST_RUNNERS = [
+  ['JUnit 5', /\bjunit-jupiter\b/],
+  ['JUnit', /\bjunit\b/],
+  ['TestNG', /\btestng\b/],
+];
+
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function detectNode(dir) {
+  const raw = readIfExists(path.join(dir, 'package.json'));
+  if (raw === null) return null;
+  let pkg;
+  try {
+    pkg = JSON.parse(raw);
+  } catch {
+    pkg = {};
+  }
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const testScript = String((pkg.scripts && pkg.scripts.test) || '');
+  const runner =
+    JS_TEST_RUNNERS.find((r) => new RegExp(`\\b${r}\\b`).test(testScript)) ||
+    JS_TEST_RUNNERS.find((r) => r in deps) ||
+    (/\bnode\s+--test\b/.test(testScript) ? 'node:test' : null);
+  const hasTsconfig = fs.existsSync(path.join(dir, 'tsconfig.json'));
+  const manifests = ['package.json'];
+  if (hasTsconfig) manifests.push('tsconfig.json');
+  return {
+    language: hasTsconfig || 'typescript' in deps ? 'typescript' : 'javascript',
+    testRunner: runner,
+    testCommand: testScript ? 'npm test' : null,
+    manifests,
+  };
+}
+
+function detectPython(dir) {
+  const pyproject = readIfExists(path.join(dir, 'pyproject.toml'));
+  const requirements = readIfExists(path.join(dir, 'requirements.txt'));
+  if (pyproject === null && requirements === null) return null;
+  const usesPytest =
+    /\bpytest\b/.test(pyproject || '') || /^\s*pytest\b/im.test(requirements || '');
+  const manifests = [];
+  if (pyproject !== null) manifests.push('pyproject.toml');
+  if (requirements !== null) manifests.push('requirements.txt');
+  return {
+    language: 'python',
+    // unittest ships with the standard library, so it is the fallback.
+    testRunner: usesPytest ? 'pytest' : 'unittest',
+    testCommand: usesPytest ? 'pytest' : 'python -m unittest',
+    manifests,
+  };
+}
+
+function detectGo(dir) {
+  if (readIfExists(path.join(dir, 'go.mod')) === null) return null;
+  return { language: 'go', testRunner: 'go test', testCommand: 'go test ./...', manifests: ['go.mod'] };
+}
+
+function detectRust(dir) {
+  if (readIfExists(path.join(dir, 'Cargo.toml')) === null) return null;
+  return { language: 'rust', testRunner: 'cargo test', testCommand: 'cargo test', manifests: ['Cargo.toml'] };
+}
+
+function detectJava(dir) {
+  const manifest = ['pom.xml', 'build.gradle', 'build.gradle.kts'].find((f) => fs.existsSync(path.join(dir, f)));
+  if (!manifest) return null;
+  const build = readIfExists(path.join(dir, manifest)) || '';
+  const runner = JAVA_TEST_RUNNERS.find(([, re]) => re.test(build));
+  const gradleCommand = fs.existsSync(path.join(dir, 'gradlew')) ? './gradlew test' : 'gradle test';
+  return {
+    language: 'java',
+    testRunner: runner ? runner[0] : null,
+    testCommand: manifest === 'pom.xml' ? 'mvn test' : gradleCommand,
+    manifests: [manifest],
+  };
+}
+
+/**
+ * Scan a project directory and summarise its tech stack.
+ *
+ * When several ecosystems are present (e.g. a Python service with a
+ * package.json for tooling), the first one with a detected test runner is
+ * primary; the rest are listed in `languages`.
+ * @param {string} dir - Project root to scan.
+ * @returns {StackSummary|null} Stack summary, or null when no manifest is found.
+ */
+function detectStack(dir) {
+  const found = [detectNode, detectPython, detectGo, detectRust, detectJava]
+    .map((detect) => detect(dir))
+    .filter(Boolean);
+  if (found.length === 0) return null;
+
+  const primary = found.find((s) => s.testRunner) || found[0];
+  return {
+    language: primary.language,
+    languages: found.map((s) => s.language),
+    testRunner: primary.testRunner,
+    testCommand: primary.testCommand,
+    ...LANGUAGE_PROFILES[primary.language],
+    manifests: found.flatMap((s) => s.manifests),
+  };
+}
+
+if (require.main === module) {
+  const dir = path.resolve(process.argv[2] || process.cwd());
+  console.log(JSON.stringify(detectStack(dir), null, 2));
+}
+
+module.exports = { LANGUAGE_PROFILES, detectStack };
@@ -0,0 +1,201 @@
+/**
+ * Anti-gaming check for the response-quality rubric in rubrics.js.
+ *
+ * The rubric only looks for vocabulary, so a response that repeats "SOLID",
+ * "North Star" and "Phase 1" reaches 100% without applying any of it. This
+ * module asks, for every metric the rubric gave a response, whether the
+ * response also shows the thing the word stands for:
+ *
+ *   goal_clarity         the goal statement names the task (shares a word
+ *                        with the prompt)
+ *   constraints          a constraint names something concrete: a prompt
+ *                        word, a code identifier or a word from the
+ *                        response's own code
+ *   structured_approach  at least two numbered phases/steps, most of them
+ *                        task-specific (prompt word, identifier or code)
+ *   tests_first          a fenced test case with an assertion in it
+ *   docs                 a doc comment attached to a declaration in code
+ *                        (JSDoc, docstring, Go doc comment, Javadoc, ///),
+ *                        or a README snippet
+ *   solid                a class with constructor-injected dependencies, or
+ *                        an interface / protocol / trait it can depend on
+ *   edge_cases           a guard, throw/raise, catch, or a test that
+ *                        asserts a failure, inside code
+ *
+ * The substantiated score weighs the rubric's metrics the same way as the
+ * raw score but only credits claims that also have evidence. A metric with
+ * no evidence rule keeps its raw result.
+ */
+
+'use strict';
+
+const { getRubric, metricValue, scoreRubric } = require('./rubrics');
+const { RULES: LANGUAGE_RULES } = require('./code-languages');
+const { contentWords, stem } = require('./content-words');
+
+const RUBRIC_ID = 'response-quality';
+const FENCE = /^(```|~~~)([^\n]*)\n([\s\S]*?)(?:^\1[^\n]*$|(?![\s\S]))/gm;
+const IDENTIFIER = /`[^`\n]+`|\b[a-z]+[A-Z]\w*\b|\b\w+_\w+\b|\b\w+\(\)|\b[A-Z][a-z]+[A-Z]\w*\b/;
+const NUMBERED_ITEM = /^\s{0,3}(?:#{1,6}\s*)?(?:\d+[.)]|(?:phase|step)\s+\d+\b)/i;
+const STUFFED_MIN_CLAIMS = 2;
+
+/**
+ * @typedef {object} SubstanceResult
+ * @property {{id: string, version: string}} rubric - Rubric the raw score came from.
+ * @property {number} rawPercentage - Weighted keyword score, as scoreRubric() reports it.
+ * @property {number} percentage - Weighted score crediting only substantiated claims.
+ * @property {Record<string, {claimed: boolean, substantiated: boolean, evidence: string|null}>} metrics -
+ *   Per metric: whether the rubric credited it, whether evidence backs it and what that evidence was.
+ * @property {string[]} unsubstantiated - Metrics that were claimed without evidence.
+ * @property {boolean} stuffed - At least two claims and half or more of them unsubstantiated.
+ */
+
+function codeBlocks(text) {
+  const out = [];
+  FENCE.lastIndex = 0;
+  let m;
+  while ((m = FENCE.exec(text)) !== null) out.push({ lang: m[2].trim().toLowerCase(), body: m[3] });
+  return out;
+}
+
+function termSet(text) {
+  return new Set(contentWords(text).filter((w) => w.length >= 4).map(stem));
+}
+
+function mentionsTask(line, terms) {
+  const words = line.toLowerCase().match(/[a-z][a-z0-9]+/g) || [];
+  return words.some((w) => terms.has(stem(w)));
+}
+
+function firstLine(text, re) {
+  return text.split('\n').find((line) => re.test(line)) || null;
+}
+
+function clip(s) {
+  const t = s.trim().replace(/\s+/g, ' ');
+  return t.length > 80 ? `${t.slice(0, 77)}...` : t;
+}
+
+function goalEvidence(text, terms) {
+  const line = firstLine(text, /(goal:|goal\s*\+|objective|north star)/i);
+  if (!line) return null;
+  return mentionsTask(line, terms) ? clip(line) : null;
+}
+
+function constraintEvidence(text, terms, codeTerms) {
+  const lines = text.split('\n').filter((l) => /(do not|don't|must not|constraint|avoid)/i.test(l));
+  const concrete = lines.find((l) => {
+    const rest = l.replace(/(do not|don't|must not|constraints?:?|avoid)/gi, '');
+    return IDENTIFIER.test(l) || mentionsTask(rest, terms) || mentionsTask(rest, codeTerms);
+  });
+  return concrete ? clip(concrete) : null;
+}
+
+function phaseEvidence(text, terms) {
+  const lines = text.split('\n');
+  const items = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!NUMBERED_ITEM.test(lines[i])) continue;
+    let body = lines[i];
+    for (let j = i + 1; j < lines.length && !NUMBERED_ITEM.test(lines[j]); j++) body += `\n${lines[j]}`;
+    items.push({ line: lines[i], specific: mentionsTask(lines[i], terms) || IDENTIFIER.test(lines[i]) || /^(```|~~~)/m.test(body) });
+  }
+  const specific = items.filter((it) => it.specific).length;
+  if (items.length < 2 || specific * 2 < items.length) return null;
+  return `${specific}/${items.length} numbered steps are task-specific`;
+}
+
+function testEvidence(blocks) {
+  const block = blocks.find((b) =>
+    /\b(?:describe|it|test)\s*\(|\bdef\s+test_\w+|\bfunc\s+Test\w+|#\[test\]|@Test\b/.test(b.body) &&
+    /\bexpect\s*\(|\bassert\w*\b|\.should\b|t\.(?:Error|Fatal)|assert_eq!/.test(b.body));
+  return block ? clip(firstLine(block.body, /\S/)) : null;
+}
+
+function docsEvidence(blocks) {
+  for (const b of blocks) {
+    if (/^(?:md|markdown)$/.test(b.lang)) return 'README snippet in a markdown fence';
+    const doc = b.body.match(/(?:\/\*\*[\s\S]*?\*\/|"""[\s\S]*?"""|(?:^[ \t]*\/\/[\/!][^\n]*\n)+)\s*(?:export\s+)?(?:async\s+)?(?:function|class|def|const|let|pub|fn|func|interface|type)\b[^\n]*/m);
+    if (doc) return clip(doc[0].split('\n').pop());
+    for (const rules of Object.values(LANGUAGE_RULES)) {
+      const own = b.body.match(rules.docComment);
+      if (own) return clip(own[0].trim().split('\n')[0]);
+    }
+  }
+  return null;
+}
+
+function solidEvidence(blocks) {
+  for (const b of blocks) {
+    const injectedJs = /constructor\s*\(\s*[^)\s]/.test(b.body) && /this\.\w+\s*=\s*\w+/.test(b.body);
+    const injectedPy = /def\s+__init__\s*\(\s*self\s*,\s*\w+/.test(b.body) && /self\.\w+\s*=\s*\w+/.test(b.body);
+    if (injectedJs || injectedPy) return clip(firstLine(b.body, /class\s+\w+|constructor|__init__/));
+    const abstraction = firstLine(b.body, /\b(?:interface|trait)\s+\w+|\bimplements\s+\w+|\(\s*(?:Protocol|ABC)\s*\)/);
+    if (abstraction) return clip(abstraction);
+  }
+  return null;
+}
+
+function edgeEvidence(blocks) {
+  const GUARD = /\bthrow\s|\braise\s|\bcatch\s*\(|\bexcept\b|if\s*\(\s*!|typeof\s+\w+\s*!==|[!=]==?\s*(?:null|undefined)|\.toThrow|\.rejects\b|pytest\.raises|if\s+err\s*!=\s*nil|\breturn\s+Err\(/;
+  for (const b of blocks) {
+    const line = firstLine(b.body, GUARD);
+    if (line) return clip(line);
+  }
+  return null;
+}
+
+/**
+ * Check whether a response backs the response-quality signals it was credited with.
+ * @param {string} text - Model response.
+ * @param {object} [options] - Analysis options.
+ * @param {string} [options.prompt] - Task prompt; goals, constraints and phases must refer to it.
+ * @param {string} [options.language] - Expected language of the response's code, passed to the rubric.
+ * @param {ReturnType<typeof scoreRubric>} [options.scored] - Raw rubric result for the same text and prompt,
+ *   to avoid scoring twice.
+ * @returns {SubstanceResult} Raw and substantiated scores with per-metric evidence.
+ */
+function analyzeSubstance(text, options = {}) {
+  const rubric = getRubric(RUBRIC_ID);
+  const s = String(text || '');
+  const scored = options.scored || scoreRubric(rubric, s, { prompt: options.prompt, language: options.language });
+  const blocks = codeBlocks(s);
+  const taskTerms = termSet(options.prompt);
+  const codeTerms = termSet(blocks.map((b) => b.body).join('\n'));
+  const evidenceFor = {
+    goal_clarity: () => goalEvidence(s, taskTerms),
+    constraints: () => constraintEvidence(s, taskTerms, codeTerms),
+    structured_approach: () => phaseEvidence(s, taskTerms),
+    tests_first: () => testEvidence(blocks),
+    docs: () => docsEvidence(blocks),
+    solid: () => solidEvidence(blocks),
+    edge_cases: () => edgeEvidence(blocks),
+  };
+
+  const metrics = {};
+  const unsubstantiated = [];
+  let score = 0;
+  let maxScore = 0;
+  for (const m of rubric.metrics) {
+    maxScore += m.weight;
+    const earned = metricValue(scored, m);
+    const claimed = earned > 0;
+    const evidence = claimed && evidenceFor[m.id] ? evidenceFor[m.id]() : null;
+    const substantiated = claimed && (evidence !== null || !evidenceFor[m.id]);
+    metrics[m.id] = { claimed, substantiated, evidence };
+    if (substantiated) score += earned * m.weight;
+    else if (claimed) unsubstantiated.push(m.id);
+  }
+
+  const claims = Object.values(metrics).filter((m) => m.claimed).length;
+  return {
+    rubric: scored.rubric,
+    rawPercentage: scored.percentage,
+    percentage: maxScore > 0 ? (score / maxScore) * 100 : 0,
+    metrics,
+    unsubstantiated,
+    stuffed: claims >= STUFFED_MIN_CLAIMS && unsubstantiated.length * 2 >= claims,
+  };
+}
+
+module.exports = { analyzeSubstance };
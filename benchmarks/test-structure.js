@@ -0,0 +1,316 @@
+/**
+ * Structural test checks for the JS/TS code in a model response.
+ *
+ * The old tests_first check compared the first regex hit of describe/test/it
+ * with the first function/const/class, so a test file that opened with
+ * `const assert = require('assert')` counted as implementation first. This
+ * module tokenizes every JS/TS fence (strings, template literals, comments
+ * and regex literals are skipped properly) and answers three questions:
+ *
+ *   testsFirst        was the first test block emitted before the first
+ *                     block that implements a unit? Within a single mixed
+ *                     block, does the first test call come before the
+ *                     first unit declaration?
+ *   units             which functions/classes the implementation exports
+ *                     (module.exports, exports.x, export ...; all top-level
+ *                     declarations when nothing is exported), and for each:
+ *                     is it called, constructed or referenced by a test, and
+ *                     which describe() title names it
+ *   describeTitles    top-level describe() titles and the unit each names
+ *
+ * Fences are found and classified by code-runner.js, so "test block" means
+ * the same thing here as when the tests are executed.
+ */
+
+'use strict';
+
+const { extractCodeBlocks, stripTypes } = require('./code-runner');
+
+const KEYWORDS_BEFORE_REGEX = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+const TEST_CALLS = new Set(['describe', 'it', 'test']);
+
+/**
+ * @typedef {object} UnitCoverage
+ * @property {string} name - Exported function or class name.
+ * @property {'function'|'class'} kind - Declaration kind.
+ * @property {boolean} tested - A test block calls, constructs or references it.
+ * @property {string|null} describedBy - First top-level describe() title that names it.
+ */
+
+/**
+ * @typedef {object} TestStructure
+ * @property {boolean|null} testsFirst - Null when the response has no tests or no implementation.
+ * @property {UnitCoverage[]} units - Units under test, in declaration order.
+ * @property {number} functionCoverage - Share (0-1) of units some test exercises.
+ * @property {{title: string, unit: string|null}[]} describeTitles - Top-level describe() titles.
+ * @property {number} describeMatch - Share (0-1) of top-level describe titles that name a unit.
+ */
+
+function tokenize(src) {
+  const tokens = [];
+  const prevSignificant = () => tokens[tokens.length - 1];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (src.startsWith('//', i)) {
+      const end = src.indexOf('\n', i);
+      i = end === -1 ? src.length : end;
+    } else if (src.startsWith('/*', i)) {
+      const end = src.indexOf('*/', i + 2);
+      i = end === -1 ? src.length : end + 2;
+    } else if (c === "'" || c === '"') {
+      let j = i + 1;
+      while (j < src.length && src[j] !== c && src[j] !== '\n') j += src[j] === '\\' ? 2 : 1;
+      tokens.push({ type: 'string', value: src.slice(i + 1, j), at: i });
+      i = j + 1;
+    } else if (c === '`') {
+      let j = i + 1;
+      let depth = 0;
+      while (j < src.length && !(src[j] === '`' && depth === 0)) {
+        if (src[j] === '\\') j++;
+        else if (src.startsWith('${', j)) depth++;
+        else if (src[j] === '}' && depth > 0) depth--;
+        j++;
+      }
+      tokens.push({ type: 'string', value: src.slice(i + 1, j), at: i });
+      i = j + 1;
+    } else if (/[A-Za-z_$]/.test(c)) {
+      const m = /^[\w$]+/.exec(src.slice(i));
+      tokens.push({ type: 'name', value: m[0], at: i });
+      i += m[0].length;
+    } else if (/\d/.test(c)) {
+      const m = /^[\d._xXa-fA-FnoObB]+/.exec(src.slice(i));
+      tokens.push({ type: 'number', value: m[0], at: i });
+      i += m[0].length;
+    } else if (c === '/' && regexAllowed(prevSignificant())) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < src.length && src[j] !== '\n' && (inClass || src[j] !== '/')) {
+        if (src[j] === '\\') j++;
+        else if (src[j] === '[') inClass = true;
+        else if (src[j] === ']') inClass = false;
+        j++;
+      }
+      j++;
+      while (/[a-z]/i.test(src[j] || '')) j++;
+      tokens.push({ type: 'regex', value: src.slice(i, j), at: i });
+      i = j;
+    } else {
+      const m = /^(?:=>|\.\.\.|[?]\.|[=!]==?|[<>]=?|&&|\|\||[-+*/%&|^~!?:;,.(){}[\]=<>@#])/.exec(src.slice(i));
+      const value = m ? m[0] : c;
+      tokens.push({ type: 'punct', value, at: i });
+      i += value.length;
+    }
+  }
+  return tokens;
+}
+
+function regexAllowed(prev) {
+  if (!prev) return true;
+  if (prev.type === 'name') return KEYWORDS_BEFORE_REGEX.has(prev.value);
+  if (prev.type === 'punct') return !/^[)\]}]$/.test(prev.value);
+  return false;
+}
+
+// Annotate tokens with the bracket depth they sit at.
+function withDepth(tokens) {
+  let depth = 0;
+  for (const t of tokens) {
+    if (t.type === 'punct' && /^[)\]}]$/.test(t.value)) depth--;
+    t.depth = depth;
+    if (t.type === 'punct' && /^[([{]$/.test(t.value)) depth++;
+  }
+  return tokens;
+}
+
+function isFunctionValue(tokens, k) {
+  let j = k;
+  if (tokens[j] && tokens[j].value === 'async') j++;
+  const t = tokens[j];
+  if (!t) return false;
+  if (t.value === 'function') return 'function';
+  if (t.value === 'class') return 'class';
+  if (t.type === 'name' && tokens[j + 1] && tokens[j + 1].value === '=>') return 'function';
+  if (t.value === '(') {
+    // (a, b) => ... : find the matching ')' and look for '=>'.
+    let depth = 0;
+    for (let n = j; n < tokens.length; n++) {
+      if (tokens[n].value === '(') depth++;
+      else if (tokens[n].value === ')' && --depth === 0) return tokens[n + 1] && tokens[n + 1].value === '=>' ? 'function' : false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Top-level unit declarations and exports of one implementation block.
+ * @param {object[]} tokens - Tokens with depth.
+ * @returns {{declared: {name: string, kind: string, at: number}[], exported: string[]}} Declarations and exported names.
+ */
+function declarations(tokens) {
+  const declared = [];
+  const exported = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.depth !== 0 || t.type !== 'name') continue;
+    const isExport = t.value === 'export';
+    let j = isExport ? k + 1 : k;
+    if (tokens[j] && tokens[j].value === 'default') j++;
+    if (tokens[j] && tokens[j].value === 'async') j++;
+    const head = tokens[j];
+    const name = tokens[j + 1];
+    if (!head || !name || name.type !== 'name') {
+      if (isExport && head && head.value === '{') {
+        for (let n = j + 1; n < tokens.length && tokens[n].value !== '}'; n++) {
+          if (tokens[n].type === 'name' && tokens[n + 1] && /^[,}]$/.test(tokens[n + 1].value)) exported.push(tokens[n].value);
+        }
+      }
+      continue;
+    }
+    let kind = null;
+    if (head.value === 'function') kind = 'function';
+    else if (head.value === 'class') kind = 'class';
+    else if (/^(?:const|let|var)$/.test(head.value) && tokens[j + 2] && tokens[j + 2].value === '=') kind = isFunctionValue(tokens, j + 3) || null;
+    if (!kind) continue;
+    declared.push({ name: name.value, kind, at: t.at });
+    if (isExport) exported.push(name.value);
+    k = j + 1;
+  }
+
+  // module.exports = { a, b: c } / module.exports = a / (module.)exports.a = ...
+  for (let k = 0; k < tokens.length; k++) {
+    const v = tokens[k].value;
+    if (tokens[k].depth !== 0 || (v !== 'module' && v !== 'exports')) continue;
+    let j = k;
+    if (v === 'module') {
+      if (!(tokens[j + 1] && tokens[j + 1].value === '.' && tokens[j + 2] && tokens[j + 2].value === 'exports')) continue;
+      j += 2;
+    }
+    const next = tokens[j + 1];
+    if (next && next.value === '.' && tokens[j + 2] && tokens[j + 3] && tokens[j + 3].value === '=') {
+      exported.push(tokens[j + 2].value);
+    } else if (next && next.value === '=') {
+      const value = tokens[j + 2];
+      if (value && value.value === '{') {
+        for (let n = j + 3; n < tokens.length && !(tokens[n].value === '}' && tokens[n].depth === 0); n++) {
+          const key = tokens[n];
+          if (key.depth !== 1 || key.type !== 'name') continue;
+          const after = tokens[n + 1];
+          if (after && /^[,}]$/.test(after.value)) exported.push(key.value);
+          else if (after && after.value === ':' && tokens[n + 2] && tokens[n + 2].type === 'name') exported.push(tokens[n + 2].value);
+        }
+      } else if (value && value.type === 'name') {
+        exported.push(value.value);
+      }
+    }
+  }
+  return { declared, exported };
+}
+
+// Names used inside describe/it/test calls, top-level describe titles and the
+// offset of the first test call. Imports and setup outside the calls do not count.
+function testCalls(tokens) {
+  const referenced = new Set();
+  const titles = [];
+  let firstTest = -1;
+  let until = -1;
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.type !== 'name') continue;
+    const next = tokens[k + 1];
+    if (TEST_CALLS.has(t.value) && next && next.value === '(' && tokens[k + 2] && tokens[k + 2].type === 'string') {
+      if (firstTest === -1) firstTest = t.at;
+      if (k > until) {
+        titles.push(...(t.value === 'describe' ? [tokens[k + 2].value] : []));
+        until = closingParen(tokens, k + 1);
+      }
+      continue;
+    }
+    const prev = tokens[k - 1];
+    if (k < until && !(prev && (prev.value === '.' || prev.value === '?.'))) referenced.add(t.value);
+  }
+  return { referenced, titles, firstTest };
+}
+
+function closingParen(tokens, open) {
+  for (let n = open + 1; n < tokens.length; n++) {
+    if (tokens[n].value === ')' && tokens[n].depth === tokens[open].depth) return n;
+  }
+  return tokens.length;
+}
+
+function words(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_$]+/g, ' ').toLowerCase().trim();
+}
+
+function titleNames(title, unit) {
+  const t = title.toLowerCase();
+  return t.includes(unit.toLowerCase()) || t.includes(words(unit));
+}
+
+let lastText = null;
+let lastResult = null;
+
+/**
+ * Analyze the test structure of the JS/TS code in a response.
+ * @param {string} text - Model response.
+ * @returns {TestStructure} Ordering, per-unit coverage and describe-title matches.
+ */
+function analyzeTestStructure(text) {
+  const s = String(text || '');
+  if (s === lastText) return lastResult;
+
+  const blocks = extractCodeBlocks(s).map((b, index) => {
+    const tokens = withDepth(tokenize(b.lang === 'ts' ? stripTypes(b.code) : b.code));
+    return { ...b, index, tokens, decl: declarations(tokens), calls: testCalls(tokens) };
+  });
+  const tests = blocks.filter((b) => b.role === 'test');
+  const impls = blocks.filter((b) => b.decl.declared.length > 0 && b.role === 'implementation');
+
+  // Units: whatever any block exports; else everything the implementation
+  // blocks declare at top level; else (tests and code in one block) the
+  // test blocks' own top-level declarations.
+  const exported = new Set(blocks.flatMap((b) => b.decl.exported));
+  const sources = exported.size ? blocks : impls.length ? impls : tests;
+  const seen = new Set();
+  const unitDecls = sources
+    .flatMap((b) => b.decl.declared)
+    .filter((d) => (exported.size === 0 || exported.has(d.name)) && !seen.has(d.name) && seen.add(d.name));
+
+  const referenced = new Set(tests.flatMap((b) => [...b.calls.referenced]));
+  const titles = tests.flatMap((b) => b.calls.titles);
+  const units = unitDecls.map((d) => ({
+    name: d.name,
+    kind: d.kind,
+    tested: referenced.has(d.name),
+    describedBy: titles.find((t) => titleNames(t, d.name)) || null,
+  }));
+  const describeTitles = titles.map((title) => ({ title, unit: (units.find((u) => titleNames(title, u.name)) || {}).name || null }));
+
+  let testsFirst = null;
+  if (tests.length && (impls.length || units.length)) {
+    const firstTest = tests[0];
+    const firstImpl = impls[0];
+    if (!firstImpl || firstTest.index < firstImpl.index) testsFirst = true;
+    else if (firstTest.index > firstImpl.index) testsFirst = false;
+  }
+  if (testsFirst === null && tests.length && !impls.length) {
+    // Mixed block: compare the first test call with the first unit declaration inside it.
+    const mixed = tests.find((b) => b.decl.declared.length);
+    if (mixed) testsFirst = mixed.calls.firstTest < mixed.decl.declared[0].at;
+  }
+
+  lastText = s;
+  lastResult = {
+    testsFirst,
+    units,
+    functionCoverage: units.length ? units.filter((u) => u.tested).length / units.length : 0,
+    describeTitles,
+    describeMatch: describeTitles.length ? describeTitles.filter((d) => d.unit).length / describeTitles.length : 0,
+  };
+  return lastResult;
+}
+
+module.exports = { analyzeTestStructure, tokenize, withDepth };
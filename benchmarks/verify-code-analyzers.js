@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Code-Analyzer Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks the analyzers that read the code in a response: test-structure.js,
+ * jsdoc-auditor.js, solid-analyzer.js and the per-language rules of
+ * code-languages.js. Each is run on small hand-written responses and on
+ * the stored samples in results/sample-outputs.json.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scoreRubric } = require('./rubrics');
+const { analyzeSubstance } = require('./substance-analyzer');
+const { analyzeTestStructure } = require('./test-structure');
+const { auditJsdoc } = require('./jsdoc-auditor');
+const { analyzeSolid } = require('./solid-analyzer');
+const { analyzeTests, detectFenceLanguage } = require('./code-languages');
+
+const SAMPLE_OUTPUTS_FILE = path.join(__dirname, 'results', 'sample-outputs.json');
+
+/**
+ * Verifies tests-first, per-function coverage and describe-title matching
+ * come from parsed code, not from the first regex hit.
+ * @returns {void}
+ */
+function assertTestStructureIsParsed() {
+  const fence = (code) => `\`\`\`js\n${code}\n\`\`\``;
+  const tests = fence(
+    "const assert = require('assert');\nconst { slugify, truncate } = require('./text');\n" +
+      "describe('slugify', () => {\n  it('dashes', () => assert.equal(slugify('a b'), 'a-b'));\n" +
+      "  describe('edge cases', () => it('empty', () => assert.equal(slugify(''), '')));\n});"
+  );
+  const impl = fence(
+    "const SEP = /[^a-z0-9]+/g; // ' not a string\nfunction slugify(s) { return s.toLowerCase().replace(SEP, '-'); }\n" +
+      'const truncate = (s, n) => s.slice(0, n);\nfunction pad(s) { return ` ${s} `; }\nmodule.exports = { slugify, truncate };'
+  );
+
+  const first = analyzeTestStructure(`${tests}\n${impl}`);
+  assert.equal(first.testsFirst, true, 'a test file opening with const assert = require() is still a test block');
+  assert.deepEqual(first.units.map((u) => [u.name, u.tested]), [['slugify', true], ['truncate', false]],
+    'units are the exports; importing a name is not testing it');
+  assert.equal(first.functionCoverage, 0.5);
+  assert.deepEqual(first.describeTitles, [{ title: 'slugify', unit: 'slugify' }], 'only top-level describe titles are matched');
+  assert.equal(analyzeTestStructure(`${impl}\n${tests}`).testsFirst, false);
+
+  const scored = scoreRubric('response-quality', `${tests}\n${impl}`);
+  assert.equal(scored.details.tests_first, true);
+  assert.equal(scored.ratios.function_test_coverage, 0.5);
+  assert.equal(scored.ratios.describe_names_unit, 1);
+
+  for (const t of JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks) {
+    const structure = analyzeTestStructure(t.with);
+    assert.equal(structure.testsFirst, true, `sample ${t.id} writes tests first`);
+    assert.equal(structure.functionCoverage, 1, `sample ${t.id} tests every exported unit`);
+  }
+}
+
+/**
+ * Verifies the JSDoc audit pairs each function with its own doc block and
+ * flags missing or unknown @param, @returns and @throws.
+ * @returns {void}
+ */
+function assertJsdocIsAudited() {
+  const code = [
+    '/**',
+    ' * Add two numbers.',
+    ' * @param {number} a - First.',
+    ' */',
+    'function sum(a, b) { return a + b; }',
+    '',
+    '/**',
+    ' * Parse JSON.',
+    ' * @param {string} text - Input.',
+    ' * @param {object} c - Not a parameter.',
+    ' * @returns {object} Parsed value.',
+    ' */',
+    'const parse = (text) => { if (!text) throw new Error("empty"); return JSON.parse(text); };',
+    '',
+    '/**',
+    ' * Visit items.',
+    ' * @param {Array} items - Items.',
+    ' * @param {Function} fn - Visitor.',
+    ' */',
+    'function each(items, fn) { items.forEach((x) => { if (!x) throw new Error("hole"); fn(x); }); }',
+    'class Box { constructor(v) { this.v = v; } }',
+  ].join('\n');
+  const audit = auditJsdoc(`\`\`\`js\n${code}\n\`\`\``);
+  const problems = Object.fromEntries(audit.functions.map((f) => [f.name, f.problems.map((p) => p.detail ? `${p.kind}:${p.detail}` : p.kind)]));
+  assert.deepEqual(problems, {
+    sum: ['missing_param:b', 'missing_returns'],
+    parse: ['unknown_param:c', 'missing_throws'],
+    each: [],
+    'Box.constructor': ['undocumented'],
+  }, 'a throw inside a callback belongs to the callback, not to each()');
+  assert.equal(audit.coverage, 25);
+
+  for (const t of JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks) {
+    assert.equal(auditJsdoc(t.with).coverage, 100, `sample ${t.id} documents every function completely`);
+    assert.equal(auditJsdoc(t.without).documented, 0, `sample ${t.id} baseline has no JSDoc`);
+  }
+}
+
+/**
+ * Verifies SOLID evidence comes from the classes in the code: SKILL.md's
+ * Dependency Inversion example, responsibility clusters, type switches and
+ * interface width, in TS and Python.
+ * @returns {void}
+ */
+function assertSolidEvidenceFromCode() {
+  const statuses = (text) => Object.fromEntries(Object.entries(analyzeSolid(text).principles).map(([p, r]) => [p, r.status]));
+  const bad = '```typescript\nclass OrderService {\n  private db = new MySQLDatabase();\n  place(o: Order) { return this.db.insert(o); }\n}\n```';
+  const good = '```typescript\ninterface IDatabase { insert(o: Order): Promise<void>; }\nclass OrderService {\n  constructor(private db: IDatabase) {}\n  place(o: Order) { return this.db.insert(o); }\n}\n```';
+  assert.deepEqual(statuses(bad), { srp: 'pass', ocp: 'n/a', isp: 'n/a', dip: 'violation' }, 'new of a concrete collaborator violates DIP');
+  assert.deepEqual(statuses(good), { srp: 'pass', ocp: 'n/a', isp: 'pass', dip: 'pass' }, 'constructor injection satisfies DIP');
+  assert.equal(statuses('SOLID principles applied throughout.').dip, 'n/a', 'the keyword alone is no evidence');
+
+  const python = [
+    '```python',
+    'class Report:',
+    '    def __init__(self, repo, width: int):',
+    '        self.repo = repo',
+    '        self.width = width',
+    '    def rows(self):',
+    '        return self.repo.all()',
+    '    def render(self, shape):',
+    '        if isinstance(shape, Circle):',
+    '            return self.width',
+    '        elif isinstance(shape, Square):',
+    '            return self.width * 2',
+    '```',
+  ].join('\n');
+  const report = analyzeSolid(python);
+  assert.deepEqual(report.classes[0].injected, ['repo'], 'primitive settings are not injected dependencies');
+  assert.deepEqual(report.classes[0].clusters, [['rows'], ['render']], 'methods sharing no field are separate responsibilities');
+  assert.equal(report.principles.srp.status, 'violation');
+  assert.equal(report.principles.ocp.evidence[0].subject, 'Report.render', 'an isinstance chain is a switch on type');
+}
+
+/**
+ * Verifies Python, Go, Java and Rust answers are scored with their own test,
+ * doc-comment and error-handling idioms instead of the JS patterns.
+ * @returns {void}
+ */
+function assertOtherLanguagesAreScored() {
+  const python = [
+    '```python',
+    'import pytest',
+    'from slug import slugify',
+    '',
+    'def test_slugify_spaces():',
+    '    assert slugify("a b") == "a-b"',
+    '',
+    'def test_slugify_rejects_none():',
+    '    with pytest.raises(ValueError):',
+    '        slugify(None)',
+    '```',
+    '',
+    '```python',
+    'def slugify(text: str) -> str:',
+    '    """Turn a title into a URL slug."""',
+    '    if text is None:',
+    '        raise ValueError("text is required")',
+    '    return "-".join(text.lower().split())',
+    '```',
+  ].join('\n');
+  const py = scoreRubric('response-quality', python);
+  assert.deepEqual([py.details.tests_first, py.details.docs, py.details.edge_cases], [true, true, true], 'pytest, docstrings and raise count');
+  assert.equal(py.ratios.function_test_coverage, 1);
+  assert.equal(py.ratios.describe_names_unit, 1, 'test_slugify_* names the unit under test');
+
+  const go = [
+    '```go',
+    'func TestSlugify(t *testing.T) {',
+    '\tif got := Slugify("a b"); got != "a-b" {',
+    '\t\tt.Errorf("got %q", got)',
+    '\t}',
+    '}',
+    '```',
+    '```go',
+    '// Slugify turns a title into a URL slug.',
+    'func Slugify(s string) string { return strings.ToLower(s) }',
+    '',
+    '// Parse reads a slug.',
+    'func Parse(s string) (string, error) {',
+    '\tif s == "" {',
+    '\t\treturn "", errors.New("empty")',
+    '\t}',
+    '\treturn s, nil',
+    '}',
+    '```',
+  ].join('\n');
+  const goTests = analyzeTests(go);
+  assert.equal(goTests.language, 'go');
+  assert.equal(goTests.testsFirst, true);
+  assert.deepEqual(goTests.units.map((u) => [u.name, u.tested]), [['Slugify', true], ['Parse', false]], 'Parse has no TestParse');
+  assert.equal(analyzeSubstance(go).metrics.docs.evidence, '// Slugify turns a title into a URL slug.', 'a Go doc comment is doc evidence');
+
+  const java = '```java\npublic class Slug {\n    public static String slugify(String t) {\n        if (t == null) throw new IllegalArgumentException("t");\n        return t.toLowerCase();\n    }\n}\n```\n```java\nclass SlugTest {\n    @Test\n    void slugifyReplacesSpaces() {\n        assertEquals("a-b", Slug.slugify("a b"));\n    }\n}\n```';
+  const javaTests = analyzeTests(java);
+  assert.deepEqual([javaTests.language, javaTests.describeTitles[0].unit], ['java', 'Slug'], 'a JUnit class names its unit');
+  assert.equal(scoreRubric('response-quality', java).details.edge_cases, true, 'throw new counts for Java');
+  const rust = '```rust\n/// Turns a title into a slug.\npub fn slugify(s: &str) -> Result<String, String> {\n    if s.is_empty() { return Err("empty".into()); }\n    Ok(s.to_lowercase())\n}\n```';
+  const rs = scoreRubric('response-quality', rust);
+  assert.deepEqual([rs.details.docs, rs.details.edge_cases], [true, true], '/// and Result<_, _> count for Rust');
+
+  for (const prose of ['Adding the flag is optional.', 'Optional. You can add a flag.', 'Except for the header:\nkeep it.', 'The app will panic (rarely).']) {
+    assert.equal(scoreRubric('response-quality', prose).details.edge_cases, false, `prose is not error handling: ${JSON.stringify(prose)}`);
+  }
+  assert.equal(scoreRubric('response-quality', '```go\nfunc Must(v int) int {\n\tpanic("unreachable")\n}\n```').details.edge_cases, true,
+    'the same idiom counts inside a fence of its language');
+
+  assert.equal(detectFenceLanguage('', 'fn main() {\n    let x = 1;\n}'), 'rust', 'untagged fences are sniffed');
+  assert.equal(analyzeTests('No code yet.', { language: 'python' }).language, 'python', 'the prompt language answers when there is no code');
+  for (const t of JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks) {
+    const { language, ...structure } = analyzeTests(t.with);
+    assert.match(language, /^(?:javascript|typescript)$/, `sample ${t.id} is JS/TS`);
+    assert.deepEqual(structure, analyzeTestStructure(t.with), `sample ${t.id} still goes through test-structure.js`);
+  }
+}
+
+/**
+ * Runs every code-analyzer check.
+ * @returns {void}
+ */
+function main() {
+  assertTestStructureIsParsed();
+  assertJsdocIsAudited();
+  assertSolidEvidenceFromCode();
+  assertOtherLanguagesAreScored();
+
+  console.log('Code-analyzer checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertJsdocIsAudited,
+  assertOtherLanguagesAreScored,
+  assertSolidEvidenceFromCode,
+  assertTestStructureIsParsed,
+  main,
+};
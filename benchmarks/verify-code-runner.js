@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Code-Runner Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks code-runner.js: the stored samples' own tests pass, a wrong
+ * implementation fails, TypeScript is stripped and run, runaway code is
+ * stopped and response code cannot reach the host.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runResponseCode } = require('./code-runner');
+
+const SAMPLE_OUTPUTS_FILE = path.join(__dirname, 'results', 'sample-outputs.json');
+
+/**
+ * Verifies the vm code runner passes the stored samples' own tests, fails a
+ * wrong implementation, stays sandboxed and stops runaway code.
+ * @returns {void}
+ */
+function assertCodeRunnerExecutesTests() {
+  for (const t of JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks) {
+    const run = runResponseCode(t.with);
+    assert.equal(run.verdict, 'pass', `sample ${t.id} tests must pass: ${JSON.stringify(run.results.filter((r) => !r.passed))}`);
+    assert.ok(run.tests.passed >= 3, `sample ${t.id} must execute its tests`);
+  }
+
+  const fence = (code, lang = 'js') => `\`\`\`${lang}\n${code}\n\`\`\``;
+  const wrong = runResponseCode(`${fence('function add(a, b) { return a - b; }')}\n${fence("test('adds', () => expect(add(1, 2)).toBe(3));")}`);
+  assert.equal(wrong.verdict, 'fail');
+  assert.match(wrong.results[0].error, /expected -1 to be 3/);
+
+  const typed = runResponseCode(
+    fence(
+      'class Cart {\n  constructor(private readonly rate: number) {}\n  total(items: { price: number }[]): number {\n' +
+        '    return items.reduce((s: number, i) => s + i.price, 0) * (1 + this.rate);\n  }\n}\n' +
+        "describe('Cart', () => { it('adds tax', () => expect(new Cart(0.5).total([{ price: 2 }])).toBe(3)); });",
+      'ts'
+    )
+  );
+  assert.equal(typed.verdict, 'pass', `TypeScript must be stripped and run: ${JSON.stringify(typed)}`);
+
+  const sandboxed = runResponseCode(fence("test('isolated', () => { expect(typeof process).toBe('undefined'); expect(() => require('fs')).toThrow(); });"));
+  assert.equal(sandboxed.verdict, 'pass', 'response code must not reach process or real modules');
+  const runaway = runResponseCode(fence("test('spins', async () => { for (;;) await null; });"), { timeLimitMs: 100 });
+  assert.equal(runaway.results[0].error, 'time limit exceeded');
+  assert.equal(runResponseCode(fence('export const App = () => <div />;', 'tsx')).verdict, 'untested', 'unrunnable JSX falls back, it does not fail');
+  assert.equal(runResponseCode(fence("test('x', () => expect(new UserService().id).toBe(1));")).tests.skipped, 1,
+    'tests of code the response never defines are skipped');
+  const loose = runResponseCode(fence("test('eq', () => expect({ a: [1, 'x'], b: undefined }).toEqual({ a: [1, 'y'] }));"));
+  assert.equal(loose.results[0].error, "expected { a: [ 1, 'x' ], b: undefined } to equal { a: [ 1, 'y' ] }", 'messages read like util.inspect');
+}
+
+/**
+ * Verifies response code cannot climb out of the vm context to the runner
+ * process, and that a process-level runaway is reported, not fatal.
+ * @returns {void}
+ */
+function assertSandboxEscapesFail() {
+  const fence = (code) => `\`\`\`js\n${code}\n\`\`\``;
+  const routes = {
+    'a shim function': "console.log.constructor('return process')()",
+    'the global object': "globalThis.constructor.constructor('return process')()",
+    'this at the top level': "this.constructor.constructor('return process')()",
+    'an async function': "(async () => {}).constructor('return process')()",
+    'eval': "eval('process')",
+  };
+  const tests = Object.entries(routes).map(([name, code]) => `test(${JSON.stringify(name)}, () => expect(() => ${code}).toThrow());`);
+  const escape = runResponseCode(fence(tests.join('\n')));
+  assert.deepEqual(escape.results.filter((r) => !r.passed), [], 'no route may reach the host process');
+  assert.equal(escape.tests.passed, Object.keys(routes).length);
+
+  const hog = runResponseCode(fence("test('hogs', () => { const a = []; for (;;) a.push(new Array(1e6).fill(1)); });"), { timeLimitMs: 20000 });
+  assert.deepEqual([hog.verdict, hog.tests.total], ['untested', 0]);
+  assert.match(hog.errors[0], /runner process/, 'a runner that dies is reported as an error');
+  assert.match(hog.errors[0], /out of memory|exited/);
+}
+
+/**
+ * Runs every code-runner check.
+ * @returns {void}
+ */
+function main() {
+  assertCodeRunnerExecutesTests();
+  assertSandboxEscapesFail();
+
+  console.log('Code-runner checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertCodeRunnerExecutesTests,
+  assertSandboxEscapesFail,
+  main,
+};
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Response-Compression Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks the rules of response-compressor.js and meaning-verifier.js:
+ * levels only get more aggressive, every shipped rule pack fires on its own
+ * example, traces credit the rule that made each rewrite, and safe mode
+ * never leaves a meaning change behind. fuzz-response-compressor.js covers
+ * the verbatim guarantees.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, compressResponse, loadRulePack } = require('./response-compressor');
+const { verifyMeaning } = require('./meaning-verifier');
+
+const SAMPLE_OUTPUTS_FILE = path.join(__dirname, 'results', 'sample-outputs.json');
+const RULE_PACKS_DIR = path.join(__dirname, 'rule-packs');
+
+/**
+ * Verifies compression levels only ever get more aggressive, ultra drops
+ * articles without eating a capital "A" mid-sentence, and every shipped
+ * rule pack loads, fires on its own filler and rejects bad rules.
+ * @returns {void}
+ */
+function assertCompressionLevelsAndPacks() {
+  const sample = 'Sure! You might want to consider adding retries. In order to ship, the handler can retry. Going forward, you can also run the job twice.';
+  const lengths = LEVELS.map((level) => compressResponse(sample, { level }).length);
+  assert.ok(lengths.every((n, i) => i === 0 || n <= lengths[i - 1]), `compression must not grow from ${LEVELS.join(' → ')}: ${lengths.join(' → ')}`);
+  assert.match(compressResponse(sample, { level: 'lite' }), /^You might want to consider adding retries\. In order to/, 'lite must strip greetings only');
+  assert.throws(() => compressResponse(sample, { level: 'extreme' }), /Unknown compression level/);
+  assert.equal(compressResponse('Plan A is simple. The cache is warm.', { level: 'ultra' }), 'Plan A is simple. Cache is warm.', 'ultra must drop capital articles at sentence start only');
+  assert.equal(compressResponse('- The cache is warm.\nNote: A retry helps.', { level: 'ultra' }), '- Cache is warm.\nNote: Retry helps.');
+
+  for (const name of fs.readdirSync(RULE_PACKS_DIR).filter((f) => f.endsWith('.json'))) {
+    const file = path.join(RULE_PACKS_DIR, name);
+    const { example } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.ok(loadRulePack(file).rules.length > 0, `rule-packs/${name} must define rules`);
+    assert.ok(example, `rule-packs/${name} must carry an "example" sentence`);
+    assert.ok(compressResponse(example, { packs: [file] }).length < compressResponse(example).length, `rule-packs/${name} must fire on its own example`);
+  }
+  assert.throws(() => loadRulePack({ name: 'bad', rules: [{ pattern: '(' }] }), /Rule pack bad: rules\[0\]/);
+}
+
+/**
+ * Verifies a traced compression returns the same text as an untraced one
+ * and credits each rewrite to the rule that made it.
+ * @returns {void}
+ */
+function assertCompressionTrace() {
+  const samples = JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks.flatMap((t) => [t.without, t.with]).filter(Boolean);
+  for (const level of LEVELS) {
+    for (const text of samples) {
+      assert.equal(compressResponse(text, { level, trace: true }).text, compressResponse(text, { level }), `traced ${level} compression must match untraced output`);
+    }
+  }
+  const { trace } = compressResponse('Sure! In order to ship, run `npm test`.', { trace: true });
+  const fired = Object.fromEntries(trace.filter((e) => e.fires).map((e) => [e.id, e]));
+  assert.deepEqual(Object.keys(fired), ['greeting:1', 'replacement:1'], 'trace must credit exactly the greeting strip and the "In order to" rewrite');
+  assert.deepEqual(fired['replacement:1'].samples[0], { before: 'In order to ship, run `npm test`.', after: 'To ship, run `npm test`.' });
+}
+
+/**
+ * Verifies the meaning verifier flags each kind of meaning change and that
+ * safe-mode compression never leaves one behind, in a rule match or across
+ * a paragraph.
+ * @returns {void}
+ */
+function assertSafeCompressionKeepsMeaning() {
+  const kinds = (a, b) => verifyMeaning(a, b).problems.map((p) => p.kind);
+  assert.deepEqual(kinds('This is not safe.', 'This is safe.'), ['negation']);
+  assert.deepEqual(kinds('Retry 3 times.', 'Retry times.'), ['number']);
+  assert.deepEqual(kinds('Call fetchUsers first.', 'Call it first.'), ['identifier']);
+  assert.deepEqual(kinds("You'll need to restart.", 'Must restart.'), ['modal']);
+  assert.deepEqual(kinds('As you can see, it works.', 'It works.'), [], '"can see" is not a modal');
+
+  const hedge = 'It works. You might want to add retries. You can also cache it.';
+  assert.ok(!verifyMeaning(hedge, compressResponse(hedge, { level: 'ultra' })).ok, 'ultra must be able to drop a modal');
+  assert.equal(compressResponse(hedge, { level: 'ultra', safe: true }), hedge, 'safe ultra must undo modal-dropping rewrites');
+
+  // The match "n'" holds no negation, so only the paragraph check sees "can't" become "cat".
+  const apostrophes = { name: 'apostrophes', rules: [{ pattern: "n'(?=t\\b)", replace: '' }] };
+  const split = "It can't fail.\n\nIn order to ship, run it twice.";
+  assert.equal(compressResponse(split, { packs: [apostrophes] }), 'It cat fail.\n\nTo ship, run it twice.');
+  assert.equal(compressResponse(split, { packs: [apostrophes], safe: true }), "It can't fail.\n\nTo ship, run it twice.", 'safe mode must restore a paragraph that lost a negation outside any match');
+
+  const samples = JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks.flatMap((t) => [t.without, t.with]).filter(Boolean);
+  for (const level of LEVELS) {
+    for (const text of samples) {
+      const { problems } = verifyMeaning(text, compressResponse(text, { level, safe: true }));
+      assert.deepEqual(problems, [], `safe ${level} compression changed meaning`);
+    }
+  }
+}
+
+/**
+ * Runs every response-compression check.
+ * @returns {void}
+ */
+function main() {
+  assertCompressionLevelsAndPacks();
+  assertCompressionTrace();
+  assertSafeCompressionKeepsMeaning();
+
+  console.log('Response-compression checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertCompressionLevelsAndPacks,
+  assertCompressionTrace,
+  assertSafeCompressionKeepsMeaning,
+  main,
+};
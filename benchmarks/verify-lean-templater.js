@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Lean-Templater Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks lean-templater.js against the stored enhanced prompts and the
+ * Classic fixtures: budgeted templating keeps every mandatory keyword and
+ * only ever shrinks, every Classic rendering SKILL.md documents templates
+ * to Lean without falling back to the generic defaults, and the keywords
+ * survive expanding the Lean payload back to Classic.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseClassic, splitSections } = require('./enhanced-prompt');
+const { MANDATORY_KEYWORDS, expandToClassic, fitLeanToBudget, missingKeywords, transformToLean } = require('./lean-templater');
+
+const ENHANCED_FILE = path.join(__dirname, 'results', 'enhanced-prompts.json');
+const SKILL_FILE = path.join(__dirname, '..', 'skills', 'architect', 'SKILL.md');
+const CLASSIC_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'classic');
+
+/**
+ * Verifies default Lean templating carries every SKILL.md 4b scoring
+ * keyword, and budgeted templating only ever shrinks toward the budget and
+ * never drops one, however tight the budget.
+ * @returns {void}
+ */
+function assertLeanBudgetKeepsKeywords() {
+  const enhanced = JSON.parse(fs.readFileSync(ENHANCED_FILE, 'utf8'));
+  enhanced.forEach((classic, i) => {
+    assert.deepEqual(missingKeywords(transformToLean(classic)), [], `prompt #${i + 1} dropped a mandatory keyword`);
+  });
+
+  for (const maxTokens of [400, 250, 180, 60]) {
+    enhanced.forEach((classic, i) => {
+      const fit = fitLeanToBudget(classic, { maxTokens });
+      assert.deepEqual(missingKeywords(fit.lean), [], `budget ${maxTokens}: prompt #${i + 1} dropped a mandatory keyword`);
+      const counts = fit.shortened.map((step) => step.tokens);
+      assert.ok(counts.every((t, j) => j === 0 || t <= counts[j - 1]), `budget ${maxTokens}: prompt #${i + 1} grew while shortening`);
+      if (fit.fits) assert.ok(fit.tokens <= maxTokens, `budget ${maxTokens}: prompt #${i + 1} reported fit above budget`);
+    });
+  }
+}
+
+/**
+ * Verifies every Classic variant SKILL.md documents (decorated headings,
+ * <enhanced_prompt> XML, Markdown headings) splits into all sections and
+ * templates to Lean without falling back to the generic defaults.
+ * @returns {void}
+ */
+function assertClassicFixturesParse() {
+  const skill = fs.readFileSync(SKILL_FILE, 'utf8');
+  const fixtures = fs.readdirSync(CLASSIC_FIXTURES_DIR).sort();
+  assert.ok(fixtures.length >= 3, 'fixtures/classic must hold the decorated, XML and Markdown examples');
+
+  for (const name of ['skill-decorated.txt', 'skill-xml.xml']) {
+    assert.ok(skill.includes(fs.readFileSync(path.join(CLASSIC_FIXTURES_DIR, name), 'utf8').trim()), `fixtures/classic/${name} must match its SKILL.md example verbatim`);
+  }
+
+  for (const name of fixtures) {
+    const text = fs.readFileSync(path.join(CLASSIC_FIXTURES_DIR, name), 'utf8');
+    const empty = Object.entries(splitSections(text)).filter(([, body]) => !body).map(([h]) => h);
+    assert.deepEqual(empty, [], `fixtures/classic/${name} must fill every section`);
+
+    const lean = transformToLean(text);
+    assert.doesNotMatch(lean, /<goal>task;|North Star: business value<|Do NOT exceed scope|<phases>1\.test 2\.impl 3\.docs</, `fixtures/classic/${name} must not fall back to Lean defaults`);
+  }
+
+  assert.deepEqual(
+    parseClassic(fs.readFileSync(path.join(CLASSIC_FIXTURES_DIR, 'skill-markdown.md'), 'utf8')),
+    parseClassic(fs.readFileSync(path.join(CLASSIC_FIXTURES_DIR, 'skill-decorated.txt'), 'utf8')),
+    'Markdown and decorated renderings of the SKILL.md example must parse identically',
+  );
+}
+
+/**
+ * Verifies every SKILL.md 4b scoring keyword survives classic -> Lean ->
+ * classic. Classic headings are upper-case ("NORTH STAR"), so the match
+ * ignores case.
+ * @returns {void}
+ */
+function assertRoundTripKeepsKeywords() {
+  const enhanced = JSON.parse(fs.readFileSync(ENHANCED_FILE, 'utf8'));
+  enhanced.forEach((classic, i) => {
+    const expanded = expandToClassic(transformToLean(classic)).toLowerCase();
+    const lost = MANDATORY_KEYWORDS.filter((k) => !expanded.includes(k.toLowerCase()));
+    assert.deepEqual(lost, [], `prompt #${i + 1} lost a mandatory keyword in classic -> Lean -> classic`);
+  });
+  assert.match(expandToClassic(transformToLean(enhanced[0])), /Single Responsibility \(SRP\)/, 'the spelled-out SRP must expand like the abbreviation');
+}
+
+/**
+ * Runs every Lean templater check.
+ * @returns {void}
+ */
+function main() {
+  assertLeanBudgetKeepsKeywords();
+  assertClassicFixturesParse();
+  assertRoundTripKeepsKeywords();
+
+  console.log('Lean templater checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertClassicFixturesParse,
+  assertLeanBudgetKeepsKeywords,
+  assertRoundTripKeepsKeywords,
+  main,
+};
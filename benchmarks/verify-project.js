@@ -8,6 +8,7 @@
 const assert = require('assert/strict');
 const fs = require('fs');
 const path = require('path');
+const { parseClassic, parseEnhancedPrompt, toClassic, toJson, validateEnhancedPrompt } = require('./enhanced-prompt');
 
 const ROOT = path.resolve(__dirname, '..');
 const PACKAGE_FILE = path.join(__dirname, 'package.json');
@@ -16,6 +17,20 @@ const MARKETPLACE_FILE = path.join(ROOT, '.claude-plugin', 'marketplace.json');
 const README_FILE = path.join(ROOT, 'README.md');
 const SIMULATION_JSON_FILE = path.join(__dirname, 'results', 'cursor-ab-latest.simulation.json');
 const SIMULATION_MD_FILE = path.join(__dirname, 'results', 'cursor-ab-latest.simulation.md');
+const ENHANCED_FILE = path.join(__dirname, 'results', 'enhanced-prompts.json');
+const SKILL_FILE = path.join(ROOT, 'skills', 'architect', 'SKILL.md');
+const TEST_FILE = path.join(__dirname, 'test-prompts.json');
+// Scripts that score text; each must take its rubric from rubrics.js.
+const RUBRIC_CONSUMERS = [
+  'analyze-samples.js',
+  'run-benchmark.js',
+  'run-benchmark-direct.js',
+  'run-cursor-ab.js',
+  'run-cursor-benchmark.js',
+  'run-cursor-lean-benchmark.js',
+  'run-output-benchmark.js',
+  'run-token-benchmark.js',
+];
 
 /**
  * Reads a JSON file from disk.
@@ -49,6 +64,18 @@ function assertPackageScripts() {
     /verify:project.*benchmark:cursor.*benchmark:cursor:lean.*benchmark:tokens.*benchmark:structure/,
     '`npm run verify` must run project checks before the offline benchmark gate suite',
   );
+  assert.match(scripts.verify, /verify:project && npm run verify:modules/, '`npm run verify` must run the module checks after the project checks');
+  assert.match(
+    scripts.verify,
+    /benchmark:replay && npm run benchmark:structure/,
+    '`npm run verify` must replay the committed cassette before benchmark:structure rewrites results/latest.json',
+  );
+  assert.match(scripts['benchmark:replay'] || '', /--cassette offline/, '`npm run benchmark:replay` must never call a model');
+
+  const modules = String(scripts['verify:modules'] || '').split('&&').map((step) => scripts[step.trim().replace(/^npm run /, '')]);
+  for (const file of fs.readdirSync(__dirname).filter((f) => /^verify-.+\.js$/.test(f) && f !== 'verify-project.js')) {
+    assert.ok(modules.includes(`node ${file}`), `\`npm run verify:modules\` must run ${file}`);
+  }
 
   for (const [name, command] of Object.entries(scripts)) {
     const match = String(command).match(/^node\s+([^\s]+)/);
@@ -89,6 +116,42 @@ function assertSimulationReportsAreExplicit() {
   assert.match(simulationMd, /cursor-ab-samples\.simulation\.json/, 'simulation Markdown must point at simulation samples');
 }
 
+/**
+ * Verifies stored enhanced prompts and the SKILL.md XML template parse into
+ * schema-valid EnhancedPrompt objects that survive the Classic and JSON emitters.
+ * @returns {void}
+ */
+function assertEnhancedPromptModel() {
+  const enhanced = readJson(ENHANCED_FILE);
+
+  enhanced.forEach((classic, i) => {
+    const ep = parseClassic(classic);
+    assert.deepEqual(validateEnhancedPrompt(ep), [], `enhanced prompt #${i + 1} must match enhanced-prompt.schema.json`);
+    assert.deepEqual(parseClassic(toClassic(ep)), ep, `enhanced prompt #${i + 1} must round-trip through toClassic`);
+    assert.deepEqual(parseEnhancedPrompt(toJson(ep)), ep, `enhanced prompt #${i + 1} must round-trip through toJson`);
+  });
+
+  const xml = (readText(SKILL_FILE).match(/<enhanced_prompt>[\s\S]*?<\/enhanced_prompt>/) || [])[0];
+  assert.ok(xml, 'SKILL.md must document the <enhanced_prompt> XML form');
+  const fromXml = parseEnhancedPrompt(xml);
+  assert.deepEqual(validateEnhancedPrompt(fromXml), [], 'SKILL.md XML example must match enhanced-prompt.schema.json');
+  assert.equal(fromXml.phases.length, 3, 'SKILL.md XML example must parse three execution phases');
+}
+
+/**
+ * Verifies every script that scores text takes its rubric from rubrics.js
+ * instead of defining its own patterns.
+ * @returns {void}
+ */
+function assertRubricConsumers() {
+  for (const file of RUBRIC_CONSUMERS) {
+    const src = readText(path.join(__dirname, file));
+    assert.match(src, /require\('\.\/rubrics'\)/, `${file} must import its rubric from rubrics.js`);
+    assert.doesNotMatch(src, /^const (?:METRICS|SIGNALS|QUALITY_METRICS|OUTPUT_METRICS|metrics) = \[/m, `${file} must not define its own rubric`);
+  }
+  assert.equal(readJson(TEST_FILE).metrics, undefined, 'test-prompts.json must name a rubric instead of listing metrics');
+}
+
 /**
  * Runs every project verification check.
  * @returns {void}
@@ -97,6 +160,8 @@ function main() {
   assertPackageScripts();
   assertVersionConsistency();
   assertSimulationReportsAreExplicit();
+  assertEnhancedPromptModel();
+  assertRubricConsumers();
 
   console.log('Project verification checks passed.');
 }
@@ -104,7 +169,9 @@ function main() {
 if (require.main === module) main();
 
 module.exports = {
+  assertEnhancedPromptModel,
   assertPackageScripts,
+  assertRubricConsumers,
   assertSimulationReportsAreExplicit,
   assertVersionConsistency,
   main,
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Prompt-Scoring Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks constraint-specificity.js, goal-relevance.js and the stemmer they
+ * share (content-words.js) against small hand-written prompts and the
+ * stored enhanced prompts.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseClassic, toClassic } = require('./enhanced-prompt');
+const { DEFAULT_CONSTRAINTS, transformToLean } = require('./lean-templater');
+const { stem } = require('./content-words');
+const { rateConstraint, scoreConstraints } = require('./constraint-specificity');
+const { scoreGoalRelevance } = require('./goal-relevance');
+
+const ENHANCED_FILE = path.join(__dirname, 'results', 'enhanced-prompts.json');
+const TEST_FILE = path.join(__dirname, 'test-prompts.json');
+
+/**
+ * Verifies "Do NOT" constraints are rated by how specific they are to the
+ * task, and that Lean's generic fallback constraints are flagged.
+ * @returns {void}
+ */
+function assertConstraintSpecificity() {
+  const prompt = 'add a search bar to the header';
+  assert.equal(rateConstraint('Do NOT modify the existing header layout', prompt).specificity, 1, 'prompt noun plus a named component');
+  assert.equal(rateConstraint('Do NOT touch `src/Header.tsx` styles', prompt).named.length > 0, true, 'a file or identifier is named');
+  assert.equal(rateConstraint('Do NOT mock internal implementation details', prompt).specificity, 1 / 3, 'not boilerplate, but not about this task');
+
+  for (const c of DEFAULT_CONSTRAINTS) {
+    assert.deepEqual([rateConstraint(c, prompt).boilerplate, rateConstraint(c, prompt).specificity], [true, 0], `${c} is boilerplate`);
+  }
+  const ep = parseClassic(JSON.parse(fs.readFileSync(ENHANCED_FILE, 'utf8'))[0]);
+  const fallback = scoreConstraints(transformToLean(toClassic({ ...ep, constraints: [] })), prompt);
+  assert.equal(fallback.allBoilerplate, true, 'the Lean fallback constraints are flagged');
+  assert.equal(fallback.average, 0);
+  const own = scoreConstraints(ep, prompt);
+  assert.equal(own.allBoilerplate, false);
+  assert.ok(own.average > 50, 'the stored header prompt names its own constraints');
+}
+
+/**
+ * Verifies goals are checked against the prompt they enhance: an unrelated
+ * goal is off topic, synonyms count as coverage and invented names are listed.
+ * @returns {void}
+ */
+function assertGoalRelevance() {
+  const prompt = 'fix the memory leak in the dashboard component';
+  const unrelated = scoreGoalRelevance({ goal: 'Migrate billing to Stripe behind a PaymentGateway class', northStar: 'Grow revenue' }, prompt);
+  assert.equal(unrelated.offTopic, true, 'a goal about something else is off topic');
+  assert.equal(unrelated.relevance, 0);
+  assert.deepEqual(unrelated.invented, ['Stripe', 'PaymentGateway']);
+
+  for (const [a, b] of [['files', 'file'], ['images', 'image'], ['caching', 'cache'], ['cached', 'cache'], ['classes', 'class'], ['utilities', 'utility']]) {
+    assert.equal(stem(a), stem(b), `"${a}" and "${b}" must share a stem`);
+  }
+  const upload = scoreGoalRelevance({ goal: 'Add uploading of files and images', northStar: '' }, 'add file upload with image preview');
+  assert.deepEqual(upload.goal.matched, ['file', 'upload', 'image'], 'plural and -ing forms cover the bare prompt words');
+  assert.equal(upload.offTopic, false);
+
+  const synonyms = scoreGoalRelevance({ goal: 'Repair the login flow', northStar: '' }, 'fix user auth');
+  assert.deepEqual(synonyms.goal.matched, ['auth'], 'login covers auth through the synonym table');
+  assert.deepEqual(synonyms.missing, ['user']);
+
+  const tests = JSON.parse(fs.readFileSync(TEST_FILE, 'utf8')).prompts;
+  JSON.parse(fs.readFileSync(ENHANCED_FILE, 'utf8')).forEach((classic, i) => {
+    const stored = scoreGoalRelevance(classic, tests[i].prompt);
+    assert.equal(stored.offTopic, false, `enhanced prompt #${i + 1} has an on-topic goal`);
+    assert.deepEqual(stored.invented, [], `enhanced prompt #${i + 1} invents no names in its goal`);
+  });
+}
+
+/**
+ * Runs every prompt-scoring check.
+ * @returns {void}
+ */
+function main() {
+  assertConstraintSpecificity();
+  assertGoalRelevance();
+
+  console.log('Prompt-scoring checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertConstraintSpecificity,
+  assertGoalRelevance,
+  main,
+};
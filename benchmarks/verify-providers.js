@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Model-Provider Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks model-providers.js (flag parsing, provider selection, request and
+ * response shapes) and cassettes.js, whose record, replay and offline modes
+ * are driven end to end around the fake provider in a temporary directory.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  chatCompletionsBody,
+  createFakeProvider,
+  createProvider,
+  describeProvider,
+  parseProviderArgs,
+  readAnthropicMessage,
+  readChatCompletion,
+} = require('./model-providers');
+const { MISSING_ENTRY, cassetteKey, openCassette, withCassette } = require('./cassettes');
+
+/**
+ * Verifies the model-provider layer: flag parsing, provider selection, the
+ * OpenAI-compatible request and both response shapes.
+ * @returns {void}
+ */
+function assertModelProviders() {
+  const args = parseProviderArgs(['node', 'x.js', '--provider', 'openai', '--model', 'llama3.1', '--base-url', 'http://localhost:11434/v1/']);
+  assert.deepEqual(args, { provider: 'openai', model: 'llama3.1', baseUrl: 'http://localhost:11434/v1/' });
+  assert.equal(parseProviderArgs(['node', 'x.js']).provider, 'anthropic', 'the Anthropic API stays the default');
+
+  assert.deepEqual(createProvider(args).describe(), { provider: 'openai', model: 'llama3.1', baseUrl: 'http://localhost:11434/v1' });
+  assert.deepEqual(createProvider({ provider: 'fake' }).describe(), { provider: 'fake', model: 'fake-scripted', baseUrl: null });
+  assert.throws(() => createProvider({ provider: 'bard' }), /Unknown provider "bard"/);
+  assert.throws(() => createProvider({ provider: 'fake', responses: 'hi' }), /JSON array/);
+
+  const body = chatCompletionsBody('m', { system: 'Be terse.', messages: [{ role: 'user', content: 'hi' }], maxTokens: 50 });
+  assert.deepEqual(body, {
+    model: 'm',
+    max_tokens: 50,
+    messages: [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'hi' }],
+  }, 'the system prompt becomes the first chat message');
+  assert.deepEqual(
+    readChatCompletion({ choices: [{ message: { content: 'ok' } }], usage: { prompt_tokens: 3, completion_tokens: 1 } }),
+    { text: 'ok', usage: { inputTokens: 3, outputTokens: 1 } },
+  );
+  assert.deepEqual(readChatCompletion({ choices: [{ message: { content: 'ok' } }] }).usage, { inputTokens: null, outputTokens: null });
+  assert.throws(() => readChatCompletion({ error: 'overloaded' }), /no choices/);
+  assert.deepEqual(
+    readAnthropicMessage({ content: [{ type: 'text', text: 'a' }, { type: 'tool_use' }, { type: 'text', text: 'b' }], usage: { input_tokens: 5, output_tokens: 2 } }),
+    { text: 'ab', usage: { inputTokens: 5, outputTokens: 2 } },
+  );
+}
+
+/**
+ * Verifies cassette keys depend on provider, base URL, model, system prompt
+ * and messages only,
+ * and drives withCassette() around the fake provider: record saves every
+ * reply, offline answers hits without a client and rejects misses, and
+ * replay records what it misses.
+ * @returns {Promise<void>}
+ */
+async function assertCassettes() {
+  const request = { system: 'Be terse.', messages: [{ role: 'user', content: 'add a search bar' }], maxTokens: 100 };
+  const m = { provider: 'anthropic', model: 'm', baseUrl: null };
+  const key = cassetteKey(m, request);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(cassetteKey(m, { ...request, maxTokens: 2000 }), key, 'the output limit is not part of the key');
+  assert.notEqual(cassetteKey({ ...m, model: 'other' }, request), key);
+  assert.notEqual(cassetteKey({ ...m, provider: 'openai' }, request), key, 'a model name served by two providers keys apart');
+  assert.notEqual(cassetteKey({ ...m, baseUrl: 'http://localhost:11434/v1' }, request), key, 'so does one served by two endpoints');
+  assert.notEqual(cassetteKey(m, { ...request, system: '' }), key);
+  assert.notEqual(cassetteKey(m, { ...request, messages: [{ role: 'user', content: 'add a search box' }] }), key);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  try {
+    const file = path.join(dir, 'run.json');
+    const entry = { ...m, request, response: { text: 'ok', usage: { inputTokens: 4, outputTokens: 1 } }, latencyMs: 120, recordedAt: 'then' };
+    openCassette(file).put(key, entry);
+    assert.deepEqual(openCassette(file).get(key), entry, 'entries are written at once and read back');
+    assert.equal(openCassette(path.join(dir, 'missing.json')).size(), 0, 'a missing cassette is empty');
+
+    const noClient = () => { throw new Error('offline mode created a live client'); };
+    assert.throws(() => withCassette(noClient, {}, { mode: 'rewind', file }), /Unknown cassette mode/);
+    assert.throws(() => withCassette(noClient, {}, { mode: 'record', file }), /live client/, 'record mode needs the live provider up front');
+
+    const tape = path.join(dir, 'fake.json');
+    const info = describeProvider({ provider: 'fake' });
+    const ask = (content) => ({ system: 'Be terse.', messages: [{ role: 'user', content }] });
+    let clients = 0;
+    const scripted = () => {
+      clients++;
+      return createFakeProvider({ responses: [{ text: 'first', usage: { inputTokens: 7, outputTokens: 2 } }, 'second'] });
+    };
+
+    const recorder = withCassette(scripted, info, { mode: 'record', file: tape });
+    const first = await recorder.complete(ask('one'));
+    const second = await recorder.complete(ask('two'));
+    assert.equal(clients, 1, 'record mode reuses one live client');
+    assert.deepEqual(recorder.describe().cassette, { mode: 'record', file: tape, hits: 0, recorded: 2 });
+    assert.equal(openCassette(tape).size(), 2, 'record mode saves every reply');
+
+    const offline = withCassette(noClient, info, { mode: 'offline', file: tape });
+    assert.deepEqual(await offline.complete(ask('one')), first, 'an offline hit returns the recorded text, usage and latency');
+    assert.deepEqual(await offline.complete(ask('two')), second);
+    await assert.rejects(offline.complete(ask('three')), { code: MISSING_ENTRY }, 'an offline miss rejects with MISSING_ENTRY');
+    assert.deepEqual(offline.describe().cassette, { mode: 'offline', file: tape, hits: 2, recorded: 0 });
+
+    const replay = withCassette(() => createFakeProvider(), info, { mode: 'replay', file: tape });
+    assert.equal((await replay.complete(ask('one'))).text, 'first', 'replay answers a hit from the cassette');
+    assert.equal((await replay.complete(ask('three'))).text, 'Fake response to: three', 'a replay miss reaches the model');
+    assert.deepEqual(replay.describe().cassette, { mode: 'replay', file: tape, hits: 1, recorded: 1 });
+    assert.equal(openCassette(tape).size(), 3, 'replay mode records what it missed');
+    assert.equal((await withCassette(noClient, info, { mode: 'offline', file: tape }).complete(ask('three'))).text, 'Fake response to: three');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Runs every model-provider and cassette check.
+ * @returns {Promise<void>}
+ */
+async function main() {
+  assertModelProviders();
+  await assertCassettes();
+
+  console.log('Model-provider checks passed.');
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  assertCassettes,
+  assertModelProviders,
+  main,
+};
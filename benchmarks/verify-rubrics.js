@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Rubric Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks rubrics.js, signal-matcher.js and substance-analyzer.js: the
+ * registry is well formed, only affirmed signal hits score, and a response
+ * that only repeats the rule vocabulary earns no substantiated score.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { RUBRICS, rubricMismatch, rubricStamp, scoreRubric } = require('./rubrics');
+const { analyzeSubstance } = require('./substance-analyzer');
+
+const SAMPLE_OUTPUTS_FILE = path.join(__dirname, 'results', 'sample-outputs.json');
+
+/**
+ * Verifies every rubric is well formed and stamps the results it scores.
+ * @returns {void}
+ */
+function assertRubricRegistry() {
+  for (const [key, rubric] of Object.entries(RUBRICS)) {
+    assert.equal(rubric.id, key, `rubric "${key}" must carry its own id`);
+    assert.match(rubric.version, /^\d+\.\d+\.\d+$/, `rubric "${key}" needs a semver version`);
+    const ids = rubric.metrics.map((m) => m.id);
+    assert.equal(new Set(ids).size, ids.length, `rubric "${key}" has duplicate metric ids`);
+    for (const m of rubric.metrics) {
+      assert.ok(m.pattern instanceof RegExp || typeof m.check === 'function' || typeof m.measure === 'function', `${key}/${m.id} has nothing to score with`);
+      assert.ok(m.type !== 'ratio' || typeof m.measure === 'function', `${key}/${m.id} ratios need a measure`);
+      assert.ok(m.type !== 'count' || m.pattern, `${key}/${m.id} counts need a pattern`);
+    }
+  }
+
+  const scored = scoreRubric('prompt-structure', 'Goal: ship it. Do NOT break the API.\n1. Write tests\n2. Build');
+  assert.deepEqual(scored.rubric, rubricStamp('prompt-structure'));
+  assert.equal(scored.counts.phase_count, 2);
+  assert.equal(rubricMismatch(rubricStamp('rule-payload'), 'rule-payload'), null);
+  assert.match(rubricMismatch({ id: 'rule-payload', version: '0.0.0' }, 'rule-payload'), /0\.0\.0/);
+  assert.match(rubricMismatch(undefined, 'rule-payload'), /no rubric stamp/);
+}
+
+/**
+ * Verifies rubrics only count affirmed signal hits and report the rest.
+ * @returns {void}
+ */
+function assertSignalsMustBeAffirmed() {
+  const tdd = (text, options) => scoreRubric('prompt-structure', text, options);
+
+  const negated = tdd("We won't bother with TDD here.");
+  assert.equal(negated.details.has_tdd, false, 'a negated keyword must not score');
+  assert.equal(negated.hits.has_tdd.negated, 1);
+  assert.equal(tdd('No need to update the README.').details.has_docs, false);
+  assert.equal(tdd('The README is not needed for this change.').details.has_docs, false);
+  assert.equal(tdd('Do NOT skip TDD.').details.has_tdd, true, 'a double negation affirms');
+  assert.equal(tdd('Do NOT break the public API.').details.has_constraints, true, 'constraint signals are negations themselves');
+
+  const quoted = tdd('You wrote "use TDD for everything" in the ticket.');
+  assert.equal(quoted.details.has_tdd, false);
+  assert.equal(quoted.discarded.echoed, 1);
+  const echoed = tdd('Plan: add tests following TDD for the user service.', { prompt: 'add tests following TDD for the user service' });
+  assert.equal(echoed.details.has_tdd, false, 'a hit that repeats the prompt must not score');
+  assert.equal(echoed.discarded.samples[0].reason, 'prompt');
+
+  const injected = '<10x-architect>\nSOLID(SRP/OCP/LSP/ISP/DIP).\n</10x-architect>\nHere is the function.';
+  assert.equal(scoreRubric('response-quality', injected).details.solid, false, 'keywords only inside the injected block must not score');
+  assert.equal(scoreRubric('rule-payload', injected).details.solid, true, 'rule payloads are the injected block');
+}
+
+/**
+ * Verifies a response that only repeats the rule vocabulary earns a raw
+ * score but no substantiated score, while the stored samples keep theirs.
+ * @returns {void}
+ */
+function assertKeywordStuffingIsCaught() {
+  const prompt = 'add a search bar to the header';
+  const stuffed = analyzeSubstance(
+    'Goal: ship it. North Star: quality.\nConstraints: Do NOT break things.\nPhase 1: think.\nPhase 2: do.\n' +
+      'We follow SOLID and JSDoc and handle every edge case and invalid input.',
+    { prompt }
+  );
+  assert.ok(stuffed.rawPercentage >= 60, 'stuffed text must still fool the raw rubric');
+  assert.equal(stuffed.percentage, 0, 'vocabulary without evidence must not be substantiated');
+  assert.equal(stuffed.stuffed, true);
+
+  const backed = analyzeSubstance(
+    [
+      'Goal: add a search bar to the header.',
+      '1. Write a failing test for `SearchBar`.',
+      '2. Implement SearchBar with an injected search client (SOLID/DIP).',
+      '```js',
+      "test('calls the client', () => { expect(bar.search('x')).toBe(1); });",
+      '/** Search input for the header. */',
+      'class SearchBar {',
+      '  constructor(client) { this.client = client; }',
+      "  search(q) { if (!q) throw new Error('empty query'); return this.client.find(q); }",
+      '}',
+      '```',
+    ].join('\n'),
+    { prompt }
+  );
+  assert.deepEqual(backed.unsubstantiated, [], 'evidence-backed signals must all be substantiated');
+  assert.equal(backed.percentage, backed.rawPercentage);
+
+  for (const t of JSON.parse(fs.readFileSync(SAMPLE_OUTPUTS_FILE, 'utf8')).tasks) {
+    assert.equal(analyzeSubstance(t.with, { prompt: t.task }).stuffed, false, `sample ${t.id} applies what it claims`);
+  }
+}
+
+/**
+ * Runs every rubric check.
+ * @returns {void}
+ */
+function main() {
+  assertRubricRegistry();
+  assertSignalsMustBeAffirmed();
+  assertKeywordStuffingIsCaught();
+
+  console.log('Rubric checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertKeywordStuffingIsCaught,
+  assertRubricRegistry,
+  assertSignalsMustBeAffirmed,
+  main,
+};
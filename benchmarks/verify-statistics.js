@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * 10x Architect Statistics Check
+ *
+ * Offline. No API key required.
+ *
+ * Checks ab-stats.js (paired tests, intervals, effect size, sample-size
+ * plan and the spread of repeated samples) and group-summary.js (category
+ * and complexity breakdowns) on small inputs with known answers.
+ */
+
+'use strict';
+
+const assert = require('assert/strict');
+const { comparePaired, describeSamples, requiredSampleSize } = require('./ab-stats');
+const { groupTables, summarizeGroups } = require('./group-summary');
+
+/**
+ * Verifies the A/B statistics: exact permutation p-values for small samples,
+ * a reproducible bootstrap interval, paired Cohen's d and the sample-size plan.
+ * @returns {void}
+ */
+function assertAbStatistics() {
+  const lift = comparePaired([0, 0, 0, 0, 0], [10, 20, 30, 40, 50]);
+  assert.equal(lift.pValue, 2 / 32, 'all five differences positive: 2 of 32 sign patterns are as extreme');
+  assert.equal(lift.exact, true);
+  assert.ok(lift.ci.lower > 0 && lift.ci.lower < 30 && lift.ci.upper > 30, 'the interval brackets the mean');
+  assert.deepEqual(comparePaired([0, 0, 0, 0, 0], [10, 20, 30, 40, 50]).ci, lift.ci, 'resampling is seeded');
+  assert.equal(lift.cohensD.toFixed(2), '1.90', 'd_z = mean / SD of the differences');
+
+  const none = comparePaired([1, 2, 3], [1, 2, 3]);
+  assert.deepEqual([none.pValue, none.cohensD], [1, null]);
+
+  const noisy = comparePaired(Array(20).fill(0), Array.from({ length: 20 }, (_, i) => (i % 2 ? 5 : -3)));
+  assert.equal(noisy.exact, false, 'more than 16 pairs are sampled, not enumerated');
+  assert.ok(noisy.ci.lower < 0 && noisy.pValue > 0.05, 'a +1 mean over noise of SD 4 is not significant');
+  assert.equal(requiredSampleSize(10, 5), 32, '((1.96 + 0.84) x 10 / 5)^2 rounded up');
+  assert.throws(() => comparePaired([1], [1, 2]), /differ in length/);
+}
+
+/**
+ * Verifies repeated samples of one prompt are described by mean, variance,
+ * best, worst and a stability that drops as the scores spread.
+ * @returns {void}
+ */
+function assertSamplesAreDescribed() {
+  const one = describeSamples([60]);
+  assert.deepEqual([one.n, one.mean, one.variance, one.stability], [1, 60, 0, 100], 'one sample is perfectly stable');
+
+  const spread = describeSamples([40, 60, 80]);
+  assert.deepEqual([spread.mean, spread.best, spread.worst], [60, 80, 40]);
+  assert.equal(spread.variance.toFixed(2), '266.67', 'population variance of the samples');
+  assert.equal(spread.stability.toFixed(1), '67.3', '100 x (1 - SD / 50)');
+  assert.equal(describeSamples([0, 100]).stability, 0, 'the widest possible spread has no stability');
+  assert.ok(describeSamples([55, 65]).stability > spread.stability, 'closer scores are more stable');
+  assert.throws(() => describeSamples([]), /at least one value/);
+}
+
+/**
+ * Verifies per-prompt numbers are averaged by category, by complexity and by
+ * the cross-tab, in a fixed order, and render as Markdown tables.
+ * @returns {void}
+ */
+function assertGroupSummaries() {
+  const rows = [
+    { id: 'b1', category: 'bugfix', complexity: 'simple', lift: 10 },
+    { id: 'f1', category: 'feature', complexity: 'simple', lift: 40 },
+    { id: 'f2', category: 'feature', complexity: 'complex', lift: 60 },
+    { id: 'x1', lift: null },
+  ];
+  const groups = summarizeGroups(rows, { lift: (r) => r.lift });
+  assert.deepEqual(Object.keys(groups.byCategory), ['feature', 'bugfix', 'unknown'], 'known categories first, in their order');
+  assert.deepEqual(groups.byCategory.feature, { n: 2, ids: ['f1', 'f2'], lift: 50 });
+  assert.equal(groups.byCategory.unknown.lift, null, 'a group with no values has no mean');
+  assert.deepEqual(Object.keys(groups.byComplexity), ['simple', 'complex', 'unknown']);
+  assert.equal(groups.byComplexity.simple.lift, 25);
+  assert.equal(groups.byCategoryComplexity.feature.complex.lift, 60);
+  assert.equal(groups.byCategoryComplexity.bugfix.complex, undefined);
+
+  const md = groupTables(groups, { columns: [['lift', 'Lift %']], crossMetric: 'lift' }).join('\n');
+  assert.match(md, /\| feature \| 2 \| 50 \|/);
+  assert.match(md, /\| bugfix \| 10 \(1\) \| – \| – \|/, 'empty cross-tab cells are marked');
+}
+
+/**
+ * Runs every statistics check.
+ * @returns {void}
+ */
+function main() {
+  assertAbStatistics();
+  assertSamplesAreDescribed();
+  assertGroupSummaries();
+
+  console.log('Statistics checks passed.');
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  assertAbStatistics,
+  assertGroupSummaries,
+  assertSamplesAreDescribed,
+  main,
+};